@@ -15,6 +15,7 @@ export const env = {
   // Server
   LOCAL_DEV_APP_HOST: process.env.LOCAL_DEV_APP_HOST || 'localhost',
   LOCAL_DEV_APP_PORT: process.env.LOCAL_DEV_APP_PORT || 8020,
+  BUILD_MODE: process.env.BUILD_MODE,
 
   // Domain
   WEBSITE_DOMAIN_DEVELOPMENT: process.env.WEBSITE_DOMAIN_DEVELOPMENT || 'http://localhost:8020',
@@ -26,16 +27,58 @@ export const env = {
   REFRESH_TOKEN_SECRET_SIGNATURE: process.env.REFRESH_TOKEN_SECRET_SIGNATURE,
   REFRESH_TOKEN_LIFE: process.env.REFRESH_TOKEN_LIFE || '14d',
 
+  // Password reset
+  PASSWORD_RESET_TOKEN_LIFE: process.env.PASSWORD_RESET_TOKEN_LIFE || '30m',
+
+  // Mail (MAIL_TRANSPORT: console | file | resend)
+  // Production mặc định gửi thật: transport console in cả token đặt lại mật khẩu ra log
+  MAIL_TRANSPORT: process.env.MAIL_TRANSPORT || (process.env.BUILD_MODE === 'production' ? 'resend' : 'console'),
+  MAIL_FROM: process.env.MAIL_FROM || 'LapZone <no-reply@lapzone.local>',
+  MAIL_FILE_DIR: process.env.MAIL_FILE_DIR || 'logs/mails',
+  RESEND_API_KEY: process.env.RESEND_API_KEY,
+
   // Cloudinary
   CLOUDINARY_CLOUD_NAME: process.env.CLOUDINARY_CLOUD_NAME,
   CLOUDINARY_API_KEY: process.env.CLOUDINARY_API_KEY,
   CLOUDINARY_API_SECRET: process.env.CLOUDINARY_API_SECRET,
 
+  // Tìm kiếm sản phẩm (SEARCH_ENGINE: mysql | elasticsearch)
+  SEARCH_ENGINE: process.env.SEARCH_ENGINE || 'mysql',
+  ELASTICSEARCH_NODE: process.env.ELASTICSEARCH_NODE,
+  ELASTICSEARCH_API_KEY: process.env.ELASTICSEARCH_API_KEY,
+  ELASTICSEARCH_INDEX: process.env.ELASTICSEARCH_INDEX || 'lapzone_products',
+
   // MoMo Payment
   MOMO_ACCESS_KEY: process.env.MOMO_ACCESS_KEY,
   MOMO_SECRET_KEY: process.env.MOMO_SECRET_KEY,
   MOMO_PARTNER_CODE: process.env.MOMO_PARTNER_CODE,
   MOMO_PARTNER_NAME: process.env.MOMO_PARTNER_NAME,
   MOMO_STORE_ID: process.env.MOMO_STORE_ID,
-  MOMO_API_HOST: process.env.MOMO_API_HOST
+  MOMO_API_HOST: process.env.MOMO_API_HOST,
+
+  // VNPay Payment
+  VNPAY_TMN_CODE: process.env.VNPAY_TMN_CODE,
+  VNPAY_HASH_SECRET: process.env.VNPAY_HASH_SECRET,
+  VNPAY_PAYMENT_URL: process.env.VNPAY_PAYMENT_URL || 'https://sandbox.vnpayment.vn/paymentv2/vpcpay.html',
+  VNPAY_API_HOST: process.env.VNPAY_API_HOST || 'sandbox.vnpayment.vn',
+
+  // ZaloPay Payment
+  ZALOPAY_APP_ID: process.env.ZALOPAY_APP_ID,
+  ZALOPAY_KEY1: process.env.ZALOPAY_KEY1,
+  ZALOPAY_KEY2: process.env.ZALOPAY_KEY2,
+  ZALOPAY_API_HOST: process.env.ZALOPAY_API_HOST || 'sb-openapi.zalopay.vn',
+
+  // Tự động hủy đơn thanh toán online quá hạn (ORDER_EXPIRY_CRON rỗng = tắt job)
+  ORDER_PAYMENT_TIMEOUT: process.env.ORDER_PAYMENT_TIMEOUT || '30m',
+  // Quá thời hạn này mà vẫn không hỏi được cổng thanh toán thì đơn vẫn bị hủy
+  ORDER_PAYMENT_MAX_WAIT: process.env.ORDER_PAYMENT_MAX_WAIT || '24h',
+  ORDER_EXPIRY_CRON: process.env.ORDER_EXPIRY_CRON !== undefined ? process.env.ORDER_EXPIRY_CRON : '*/5 * * * *',
+
+  // Thời hạn khách được yêu cầu đổi/trả hàng, tính từ lúc đơn hoàn thành
+  RETURN_REQUEST_WINDOW: process.env.RETURN_REQUEST_WINDOW || '15d',
+
+  // Sandbox payment gateway (giả lập thanh toán trên local)
+  PAYMENT_SANDBOX_ENABLED: process.env.PAYMENT_SANDBOX_ENABLED || 'false',
+  // Không có giá trị mặc định: secret công khai cho phép ai cũng ký được IPN giả
+  PAYMENT_SANDBOX_SECRET: process.env.PAYMENT_SANDBOX_SECRET
 }
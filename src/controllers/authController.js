@@ -1,15 +1,18 @@
 /**
  * AUTH CONTROLLER
- * Handles authentication operations (refresh token, logout)
+ * Handles authentication operations (refresh token, logout, sessions)
  */
 
 import { StatusCodes } from 'http-status-codes'
 import { JwtProvider } from '../providers/JwtProvider'
+import { userService } from '../services/userService'
+import { refreshTokenService } from '../services/refreshTokenService'
 import ApiError from '../utils/ApiError'
 import { env } from '../config/environment.js'
 
 /**
  * Refresh access token using refresh token
+ * The refresh token is rotated: the old one is revoked and a new one is set in cookie
  * @param {Object} req.cookies - { refreshToken }
  * @returns {Object} - { success: boolean, accessToken: string }
  */
@@ -21,17 +24,22 @@ const refreshToken = async (req, res, next) => {
       throw new ApiError(StatusCodes.UNAUTHORIZED, 'Refresh token not found')
     }
     
-    // Verify refresh token
-    const decoded = await JwtProvider.verifyToken(
-      refreshToken,
-      env.REFRESH_TOKEN_SECRET_SIGNATURE
-    )
+    // Verify, check against the store and rotate refresh token
+    const rotated = await refreshTokenService.rotateRefreshToken(refreshToken, {
+      user_agent: req.get('user-agent'),
+      ip_address: req.ip
+    })
     
-    // Generate new access token
+    // Generate new access token from current user data
+    const user = await userService.getUserById(rotated.decoded.user_id)
+    if (!user.is_active) {
+      throw new ApiError(StatusCodes.FORBIDDEN, 'Your account has been deactivated')
+    }
+
     const tokenPayload = {
-      user_id: decoded.user_id,
-      email: decoded.email,
-      role: decoded.role
+      user_id: user.user_id,
+      email: user.email,
+      role: user.role
     }
     
     const newAccessToken = await JwtProvider.generateToken(
@@ -47,6 +55,14 @@ const refreshToken = async (req, res, next) => {
       sameSite: 'strict',
       maxAge: 24 * 60 * 60 * 1000 // 1 day
     })
+
+    // Set rotated refresh token cookie
+    res.cookie('refreshToken', rotated.refreshToken, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'strict',
+      maxAge: 14 * 24 * 60 * 60 * 1000 // 14 days
+    })
     
     res.status(StatusCodes.OK).json({
       success: true,
@@ -58,10 +74,22 @@ const refreshToken = async (req, res, next) => {
 }
 
 /**
- * User logout - clear authentication cookies
+ * User logout - revoke current session and clear authentication cookies
  */
 const signout = async (req, res, next) => {
   try {
+    const { refreshToken } = req.cookies
+
+    // Revoke the session of this device (ignore invalid/expired cookies)
+    if (refreshToken) {
+      try {
+        const decoded = await refreshTokenService.decodeRefreshToken(refreshToken)
+        await refreshTokenService.revokeFamily(decoded.fid, 'SIGNOUT')
+      } catch (error) {
+        if (!(error instanceof ApiError) || error.statusCode !== StatusCodes.UNAUTHORIZED) throw error
+      }
+    }
+
     res.clearCookie('accessToken')
     res.clearCookie('refreshToken')
     
@@ -74,7 +102,67 @@ const signout = async (req, res, next) => {
   }
 }
 
+/**
+ * Sign out from all devices - revoke every session of the user
+ * POST /api/v1/auth/signout-all
+ * Access tokens already issued stop working as well, not only the refresh tokens
+ */
+const signoutAll = async (req, res, next) => {
+  try {
+    const userId = req.jwtDecoded.user_id
+
+    await userService.revokeAccessTokens(userId)
+    const revoked = await refreshTokenService.revokeAllForUser(userId, 'SIGNOUT_ALL')
+
+    res.clearCookie('accessToken')
+    res.clearCookie('refreshToken')
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Signed out from all devices',
+      data: { revoked_sessions: revoked }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Get active sessions (signed-in devices) of the user
+ * GET /api/v1/auth/sessions
+ */
+const getSessions = async (req, res, next) => {
+  try {
+    const userId = req.jwtDecoded.user_id
+
+    // Mark the session of the current device
+    let currentFamilyId = null
+    if (req.cookies?.refreshToken) {
+      try {
+        const decoded = await refreshTokenService.decodeRefreshToken(req.cookies.refreshToken)
+        currentFamilyId = decoded.fid
+      } catch (error) {
+        currentFamilyId = null
+      }
+    }
+
+    const sessions = await refreshTokenService.getActiveSessions(userId)
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: sessions.map(session => ({
+        ...session,
+        is_current: session.family_id === currentFamilyId
+      }))
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
 export const authController = {
   refreshToken,
-  signout
+  signout,
+  signoutAll,
+  getSessions
 }
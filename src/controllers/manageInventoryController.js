@@ -0,0 +1,213 @@
+/**
+ * MANAGE INVENTORY CONTROLLER - Goods receipts, stock adjustments and stock history
+ * Every stock change is recorded in the stock ledger (stock_movements)
+ */
+
+import { StatusCodes } from 'http-status-codes'
+import { productService } from '../services/productService'
+import { productUnitService } from '../services/productUnitService'
+import ApiError from '../utils/ApiError'
+import { sequelize } from '../config/sequelize.js'
+
+const MOVEMENT_REASONS = ['ORDER', 'CANCEL', 'RETURN', 'EXCHANGE', 'ADJUSTMENT', 'RECEIPT']
+
+/**
+ * Validates an optional free-text field of a stock movement
+ * @param {*} value - Value from the request body
+ * @param {string} field - Field name (for the error message)
+ * @param {number} maxLength - Maximum length
+ * @param {boolean} required - Whether the field is required
+ * @returns {string|undefined} - Trimmed value
+ */
+const parseText = (value, field, maxLength, required = false) => {
+  if (value === undefined || value === null || value === '') {
+    if (required) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, `${field} is required`)
+    }
+    return undefined
+  }
+
+  if (typeof value !== 'string' || value.length > maxLength) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, `${field} must be a string of at most ${maxLength} characters`)
+  }
+
+  return value.trim()
+}
+
+/**
+ * Post a goods receipt: received quantities are added to stock
+ * POST /api/v1/manage/inventory/receipts
+ * @body {Array} items - [{ product_id, quantity, serial_numbers? }] (required)
+ *                       serial_numbers is required for serial-tracked products, one per unit received
+ * @body {string} reference - Supplier invoice / delivery note number (optional)
+ * @body {string} note - Note (optional)
+ */
+const createGoodsReceipt = async (req, res, next) => {
+  try {
+    const { items } = req.body
+    const reference = parseText(req.body.reference, 'reference', 100)
+    const note = parseText(req.body.note, 'note', 255)
+
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'items must be a non-empty array of { product_id, quantity }')
+    }
+
+    const lines = items.map(item => {
+      const productId = parseInt(item && item.product_id)
+      const serials = item && item.serial_numbers !== undefined
+        ? productUnitService.parseSerialNumbers(item.serial_numbers)
+        : null
+      const quantity = item && item.quantity !== undefined ? parseInt(item.quantity) : (serials ? serials.length : NaN)
+
+      if (!Number.isInteger(productId) || !Number.isInteger(quantity) || quantity <= 0) {
+        throw new ApiError(StatusCodes.BAD_REQUEST, 'Each item needs a product_id and a positive quantity')
+      }
+      if (serials && serials.length !== quantity) {
+        throw new ApiError(StatusCodes.BAD_REQUEST, `Product ${productId} needs exactly ${quantity} serial number(s)`)
+      }
+
+      return { product_id: productId, quantity, serial_numbers: serials }
+    })
+
+    if (new Set(lines.map(line => line.product_id)).size !== lines.length) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'Each product can only appear once in a receipt')
+    }
+
+    // Same lock order as checkout (by product_id) to avoid deadlocks
+    lines.sort((a, b) => a.product_id - b.product_id)
+
+    await sequelize.transaction(async (transaction) => {
+      for (const line of lines) {
+        const { product } = await productService.getProduct(line.product_id)
+        if (product.track_serials && !line.serial_numbers) {
+          throw new ApiError(StatusCodes.BAD_REQUEST, `${product.product_name} is serial-tracked, serial_numbers are required`)
+        }
+
+        await productService.incrementStock(line.product_id, line.quantity, {
+          reason: 'RECEIPT',
+          actor: 'ADMIN',
+          created_by: req.jwtDecoded.user_id,
+          reference,
+          note
+        }, transaction)
+
+        if (line.serial_numbers) {
+          await productUnitService.insertUnits(line.product_id, line.serial_numbers, transaction)
+        }
+      }
+    })
+
+    res.status(StatusCodes.CREATED).json({
+      success: true,
+      message: 'Goods receipt recorded successfully',
+      data: {
+        reference: reference || null,
+        items: lines.map(line => ({ product_id: line.product_id, quantity: line.quantity }))
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Post a manual stock adjustment (stock count correction, damaged or lost goods, ...)
+ * POST /api/v1/manage/inventory/adjustments
+ * @body {number} product_id - Product ID (required)
+ * @body {number} quantity_change - Signed non-zero quantity (required)
+ * @body {string} note - Reason of the adjustment (required)
+ * @body {string} reference - Stock count sheet or other document (optional)
+ * @body {Array<string>} serial_numbers - Serial-tracked products only (required for them): units found
+ *                                        (positive change) or IN_STOCK units written off (negative change)
+ */
+const createStockAdjustment = async (req, res, next) => {
+  try {
+    const productId = parseInt(req.body.product_id)
+    const quantityChange = parseInt(req.body.quantity_change)
+    const note = parseText(req.body.note, 'note', 255, true)
+    const reference = parseText(req.body.reference, 'reference', 100)
+
+    if (!Number.isInteger(productId)) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'product_id is required')
+    }
+
+    if (!Number.isInteger(quantityChange) || quantityChange === 0) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'quantity_change must be a non-zero integer')
+    }
+
+    const serials = req.body.serial_numbers !== undefined
+      ? productUnitService.parseSerialNumbers(req.body.serial_numbers)
+      : null
+
+    const movement = await sequelize.transaction(async (transaction) => {
+      const { product } = await productService.getProduct(productId)
+
+      // Units of a serial-tracked product are named one by one
+      if (product.track_serials && (!serials || serials.length !== Math.abs(quantityChange))) {
+        throw new ApiError(StatusCodes.BAD_REQUEST, `${product.product_name} is serial-tracked, exactly ${Math.abs(quantityChange)} serial number(s) are required`)
+      }
+
+      // Product row first, then its units (same lock order as checkout)
+      const created = await productService.adjustStock(productId, quantityChange, {
+        created_by: req.jwtDecoded.user_id,
+        reference,
+        note
+      }, transaction)
+
+      if (product.track_serials && quantityChange > 0) {
+        await productUnitService.insertUnits(productId, serials, transaction)
+      } else if (product.track_serials) {
+        await productUnitService.writeOffUnits(productId, serials, transaction)
+      }
+
+      return created
+    })
+
+    res.status(StatusCodes.CREATED).json({
+      success: true,
+      message: 'Stock adjusted successfully',
+      data: movement
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Get the stock history of a product, newest first
+ * GET /api/v1/manage/inventory/products/:product_id/movements?reason=RECEIPT&page=1&limit=20
+ * @query {string} reason - ORDER | CANCEL | RETURN | ADJUSTMENT | RECEIPT (optional)
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Items per page (default: 20, max: 100)
+ */
+const getStockMovements = async (req, res, next) => {
+  try {
+    const productId = parseInt(req.params.product_id)
+    const { reason } = req.query
+    const page = parseInt(req.query.page) || 1
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100)
+
+    if (reason && !MOVEMENT_REASONS.includes(reason)) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, `Reason must be one of: ${MOVEMENT_REASONS.join(', ')}`)
+    }
+
+    // Verify product exists
+    await productService.getProduct(productId)
+
+    const result = await productService.getStockMovements(productId, reason, page, limit)
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: result.movements,
+      pagination: result.pagination
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+export const manageInventoryController = {
+  createGoodsReceipt,
+  createStockAdjustment,
+  getStockMovements
+}
@@ -6,7 +6,11 @@ import { StatusCodes } from 'http-status-codes'
 import { orderService } from '../services/orderService'
 import { paymentService } from '../services/paymentService'
 import { productService } from '../services/productService'
+import { productUnitService } from '../services/productUnitService'
+import { returnService } from '../services/returnService'
+import { voucherService } from '../services/voucherService'
 import ApiError from '../utils/ApiError'
+import { sequelize } from '../config/sequelize.js'
 
 /**
  * Get all orders (Admin)
@@ -61,7 +65,7 @@ const searchOrders = async (req, res, next) => {
 }
 
 /**
- * Get order details with items and payment
+ * Get order details with items, payment, status history and the statuses it can move to
  * GET /api/v1/manage/orders/:order_id
  */
 const getOrderDetails = async (req, res, next) => {
@@ -71,13 +75,18 @@ const getOrderDetails = async (req, res, next) => {
     const order = await orderService.getOrder(parseInt(order_id))
     const items = await orderService.getOrderItems(parseInt(order_id))
     const payment = await paymentService.getPayment(parseInt(order_id))
+    const status_history = await orderService.getStatusHistory(parseInt(order_id))
+    const units = await productUnitService.getOrderUnits(parseInt(order_id))
     
     res.status(StatusCodes.OK).json({
       success: true,
       data: {
         order,
         items,
-        payment
+        payment,
+        status_history,
+        units,
+        allowed_transitions: orderService.getAllowedTransitions(order.order_status)
       }
     })
   } catch (error) {
@@ -89,53 +98,246 @@ const getOrderDetails = async (req, res, next) => {
  * Update order information (Admin)
  * PUT /api/v1/manage/orders/:order_id
  * Can update: order_status, receiver_name, phone, shipment_address, payment_status
+ * @body {string} note - Note kept in the status history (optional)
+ * @body {Object} serial_numbers - { [product_id]: [serial_number, ...] } units packed when moving to SHIPPING
+ *                                 (optional, default: the units reserved at checkout)
+ *
+ * order_status follows the allowed transitions (PENDING -> CONFIRMED -> SHIPPING -> COMPLETED,
+ * PENDING/CONFIRMED -> CANCELLED); online-paid orders must be paid before SHIPPING.
+ * Payment status is applied first, so an order can be marked paid and shipped in one request;
+ * it can no longer be changed by hand once the payment has refunds
  */
 const updateOrder = async (req, res, next) => {
   try {
-    const { order_id } = req.params
-    const { order_status, receiver_name, phone, shipment_address, payment_status } = req.body
+    const orderId = parseInt(req.params.order_id)
+    const { order_status, receiver_name, phone, shipment_address, payment_status, note, serial_numbers } = req.body
     
     // Build update data object with only provided fields
     const updateData = {}
-    if (order_status) updateData.order_status = order_status
     if (receiver_name) updateData.receiver_name = receiver_name
     if (phone) updateData.phone = phone
     if (shipment_address) updateData.shipment_address = shipment_address
     
-    if (Object.keys(updateData).length === 0 && !payment_status) {
+    if (Object.keys(updateData).length === 0 && !payment_status && !order_status) {
       throw new ApiError(StatusCodes.BAD_REQUEST, 'No data to update')
     }
     
-    // If cancelling order, validate eligibility
-    if (order_status === 'CANCELLED') {
-      const order = await orderService.getOrder(parseInt(order_id))
-      if (order.order_status !== 'PENDING' && order.order_status !== 'CONFIRMED') {
-        throw new ApiError(StatusCodes.BAD_REQUEST, 'Order cannot be cancelled')
+    // Refund states are only reachable through the refund endpoint, which records the amounts
+    if (payment_status && !['PENDING', 'PAID', 'FAILED', 'EXPIRED'].includes(payment_status)) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'payment_status must be one of: PENDING, PAID, FAILED, EXPIRED')
+    }
+
+    if (serial_numbers !== undefined) {
+      const isSerialMap = serial_numbers !== null && typeof serial_numbers === 'object' && !Array.isArray(serial_numbers) &&
+        Object.values(serial_numbers).every(serials => Array.isArray(serials) && serials.every(serial => typeof serial === 'string'))
+      if (order_status !== 'SHIPPING' || !isSerialMap) {
+        throw new ApiError(StatusCodes.BAD_REQUEST, 'serial_numbers must be an object { product_id: [serial_number] } sent with order_status SHIPPING')
       }
     }
+
+    const result = await sequelize.transaction(async (transaction) => {
+      const order = await orderService.getOrder(orderId, transaction)
+
+      // Update payment status if provided
+      if (payment_status) {
+        // Once money went back, the status is owned by the refund records (see reserveRefund/settleRefund)
+        const payment = await paymentService.getPayment(orderId, transaction)
+        const hasRefunds = payment.refunds.length > 0 || parseFloat(payment.refunded_amount) > 0 ||
+          ['REFUNDED', 'PARTIALLY_REFUNDED'].includes(payment.payment_status)
+        if (hasRefunds) {
+          throw new ApiError(StatusCodes.BAD_REQUEST, 'payment_status cannot be changed once the payment has refunds')
+        }
+        await paymentService.updatePayment(orderId, { payment_status }, transaction)
+      }
+
+      // Sending the current status again is not a change
+      let statusChanged = false
+      if (order_status && order_status !== order.order_status) {
+        statusChanged = await orderService.updateOrderStatus(orderId, order_status, {
+          changed_by: req.jwtDecoded.user_id,
+          actor: 'ADMIN',
+          note
+        }, transaction)
+      }
+
+      if (Object.keys(updateData).length > 0) {
+        await orderService.updateOrder(orderId, updateData, transaction)
+      }
+
+      // Restore product stock (same lock order as checkout)
+      if (statusChanged && order_status === 'CANCELLED') {
+        const items = await orderService.getOrderItems(orderId, transaction)
+        const sortedItems = [...items].sort((a, b) => a.product_id - b.product_id)
+        for (const item of sortedItems) {
+          await productService.incrementStock(item.product_id, item.quantity, {
+            reason: 'CANCEL',
+            actor: 'ADMIN',
+            created_by: req.jwtDecoded.user_id,
+            order_id: orderId
+          }, transaction)
+        }
+        await productUnitService.releaseUnits(orderId, transaction)
+
+        if (order.voucher_id) {
+          await voucherService.decrementUsageCount(order.voucher_id, transaction)
+        }
+      }
+
+      // Reserved serial-numbered units leave the warehouse with the order
+      if (statusChanged && order_status === 'SHIPPING') {
+        await productUnitService.assignUnits(orderId, serial_numbers, transaction)
+      }
+
+      return statusChanged || Object.keys(updateData).length > 0 || !!payment_status
+    })
     
-    // Update order
-    let result = null
-    if (Object.keys(updateData).length > 0) {
-      result = await orderService.updateOrder(parseInt(order_id), updateData)
+    res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Order updated successfully',
+      data: result
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Get payment gateway interaction history of an order (Admin)
+ * GET /api/v1/manage/orders/:order_id/transactions
+ * Every create-payment call and every inbound IPN, with raw payloads and signature check results
+ */
+const getPaymentTransactions = async (req, res, next) => {
+  try {
+    const orderId = parseInt(req.params.order_id)
+
+    // Verify order exists
+    await orderService.getOrder(orderId)
+
+    const transactions = await paymentService.getTransactions(orderId)
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: transactions
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Sends a reserved refund to the payment gateway (outside any transaction) and saves its outcome
+ * @param {number} orderId - Order ID
+ * @param {Object} refund - PENDING refund
+ * @param {string} ipAddress - Admin IP address
+ * @returns {Promise<Object>} - Settled refund result (see paymentService.settleRefund)
+ */
+const sendRefund = async (orderId, refund, ipAddress) => {
+  const outcome = await paymentService.sendGatewayRefund(refund, ipAddress)
+
+  if (outcome.status === 'PENDING') {
+    throw new ApiError(StatusCodes.BAD_GATEWAY,
+      `Could not reach the payment gateway, refund #${refund.refund_id} stays PENDING until it is settled`)
+  }
+
+  const result = await sequelize.transaction(async (transaction) => {
+    const settled = await paymentService.settleRefund(orderId, refund.refund_id, outcome, transaction)
+    if (outcome.status === 'SUCCEEDED') {
+      await returnService.markRefunded(refund.refund_id, transaction)
     }
-    
-    // Update payment status if provided
-    if (payment_status) {
-      await paymentService.updatePayment(parseInt(order_id), { payment_status })
+    return settled
+  })
+
+  if (outcome.status === 'FAILED') {
+    throw new ApiError(StatusCodes.BAD_GATEWAY, outcome.failure_reason)
+  }
+
+  return result
+}
+
+/**
+ * Record a refund against the payment of an order (Admin)
+ * POST /api/v1/manage/orders/:order_id/refund
+ * @body { amount?: number, reason?: string, manual?: boolean } - amount defaults to the remaining refundable amount
+ * Online payments are refunded through their gateway unless manual is true (money returned another way)
+ * Payment becomes REFUNDED once the whole amount is refunded, PARTIALLY_REFUNDED otherwise
+ * The refund is recorded PENDING with its amount reserved before the gateway is called: when the gateway
+ * refuses it the amount is released, when the gateway cannot be reached it stays PENDING (see settleRefund)
+ */
+const refundPayment = async (req, res, next) => {
+  try {
+    const orderId = parseInt(req.params.order_id)
+    const { amount, reason, manual = false } = req.body
+
+    if (typeof manual !== 'boolean') {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'manual must be a boolean')
     }
-    
-    // Restore product stock AFTER updating order and payment
-    if (order_status === 'CANCELLED') {
-      const items = await orderService.getOrderItems(parseInt(order_id))
-      for (const item of items) {
-        await productService.incrementStock(item.product_id, item.quantity)
-      }
+
+    if (amount !== undefined && (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0)) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'Refund amount must be a positive number')
     }
-    
+
+    if (reason !== undefined && (typeof reason !== 'string' || reason.length > 255)) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'Reason must be a string of at most 255 characters')
+    }
+
+    let result = await sequelize.transaction(async (transaction) => {
+      return paymentService.reserveRefund(orderId, {
+        amount,
+        reason,
+        manual,
+        created_by: req.jwtDecoded.user_id
+      }, transaction)
+    })
+
+    if (result.refund.status === 'PENDING') {
+      result = await sendRefund(orderId, result.refund, req.ip)
+    }
+
     res.status(StatusCodes.OK).json({
       success: true,
-      message: 'Order updated successfully',
+      message: 'Refund recorded successfully',
+      data: result
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Set the outcome of a PENDING refund after checking it with the payment gateway (Admin)
+ * PUT /api/v1/manage/orders/:order_id/refunds/:refund_id
+ * @body { status: 'SUCCEEDED' | 'FAILED', trans_id?: string }
+ * FAILED releases the reserved amount, SUCCEEDED also completes the return request of the refund
+ */
+const settleRefund = async (req, res, next) => {
+  try {
+    const orderId = parseInt(req.params.order_id)
+    const refundId = parseInt(req.params.refund_id)
+    const { status, trans_id } = req.body
+
+    if (!['SUCCEEDED', 'FAILED'].includes(status)) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'status must be SUCCEEDED or FAILED')
+    }
+
+    if (trans_id !== undefined && (typeof trans_id !== 'string' || trans_id.length > 50)) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'trans_id must be a string of at most 50 characters')
+    }
+
+    const result = await sequelize.transaction(async (transaction) => {
+      const settled = await paymentService.settleRefund(orderId, refundId, {
+        status,
+        trans_id,
+        failure_reason: status === 'FAILED' ? 'Marked as failed by an admin' : null
+      }, transaction)
+      if (status === 'SUCCEEDED') {
+        await returnService.markRefunded(refundId, transaction)
+      }
+      return settled
+    })
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Refund settled successfully',
       data: result
     })
   } catch (error) {
@@ -147,5 +349,8 @@ export const manageOrderController = {
   getAllOrders,
   searchOrders,
   getOrderDetails,
-  updateOrder
+  updateOrder,
+  getPaymentTransactions,
+  refundPayment,
+  settleRefund
 }
\ No newline at end of file
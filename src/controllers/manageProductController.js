@@ -4,8 +4,69 @@
 
 import { StatusCodes } from 'http-status-codes'
 import { productService } from '../services/productService'
+import { productUnitService } from '../services/productUnitService'
+import { productImageService } from '../services/productImageService'
+import { searchService } from '../services/searchService'
 import { CloudinaryProvider } from '../providers/CloudinaryProvider'
 import ApiError from '../utils/ApiError'
+import { buildProductSpecs } from '../utils/specParser'
+import { sequelize } from '../config/sequelize.js'
+
+const UNIT_STATUSES = ['IN_STOCK', 'RESERVED', 'SOLD', 'DEFECTIVE']
+
+/**
+ * Updates the search index of a product after it was saved or deleted
+ * The product change is already committed, so a failure is only logged;
+ * `npm run setup-indexes` rebuilds the whole index
+ * @param {number} product_id - Product ID
+ */
+/* eslint-disable no-console */
+const syncSearchIndex = async (product_id) => {
+  try {
+    await searchService.indexProducts([product_id])
+  } catch (indexError) {
+    console.warn(`Failed to update search index of product ${product_id}:`, indexError.message)
+  }
+}
+
+/**
+ * Deletes images that are no longer used from Cloudinary
+ * Failures are only logged (the image might already be deleted)
+ * @param {Array<string>} imageUrls - Image URLs, non-Cloudinary URLs are skipped
+ */
+const deleteImages = async (imageUrls) => {
+  for (const url of imageUrls) {
+    const publicId = CloudinaryProvider.extractPublicId(url)
+    if (!publicId) continue
+
+    try {
+      await CloudinaryProvider.deleteImage(publicId)
+    } catch (deleteError) {
+      console.warn('Failed to delete image:', deleteError.message)
+    }
+  }
+}
+/* eslint-enable no-console */
+
+/**
+ * Uploads product images to Cloudinary, all or nothing
+ * @param {Array} files - Multer files
+ * @returns {Promise<Array<string>>} - Image URLs, in the order of the files
+ */
+const uploadImages = async (files) => {
+  const imageUrls = []
+  try {
+    for (const file of files) {
+      const uploadResult = await CloudinaryProvider.streamUpload(file.buffer, 'products')
+      imageUrls.push(uploadResult.secure_url)
+    }
+  } catch (error) {
+    await deleteImages(imageUrls)
+    throw new ApiError(StatusCodes.BAD_GATEWAY, 'Could not upload the images, please try again')
+  }
+
+  return imageUrls
+}
 
 /**
  * Get all products (including hidden ones)
@@ -83,6 +144,10 @@ const getProductDetails = async (req, res, next) => {
  * Create new product with details
  * POST /api/v1/manage/products
  * @body { product_name, brand, price, stock, image, description, warranty_month, cpu, ram, storage, gpu, screen, weight, battery }
+ * @file image - Primary image (optional, or an image URL in body.image)
+ * @file images - More gallery images, up to 10 images in total (optional)
+ * @body { ram_gb, storage_gb, screen_inches, refresh_rate_hz, weight_kg, ... } - Typed specs (optional, see ProductSpec),
+ *       read from the text specs when not given; a text spec that cannot be read needs its typed value
  */
 const createProduct = async (req, res, next) => {
   try {
@@ -108,30 +173,64 @@ const createProduct = async (req, res, next) => {
       throw new ApiError(StatusCodes.BAD_REQUEST, 'Product name and price are required')
     }
 
-    // Handle image upload to Cloudinary
-    let imageUrl = image // Default to provided URL (if any)
-    if (req.file) {
-      const uploadResult = await CloudinaryProvider.streamUpload(req.file.buffer, 'products')
-      imageUrl = uploadResult.secure_url
+    const initialStock = stock !== undefined && stock !== '' ? parseInt(stock) : 0
+    if (!Number.isInteger(initialStock) || initialStock < 0) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'Stock must be a non-negative integer')
     }
 
-    // Insert product
-    const productId = await productService.insertProduct({
-      product_name,
-      brand,
-      price,
-      stock,
-      image: imageUrl,
-      description,
-      warranty_month,
-      cpu,
-      ram,
-      storage,
-      gpu,
-      screen,
-      weight,
-      battery
-    })
+    const { specs, errors: specErrors } = buildProductSpecs(req.body)
+    if (specErrors.length > 0) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, specErrors.join('; '))
+    }
+
+    // Upload images to Cloudinary, the primary image comes first in the gallery
+    const files = req.files || {}
+    const uploadedUrls = await uploadImages([...(files.image || []), ...(files.images || [])])
+    const imageUrls = !files.image && image ? [image, ...uploadedUrls] : uploadedUrls
+
+    // Insert product, its initial stock is recorded as a goods receipt
+    let productId
+    try {
+      productId = await sequelize.transaction(async (transaction) => {
+        const newProductId = await productService.insertProduct({
+          product_name,
+          brand,
+          price,
+          stock: 0,
+          image: null,
+          description,
+          warranty_month,
+          cpu,
+          ram,
+          storage,
+          gpu,
+          screen,
+          weight,
+          battery
+        }, transaction)
+        await productService.upsertSpecs(newProductId, specs, transaction)
+
+        if (imageUrls.length > 0) {
+          await productImageService.addImages(newProductId, imageUrls, {}, transaction)
+        }
+
+        if (initialStock > 0) {
+          await productService.incrementStock(newProductId, initialStock, {
+            reason: 'RECEIPT',
+            actor: 'ADMIN',
+            created_by: req.jwtDecoded.user_id,
+            note: 'Initial stock'
+          }, transaction)
+        }
+
+        return newProductId
+      })
+    } catch (error) {
+      await deleteImages(uploadedUrls)
+      throw error
+    }
+
+    await syncSearchIndex(productId)
 
     res.status(StatusCodes.CREATED).json({
       success: true,
@@ -147,6 +246,8 @@ const createProduct = async (req, res, next) => {
  * Update product and details
  * PUT /api/v1/manage/products/:product_id
  * Use is_show field to hide/show product (soft delete): is_show: false to hide, is_show: true to show
+ * Typed specs are updated from the text specs and typed fields sent, as on create
+ * @file image - Replaces the primary image (optional, or an image URL in body.image), the old one is deleted from Cloudinary
  */
 const updateProduct = async (req, res, next) => {
   try {
@@ -169,49 +270,71 @@ const updateProduct = async (req, res, next) => {
       battery
     } = req.body
 
-    // Handle image upload to Cloudinary if new file provided
-    let imageUrl = image // Keep existing URL if no new file
-    if (req.file) {
-      // Get current product to retrieve old image URL
-      const currentProduct = await productService.getProduct(parseInt(product_id))
-      
-      // Delete old image from Cloudinary if exists
-      if (currentProduct.product.image) {
-        const oldPublicId = CloudinaryProvider.extractPublicId(currentProduct.product.image)
-        if (oldPublicId) {
-          try {
-            await CloudinaryProvider.deleteImage(oldPublicId)
-          } catch (deleteError) {
-            // Log error but continue with upload (old image might already be deleted)
-            console.warn('Failed to delete old image:', deleteError.message)
-          }
-        }
-      }
-      
-      // Upload new image
-      const uploadResult = await CloudinaryProvider.streamUpload(req.file.buffer, 'products')
-      imageUrl = uploadResult.secure_url
+    const { specs, errors: specErrors } = buildProductSpecs(req.body)
+    if (specErrors.length > 0) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, specErrors.join('; '))
+    }
+
+    // A new stock value is recorded as a manual adjustment of the difference
+    const newStock = stock !== undefined ? parseInt(stock) : undefined
+    if (stock !== undefined && (!Number.isInteger(newStock) || newStock < 0)) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'Stock must be a non-negative integer')
     }
 
+    // A new image file or URL replaces the primary image
+    const uploadedUrls = req.file ? await uploadImages([req.file]) : []
+    const primaryImageUrl = uploadedUrls[0] || image
+
     // Update product
-    const productUpdated = await productService.updateProduct({
-      product_id: parseInt(product_id),
-      product_name,
-      brand,
-      price,
-      stock,
-      image: imageUrl,
-      description,
-      warranty_month,
-      is_show,
-      cpu,
-      ram,
-      storage,
-      gpu,
-      screen,
-      weight,
-      battery
-    })
+    let replacedImageUrl = null
+    let productUpdated
+    try {
+      productUpdated = await sequelize.transaction(async (transaction) => {
+        const stockChange = newStock !== undefined
+          ? await productService.setStock(parseInt(product_id), newStock, {
+            created_by: req.jwtDecoded.user_id,
+            note: 'Stock edited on the product'
+          }, transaction)
+          : 0
+
+        const updated = await productService.updateProduct({
+          product_id: parseInt(product_id),
+          product_name,
+          brand,
+          price,
+          description,
+          warranty_month,
+          is_show,
+          cpu,
+          ram,
+          storage,
+          gpu,
+          screen,
+          weight,
+          battery
+        }, transaction)
+
+        const specsChanged = Object.keys(specs).length > 0
+        if (specsChanged) {
+          await productService.upsertSpecs(parseInt(product_id), specs, transaction)
+        }
+
+        if (primaryImageUrl) {
+          replacedImageUrl = await productImageService.replacePrimaryImage(parseInt(product_id), primaryImageUrl, transaction)
+        }
+
+        return updated || stockChange !== 0 || specsChanged || !!primaryImageUrl
+      })
+    } catch (error) {
+      await deleteImages(uploadedUrls)
+      throw error
+    }
+
+    if (replacedImageUrl) {
+      await deleteImages([replacedImageUrl])
+    }
+
+    await syncSearchIndex(parseInt(product_id))
 
     res.status(StatusCodes.OK).json({
       success: productUpdated,
@@ -227,13 +350,18 @@ const updateProduct = async (req, res, next) => {
  * DELETE /api/v1/manage/products/:product_id
  * Only works if product is not in any cart or order
  * To hide product from customers, use PUT endpoint with is_show: false instead
+ * Its gallery images are deleted from Cloudinary
  */
 const deleteProduct = async (req, res, next) => {
   try {
     const { product_id } = req.params
 
+    const images = await productImageService.getImages(parseInt(product_id))
     const result = await productService.deleteProduct(parseInt(product_id))
 
+    await deleteImages(images.map(item => item.image_url))
+    await syncSearchIndex(parseInt(product_id))
+
     res.status(StatusCodes.OK).json({
       success: result,
       message: 'Product permanently deleted from database'
@@ -243,11 +371,265 @@ const deleteProduct = async (req, res, next) => {
   }
 }
 
+/**
+ * Get the serial-numbered units of a product
+ * GET /api/v1/manage/products/:product_id/units?status=IN_STOCK&page=1&limit=20
+ * @query {string} status - IN_STOCK | RESERVED | SOLD | DEFECTIVE (optional)
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Items per page (default: 20, max: 100)
+ */
+const getProductUnits = async (req, res, next) => {
+  try {
+    const productId = parseInt(req.params.product_id)
+    const { status } = req.query
+    const page = parseInt(req.query.page) || 1
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100)
+
+    if (status && !UNIT_STATUSES.includes(status)) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, `Status must be one of: ${UNIT_STATUSES.join(', ')}`)
+    }
+
+    // Verify product exists
+    await productService.getProduct(productId)
+
+    const result = await productUnitService.getUnits(productId, status, page, limit)
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: result.units,
+      pagination: result.pagination
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Add serial-numbered units to a product
+ * POST /api/v1/manage/products/:product_id/units
+ * @body {Array<string>} serial_numbers - Serial numbers (required)
+ * @body {boolean} receive - true: newly received goods, stock is increased (default)
+ *                           false: registers units already counted in stock (before enabling tracking)
+ * @body {string} reference, note - Goods receipt document and note (optional, with receive)
+ */
+const addProductUnits = async (req, res, next) => {
+  try {
+    const productId = parseInt(req.params.product_id)
+    const { serial_numbers, receive = true, reference, note } = req.body
+
+    if (!Array.isArray(serial_numbers) || serial_numbers.length === 0) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'serial_numbers must be a non-empty array')
+    }
+
+    if (typeof receive !== 'boolean') {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'receive must be a boolean')
+    }
+
+    const serials = productUnitService.parseSerialNumbers(serial_numbers)
+
+    const units = await sequelize.transaction(async (transaction) => {
+      if (receive) {
+        await productService.incrementStock(productId, serials.length, {
+          reason: 'RECEIPT',
+          actor: 'ADMIN',
+          created_by: req.jwtDecoded.user_id,
+          reference,
+          note
+        }, transaction)
+      } else {
+        const { product } = await productService.getProduct(productId)
+        const inStock = await productUnitService.countInStock(productId, transaction)
+        if (inStock + serials.length > product.stock) {
+          throw new ApiError(StatusCodes.BAD_REQUEST, `Only ${product.stock - inStock} unit(s) of the current stock have no serial number`)
+        }
+      }
+
+      return productUnitService.insertUnits(productId, serials, transaction)
+    })
+
+    res.status(StatusCodes.CREATED).json({
+      success: true,
+      message: 'Product units added successfully',
+      data: units
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Enable or disable serial tracking of a product
+ * PUT /api/v1/manage/products/:product_id/units/tracking
+ * @body {boolean} enabled - Required; enabling needs one IN_STOCK unit per unit of stock
+ */
+const updateSerialTracking = async (req, res, next) => {
+  try {
+    const productId = parseInt(req.params.product_id)
+    const { enabled } = req.body
+
+    if (typeof enabled !== 'boolean') {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'enabled must be a boolean')
+    }
+
+    const result = await sequelize.transaction(async (transaction) => {
+      return productUnitService.setTracking(productId, enabled, transaction)
+    })
+
+    res.status(StatusCodes.OK).json({
+      success: result,
+      message: enabled ? 'Serial tracking enabled' : 'Serial tracking disabled'
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Get the image gallery of a product, in display order
+ * GET /api/v1/manage/products/:product_id/images
+ */
+const getProductImages = async (req, res, next) => {
+  try {
+    const productId = parseInt(req.params.product_id)
+
+    const images = await productImageService.getImages(productId)
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: images
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Add images at the end of a product gallery
+ * POST /api/v1/manage/products/:product_id/images
+ * @file images - Images (jpg, png), up to 10 per product
+ * @body {boolean} primary - true: the first added image becomes the primary image (default: false)
+ */
+const addProductImages = async (req, res, next) => {
+  try {
+    const productId = parseInt(req.params.product_id)
+    const primary = req.body.primary === true || req.body.primary === 'true'
+
+    if (!req.files || req.files.length === 0) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'At least one image is required')
+    }
+
+    const uploadedUrls = await uploadImages(req.files)
+
+    let images
+    try {
+      images = await sequelize.transaction(async (transaction) => {
+        return productImageService.addImages(productId, uploadedUrls, { primary }, transaction)
+      })
+    } catch (error) {
+      await deleteImages(uploadedUrls)
+      throw error
+    }
+
+    res.status(StatusCodes.CREATED).json({
+      success: true,
+      message: 'Product images added successfully',
+      data: images
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Reorder a product gallery
+ * PUT /api/v1/manage/products/:product_id/images/order
+ * @body {Array<number>} image_ids - Every image ID of the product, in the new order
+ */
+const reorderProductImages = async (req, res, next) => {
+  try {
+    const productId = parseInt(req.params.product_id)
+    const { image_ids } = req.body
+
+    if (!Array.isArray(image_ids) || !image_ids.every(id => Number.isInteger(id) && id > 0)) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'image_ids must be an array of image IDs')
+    }
+
+    const images = await sequelize.transaction(async (transaction) => {
+      return productImageService.reorderImages(productId, image_ids, transaction)
+    })
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Product images reordered successfully',
+      data: images
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Make an image the primary image of its product (product.image)
+ * PUT /api/v1/manage/products/:product_id/images/:image_id/primary
+ */
+const setPrimaryProductImage = async (req, res, next) => {
+  try {
+    const productId = parseInt(req.params.product_id)
+    const imageId = parseInt(req.params.image_id)
+
+    const images = await sequelize.transaction(async (transaction) => {
+      return productImageService.setPrimaryImage(productId, imageId, transaction)
+    })
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Primary image updated successfully',
+      data: images
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Remove an image from a product gallery and delete it from Cloudinary
+ * DELETE /api/v1/manage/products/:product_id/images/:image_id
+ * Removing the primary image makes the next image primary
+ */
+const deleteProductImage = async (req, res, next) => {
+  try {
+    const productId = parseInt(req.params.product_id)
+    const imageId = parseInt(req.params.image_id)
+
+    const result = await sequelize.transaction(async (transaction) => {
+      return productImageService.removeImage(productId, imageId, transaction)
+    })
+
+    await deleteImages([result.removed.image_url])
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Product image deleted successfully',
+      data: result.images
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
 export const manageProductController = {
   getAllProducts,
   searchProducts,
   getProductDetails,
   createProduct,
   updateProduct,
-  deleteProduct
+  deleteProduct,
+  getProductUnits,
+  addProductUnits,
+  updateSerialTracking,
+  getProductImages,
+  addProductImages,
+  reorderProductImages,
+  setPrimaryProductImage,
+  deleteProductImage
 }
\ No newline at end of file
@@ -0,0 +1,384 @@
+/**
+ * MANAGE RETURN CONTROLLER - Admin return / exchange request (RMA) management
+ *
+ * REQUESTED -> APPROVED | REJECTED, APPROVED -> RECEIVED (units restocked),
+ * RECEIVED -> REFUNDED (RETURN) | COMPLETED (EXCHANGE, or closed without refund)
+ */
+
+import { StatusCodes } from 'http-status-codes'
+import { returnService } from '../services/returnService'
+import { paymentService } from '../services/paymentService'
+import { productService } from '../services/productService'
+import { productUnitService } from '../services/productUnitService'
+import ApiError from '../utils/ApiError'
+import { sequelize } from '../config/sequelize.js'
+
+const RETURN_STATUSES = ['REQUESTED', 'APPROVED', 'REJECTED', 'CANCELLED', 'RECEIVED', 'REFUNDED', 'COMPLETED']
+
+/**
+ * Validates the optional admin note of a request
+ * @param {*} note - admin_note from the body
+ * @param {boolean} required - Whether the note is mandatory
+ * @returns {string|undefined} - Trimmed note
+ */
+const parseAdminNote = (note, required = false) => {
+  if (note === undefined || note === null || note === '') {
+    if (required) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'admin_note is required')
+    }
+    return undefined
+  }
+
+  if (typeof note !== 'string' || note.length > 255) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, 'admin_note must be a string of at most 255 characters')
+  }
+
+  return note.trim()
+}
+
+/**
+ * Get all return requests (Admin)
+ * GET /api/v1/manage/returns?page=1&limit=10&status=REQUESTED&order_id=5
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Items per page (default: 10, max: 50)
+ * @query {string} status - Status filter (optional)
+ * @query {number} order_id - Order filter (optional)
+ */
+const getAllReturnRequests = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50)
+    const { status } = req.query
+    const orderId = parseInt(req.query.order_id) || null
+
+    if (status && !RETURN_STATUSES.includes(status)) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'Invalid return request status')
+    }
+
+    const result = await returnService.getReturnRequests({ status, order_id: orderId }, page, limit)
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: result.requests,
+      pagination: result.pagination
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Get return request details (Admin)
+ * GET /api/v1/manage/returns/:return_id
+ */
+const getReturnRequestDetails = async (req, res, next) => {
+  try {
+    const returnRequest = await returnService.getReturnRequest(parseInt(req.params.return_id))
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: returnRequest
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Approve a return request, the customer can then send the items back
+ * PUT /api/v1/manage/returns/:return_id/approve
+ * @body {string} admin_note - Instructions for the customer (optional)
+ */
+const approveReturnRequest = async (req, res, next) => {
+  try {
+    const returnId = parseInt(req.params.return_id)
+    const admin_note = parseAdminNote(req.body.admin_note)
+
+    await returnService.updateReturnStatus(returnId, 'APPROVED', {
+      admin_note,
+      handled_by: req.jwtDecoded.user_id
+    })
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Return request approved',
+      data: await returnService.getReturnRequest(returnId)
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Reject a return request
+ * PUT /api/v1/manage/returns/:return_id/reject
+ * @body {string} admin_note - Rejection reason (required)
+ */
+const rejectReturnRequest = async (req, res, next) => {
+  try {
+    const returnId = parseInt(req.params.return_id)
+    const admin_note = parseAdminNote(req.body.admin_note, true)
+
+    await returnService.updateReturnStatus(returnId, 'REJECTED', {
+      admin_note,
+      handled_by: req.jwtDecoded.user_id
+    })
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Return request rejected',
+      data: await returnService.getReturnRequest(returnId)
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Mark the returned items as received and put resaleable units back in stock
+ * PUT /api/v1/manage/returns/:return_id/receive
+ * @body {Array} items - [{ product_id, restock_quantity?, returned_serial_numbers?, defective_serial_numbers? }]
+ *                       (optional, default: restock every returned unit)
+ *                       returned_serial_numbers names the units received, required for serial-tracked products;
+ *                       defective_serial_numbers names those that are not restocked (required when only some are)
+ * @body {string} admin_note - Condition of the items (optional)
+ */
+const receiveReturnRequest = async (req, res, next) => {
+  try {
+    const returnId = parseInt(req.params.return_id)
+    const admin_note = parseAdminNote(req.body.admin_note)
+    const { items } = req.body
+
+    if (items !== undefined && !Array.isArray(items)) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'items must be an array of { product_id, restock_quantity }')
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      const returnRequest = await returnService.getReturnRequest(returnId, transaction)
+
+      // Restock quantities per product, every returned unit unless told otherwise
+      const restock = new Map(returnRequest.items.map(item => [item.product_id, item.quantity]))
+      const returnedSerials = new Map()
+      const defectiveSerials = new Map()
+      for (const entry of items || []) {
+        const productId = parseInt(entry && entry.product_id)
+        if (!restock.has(productId)) {
+          throw new ApiError(StatusCodes.BAD_REQUEST, `Product ${entry && entry.product_id} is not part of this return request`)
+        }
+        const returnedQuantity = returnRequest.items.find(item => item.product_id === productId).quantity
+        const quantity = entry.restock_quantity !== undefined ? parseInt(entry.restock_quantity) : returnedQuantity
+        if (!Number.isInteger(quantity) || quantity < 0 || quantity > returnedQuantity) {
+          throw new ApiError(StatusCodes.BAD_REQUEST, `restock_quantity of product ${productId} must be between 0 and ${returnedQuantity}`)
+        }
+        restock.set(productId, quantity)
+
+        if (entry.returned_serial_numbers !== undefined) {
+          const serials = entry.returned_serial_numbers
+          if (!Array.isArray(serials) || !serials.every(serial => typeof serial === 'string')) {
+            throw new ApiError(StatusCodes.BAD_REQUEST, `returned_serial_numbers of product ${productId} must be an array of strings`)
+          }
+          returnedSerials.set(productId, serials)
+        }
+
+        if (entry.defective_serial_numbers !== undefined) {
+          const serials = entry.defective_serial_numbers
+          if (!Array.isArray(serials) || !serials.every(serial => typeof serial === 'string')) {
+            throw new ApiError(StatusCodes.BAD_REQUEST, `defective_serial_numbers of product ${productId} must be an array of strings`)
+          }
+          defectiveSerials.set(productId, serials)
+        }
+      }
+
+      await returnService.updateReturnStatus(returnId, 'RECEIVED', {
+        admin_note,
+        handled_by: req.jwtDecoded.user_id
+      }, transaction)
+
+      // Same lock order as checkout (by product_id) to avoid deadlocks
+      const productIds = [...restock.keys()].sort((a, b) => a - b)
+      for (const productId of productIds) {
+        const quantity = restock.get(productId)
+        if (quantity > 0) {
+          await productService.incrementStock(productId, quantity, {
+            reason: 'RETURN',
+            actor: 'ADMIN',
+            created_by: req.jwtDecoded.user_id,
+            order_id: returnRequest.order_id,
+            return_id: returnId
+          }, transaction)
+        }
+        await returnService.updateRestockedQuantity(returnId, productId, quantity, transaction)
+        await productUnitService.returnUnits(returnRequest.order_id, productId, {
+          returned: returnRequest.items.find(item => item.product_id === productId).quantity,
+          restocked: quantity,
+          returned_serial_numbers: returnedSerials.get(productId),
+          defective_serial_numbers: defectiveSerials.get(productId)
+        }, transaction)
+      }
+    })
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Returned items received',
+      data: await returnService.getReturnRequest(returnId)
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Refund a received RETURN request through the order's payment
+ * POST /api/v1/manage/returns/:return_id/refund
+ * @body { amount?: number, manual?: boolean } - amount defaults to what was paid for the returned units
+ * Online payments are refunded through their gateway unless manual is true (e.g. COD orders)
+ * A gateway refund is reserved first and sent once the rows are unlocked, the request becomes REFUNDED
+ * when it succeeds (or when an admin settles it, see manageOrderController.settleRefund)
+ */
+const refundReturnRequest = async (req, res, next) => {
+  try {
+    const returnId = parseInt(req.params.return_id)
+    const { amount, manual = false } = req.body
+
+    if (typeof manual !== 'boolean') {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'manual must be a boolean')
+    }
+
+    if (amount !== undefined && (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0)) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'Refund amount must be a positive number')
+    }
+
+    const returnRequest = await returnService.getReturnRequest(returnId)
+
+    if (returnRequest.type !== 'RETURN') {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'Exchange requests are completed, not refunded')
+    }
+
+    if (returnRequest.status !== 'RECEIVED') {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'Items must be received before the refund')
+    }
+
+    const orderId = returnRequest.order_id
+    const returnedAmount = returnRequest.items.reduce((sum, item) => sum + parseFloat(item.amount), 0)
+
+    // Payment row first, then the request row (same order as settling a refund)
+    let result = await sequelize.transaction(async (transaction) => {
+      const reserved = await paymentService.reserveRefund(orderId, {
+        amount: amount !== undefined ? amount : Math.round(returnedAmount * 100) / 100,
+        reason: `Trả hàng #${returnId}`,
+        manual,
+        created_by: req.jwtDecoded.user_id
+      }, transaction)
+
+      await returnService.attachRefund(returnId, reserved.refund, req.jwtDecoded.user_id, transaction)
+
+      return reserved
+    })
+
+    if (result.refund.status === 'PENDING') {
+      const refundId = result.refund.refund_id
+      const outcome = await paymentService.sendGatewayRefund(result.refund, req.ip)
+
+      if (outcome.status === 'PENDING') {
+        throw new ApiError(StatusCodes.BAD_GATEWAY,
+          `Could not reach the payment gateway, refund #${refundId} stays PENDING until it is settled`)
+      }
+
+      result = await sequelize.transaction(async (transaction) => {
+        const settled = await paymentService.settleRefund(orderId, refundId, outcome, transaction)
+        if (outcome.status === 'SUCCEEDED') {
+          await returnService.markRefunded(refundId, transaction)
+        }
+        return settled
+      })
+
+      if (outcome.status === 'FAILED') {
+        throw new ApiError(StatusCodes.BAD_GATEWAY, outcome.failure_reason)
+      }
+    }
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Return request refunded',
+      data: {
+        ...result,
+        return_request: await returnService.getReturnRequest(returnId)
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Close a received request without refund (exchange shipped, or goods returned to the customer)
+ * PUT /api/v1/manage/returns/:return_id/complete
+ * @body {string} admin_note - What was done (optional)
+ * @body {Object} serial_numbers - { [product_id]: [serial_number, ...] } replacement units shipped for an exchange
+ *                                 (optional, default: the oldest units in stock)
+ *
+ * Completing an EXCHANGE takes the replacement units out of stock; serial-numbered ones are
+ * sold with the original order, so their warranty can be looked up by serial number
+ */
+const completeReturnRequest = async (req, res, next) => {
+  try {
+    const returnId = parseInt(req.params.return_id)
+    const admin_note = parseAdminNote(req.body.admin_note)
+    const { serial_numbers } = req.body
+
+    if (serial_numbers !== undefined) {
+      const isSerialMap = serial_numbers !== null && typeof serial_numbers === 'object' && !Array.isArray(serial_numbers) &&
+        Object.values(serial_numbers).every(serials => Array.isArray(serials) && serials.every(serial => typeof serial === 'string'))
+      if (!isSerialMap) {
+        throw new ApiError(StatusCodes.BAD_REQUEST, 'serial_numbers must be an object { product_id: [serial_number] }')
+      }
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      const returnRequest = await returnService.getReturnRequest(returnId, transaction)
+
+      if (serial_numbers !== undefined && returnRequest.type !== 'EXCHANGE') {
+        throw new ApiError(StatusCodes.BAD_REQUEST, 'serial_numbers is only used to complete exchange requests')
+      }
+
+      await returnService.updateReturnStatus(returnId, 'COMPLETED', {
+        admin_note,
+        handled_by: req.jwtDecoded.user_id
+      }, transaction)
+
+      if (returnRequest.type !== 'EXCHANGE') return
+
+      // Same lock order as checkout (by product_id) to avoid deadlocks
+      const sortedItems = [...returnRequest.items].sort((a, b) => a.product_id - b.product_id)
+      for (const item of sortedItems) {
+        await productService.decrementStock(item.product_id, item.quantity, {
+          reason: 'EXCHANGE',
+          actor: 'ADMIN',
+          created_by: req.jwtDecoded.user_id,
+          order_id: returnRequest.order_id,
+          return_id: returnId
+        }, transaction)
+        await productUnitService.reserveUnits(item.product_id, returnRequest.order_id, item.quantity, transaction)
+      }
+      await productUnitService.assignUnits(returnRequest.order_id, serial_numbers, transaction)
+    })
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Return request completed',
+      data: await returnService.getReturnRequest(returnId)
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+export const manageReturnController = {
+  getAllReturnRequests,
+  getReturnRequestDetails,
+  approveReturnRequest,
+  rejectReturnRequest,
+  receiveReturnRequest,
+  refundReturnRequest,
+  completeReturnRequest
+}
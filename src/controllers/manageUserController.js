@@ -0,0 +1,221 @@
+/**
+ * MANAGE USER CONTROLLER - Admin user management
+ */
+
+import { StatusCodes } from 'http-status-codes'
+import { userService } from '../services/userService'
+import { orderService } from '../services/orderService'
+import { refreshTokenService } from '../services/refreshTokenService'
+import ApiError from '../utils/ApiError'
+import { sequelize } from '../config/sequelize.js'
+
+/**
+ * Get all users (Admin)
+ * GET /api/v1/manage/users?page=1&limit=10&role=CUSTOMER&is_active=true
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Items per page (default: 10, max: 50)
+ * @query {string} role - Filter by role (optional)
+ * @query {string} is_active - Filter by account status, 'true' or 'false' (optional)
+ */
+const getAllUsers = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50)
+    const { role, is_active } = req.query
+
+    const filters = {}
+
+    if (role) {
+      if (!userService.getRoles().includes(role)) {
+        throw new ApiError(StatusCodes.BAD_REQUEST, 'Invalid role')
+      }
+      filters.role = role
+    }
+
+    if (is_active !== undefined) {
+      if (is_active !== 'true' && is_active !== 'false') {
+        throw new ApiError(StatusCodes.BAD_REQUEST, 'is_active must be true or false')
+      }
+      filters.is_active = is_active === 'true'
+    }
+
+    const result = await userService.getAllUsers(page, limit, filters)
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: result.users,
+      pagination: result.pagination
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Search users by keyword
+ * GET /api/v1/manage/users/search?keyword=xxx&page=1&limit=10
+ * @query {string} keyword - Search keyword, matches email, full name, phone or user ID (required)
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Items per page (default: 10, max: 50)
+ */
+const searchUsers = async (req, res, next) => {
+  try {
+    const { keyword } = req.query
+    const page = parseInt(req.query.page) || 1
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50)
+
+    if (!keyword) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'Keyword is required')
+    }
+
+    const result = await userService.searchUsers(keyword, page, limit)
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: result.users,
+      pagination: result.pagination
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Get user details with order statistics
+ * GET /api/v1/manage/users/:user_id
+ */
+const getUserDetails = async (req, res, next) => {
+  try {
+    const userId = parseInt(req.params.user_id)
+
+    const user = await userService.getUserById(userId)
+    const stats = await orderService.getUserOrderStats(userId)
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: {
+        user,
+        stats
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Get orders of a user
+ * GET /api/v1/manage/users/:user_id/orders?page=1&limit=10&status=PENDING
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Items per page (default: 10, max: 50)
+ * @query {string} status - Filter by order status (optional)
+ */
+const getUserOrders = async (req, res, next) => {
+  try {
+    const userId = parseInt(req.params.user_id)
+    const page = parseInt(req.query.page) || 1
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50)
+    const status = req.query.status || null
+
+    // Verify user exists
+    await userService.getUserById(userId)
+
+    const result = await orderService.getOrders(userId, page, limit, status)
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: result.orders,
+      pagination: result.pagination
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Promote or demote a user
+ * PUT /api/v1/manage/users/:user_id/role
+ * @body { role: string }
+ * authMiddleware reads the role from the database, so the change applies to the next request
+ */
+const updateUserRole = async (req, res, next) => {
+  try {
+    const userId = parseInt(req.params.user_id)
+    const { role } = req.body
+
+    if (!role || !userService.getRoles().includes(role)) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, `Role must be one of: ${userService.getRoles().join(', ')}`)
+    }
+
+    if (userId === req.jwtDecoded.user_id) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'You cannot change the role of your own account')
+    }
+
+    const user = await userService.getUserById(userId)
+
+    if (user.role === role) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, `User already has role ${role}`)
+    }
+
+    await userService.updateUserRole(userId, role)
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'User role updated successfully',
+      data: {
+        user_id: userId,
+        role
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Activate or deactivate a user account
+ * PUT /api/v1/manage/users/:user_id/status
+ * @body { is_active: boolean }
+ * Deactivating revokes all sessions; access tokens are rejected by authMiddleware at once
+ */
+const updateUserStatus = async (req, res, next) => {
+  try {
+    const userId = parseInt(req.params.user_id)
+    const { is_active } = req.body
+
+    if (typeof is_active !== 'boolean') {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'is_active must be a boolean')
+    }
+
+    if (userId === req.jwtDecoded.user_id) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'You cannot change the status of your own account')
+    }
+
+    // Verify user exists
+    await userService.getUserById(userId)
+
+    await sequelize.transaction(async (transaction) => {
+      await userService.updateUserStatus(userId, is_active, transaction)
+
+      if (!is_active) {
+        await refreshTokenService.revokeAllForUser(userId, 'ACCOUNT_DISABLED', transaction)
+      }
+    })
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      message: is_active ? 'User account activated' : 'User account deactivated'
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+export const manageUserController = {
+  getAllUsers,
+  searchUsers,
+  getUserDetails,
+  getUserOrders,
+  updateUserRole,
+  updateUserStatus
+}
@@ -0,0 +1,310 @@
+/**
+ * MANAGE VOUCHER CONTROLLER - Admin voucher management
+ */
+
+import { StatusCodes } from 'http-status-codes'
+import { voucherService } from '../services/voucherService'
+import { productService } from '../services/productService'
+import ApiError from '../utils/ApiError'
+import { sequelize } from '../config/sequelize.js'
+
+const DISCOUNT_TYPES = ['PERCENTAGE', 'FIXED_AMOUNT']
+const VOUCHER_SCOPES = ['ALL', 'BRAND', 'PRODUCTS']
+
+/**
+ * Validate voucher fields sent by admin
+ * Only fields that are present are checked, so it works for both create and update
+ * @param {Object} data - Voucher fields from request body
+ * @param {Object} current - Current voucher (when updating) to validate date range against
+ */
+const validateVoucherData = async (data, current = null) => {
+  if (data.discount_type !== undefined && !DISCOUNT_TYPES.includes(data.discount_type)) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, `discount_type must be one of ${DISCOUNT_TYPES.join(', ')}`)
+  }
+
+  const discountType = data.discount_type || current?.discount_type || 'PERCENTAGE'
+  const discountValue = data.discount_value !== undefined ? data.discount_value : current?.discount_value
+  if (discountValue !== undefined && discountValue !== null) {
+    const value = Number(discountValue)
+    if (discountType === 'PERCENTAGE' && (!Number.isInteger(value) || value < 0 || value > 100)) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'discount_value must be an integer between 0 and 100 for PERCENTAGE vouchers')
+    }
+    if (discountType === 'FIXED_AMOUNT' && (!Number.isInteger(value) || value <= 0)) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'discount_value must be a positive amount for FIXED_AMOUNT vouchers')
+    }
+  }
+
+  if (data.scope !== undefined && !VOUCHER_SCOPES.includes(data.scope)) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, `scope must be one of ${VOUCHER_SCOPES.join(', ')}`)
+  }
+
+  const scope = data.scope || current?.scope || 'ALL'
+  if (scope === 'BRAND') {
+    const brands = productService.getBrands()
+    const brand = data.scope_brand !== undefined ? data.scope_brand : current?.scope_brand
+    if (!brands.includes(brand)) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, `scope_brand must be one of ${brands.join(', ')}`)
+    }
+  }
+
+  if (data.product_ids !== undefined) {
+    if (!Array.isArray(data.product_ids) || data.product_ids.some(id => !Number.isInteger(Number(id)))) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'product_ids must be an array of product IDs')
+    }
+    const productsExist = await productService.checkProductsExist(data.product_ids.map(Number))
+    if (!productsExist) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'Some products in product_ids do not exist')
+    }
+  }
+
+  if (scope === 'PRODUCTS' && data.product_ids === undefined && current?.scope !== 'PRODUCTS') {
+    throw new ApiError(StatusCodes.BAD_REQUEST, 'product_ids is required for PRODUCTS vouchers')
+  }
+  if (scope === 'PRODUCTS' && data.product_ids !== undefined && data.product_ids.length === 0) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, 'product_ids cannot be empty for PRODUCTS vouchers')
+  }
+
+  if (data.max_discount !== undefined && data.max_discount !== null && !(Number(data.max_discount) >= 0)) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, 'max_discount must be a non-negative number')
+  }
+
+  if (data.min_order_value !== undefined && data.min_order_value !== null && !(Number(data.min_order_value) >= 0)) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, 'min_order_value must be a non-negative number')
+  }
+
+  for (const field of ['usage_limit', 'per_user_limit']) {
+    const value = data[field]
+    if (value !== undefined && value !== null && (!Number.isInteger(Number(value)) || Number(value) < 1)) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, `${field} must be a positive integer`)
+    }
+  }
+
+  for (const field of ['start_date', 'end_date']) {
+    if (data[field] && isNaN(new Date(data[field]).getTime())) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, `${field} is not a valid date`)
+    }
+  }
+
+  const startDate = data.start_date !== undefined ? data.start_date : current?.start_date
+  const endDate = data.end_date !== undefined ? data.end_date : current?.end_date
+  if (startDate && endDate && new Date(startDate) > new Date(endDate)) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, 'start_date must be before end_date')
+  }
+}
+
+/**
+ * Get all vouchers
+ * GET /api/v1/manage/vouchers?page=1&limit=10&keyword=xxx
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Items per page (default: 10, max: 50)
+ * @query {string} keyword - Filter by voucher code (optional)
+ */
+const getAllVouchers = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50)
+    const keyword = req.query.keyword || null
+
+    const result = await voucherService.getAllVouchers(page, limit, keyword)
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: result.vouchers,
+      pagination: result.pagination
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Get voucher details by ID
+ * GET /api/v1/manage/vouchers/:voucher_id
+ */
+const getVoucherDetails = async (req, res, next) => {
+  try {
+    const { voucher_id } = req.params
+
+    const voucher = await voucherService.getVoucher(parseInt(voucher_id))
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: voucher
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Create new voucher
+ * POST /api/v1/manage/vouchers
+ * @body { code, discount_type, discount_value, max_discount, scope, scope_brand, product_ids, is_active, usage_limit, per_user_limit, min_order_value, start_date, end_date }
+ * - discount_type: PERCENTAGE (discount_value in %) or FIXED_AMOUNT (discount_value in VND)
+ * - scope: ALL (whole order), BRAND (only scope_brand products) or PRODUCTS (only product_ids)
+ */
+const createVoucher = async (req, res, next) => {
+  try {
+    const {
+      code,
+      discount_type,
+      discount_value,
+      max_discount,
+      scope,
+      scope_brand,
+      product_ids,
+      is_active,
+      usage_limit,
+      per_user_limit,
+      min_order_value,
+      start_date,
+      end_date
+    } = req.body
+
+    // Validate required fields
+    if (!code || discount_value === undefined) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'Voucher code and discount_value are required')
+    }
+
+    await validateVoucherData(req.body)
+
+    const codeExists = await voucherService.checkCodeExistence(code)
+    if (codeExists) {
+      throw new ApiError(StatusCodes.CONFLICT, 'Voucher code already exists')
+    }
+
+    const voucherId = await sequelize.transaction(async (transaction) => {
+      const newVoucherId = await voucherService.insertVoucher({
+        code,
+        discount_type,
+        discount_value,
+        max_discount,
+        scope,
+        scope_brand,
+        is_active,
+        usage_limit,
+        per_user_limit,
+        min_order_value,
+        start_date,
+        end_date
+      }, transaction)
+
+      if (scope === 'PRODUCTS') {
+        await voucherService.setVoucherProducts(newVoucherId, product_ids.map(Number), transaction)
+      }
+
+      return newVoucherId
+    })
+
+    res.status(StatusCodes.CREATED).json({
+      success: true,
+      message: 'Voucher created successfully',
+      data: { voucher_id: voucherId }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Update voucher
+ * PUT /api/v1/manage/vouchers/:voucher_id
+ * Use is_active field to enable/disable voucher: is_active: false to disable
+ * Sending product_ids replaces the product list of a PRODUCTS voucher
+ */
+const updateVoucher = async (req, res, next) => {
+  try {
+    const { voucher_id } = req.params
+    const {
+      code,
+      discount_type,
+      discount_value,
+      max_discount,
+      scope,
+      scope_brand,
+      product_ids,
+      is_active,
+      usage_limit,
+      per_user_limit,
+      min_order_value,
+      start_date,
+      end_date
+    } = req.body
+
+    const currentVoucher = await voucherService.getVoucher(parseInt(voucher_id))
+
+    await validateVoucherData(req.body, currentVoucher)
+
+    if (code) {
+      const codeExists = await voucherService.checkCodeExistence(code, currentVoucher.voucher_id)
+      if (codeExists) {
+        throw new ApiError(StatusCodes.CONFLICT, 'Voucher code already exists')
+      }
+    }
+
+    const newScope = scope || currentVoucher.scope
+
+    const voucherUpdated = await sequelize.transaction(async (transaction) => {
+      const updated = await voucherService.updateVoucher({
+        voucher_id: currentVoucher.voucher_id,
+        code,
+        discount_type,
+        discount_value,
+        max_discount,
+        scope,
+        // Brand only makes sense for BRAND vouchers
+        scope_brand: newScope === 'BRAND' ? scope_brand : null,
+        is_active,
+        usage_limit,
+        per_user_limit,
+        min_order_value,
+        start_date,
+        end_date
+      }, transaction)
+
+      if (newScope !== 'PRODUCTS') {
+        await voucherService.setVoucherProducts(currentVoucher.voucher_id, [], transaction)
+      } else if (product_ids !== undefined) {
+        await voucherService.setVoucherProducts(currentVoucher.voucher_id, product_ids.map(Number), transaction)
+      }
+
+      return updated
+    })
+
+    res.status(StatusCodes.OK).json({
+      success: voucherUpdated,
+      message: 'Voucher updated successfully'
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Delete voucher permanently (hard delete)
+ * DELETE /api/v1/manage/vouchers/:voucher_id
+ * Only works if voucher was never used by an order
+ * To stop a voucher, use PUT endpoint with is_active: false instead
+ */
+const deleteVoucher = async (req, res, next) => {
+  try {
+    const { voucher_id } = req.params
+
+    const result = await voucherService.deleteVoucher(parseInt(voucher_id))
+
+    res.status(StatusCodes.OK).json({
+      success: result,
+      message: 'Voucher permanently deleted from database'
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+export const manageVoucherController = {
+  getAllVouchers,
+  getVoucherDetails,
+  createVoucher,
+  updateVoucher,
+  deleteVoucher
+}
@@ -0,0 +1,142 @@
+/**
+ * MANAGE WARRANTY CONTROLLER - Warranty lookup and claim handling for staff
+ */
+
+import { StatusCodes } from 'http-status-codes'
+import { warrantyService } from '../services/warrantyService'
+import { productUnitService } from '../services/productUnitService'
+import ApiError from '../utils/ApiError'
+
+const CLAIM_STATUSES = ['SUBMITTED', 'RECEIVED', 'IN_REPAIR', 'RESOLVED', 'REJECTED']
+
+/**
+ * Look up the warranties of delivered units by order ID, phone number or serial number
+ * GET /api/v1/manage/warranties/lookup?order_id=5 | ?phone=0901234567 | ?serial=SN123
+ * @query {number} order_id - Order ID
+ * @query {string} phone - Phone of the order or of the customer account
+ * @query {string} serial - Serial number of a unit (serial-tracked products)
+ */
+const lookupWarranties = async (req, res, next) => {
+  try {
+    const orderId = parseInt(req.query.order_id) || null
+    const phone = typeof req.query.phone === 'string' ? req.query.phone.trim() : ''
+    const serial = typeof req.query.serial === 'string' ? req.query.serial.trim() : ''
+
+    if (!orderId && !phone && !serial) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'order_id, phone or serial is required')
+    }
+
+    let warranties
+    if (serial) {
+      // The warranty of a unit is the one of the order item it was sold with
+      const unit = await productUnitService.getUnitBySerial(serial)
+      warranties = unit.order_id && unit.status === 'SOLD'
+        ? (await warrantyService.getWarranties({ order_id: unit.order_id }))
+          .filter(warranty => warranty.product_id === unit.product_id)
+          .map(warranty => ({ ...warranty, serial_number: unit.serial_number }))
+        : []
+    } else {
+      warranties = await warrantyService.getWarranties({ order_id: orderId, phone: phone || null })
+    }
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: warranties
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Get all warranty claims
+ * GET /api/v1/manage/warranties/claims?page=1&limit=10&status=SUBMITTED&order_id=5
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Items per page (default: 10, max: 50)
+ * @query {string} status - Status filter (optional)
+ * @query {number} order_id - Order filter (optional)
+ */
+const getAllClaims = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50)
+    const { status } = req.query
+    const orderId = parseInt(req.query.order_id) || null
+
+    if (status && !CLAIM_STATUSES.includes(status)) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'Invalid claim status')
+    }
+
+    const result = await warrantyService.getClaims({ status, order_id: orderId }, page, limit)
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: result.claims,
+      pagination: result.pagination
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Get warranty claim details with the warranty of the unit
+ * GET /api/v1/manage/warranties/claims/:claim_id
+ */
+const getClaimDetails = async (req, res, next) => {
+  try {
+    const claim = await warrantyService.getClaim(parseInt(req.params.claim_id))
+    const warranty = await warrantyService.getWarranty(claim.order_id, claim.product_id)
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: {
+        claim,
+        warranty
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Update the status of a warranty claim
+ * PUT /api/v1/manage/warranties/claims/:claim_id/status
+ * @body { status: RECEIVED | IN_REPAIR | RESOLVED | REJECTED, resolution?: string }
+ * SUBMITTED -> RECEIVED -> IN_REPAIR -> RESOLVED, REJECTED from any open status (resolution required)
+ */
+const updateClaimStatus = async (req, res, next) => {
+  try {
+    const claimId = parseInt(req.params.claim_id)
+    const { status, resolution } = req.body
+
+    if (resolution !== undefined && (typeof resolution !== 'string' || resolution.length > 255)) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'resolution must be a string of at most 255 characters')
+    }
+
+    if ((status === 'RESOLVED' || status === 'REJECTED') && !resolution) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'resolution is required to close a claim')
+    }
+
+    const updates = { handled_by: req.jwtDecoded.user_id }
+    if (resolution) updates.resolution = resolution
+
+    await warrantyService.updateClaimStatus(claimId, status, updates)
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Warranty claim updated successfully',
+      data: await warrantyService.getClaim(claimId)
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+export const manageWarrantyController = {
+  lookupWarranties,
+  getAllClaims,
+  getClaimDetails,
+  updateClaimStatus
+}
@@ -7,10 +7,30 @@ import { StatusCodes } from 'http-status-codes'
 import { orderService } from '../services/orderService'
 import { paymentService } from '../services/paymentService'
 import { productService } from '../services/productService'
+import { productUnitService } from '../services/productUnitService'
 import { voucherService } from '../services/voucherService'
 import { userService } from '../services/userService'
+import { addressService } from '../services/addressService'
 import ApiError from '../utils/ApiError'
 import { env } from '../config/environment.js'
+import { sequelize } from '../config/sequelize.js'
+
+/**
+ * Builds the data sent to a payment gateway to create a payment URL for an order
+ * @param {number} order_id - Order ID
+ * @param {string} method - Payment method (gateway name)
+ * @param {number} amount - Amount to pay
+ * @param {string} ipAddress - IP address of the customer
+ * @returns {Object} - { order_id, orderInfo, amount, redirectUrl, ipnUrl, ipAddress }
+ */
+const buildGatewayPaymentData = (order_id, method, amount, ipAddress) => ({
+  order_id,
+  orderInfo: `Thanh toán đơn hàng #${order_id}`,
+  amount,
+  redirectUrl: `${env.FRONTEND_URL || 'http://localhost:5173'}/payment/result`,
+  ipnUrl: `${env.WEBSITE_DOMAIN_DEVELOPMENT}/api/v1/payment/${method.toLowerCase()}/callback`,
+  ipAddress
+})
 
 /**
  * Preview checkout without saving to database
@@ -62,6 +82,7 @@ const checkoutPreview = async (req, res, next) => {
         price: product.price,
         quantity: item.quantity,
         item_total: itemTotal,
+        discount: 0,
         image: product.image,
         warranty_month: product.warranty_month,
         cpu: product.cpu,
@@ -80,13 +101,30 @@ const checkoutPreview = async (req, res, next) => {
     
     if (voucher_code) {
       const voucher = await voucherService.getVoucherByCode(voucher_code)
-      voucherService.validateVoucher(voucher)
-      discount = voucherService.calculateDiscount(voucher, totalAmount)
+      await voucherService.validateVoucher(voucher, totalAmount, req.jwtDecoded.user_id)
+      const voucherResult = await voucherService.applyVoucher(voucher, orderPreview.items.map(item => ({
+        product_id: item.product_id,
+        brand: item.brand,
+        line_total: item.item_total
+      })))
+      discount = voucherResult.discount
+
+      // Show how the discount is split over each line
+      voucherResult.lines.forEach((line, index) => {
+        orderPreview.items[index].discount = line.discount
+      })
       
       voucherInfo = {
         code: voucher.code,
-        discount_percentage: voucher.discount_value,
+        discount_type: voucher.discount_type,
+        discount_value: voucher.discount_value,
+        discount_percentage: voucher.discount_type === 'PERCENTAGE' ? voucher.discount_value : null,
         max_discount: voucher.max_discount,
+        scope: voucher.scope,
+        scope_brand: voucher.scope_brand,
+        eligible_subtotal: voucherResult.eligible_subtotal,
+        min_order_value: voucher.min_order_value,
+        end_date: voucher.end_date,
         discount_applied: discount
       }
     }
@@ -111,92 +149,139 @@ const checkoutPreview = async (req, res, next) => {
  * Create new order
  * POST /api/v1/orders
  * @body {Array} items - [{ product_id, quantity }]
+ * @body {number} address_id - Saved address to ship to (alternative to the 3 fields below)
  * @body {string} receiver_name - Recipient name
  * @body {string} phone - Contact phone
  * @body {string} shipment_address - Delivery address
- * @body {string} payment_method - 'COD' or 'MOMO'
+ * @body {string} payment_method - 'COD' or an enabled gateway (see GET /api/v1/payment/methods)
  */
 const createOrder = async (req, res, next) => {
   try {
     const userId = req.jwtDecoded.user_id
-    const { items, receiver_name, phone, shipment_address, payment_method, voucher_code } = req.body
+    const { items, address_id, payment_method, voucher_code } = req.body
+    let { receiver_name, phone, shipment_address } = req.body
     
     // Validate input
     if (!items || items.length === 0) {
       throw new ApiError(StatusCodes.BAD_REQUEST, 'No items provided')
     }
+
+    // Use a saved address from the address book instead of raw shipping fields
+    if (address_id) {
+      const address = await addressService.getAddress(parseInt(address_id), userId)
+      receiver_name = address.receiver_name
+      phone = address.phone
+      shipment_address = address.shipment_address
+    }
     
     if (!receiver_name || !phone || !shipment_address) {
       throw new ApiError(StatusCodes.BAD_REQUEST, 'Missing required shipping information')
     }
     
-    if (!payment_method || !['COD', 'MOMO'].includes(payment_method)) {
-      throw new ApiError(StatusCodes.BAD_REQUEST, 'Invalid payment method. Must be COD or MOMO')
+    const paymentMethods = paymentService.getPaymentMethods()
+    if (!payment_method || !paymentMethods.includes(payment_method)) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, `Invalid payment method. Must be one of: ${paymentMethods.join(', ')}`)
     }
     
-    // Fetch products and validate stock
-    let totalAmount = 0
-    const orderItems = []
-    
+    // Merge duplicated products and sort by product_id so row locks are always
+    // taken in the same order (two concurrent checkouts cannot deadlock)
+    const quantities = new Map()
     for (const item of items) {
-      const stockCheck = await productService.checkStock(item.product_id, item.quantity)
-      
-      if (!stockCheck.available) {
-        throw new ApiError(StatusCodes.BAD_REQUEST, `Insufficient stock for product ${item.product_id}. Available: ${stockCheck.availableStock}`)
+      const productId = parseInt(item.product_id)
+      const quantity = parseInt(item.quantity)
+      if (!productId || !quantity || quantity < 1) {
+        throw new ApiError(StatusCodes.BAD_REQUEST, 'Each item requires a product_id and a positive quantity')
       }
+      quantities.set(productId, (quantities.get(productId) || 0) + quantity)
+    }
+    const requestedItems = [...quantities.entries()]
+      .map(([product_id, quantity]) => ({ product_id, quantity }))
+      .sort((a, b) => a.product_id - b.product_id)
+
+    // Order, items, stock, voucher usage and payment are written in a single
+    // transaction: any failure rolls everything back
+    const checkout = await sequelize.transaction(async (transaction) => {
+      // Lock product rows and validate stock
+      let totalAmount = 0
+      const orderItems = []
       
-      const price = parseFloat(stockCheck.product.price)
-      totalAmount += price * item.quantity
+      for (const item of requestedItems) {
+        const stockCheck = await productService.checkStock(item.product_id, item.quantity, transaction)
+
+        if (!stockCheck.available) {
+          throw new ApiError(StatusCodes.BAD_REQUEST, `Insufficient stock for product ${item.product_id}. Available: ${stockCheck.availableStock}`)
+        }
+
+        const price = parseFloat(stockCheck.product.price)
+        totalAmount += price * item.quantity
+
+        orderItems.push({
+          product_id: item.product_id,
+          brand: stockCheck.product.brand,
+          quantity: item.quantity,
+          unit_price: price,
+          discount_amount: 0
+        })
+      }
       
-      orderItems.push({
-        product_id: item.product_id,
-        quantity: item.quantity,
-        unit_price: price
-      })
-    }
-    
-    // Apply voucher if provided
-    let voucherId = null
-    let discount = 0
-    
-    if (voucher_code) {
-      const voucher = await voucherService.getVoucherByCode(voucher_code)
-      voucherService.validateVoucher(voucher)
-      discount = voucherService.calculateDiscount(voucher, totalAmount)
-      voucherId = voucher.voucher_id
-    }
-    
-    const finalAmount = totalAmount - discount
-
-    // Create order
-    const newOrder = await orderService.insertOrder({
-      user_id: userId,
-      receiver_name,
-      phone,
-      shipment_address,
-      total_amount: finalAmount,
-      order_status: 'PENDING',
-      order_date: new Date(),
-      voucher_id: voucherId
-    })
-    
-    if (newOrder) {
+      // Apply voucher if provided
+      let voucherId = null
+      let discount = 0
+
+      if (voucher_code) {
+        // Voucher row is locked so usage limits hold under concurrent checkouts
+        const voucher = await voucherService.getVoucherByCode(voucher_code, transaction)
+        await voucherService.validateVoucher(voucher, totalAmount, userId, transaction)
+        const voucherResult = await voucherService.applyVoucher(voucher, orderItems.map(item => ({
+          product_id: item.product_id,
+          brand: item.brand,
+          line_total: item.unit_price * item.quantity
+        })), transaction)
+        discount = voucherResult.discount
+        voucherId = voucher.voucher_id
+
+        // Keep the per-line share of the discount on each order item
+        voucherResult.lines.forEach((line, index) => {
+          orderItems[index].discount_amount = line.discount
+        })
+      }
+
+      const finalAmount = totalAmount - discount
+
+      // Create order
+      const newOrder = await orderService.insertOrder({
+        user_id: userId,
+        receiver_name,
+        phone,
+        shipment_address,
+        total_amount: finalAmount,
+        order_status: 'PENDING',
+        order_date: new Date(),
+        voucher_id: voucherId
+      }, transaction)
+
       // Insert order items
       const itemsWithOrderId = orderItems.map(item => ({
         ...item,
         order_id: newOrder.order_id
       }))
       
-      await orderService.insertOrderItems(itemsWithOrderId)
+      await orderService.insertOrderItems(itemsWithOrderId, transaction)
       
-      // Decrease product stock
+      // Decrease product stock (and reserve serial-numbered units)
       for (const item of orderItems) {
-        await productService.decrementStock(item.product_id, item.quantity)
+        await productService.decrementStock(item.product_id, item.quantity, {
+          reason: 'ORDER',
+          actor: 'CUSTOMER',
+          created_by: userId,
+          order_id: newOrder.order_id
+        }, transaction)
+        await productUnitService.reserveUnits(item.product_id, newOrder.order_id, item.quantity, transaction)
       }
       
       // Increment voucher usage count if voucher was used
       if (voucherId) {
-        await voucherService.incrementUsageCount(voucherId)
+        await voucherService.incrementUsageCount(voucherId, transaction)
       }
       
       // Create payment record
@@ -205,70 +290,82 @@ const createOrder = async (req, res, next) => {
         method: payment_method,
         amount: finalAmount,
         payment_status: 'PENDING'
-      })
-      
-      // If payment method is MOMO, create payment URL
-      if (payment_method === 'MOMO') {
-        try {
-          const momoResponse = await paymentService.createMoMoPayment({
-            orderId: `ORDER_${newOrder.order_id}`,
-            orderInfo: `Thanh toán đơn hàng #${newOrder.order_id}`,
-            amount: finalAmount,
-            redirectUrl: `${env.FRONTEND_URL || 'http://localhost:5173'}/payment/result`,
-            ipnUrl: `${env.WEBSITE_DOMAIN_DEVELOPMENT}/api/v1/payment/momo/callback`
-          })
-          
-          // Update payment record with payment URL
-          await paymentService.updatePayment(newOrder.order_id, {
-            payment_url: momoResponse.payUrl
-          })
-          
-          return res.status(StatusCodes.CREATED).json({
-            success: true,
-            message: 'Order created successfully',
-            data: {
-              order_id: newOrder.order_id,
-              subtotal: totalAmount,
-              discount: discount,
-              total_amount: finalAmount,
-              payment_method,
-              payment_url: momoResponse.payUrl,
-              qr_code_url: momoResponse.qrCodeUrl,
-              voucher_code: voucher_code || null
-            }
-          })
-        } catch (momoError) {
-          // If MoMo payment creation fails, still return success but without payment URL
-          return res.status(StatusCodes.CREATED).json({
-            success: true,
-            message: 'Order created but payment URL generation failed',
-            data: {
-              order_id: newOrder.order_id,
-              subtotal: totalAmount,
-              discount: discount,
-              total_amount: finalAmount,
-              payment_method,
-              voucher_code: voucher_code || null,
-              error: momoError.message
-            }
-          })
-        }
-      }
+      }, transaction)
       
-      // For COD payment
-      res.status(StatusCodes.CREATED).json({
-        success: true,
-        message: 'Order created successfully',
-        data: {
-          order_id: newOrder.order_id,
-          subtotal: totalAmount,
-          discount: discount,
-          total_amount: finalAmount,
+      return { newOrder, orderItems, totalAmount, discount, finalAmount }
+    })
+
+    const { newOrder, orderItems, totalAmount, discount, finalAmount } = checkout
+    const itemDiscounts = orderItems.map(item => ({
+      product_id: item.product_id,
+      quantity: item.quantity,
+      unit_price: item.unit_price,
+      discount: item.discount_amount
+    }))
+
+    // For online payment methods, create payment URL (outside the transaction:
+    // the order is already committed, a gateway failure must not roll it back)
+    if (paymentService.isOnlinePaymentMethod(payment_method)) {
+      try {
+        const gatewayResponse = await paymentService.createGatewayPayment(
           payment_method,
-          voucher_code: voucher_code || null
-        }
-      })
+          buildGatewayPaymentData(newOrder.order_id, payment_method, finalAmount, req.ip)
+        )
+
+        // Update payment record with payment URL
+        await paymentService.updatePayment(newOrder.order_id, {
+          payment_url: gatewayResponse.payUrl,
+          gateway_order_id: gatewayResponse.gatewayOrderId
+        })
+
+        return res.status(StatusCodes.CREATED).json({
+          success: true,
+          message: 'Order created successfully',
+          data: {
+            order_id: newOrder.order_id,
+            subtotal: totalAmount,
+            discount: discount,
+            items: itemDiscounts,
+            total_amount: finalAmount,
+            payment_method,
+            payment_url: gatewayResponse.payUrl,
+            qr_code_url: gatewayResponse.qrCodeUrl,
+            voucher_code: voucher_code || null
+          }
+        })
+      } catch (gatewayError) {
+        // If payment creation fails, still return success but without payment URL
+        return res.status(StatusCodes.CREATED).json({
+          success: true,
+          message: 'Order created but payment URL generation failed',
+          data: {
+            order_id: newOrder.order_id,
+            subtotal: totalAmount,
+            discount: discount,
+            items: itemDiscounts,
+            total_amount: finalAmount,
+            payment_method,
+            voucher_code: voucher_code || null,
+            error: gatewayError.message
+          }
+        })
+      }
     }
+
+    // For COD payment
+    res.status(StatusCodes.CREATED).json({
+      success: true,
+      message: 'Order created successfully',
+      data: {
+        order_id: newOrder.order_id,
+        subtotal: totalAmount,
+        discount: discount,
+        items: itemDiscounts,
+        total_amount: finalAmount,
+        payment_method,
+        voucher_code: voucher_code || null
+      }
+    })
   } catch (error) {
     next(error)
   }
@@ -307,7 +404,7 @@ const getUserOrders = async (req, res, next) => {
 }
 
 /**
- * Get order details with items and payment
+ * Get order details with items, payment and status history
  * GET /api/v1/orders/:order_id
  */
 const getOrderDetails = async (req, res, next) => {
@@ -327,13 +424,31 @@ const getOrderDetails = async (req, res, next) => {
     
     // Get payment information
     const payment = await paymentService.getPayment(parseInt(order_id))
+
+    // Status history, without the ids of the staff who made the changes
+    const history = await orderService.getStatusHistory(parseInt(order_id))
+    const status_history = history.map(entry => ({
+      from_status: entry.from_status,
+      to_status: entry.to_status,
+      actor: entry.actor,
+      note: entry.note,
+      created_at: entry.created_at
+    }))
+
+    // Serial numbers of the units shipped with the order
+    const units = await productUnitService.getOrderUnits(parseInt(order_id))
+    const serial_numbers = units
+      .filter(unit => unit.status === 'SOLD')
+      .map(unit => ({ product_id: unit.product_id, serial_number: unit.serial_number }))
     
     res.status(StatusCodes.OK).json({
       success: true,
       data: {
         order,
         items,
-        payment
+        payment,
+        status_history,
+        serial_numbers
       }
     })
   } catch (error) {
@@ -344,35 +459,171 @@ const getOrderDetails = async (req, res, next) => {
 /**
  * Cancel order (customer can only cancel PENDING and CONFIRMED orders)
  * PUT /api/v1/orders/:order_id/cancel
+ * @body {string} reason - Cancellation reason (optional, kept in the status history)
  */
 const cancelOrder = async (req, res, next) => {
   try {
-    const { order_id } = req.params
+    const orderId = parseInt(req.params.order_id)
     const userId = req.jwtDecoded.user_id
+
+    const result = await sequelize.transaction(async (transaction) => {
+      const order = await orderService.getOrder(orderId, transaction)
+
+      // Verify order belongs to user
+      if (order.user_id !== userId) {
+        throw new ApiError(StatusCodes.FORBIDDEN, 'Access denied')
+      }
+
+      // Only allow canceling PENDING and CONFIRMED orders
+      if (order.order_status !== 'PENDING' && order.order_status !== 'CONFIRMED') {
+        throw new ApiError(StatusCodes.BAD_REQUEST, 'Can only cancel pending or confirmed orders')
+      }
+
+      const cancelled = await orderService.updateOrderStatus(orderId, 'CANCELLED', {
+        changed_by: userId,
+        actor: 'CUSTOMER',
+        note: req.body && req.body.reason
+      }, transaction)
+
+      // Restore product stock (same lock order as checkout)
+      const items = await orderService.getOrderItems(orderId, transaction)
+      const sortedItems = [...items].sort((a, b) => a.product_id - b.product_id)
+      for (const item of sortedItems) {
+        await productService.incrementStock(item.product_id, item.quantity, {
+          reason: 'CANCEL',
+          actor: 'CUSTOMER',
+          created_by: userId,
+          order_id: orderId
+        }, transaction)
+      }
+      await productUnitService.releaseUnits(orderId, transaction)
+
+      if (order.voucher_id) {
+        await voucherService.decrementUsageCount(order.voucher_id, transaction)
+      }
+
+      return cancelled
+    })
     
-    const order = await orderService.getOrder(parseInt(order_id))
-    
+    res.status(StatusCodes.OK).json({
+      success: result,
+      message: 'Order cancelled successfully'
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Create a new payment URL for a pending, unpaid order
+ * POST /api/v1/orders/:order_id/payment
+ * @body {string} payment_method - Online payment method (optional, default: current method)
+ *
+ * Used when the payment URL could not be generated at checkout or has expired.
+ * Each attempt gets its own gateway order id (ORDER_5, ORDER_5_2, ...) and is
+ * recorded in the payment_transactions ledger of the same order
+ */
+const retryPayment = async (req, res, next) => {
+  try {
+    const orderId = parseInt(req.params.order_id)
+    const userId = req.jwtDecoded.user_id
+
+    const order = await orderService.getOrder(orderId)
+
     // Verify order belongs to user
     if (order.user_id !== userId) {
       throw new ApiError(StatusCodes.FORBIDDEN, 'Access denied')
     }
-    
-    // Only allow canceling PENDING and CONFIRMED orders
-    if (order.order_status !== 'PENDING' && order.order_status !== 'CONFIRMED') {
-      throw new ApiError(StatusCodes.BAD_REQUEST, 'Can only cancel pending or confirmed orders')
+
+    const payment = await paymentService.getPayment(orderId)
+
+    const onlineMethods = paymentService.getPaymentMethods().filter(method => method !== 'COD')
+    const payment_method = req.body.payment_method || payment.method
+    if (!onlineMethods.includes(payment_method)) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, `Invalid payment method. Must be one of: ${onlineMethods.join(', ')}`)
     }
-    
-    // Restore product stock
-    const items = await orderService.getOrderItems(parseInt(order_id))
-    for (const item of items) {
-      await productService.incrementStock(item.product_id, item.quantity)
+
+    // Checks the order and payment are still waiting for a payment (rows locked by the caller)
+    const checkPayable = (lockedOrder, lockedPayment) => {
+      if (lockedOrder.order_status !== 'PENDING') {
+        throw new ApiError(StatusCodes.BAD_REQUEST, 'Only pending orders can be paid')
+      }
+
+      if (!['PENDING', 'FAILED', 'EXPIRED'].includes(lockedPayment.payment_status)) {
+        throw new ApiError(StatusCodes.BAD_REQUEST, 'Order is already paid')
+      }
     }
-    
-    const result = await orderService.updateOrderStatus(parseInt(order_id), 'CANCELLED')
-    
+
+    checkPayable(order, payment)
+
+    // The previous payment URL may have been paid without the IPN reaching us:
+    // ask the gateway first so the customer is not charged twice
+    if (payment.payment_url && paymentService.isOnlinePaymentMethod(payment.method)) {
+      let previous = null
+      try {
+        previous = await paymentService.queryGatewayPayment(payment, req.ip)
+      } catch (error) {
+        // Gateway unreachable: the IPN of the previous attempt is still accepted later
+      }
+
+      if (previous && previous.status === 'PAID') {
+        throw new ApiError(StatusCodes.CONFLICT, 'The previous payment was completed, please verify the payment instead')
+      }
+    }
+
+    // Attempt number reserved under lock, so two concurrent retries cannot get the same one;
+    // the gateway is called once the rows are unlocked (like at checkout)
+    const attempt = await sequelize.transaction(async (transaction) => {
+      const lockedOrder = await orderService.getOrder(orderId, transaction)
+      const lockedPayment = await paymentService.getPayment(orderId, transaction)
+
+      checkPayable(lockedOrder, lockedPayment)
+
+      return paymentService.reserveAttempt(lockedPayment, transaction)
+    })
+
+    let gatewayResponse
+    try {
+      gatewayResponse = await paymentService.createGatewayPayment(
+        payment_method,
+        buildGatewayPaymentData(orderId, payment_method, parseFloat(payment.amount), req.ip),
+        attempt
+      )
+    } catch (gatewayError) {
+      throw new ApiError(StatusCodes.BAD_GATEWAY, `Payment URL generation failed: ${gatewayError.message}`)
+    }
+
+    // Saved only if the order is still unpaid and no later retry was started meanwhile
+    await sequelize.transaction(async (transaction) => {
+      const lockedOrder = await orderService.getOrder(orderId, transaction)
+      const lockedPayment = await paymentService.getPayment(orderId, transaction)
+
+      checkPayable(lockedOrder, lockedPayment)
+
+      if (lockedPayment.attempt_count !== attempt) {
+        throw new ApiError(StatusCodes.CONFLICT, 'A newer payment attempt was started for this order')
+      }
+
+      await paymentService.updatePayment(orderId, {
+        method: payment_method,
+        payment_status: 'PENDING',
+        payment_url: gatewayResponse.payUrl,
+        gateway_order_id: gatewayResponse.gatewayOrderId,
+        trans_id: null,
+        result_code: null
+      }, transaction)
+    })
+
     res.status(StatusCodes.OK).json({
-      success: result,
-      message: 'Order cancelled successfully'
+      success: true,
+      message: 'Payment URL created successfully',
+      data: {
+        order_id: orderId,
+        total_amount: parseFloat(payment.amount),
+        payment_method,
+        payment_url: gatewayResponse.payUrl,
+        qr_code_url: gatewayResponse.qrCodeUrl
+      }
     })
   } catch (error) {
     next(error)
@@ -384,5 +635,6 @@ export const orderController = {
   createOrder,
   getUserOrders,
   getOrderDetails,
-  cancelOrder
+  cancelOrder,
+  retryPayment
 }
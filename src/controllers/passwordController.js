@@ -0,0 +1,159 @@
+/**
+ * PASSWORD CONTROLLER
+ * Handles change password (signed in) and forgot/reset password flow
+ */
+
+import { StatusCodes } from 'http-status-codes'
+import { userService } from '../services/userService'
+import { passwordResetService } from '../services/passwordResetService'
+import { refreshTokenService } from '../services/refreshTokenService'
+import { MailProvider } from '../providers/MailProvider'
+import ApiError from '../utils/ApiError'
+import { env } from '../config/environment.js'
+import { sequelize } from '../config/sequelize.js'
+
+const MIN_PASSWORD_LENGTH = 8
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' }
+
+/**
+ * Escape user-provided text before putting it into an email's HTML
+ * @param {string} value - Text
+ * @returns {string} - Text with HTML special characters escaped
+ */
+const escapeHtml = (value) => String(value || '').replace(/[&<>"']/g, char => HTML_ESCAPES[char])
+
+/**
+ * Validate a new password
+ * @param {string} password - New password
+ */
+const validateNewPassword = (password) => {
+  if (!password || typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`)
+  }
+}
+
+/**
+ * Change password of the signed-in user
+ * PUT /api/v1/auth/change-password
+ * @body { current_password, new_password }
+ */
+const changePassword = async (req, res, next) => {
+  try {
+    const userId = req.jwtDecoded.user_id
+    const { current_password, new_password } = req.body
+
+    if (!current_password) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'Current password is required')
+    }
+
+    validateNewPassword(new_password)
+
+    const isCurrentValid = await userService.verifyPassword(userId, current_password)
+    if (!isCurrentValid) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'Current password is incorrect')
+    }
+
+    if (current_password === new_password) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'New password must be different from current password')
+    }
+
+    const result = await userService.updatePassword(userId, new_password)
+
+    res.status(StatusCodes.OK).json({
+      success: result,
+      message: 'Password changed successfully'
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Request a password reset email
+ * POST /api/v1/auth/forgot-password
+ * @body { email }
+ * Always returns the same response so it cannot be used to find registered emails
+ */
+/* eslint-disable no-console */
+const forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body
+
+    if (!email) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'Email is required')
+    }
+
+    let user = null
+    try {
+      user = await userService.getUserByEmail(email)
+    } catch (error) {
+      if (error.statusCode !== StatusCodes.NOT_FOUND) throw error
+    }
+
+    if (user && user.is_active) {
+      const { token, expires_at } = await passwordResetService.createResetToken(user.user_id)
+      const resetUrl = `${env.FRONTEND_URL}/reset-password?token=${token}`
+
+      try {
+        await MailProvider.sendMail({
+          to: user.email,
+          subject: 'LapZone - Đặt lại mật khẩu',
+          text: `Xin chào ${user.full_name},\n\nVui lòng truy cập liên kết sau để đặt lại mật khẩu: ${resetUrl}\nLiên kết chỉ dùng được một lần và hết hạn lúc ${expires_at.toISOString()}.\n\nNếu bạn không yêu cầu, hãy bỏ qua email này.`,
+          html: `<p>Xin chào ${escapeHtml(user.full_name)},</p><p>Vui lòng bấm <a href="${resetUrl}">vào đây</a> để đặt lại mật khẩu.</p><p>Liên kết chỉ dùng được một lần và hết hạn lúc ${expires_at.toISOString()}.</p><p>Nếu bạn không yêu cầu, hãy bỏ qua email này.</p>`
+        })
+      } catch (mailError) {
+        console.error('Failed to send password reset email:', mailError.message)
+      }
+    }
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'If the email is registered, a password reset link has been sent'
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+/* eslint-enable no-console */
+
+/**
+ * Reset password with the token from the reset email
+ * POST /api/v1/auth/reset-password
+ * @body { token, new_password }
+ * Token is single-use; all refresh tokens issued before the reset stop working
+ */
+const resetPassword = async (req, res, next) => {
+  try {
+    const { token, new_password } = req.body
+
+    if (!token) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'Reset token is required')
+    }
+
+    validateNewPassword(new_password)
+
+    await sequelize.transaction(async (transaction) => {
+      const userId = await passwordResetService.consumeResetToken(token, transaction)
+      await userService.updatePassword(userId, new_password, { revokeSessions: true, transaction })
+      await refreshTokenService.revokeAllForUser(userId, 'PASSWORD_RESET', transaction)
+    })
+
+    // Sign out this browser too, the user must sign in with the new password
+    res.clearCookie('accessToken')
+    res.clearCookie('refreshToken')
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Password has been reset. Please sign in again'
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+export const passwordController = {
+  changePassword,
+  forgotPassword,
+  resetPassword
+}
@@ -1,134 +1,357 @@
 /**
- * PAYMENT CONTROLLER - MoMo payment callback handling
+ * PAYMENT CONTROLLER - Payment gateway callback handling
  */
 
 import { StatusCodes } from 'http-status-codes'
 import { paymentService } from '../services/paymentService'
 import { orderService } from '../services/orderService'
+import ApiError from '../utils/ApiError'
+import { sequelize } from '../config/sequelize.js'
 
 /**
- * MoMo IPN Callback - Receives payment notification from MoMo
- * POST /api/v1/payment/momo/callback
- *
- * This endpoint can also be called by frontend after redirect from MoMo
- * as a fallback mechanism if IPN callback doesn't work (e.g., in development)
+ * Refunds a payment received after its order was cancelled (the expiry job already released the stock)
+ * The refund is recorded under payment.refunds; when the gateway refuses it or cannot be reached,
+ * it is left FAILED or PENDING there for an admin (see manageOrderController.settleRefund)
+ * @param {number} orderId - Order ID
+ * @param {string} gateway - Gateway that reported the payment (for logs)
+ * @returns {Promise<string>} - Payment status afterwards (PAID if nothing could be refunded)
  */
 /* eslint-disable no-console */
-const handleMoMoCallback = async (req, res, next) => {
+const refundLatePayment = async (orderId, gateway) => {
   try {
-    const callbackData = req.body
-
-    console.log('MoMo Callback received:', {
-      orderId: callbackData.orderId,
-      resultCode: callbackData.resultCode,
-      amount: callbackData.amount,
-      transId: callbackData.transId,
-      hasSignature: !!callbackData.signature
+    let result = await sequelize.transaction(async (transaction) => {
+      return paymentService.reserveRefund(orderId, { reason: 'Paid after the order was cancelled' }, transaction)
     })
+    const { refund } = result
 
-    // Check if this is a request from frontend (no signature) or from MoMo (with signature)
-    const isFromMoMo = !!callbackData.signature
-
-    // If from MoMo, verify signature
-    if (isFromMoMo) {
-      const isValid = paymentService.verifyMoMoCallback(callbackData)
-
-      if (!isValid) {
-        console.error('MoMo IPN Callback: Invalid signature', {
-          orderId: callbackData.orderId,
-          receivedSignature: callbackData.signature?.substring(0, 20) + '...'
-        })
-        return res.status(StatusCodes.BAD_REQUEST).json({
-          success: false,
-          message: 'Invalid signature'
+    let status = refund.status
+    if (status === 'PENDING') {
+      const outcome = await paymentService.sendGatewayRefund(refund)
+      if (outcome.status !== 'PENDING') {
+        result = await sequelize.transaction(async (transaction) => {
+          return paymentService.settleRefund(orderId, refund.refund_id, outcome, transaction)
         })
       }
-    } else {
-      // Request from frontend - validate required fields
-      if (!callbackData.orderId || callbackData.resultCode === undefined) {
-        return res.status(StatusCodes.BAD_REQUEST).json({
-          success: false,
-          message: 'Missing orderId or resultCode'
-        })
-      }
-      console.log('MoMo Callback: Request from frontend (fallback mechanism)')
+      status = outcome.status
     }
 
-    // Extract order_id from orderId (format: ORDER_123)
-    const orderIdMatch = callbackData.orderId.match(/ORDER_(\d+)/)
-    if (!orderIdMatch) {
-      console.error('MoMo Callback: Invalid order ID format', callbackData.orderId)
-      return res.status(StatusCodes.BAD_REQUEST).json({
-        success: false,
-        message: 'Invalid order ID format'
-      })
-    }
+    console.warn(`${gateway}: Order ${orderId} was paid after being cancelled, refund #${refund.refund_id} is ${status}`)
+    return result.payment_status
+  } catch (error) {
+    console.error(`${gateway}: Order ${orderId} was paid after being cancelled, automatic refund failed:`, error.message)
+    return 'PAID'
+  }
+}
+/* eslint-enable no-console */
 
-    const orderId = parseInt(orderIdMatch[1])
+/**
+ * Applies a gateway result with the order and payment rows locked (same order as the expiry job),
+ * so an order cancelled meanwhile is seen and its late payment refunded
+ * @param {number} orderId - Order ID
+ * @param {string} status - Status reported by the gateway
+ * @param {Object} gatewayFields - { trans_id, result_code, gateway, gateway_order_id }
+ * @returns {Promise<Object>} - { order, previousStatus, paymentStatus } - order and payment status as locked
+ */
+const applyLockedGatewayResult = async (orderId, status, gatewayFields) => {
+  return sequelize.transaction(async (transaction) => {
+    const order = await orderService.getOrder(orderId, transaction)
+    const payment = await paymentService.getPayment(orderId, transaction)
+    const paymentStatus = await paymentService.applyGatewayResult(payment, status, gatewayFields, transaction)
 
-    // Get current payment and order status to avoid duplicate updates
-    let currentPayment = null
-    let currentOrder = null
+    return { order, previousStatus: payment.payment_status, paymentStatus }
+  })
+}
+
+/**
+ * Records a verified gateway result (IPN or signed redirect) in the ledger and applies it to the payment
+ * Shared by the IPN endpoint, the verify endpoint and the sandbox payment page
+ * @param {Object} verification - Result of paymentService.verifyGatewayCallback / verifyGatewayReturn
+ * @param {Object} payload - Raw data received from the gateway
+ * @param {string} type - Ledger entry type: IPN or RETURN
+ * @returns {Promise<Object>} - { status, body, code } - code: OK | ALREADY_CONFIRMED | INVALID_SIGNATURE | ORDER_NOT_FOUND | INVALID_AMOUNT | ERROR
+ */
+/* eslint-disable no-console */
+const processGatewayResult = async (verification, payload, type) => {
+  const orderId = verification.order_id
+
+  console.log(`${verification.gateway} ${type} received:`, {
+    orderId: verification.gatewayOrderId,
+    resultCode: verification.resultCode,
+    amount: verification.amount,
+    transId: verification.transId,
+    hasSignature: !!verification.signature
+  })
+
+  // Get current payment to avoid duplicate updates and to check the amount
+  // The gateway must be the payment's method, or one used by an earlier attempt of the order
+  let currentPayment = null
+  let isKnownAttempt = false
+  if (verification.valid && orderId) {
     try {
       currentPayment = await paymentService.getPayment(orderId)
-      currentOrder = await orderService.getOrder(orderId)
+      isKnownAttempt = currentPayment.method === verification.gateway ||
+        await paymentService.isPaymentAttempt(orderId, verification.gateway, verification.gatewayOrderId)
     } catch (error) {
-      console.error(`MoMo Callback: Error getting payment/order for order ${orderId}:`, error.message)
-      return res.status(StatusCodes.NOT_FOUND).json({
-        success: false,
-        message: 'Order or payment not found'
-      })
+      console.error(`${verification.gateway} Callback: Error getting payment for order ${orderId}:`, error.message)
     }
+  }
 
-    // Check payment result (resultCode = 0 means success)
-    if (callbackData.resultCode === 0 || callbackData.resultCode === '0') {
-      // Only update if payment is still PENDING
-      if (currentPayment.payment_status === 'PENDING') {
-        console.log(`MoMo Callback: Payment successful for order ${orderId}, updating status...`)
-
-        try {
-          // Update payment status to PAID
-          await paymentService.updatePayment(orderId, {
-            payment_status: 'PAID'
-          })
-          console.log(`MoMo Callback: Payment ${orderId} updated to PAID`)
-
-          // Keep order status as PENDING - manual confirmation required
-          console.log(`MoMo Callback: Order ${orderId} remains in ${currentOrder.order_status} status - manual confirmation required`)
-        } catch (updateError) {
-          console.error(`MoMo Callback: Error updating payment/order for order ${orderId}:`, updateError)
-          return res.status(StatusCodes.INTERNAL_SERVER_ERROR).json({
-            success: false,
-            message: 'Error updating payment status'
-          })
-        }
-      } else {
-        console.log(`MoMo Callback: Payment ${orderId} already processed, current status: ${currentPayment.payment_status}`)
-      }
+  let rejection = null
+  if (!verification.valid) {
+    rejection = { status: StatusCodes.BAD_REQUEST, code: 'INVALID_SIGNATURE', message: 'Invalid signature' }
+  } else if (!orderId) {
+    rejection = { status: StatusCodes.BAD_REQUEST, code: 'ORDER_NOT_FOUND', message: 'Invalid order ID format' }
+  } else if (!currentPayment || !isKnownAttempt) {
+    rejection = { status: StatusCodes.NOT_FOUND, code: 'ORDER_NOT_FOUND', message: 'Order or payment not found' }
+  } else if (verification.amount !== Math.round(parseFloat(currentPayment.amount))) {
+    rejection = { status: StatusCodes.BAD_REQUEST, code: 'INVALID_AMOUNT', message: 'Amount does not match the payment amount' }
+  }
+
+  // Record every inbound request, including rejected ones, for reconciliation
+  await paymentService.recordTransaction({
+    order_id: orderId,
+    gateway: verification.gateway,
+    type,
+    direction: 'INBOUND',
+    gateway_order_id: verification.gatewayOrderId,
+    request_id: verification.requestId,
+    amount: Number.isFinite(verification.amount) ? verification.amount : null,
+    trans_id: verification.transId,
+    result_code: verification.resultCode,
+    request_payload: payload,
+    signature: verification.signature,
+    signature_valid: verification.valid,
+    error_message: rejection ? rejection.message : null
+  })
+
+  if (rejection) {
+    console.error(`${verification.gateway} ${type} rejected: ${rejection.message}`, {
+      orderId: verification.gatewayOrderId,
+      amount: verification.amount
+    })
+    return {
+      status: rejection.status,
+      code: rejection.code,
+      body: { success: false, message: rejection.message }
+    }
+  }
+
+  let currentOrder
+  let previousStatus
+  let paymentStatus
+  try {
+    ({ order: currentOrder, previousStatus, paymentStatus } = await applyLockedGatewayResult(orderId, verification.status, {
+      trans_id: verification.transId,
+      result_code: verification.resultCode,
+      gateway: verification.gateway,
+      gateway_order_id: verification.gatewayOrderId
+    }))
+  } catch (updateError) {
+    console.error(`${verification.gateway} ${type}: Error updating payment for order ${orderId}:`, updateError)
+    return {
+      status: StatusCodes.INTERNAL_SERVER_ERROR,
+      code: 'ERROR',
+      body: { success: false, message: 'Error updating payment status' }
+    }
+  }
+
+  console.log(`${verification.gateway} ${type}: Payment ${orderId} is ${paymentStatus} (was ${previousStatus})`)
+
+  const alreadyConfirmed = !['PENDING', 'FAILED', 'EXPIRED'].includes(previousStatus)
 
+  // Paid after the order expired: stock was already released, the money goes back to the customer
+  if (!alreadyConfirmed && paymentStatus === 'PAID' && currentOrder.order_status === 'CANCELLED') {
+    paymentStatus = await refundLatePayment(orderId, `${verification.gateway} ${type}`)
+  }
+
+  // Order status is kept as is - manual confirmation required
+  return {
+    status: StatusCodes.OK,
+    code: alreadyConfirmed ? 'ALREADY_CONFIRMED' : 'OK',
+    body: {
+      success: true,
+      message: paymentStatus === 'PAID' ? 'Payment processed successfully' : 'Payment not completed',
+      resultCode: verification.resultCode,
+      payment_status: paymentStatus,
+      order_status: currentOrder.order_status
+    }
+  }
+}
+
+/**
+ * Gateway IPN Callback - Receives payment notification from a gateway
+ * POST /api/v1/payment/:gateway/callback (e.g. /payment/momo/callback)
+ *
+ * Only signed requests from the gateway are accepted. The frontend must use
+ * POST /api/v1/payment/:gateway/verify after the redirect instead.
+ */
+const handleCallback = async (req, res, next) => {
+  try {
+    const payload = req.method === 'GET' ? req.query : req.body
+    const verification = paymentService.verifyGatewayCallback(req.params.gateway, payload)
+    const result = await processGatewayResult(verification, payload, 'IPN')
+    const response = paymentService.formatCallbackResponse(req.params.gateway, result)
+
+    res.status(response.status).json(response.body)
+  } catch (error) {
+    console.error('Payment Callback error:', error)
+    next(error)
+  }
+}
+/* eslint-enable no-console */
+
+/**
+ * Verify a payment after the redirect from the gateway
+ * POST /api/v1/payment/:gateway/verify
+ * @body { order_id: number, return_params?: Object }
+ *
+ * With return_params (query of the redirect URL, e.g. VNPay/ZaloPay), their signature is
+ * verified and the result applied. Otherwise the gateway is asked for the real transaction
+ * status (query API); unsigned redirect parameters are never trusted
+ */
+const verifyPayment = async (req, res, next) => {
+  try {
+    const orderId = parseInt(req.body.order_id)
+    const { user_id, role } = req.jwtDecoded
+
+    if (!orderId) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'order_id is required')
+    }
+
+    const order = await orderService.getOrder(orderId)
+
+    // Verify order belongs to user
+    if (order.user_id !== user_id && role !== 'ADMIN') {
+      throw new ApiError(StatusCodes.FORBIDDEN, 'Access denied')
+    }
+
+    const payment = await paymentService.getPayment(orderId)
+
+    if (payment.method !== String(req.params.gateway).toUpperCase()) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, `Order is not paid with ${req.params.gateway}`)
+    }
+
+    // Paid or refunded payments are final, no need to ask the gateway again
+    if (!['PENDING', 'FAILED', 'EXPIRED'].includes(payment.payment_status)) {
       return res.status(StatusCodes.OK).json({
         success: true,
-        message: 'Payment processed successfully',
-        payment_status: currentPayment.payment_status === 'PENDING' ? 'PAID' : currentPayment.payment_status,
-        order_status: currentOrder.order_status
+        data: {
+          payment_status: payment.payment_status,
+          order_status: order.order_status
+        }
       })
-    } else {
-      // Payment failed or cancelled, keep status as PENDING
-      console.log(`MoMo Callback: Payment failed for order ${orderId}, resultCode: ${callbackData.resultCode}`)
+    }
+
+    if (req.body.return_params) {
+      const verification = paymentService.verifyGatewayReturn(payment.method, req.body.return_params)
+
+      if (verification.valid && verification.order_id !== orderId) {
+        throw new ApiError(StatusCodes.BAD_REQUEST, 'Redirect parameters belong to another order')
+      }
+
+      // Redirects without the gateway transaction id: fetch it now, refunds need it
+      if (verification.valid && verification.status === 'PAID' && !verification.transId) {
+        verification.transId = await paymentService.findPaidTransId(payment, verification.gatewayOrderId, req.ip)
+      }
+
+      const result = await processGatewayResult(verification, req.body.return_params, 'RETURN')
+
+      if (result.code !== 'OK' && result.code !== 'ALREADY_CONFIRMED') {
+        throw new ApiError(result.status, result.body.message)
+      }
+
       return res.status(StatusCodes.OK).json({
         success: true,
-        message: 'Payment not completed',
-        resultCode: callbackData.resultCode,
-        payment_status: currentPayment.payment_status
+        data: {
+          payment_status: result.body.payment_status,
+          order_status: order.order_status,
+          resultCode: verification.resultCode
+        }
       })
     }
+
+    let gatewayResult
+    try {
+      gatewayResult = await paymentService.queryGatewayPayment(payment, req.ip)
+    } catch (error) {
+      if (error instanceof ApiError) throw error
+      throw new ApiError(StatusCodes.BAD_GATEWAY, 'Could not reach the payment gateway, please try again later')
+    }
+
+    if (gatewayResult.status === 'PAID' && gatewayResult.amount !== Math.round(parseFloat(payment.amount))) {
+      throw new ApiError(StatusCodes.CONFLICT, 'Paid amount does not match the payment amount')
+    }
+
+    const applied = await applyLockedGatewayResult(orderId, gatewayResult.status, {
+      trans_id: gatewayResult.transId,
+      result_code: gatewayResult.resultCode
+    })
+    let paymentStatus = applied.paymentStatus
+
+    const wasUnpaid = ['PENDING', 'FAILED', 'EXPIRED'].includes(applied.previousStatus)
+    if (wasUnpaid && paymentStatus === 'PAID' && applied.order.order_status === 'CANCELLED') {
+      paymentStatus = await refundLatePayment(orderId, `${payment.method} QUERY`)
+    }
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: {
+        payment_status: paymentStatus,
+        order_status: applied.order.order_status,
+        resultCode: gatewayResult.resultCode,
+        message: gatewayResult.message
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Get available payment methods
+ * GET /api/v1/payment/methods
+ */
+const getPaymentMethods = async (req, res, next) => {
+  try {
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: paymentService.getPaymentMethods()
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Sandbox payment page - simulates the customer paying on the gateway
+ * GET /api/v1/payment/sandbox/pay?orderId=...&amount=...&redirectUrl=...&signature=...&result=success
+ * @query {string} result - success | failed | expired (default: success)
+ *
+ * Sends a signed IPN through the normal callback flow, then redirects to the frontend
+ * Only available when PAYMENT_SANDBOX_ENABLED=true and PAYMENT_SANDBOX_SECRET is set
+ */
+const payWithSandbox = async (req, res, next) => {
+  try {
+    const { ipnPayload, redirectUrl } = paymentService.simulateSandboxPayment(req.query)
+
+    await processGatewayResult(paymentService.verifyGatewayCallback('SANDBOX', ipnPayload), ipnPayload, 'IPN')
+
+    const query = new URLSearchParams({
+      orderId: ipnPayload.orderId,
+      resultCode: String(ipnPayload.resultCode),
+      message: ipnPayload.message
+    })
+    const separator = redirectUrl.includes('?') ? '&' : '?'
+
+    res.redirect(`${redirectUrl}${separator}${query.toString()}`)
   } catch (error) {
-    console.error('MoMo Callback error:', error)
     next(error)
   }
 }
-/* eslint-enable no-console */
 
 export const paymentController = {
-  handleMoMoCallback
+  handleCallback,
+  verifyPayment,
+  getPaymentMethods,
+  payWithSandbox
 }
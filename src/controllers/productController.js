@@ -5,25 +5,91 @@
 
 import { StatusCodes } from 'http-status-codes'
 import { productService } from '../services/productService'
+import { searchService } from '../services/searchService'
 import ApiError from '../utils/ApiError'
 
 /**
- * Gets all products with pagination
+ * Parses a list filter, given comma-separated (?ram=8GB,16GB) or repeated (?ram=8GB&ram=16GB)
+ * @param {string|Array} value - Query value
+ * @returns {Array<string>} - Values
+ */
+const parseListQuery = (value) => {
+  const values = Array.isArray(value) ? value : [value]
+  return values
+    .filter(item => typeof item === 'string')
+    .flatMap(item => item.split(','))
+    .map(item => item.trim())
+    .filter(item => item.length > 0)
+}
+
+/**
+ * Parses an optional price bound
+ * @param {string} value - Query value
+ * @param {string} name - Parameter name (for the error message)
+ * @returns {number|undefined} - Price
+ */
+const parsePriceQuery = (value, name) => {
+  if (value === undefined || value === '') return undefined
+
+  const price = Number(value)
+  if (!Number.isFinite(price) || price < 0) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, `${name} must be a non-negative number`)
+  }
+  return price
+}
+
+/**
+ * Gets all products with pagination, filters, sorting and facet counts
+ * Values of one filter are combined with OR, different filters with AND
  * @query {number} page - Page number (default: 1)
  * @query {number} limit - Items per page (default: 12, max: 50)
- * @returns {Object} - { products, pagination }
+ * @query {string} brand - Brands, comma-separated (optional)
+ * @query {number} price_min, price_max - Price range (optional)
+ * @query {string} ram, storage, cpu, gpu, screen, refresh_rate - Spec values as listed in the facets, comma-separated (optional)
+ *                 Values are normalized like the specs themselves, so 16GB, 16 GB and 16G are the same RAM filter
+ * @query {boolean} in_stock - Only products in stock (optional)
+ * @query {string} sort - newest | price_asc | price_desc | best_selling (default: newest)
+ * @returns {Object} - { products, pagination, facets }
  */
 const getAllProducts = async (req, res, next) => {
   try {
     const page = parseInt(req.query.page) || 1
     const limit = Math.min(parseInt(req.query.limit) || 12, 50) // Max 50 items per page
+    const sort = req.query.sort || 'newest'
+
+    if (!productService.getSortOptions().includes(sort)) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, `sort must be one of: ${productService.getSortOptions().join(', ')}`)
+    }
+
+    const filters = {
+      brand: parseListQuery(req.query.brand),
+      price_min: parsePriceQuery(req.query.price_min, 'price_min'),
+      price_max: parsePriceQuery(req.query.price_max, 'price_max'),
+      in_stock: req.query.in_stock === 'true',
+      ram: parseListQuery(req.query.ram),
+      storage: parseListQuery(req.query.storage),
+      cpu: parseListQuery(req.query.cpu),
+      gpu: parseListQuery(req.query.gpu),
+      screen: parseListQuery(req.query.screen),
+      refresh_rate: parseListQuery(req.query.refresh_rate)
+    }
+
+    const invalidBrands = filters.brand.filter(brand => !productService.getBrands().includes(brand))
+    if (invalidBrands.length > 0) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, `Unknown brand: ${invalidBrands.join(', ')}`)
+    }
+
+    if (filters.price_min !== undefined && filters.price_max !== undefined && filters.price_min > filters.price_max) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'price_min cannot be greater than price_max')
+    }
     
-    const result = await productService.getAllProducts(page, limit)
+    const result = await productService.getAllProducts(page, limit, filters, sort)
 
     res.status(StatusCodes.OK).json({
       success: true,
       data: result.products,
-      pagination: result.pagination
+      pagination: result.pagination,
+      facets: result.facets
     })
   } catch (error) {
     next(error)
@@ -51,11 +117,13 @@ const getProductDetails = async (req, res, next) => {
 }
 
 /**
- * Search products by keyword
+ * Search products by keyword, most relevant first
+ * Case and Vietnamese diacritics are ignored ("may tinh" finds "Máy tính")
  * @query {string} keyword - Search keyword
  * @query {number} page - Page number (default: 1)
  * @query {number} limit - Items per page (default: 12, max: 50)
- * @returns {Object} - { products, pagination }
+ * @returns {Object} - { products, pagination, corrected_keyword } - corrected_keyword is set when nothing matched
+ *                     the keyword as typed and misspelled words were corrected
  */
 const searchProducts = async (req, res, next) => {
   try {
@@ -68,12 +136,66 @@ const searchProducts = async (req, res, next) => {
     const page = parseInt(req.query.page) || 1
     const limit = Math.min(parseInt(req.query.limit) || 12, 50)
     
-    const result = await productService.searchProducts(keyword, page, limit)
+    const result = await searchService.searchProducts(keyword, page, limit)
     
     res.status(StatusCodes.OK).json({
       success: true,
       data: result.products,
-      pagination: result.pagination
+      pagination: result.pagination,
+      corrected_keyword: result.corrected_keyword
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Autocomplete: products whose name matches what is being typed
+ * A keyword without letters or digits gives no suggestions
+ * @query {string} keyword - Typed text, the last word may be incomplete
+ * @query {number} limit - Maximum suggestions (default: 8, max: 20)
+ * @returns {Array} - [{ product_id, product_name, brand, image, price }]
+ */
+const suggestProducts = async (req, res, next) => {
+  try {
+    const keyword = typeof req.query.keyword === 'string' ? req.query.keyword : ''
+    const limit = Math.min(parseInt(req.query.limit) || 8, 20)
+
+    const suggestions = await searchService.suggestProducts(keyword, limit)
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: suggestions
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Compare 2 to 4 products side by side
+ * @query {string} ids - Product IDs, comma-separated (e.g. 3,8,15)
+ * @returns {Object} - { products, comparison: [{ field, label, values, best }] } - values follow the order of ids,
+ *                     best lists the product IDs with the best value of comparable fields
+ */
+const compareProducts = async (req, res, next) => {
+  try {
+    const ids = parseListQuery(req.query.ids).map(id => Number(id))
+
+    if (ids.some(id => !Number.isInteger(id) || id <= 0)) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'ids must be a comma-separated list of product IDs')
+    }
+
+    const productIds = [...new Set(ids)]
+    if (productIds.length < 2 || productIds.length > 4) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'Choose 2 to 4 different products to compare')
+    }
+
+    const result = await productService.compareProducts(productIds)
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: result
     })
   } catch (error) {
     next(error)
@@ -83,5 +205,7 @@ const searchProducts = async (req, res, next) => {
 export const productController = {
   getAllProducts,
   getProductDetails,
-  searchProducts
+  searchProducts,
+  suggestProducts,
+  compareProducts
 }
@@ -0,0 +1,268 @@
+/**
+ * RETURN CONTROLLER
+ * Handles return / exchange requests (RMA) for customers
+ */
+
+import ms from 'ms'
+import { StatusCodes } from 'http-status-codes'
+import { returnService } from '../services/returnService'
+import { orderService } from '../services/orderService'
+import { CloudinaryProvider } from '../providers/CloudinaryProvider'
+import ApiError from '../utils/ApiError'
+import { env } from '../config/environment.js'
+import { sequelize } from '../config/sequelize.js'
+
+const RETURN_TYPES = ['RETURN', 'EXCHANGE']
+const RETURN_STATUSES = ['REQUESTED', 'APPROVED', 'REJECTED', 'CANCELLED', 'RECEIVED', 'REFUNDED', 'COMPLETED']
+
+/**
+ * Parses the requested items (JSON string when sent as multipart/form-data)
+ * @param {Array|string} items - [{ product_id, quantity }]
+ * @returns {Array} - Items with integer product_id and quantity, duplicates merged
+ */
+const parseReturnItems = (items) => {
+  let parsed = items
+  if (typeof items === 'string') {
+    try {
+      parsed = JSON.parse(items)
+    } catch (error) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'items must be a JSON array')
+    }
+  }
+
+  if (!Array.isArray(parsed) || parsed.length === 0) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, 'items must be a non-empty array of { product_id, quantity }')
+  }
+
+  const quantities = new Map()
+  for (const item of parsed) {
+    const productId = parseInt(item && item.product_id)
+    const quantity = parseInt(item && item.quantity)
+    if (!productId || !quantity || quantity < 1) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'Each item requires a product_id and a positive quantity')
+    }
+    quantities.set(productId, (quantities.get(productId) || 0) + quantity)
+  }
+
+  return [...quantities.entries()].map(([product_id, quantity]) => ({ product_id, quantity }))
+}
+
+/**
+ * Deletes uploaded photos of a request that could not be saved
+ * @param {Array<string>} imageUrls - Cloudinary URLs
+ */
+const deleteUploadedImages = async (imageUrls) => {
+  for (const url of imageUrls) {
+    const publicId = CloudinaryProvider.extractPublicId(url)
+    if (publicId) {
+      await CloudinaryProvider.deleteImage(publicId).catch(() => {})
+    }
+  }
+}
+
+/**
+ * Open a return / exchange request on a completed order
+ * POST /api/v1/returns (multipart/form-data)
+ * @body {number} order_id - Completed order
+ * @body {string} type - RETURN | EXCHANGE (default: RETURN)
+ * @body {string} reason - Why the items are sent back
+ * @body {Array|string} items - [{ product_id, quantity }] (JSON string in form-data)
+ * @file images - Up to 5 photos (jpg, png)
+ *
+ * Allowed within RETURN_REQUEST_WINDOW after the order was completed, for at most
+ * the ordered quantity minus what earlier requests already cover
+ */
+const createReturnRequest = async (req, res, next) => {
+  try {
+    const userId = req.jwtDecoded.user_id
+    const orderId = parseInt(req.body.order_id)
+    const type = req.body.type || 'RETURN'
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : ''
+
+    if (!orderId) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'order_id is required')
+    }
+    if (!RETURN_TYPES.includes(type)) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, `type must be one of: ${RETURN_TYPES.join(', ')}`)
+    }
+    if (!reason || reason.length > 1000) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'reason is required (at most 1000 characters)')
+    }
+
+    const requestedItems = parseReturnItems(req.body.items)
+
+    const order = await orderService.getOrder(orderId)
+
+    // Verify order belongs to user
+    if (order.user_id !== userId) {
+      throw new ApiError(StatusCodes.FORBIDDEN, 'Access denied')
+    }
+
+    if (order.order_status !== 'COMPLETED') {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'Only completed orders can be returned')
+    }
+
+    // Window starts when the order was completed (order date for orders completed before the history existed)
+    const history = await orderService.getStatusHistory(orderId)
+    const completedEntry = [...history].reverse().find(entry => entry.to_status === 'COMPLETED')
+    const completedAt = new Date(completedEntry ? completedEntry.created_at : order.order_date)
+    if (Date.now() - completedAt.getTime() > ms(env.RETURN_REQUEST_WINDOW)) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, `Return requests must be opened within ${env.RETURN_REQUEST_WINDOW} of delivery`)
+    }
+
+    // Upload photos before the transaction, they are deleted again if the request cannot be saved
+    const imageUrls = []
+    try {
+      for (const file of req.files || []) {
+        const uploadResult = await CloudinaryProvider.streamUpload(file.buffer, 'returns')
+        imageUrls.push(uploadResult.secure_url)
+      }
+    } catch (error) {
+      await deleteUploadedImages(imageUrls)
+      throw new ApiError(StatusCodes.BAD_GATEWAY, 'Could not upload the photos, please try again')
+    }
+
+    let returnId
+    try {
+      returnId = await sequelize.transaction(async (transaction) => {
+        // Order row lock serializes concurrent requests on the same order
+        await orderService.getOrder(orderId, transaction)
+        const orderItems = await orderService.getOrderItems(orderId, transaction)
+        const returned = await returnService.getReturnedQuantities(orderId, transaction)
+
+        const returnItems = requestedItems.map(item => {
+          const orderItem = orderItems.find(line => line.product_id === item.product_id)
+          if (!orderItem) {
+            throw new ApiError(StatusCodes.BAD_REQUEST, `Product ${item.product_id} is not part of this order`)
+          }
+
+          const returnable = orderItem.quantity - (returned.get(item.product_id) || 0)
+          if (item.quantity > returnable) {
+            throw new ApiError(StatusCodes.BAD_REQUEST, `Only ${returnable} unit(s) of product ${item.product_id} can still be returned`)
+          }
+
+          // Amount actually paid for these units: unit price minus their share of the voucher discount
+          const unitPaid = parseFloat(orderItem.unit_price) - (parseFloat(orderItem.discount_amount) || 0) / orderItem.quantity
+          return {
+            product_id: item.product_id,
+            quantity: item.quantity,
+            amount: Math.round(unitPaid * item.quantity * 100) / 100
+          }
+        })
+
+        const newRequest = await returnService.insertReturnRequest({
+          order_id: orderId,
+          user_id: userId,
+          type,
+          reason,
+          images: imageUrls
+        }, returnItems, transaction)
+
+        return newRequest.return_id
+      })
+    } catch (error) {
+      await deleteUploadedImages(imageUrls)
+      throw error
+    }
+
+    const returnRequest = await returnService.getReturnRequest(returnId)
+
+    res.status(StatusCodes.CREATED).json({
+      success: true,
+      message: 'Return request created successfully',
+      data: returnRequest
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Get user's return requests
+ * GET /api/v1/returns?page=1&limit=10&status=REQUESTED
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Items per page (default: 10, max: 50)
+ * @query {string} status - Status filter (optional)
+ */
+const getMyReturnRequests = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50)
+    const { status } = req.query
+
+    if (status && !RETURN_STATUSES.includes(status)) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'Invalid return request status')
+    }
+
+    const result = await returnService.getReturnRequests({ user_id: req.jwtDecoded.user_id, status }, page, limit)
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: result.requests,
+      pagination: result.pagination
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Get return request details
+ * GET /api/v1/returns/:return_id
+ */
+const getReturnRequestDetails = async (req, res, next) => {
+  try {
+    const returnRequest = await returnService.getReturnRequest(parseInt(req.params.return_id))
+
+    // Verify request belongs to user
+    if (returnRequest.user_id !== req.jwtDecoded.user_id) {
+      throw new ApiError(StatusCodes.FORBIDDEN, 'Access denied')
+    }
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: returnRequest
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Cancel a return request that has not been handled yet
+ * PUT /api/v1/returns/:return_id/cancel
+ */
+const cancelReturnRequest = async (req, res, next) => {
+  try {
+    const returnId = parseInt(req.params.return_id)
+
+    await sequelize.transaction(async (transaction) => {
+      const returnRequest = await returnService.getReturnRequest(returnId, transaction)
+
+      // Verify request belongs to user
+      if (returnRequest.user_id !== req.jwtDecoded.user_id) {
+        throw new ApiError(StatusCodes.FORBIDDEN, 'Access denied')
+      }
+
+      if (returnRequest.status !== 'REQUESTED') {
+        throw new ApiError(StatusCodes.BAD_REQUEST, 'Only requests waiting for review can be cancelled')
+      }
+
+      await returnService.updateReturnStatus(returnId, 'CANCELLED', {}, transaction)
+    })
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Return request cancelled successfully'
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+export const returnController = {
+  createReturnRequest,
+  getMyReturnRequests,
+  getReturnRequestDetails,
+  cancelReturnRequest
+}
@@ -5,6 +5,7 @@
 
 import { StatusCodes } from 'http-status-codes'
 import { userService } from '../services/userService'
+import { refreshTokenService } from '../services/refreshTokenService'
 import { JwtProvider } from '../providers/JwtProvider'
 import ApiError from '../utils/ApiError'
 import { env } from '../config/environment.js'
@@ -41,11 +42,11 @@ const signin = async (req, res, next) => {
       env.ACCESS_TOKEN_LIFE
     )
     
-    const refreshToken = await JwtProvider.generateToken(
-      tokenPayload,
-      env.REFRESH_TOKEN_SECRET_SIGNATURE,
-      env.REFRESH_TOKEN_LIFE
-    )
+    // Refresh token starts a new session, stored server-side for rotation/revocation
+    const { refreshToken } = await refreshTokenService.issueRefreshToken(tokenPayload, {
+      user_agent: req.get('user-agent'),
+      ip_address: req.ip
+    })
     
     // Set HTTP-only cookies
     res.cookie('accessToken', accessToken, {
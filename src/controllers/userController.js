@@ -0,0 +1,205 @@
+/**
+ * USER CONTROLLER
+ * Handles profile and address book of the signed-in customer
+ */
+
+import { StatusCodes } from 'http-status-codes'
+import { userService } from '../services/userService'
+import { addressService } from '../services/addressService'
+import ApiError from '../utils/ApiError'
+
+/**
+ * Get profile of the signed-in user
+ * GET /api/v1/users/me
+ */
+const getProfile = async (req, res, next) => {
+  try {
+    const userId = req.jwtDecoded.user_id
+
+    const user = await userService.getUserById(userId)
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: user
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Update profile of the signed-in user
+ * PUT /api/v1/users/me
+ * @body { full_name, phone }
+ */
+const updateProfile = async (req, res, next) => {
+  try {
+    const userId = req.jwtDecoded.user_id
+    const { full_name, phone } = req.body
+
+    if (full_name === undefined && phone === undefined) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'No data to update')
+    }
+
+    if (full_name !== undefined && !String(full_name).trim()) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'Full name cannot be empty')
+    }
+
+    await userService.updateProfile(userId, {
+      full_name: full_name !== undefined ? String(full_name).trim() : undefined,
+      phone
+    })
+
+    const user = await userService.getUserById(userId)
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Profile updated successfully',
+      data: user
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Get saved addresses of the signed-in user
+ * GET /api/v1/users/me/addresses
+ */
+const getAddresses = async (req, res, next) => {
+  try {
+    const userId = req.jwtDecoded.user_id
+
+    const addresses = await addressService.getAddresses(userId)
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: addresses
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Save a new address
+ * POST /api/v1/users/me/addresses
+ * @body { receiver_name, phone, shipment_address, is_default }
+ */
+const addAddress = async (req, res, next) => {
+  try {
+    const userId = req.jwtDecoded.user_id
+    const { receiver_name, phone, shipment_address, is_default } = req.body
+
+    if (!receiver_name || !phone || !shipment_address) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'Missing required fields: receiver_name, phone, shipment_address')
+    }
+
+    const address = await addressService.insertAddress({
+      user_id: userId,
+      receiver_name,
+      phone,
+      shipment_address,
+      is_default
+    })
+
+    res.status(StatusCodes.CREATED).json({
+      success: true,
+      message: 'Address added successfully',
+      data: address
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Update a saved address
+ * PUT /api/v1/users/me/addresses/:address_id
+ * @body { receiver_name, phone, shipment_address, is_default }
+ */
+const updateAddress = async (req, res, next) => {
+  try {
+    const userId = req.jwtDecoded.user_id
+    const addressId = parseInt(req.params.address_id)
+    const { receiver_name, phone, shipment_address, is_default } = req.body
+
+    // Verify address belongs to user
+    await addressService.getAddress(addressId, userId)
+
+    await addressService.updateAddress({
+      address_id: addressId,
+      user_id: userId,
+      receiver_name,
+      phone,
+      shipment_address
+    })
+
+    if (is_default === true) {
+      await addressService.setDefaultAddress(addressId, userId)
+    }
+
+    const address = await addressService.getAddress(addressId, userId)
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      message: 'Address updated successfully',
+      data: address
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Set a saved address as default
+ * PUT /api/v1/users/me/addresses/:address_id/default
+ */
+const setDefaultAddress = async (req, res, next) => {
+  try {
+    const userId = req.jwtDecoded.user_id
+    const addressId = parseInt(req.params.address_id)
+
+    // Verify address belongs to user
+    await addressService.getAddress(addressId, userId)
+
+    const result = await addressService.setDefaultAddress(addressId, userId)
+
+    res.status(StatusCodes.OK).json({
+      success: result,
+      message: 'Default address updated'
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Delete a saved address
+ * DELETE /api/v1/users/me/addresses/:address_id
+ */
+const deleteAddress = async (req, res, next) => {
+  try {
+    const userId = req.jwtDecoded.user_id
+    const addressId = parseInt(req.params.address_id)
+
+    const result = await addressService.deleteAddress(addressId, userId)
+
+    res.status(StatusCodes.OK).json({
+      success: result,
+      message: 'Address deleted successfully'
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+export const userController = {
+  getProfile,
+  updateProfile,
+  getAddresses,
+  addAddress,
+  updateAddress,
+  setDefaultAddress,
+  deleteAddress
+}
@@ -0,0 +1,145 @@
+/**
+ * WARRANTY CONTROLLER
+ * Warranties of delivered products and warranty claims for customers
+ */
+
+import { StatusCodes } from 'http-status-codes'
+import { warrantyService } from '../services/warrantyService'
+import ApiError from '../utils/ApiError'
+
+const CLAIM_STATUSES = ['SUBMITTED', 'RECEIVED', 'IN_REPAIR', 'RESOLVED', 'REJECTED']
+
+/**
+ * Get the warranties of the user's delivered products
+ * GET /api/v1/warranties?active=true
+ * @query {boolean} active - Only units still under warranty (optional)
+ */
+const getMyWarranties = async (req, res, next) => {
+  try {
+    const warranties = await warrantyService.getWarranties({ user_id: req.jwtDecoded.user_id })
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: req.query.active === 'true'
+        ? warranties.filter(warranty => warranty.under_warranty)
+        : warranties
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Open a warranty claim on a delivered product still under warranty
+ * POST /api/v1/warranties/claims
+ * @body { order_id: number, product_id: number, issue_description: string }
+ */
+const createClaim = async (req, res, next) => {
+  try {
+    const userId = req.jwtDecoded.user_id
+    const orderId = parseInt(req.body.order_id)
+    const productId = parseInt(req.body.product_id)
+    const issueDescription = typeof req.body.issue_description === 'string' ? req.body.issue_description.trim() : ''
+
+    if (!orderId || !productId) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'order_id and product_id are required')
+    }
+    if (!issueDescription || issueDescription.length > 2000) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'issue_description is required (at most 2000 characters)')
+    }
+
+    const warranty = await warrantyService.getWarranty(orderId, productId)
+
+    // Verify order belongs to user
+    if (warranty.user_id !== userId) {
+      throw new ApiError(StatusCodes.FORBIDDEN, 'Access denied')
+    }
+
+    if (!warranty.under_warranty) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, `Warranty expired on ${warranty.warranty_end.toISOString().substring(0, 10)}`)
+    }
+
+    if (warranty.quantity === 0) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'All units of this product were returned')
+    }
+
+    // One open claim per unit bought and kept (returned units are not counted in quantity)
+    const openClaims = await warrantyService.countOpenClaims(orderId, productId)
+    if (openClaims >= warranty.quantity) {
+      throw new ApiError(StatusCodes.CONFLICT, 'A warranty claim for this product is already being handled')
+    }
+
+    const claim = await warrantyService.insertClaim({
+      order_id: orderId,
+      product_id: productId,
+      user_id: userId,
+      issue_description: issueDescription
+    })
+
+    res.status(StatusCodes.CREATED).json({
+      success: true,
+      message: 'Warranty claim created successfully',
+      data: claim
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Get user's warranty claims
+ * GET /api/v1/warranties/claims?page=1&limit=10&status=SUBMITTED
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Items per page (default: 10, max: 50)
+ * @query {string} status - Status filter (optional)
+ */
+const getMyClaims = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50)
+    const { status } = req.query
+
+    if (status && !CLAIM_STATUSES.includes(status)) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'Invalid claim status')
+    }
+
+    const result = await warrantyService.getClaims({ user_id: req.jwtDecoded.user_id, status }, page, limit)
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: result.claims,
+      pagination: result.pagination
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Get warranty claim details
+ * GET /api/v1/warranties/claims/:claim_id
+ */
+const getClaimDetails = async (req, res, next) => {
+  try {
+    const claim = await warrantyService.getClaim(parseInt(req.params.claim_id))
+
+    // Verify claim belongs to user
+    if (claim.user_id !== req.jwtDecoded.user_id) {
+      throw new ApiError(StatusCodes.FORBIDDEN, 'Access denied')
+    }
+
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: claim
+    })
+  } catch (error) {
+    next(error)
+  }
+}
+
+export const warrantyController = {
+  getMyWarranties,
+  createClaim,
+  getMyClaims,
+  getClaimDetails
+}
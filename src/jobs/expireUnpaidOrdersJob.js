@@ -0,0 +1,163 @@
+/**
+ * EXPIRE UNPAID ORDERS JOB - Cancels online-payment orders left unpaid
+ *
+ * Stock is decremented when the order is created, so an abandoned payment page
+ * would hold stock forever. Every ORDER_EXPIRY_CRON tick, PENDING orders paid
+ * online and still unpaid ORDER_PAYMENT_TIMEOUT after their latest payment attempt are cancelled:
+ * payment -> EXPIRED, stock restored, voucher usage rolled back.
+ * When the gateway cannot be asked, the order is kept until ORDER_PAYMENT_MAX_WAIT.
+ */
+
+/* eslint-disable no-console */
+import cron from 'node-cron'
+import ms from 'ms'
+import { env } from '~/config/environment'
+import { sequelize } from '~/config/sequelize'
+import { orderService } from '~/services/orderService'
+import { paymentService } from '~/services/paymentService'
+import { productService } from '~/services/productService'
+import { productUnitService } from '~/services/productUnitService'
+import { voucherService } from '~/services/voucherService'
+
+const UNPAID_STATUSES = ['PENDING', 'FAILED', 'EXPIRED']
+const BATCH_SIZE = 100
+
+/**
+ * Asks the gateway whether an overdue payment went through after all (lost IPN)
+ * @param {Object} payment - Payment of the order
+ * @param {boolean} canWait - False once ORDER_PAYMENT_MAX_WAIT is over: an unknown status no longer keeps the order
+ * @returns {Promise<boolean>} - True if the order must be kept (paid, paid with a wrong amount, or status unknown)
+ */
+const isPaidAtGateway = async (payment, canWait) => {
+  // Gateway no longer enabled: nothing to ask, the order can expire
+  if (!paymentService.isOnlinePaymentMethod(payment.method)) return false
+
+  try {
+    const result = await paymentService.queryGatewayPayment(payment)
+
+    if (result.status === 'PAID' && result.amount !== Math.round(parseFloat(payment.amount))) {
+      // Money was taken at the gateway: cancelling would lose it, the order is kept for manual review
+      console.error(`Expire job: order ${payment.order_id} was paid ${result.amount} at ${payment.method} but expects ${payment.amount}, kept for manual review`)
+      return true
+    }
+
+    if (result.status === 'PAID') {
+      await paymentService.applyGatewayResult(payment, 'PAID', {
+        trans_id: result.transId,
+        result_code: result.resultCode
+      })
+      console.log(`Expire job: order ${payment.order_id} was paid at ${payment.method}, payment updated`)
+      return true
+    }
+
+    return false
+  } catch (error) {
+    // Unknown status: keep the order, it is retried on the next run until the hard deadline
+    console.error(`Expire job: could not query ${payment.method} for order ${payment.order_id}:`, error.message)
+    return canWait
+  }
+}
+
+/**
+ * Cancels one overdue order, re-checking its state under row locks
+ * @param {number} order_id - Order ID
+ * @returns {Promise<boolean>} - True if the order was expired
+ */
+const expireOrder = async (order_id) => {
+  const { order_date } = await orderService.getOrder(order_id)
+  const payment = await paymentService.getPayment(order_id)
+
+  if (!UNPAID_STATUSES.includes(payment.payment_status)) return false
+
+  const canWait = Date.now() - new Date(order_date).getTime() < ms(env.ORDER_PAYMENT_MAX_WAIT)
+  if (await isPaidAtGateway(payment, canWait)) return false
+
+  return sequelize.transaction(async (transaction) => {
+    const order = await orderService.getOrder(order_id, transaction)
+    const lockedPayment = await paymentService.getPayment(order_id, transaction)
+
+    // An IPN or the customer (cancel, payment retry) may have changed the order since it was selected
+    const retried = lockedPayment.attempted_at &&
+      Date.now() - new Date(lockedPayment.attempted_at).getTime() < ms(env.ORDER_PAYMENT_TIMEOUT)
+    if (order.order_status !== 'PENDING' || !UNPAID_STATUSES.includes(lockedPayment.payment_status) || retried) {
+      return false
+    }
+
+    await orderService.updateOrderStatus(order_id, 'CANCELLED', {
+      actor: 'SYSTEM',
+      note: `Not paid within ${env.ORDER_PAYMENT_TIMEOUT}`
+    }, transaction)
+    await paymentService.updatePayment(order_id, { payment_status: 'EXPIRED' }, transaction)
+
+    // Same lock order as checkout (by product_id) to avoid deadlocks
+    const items = await orderService.getOrderItems(order_id, transaction)
+    const sortedItems = [...items].sort((a, b) => a.product_id - b.product_id)
+    for (const item of sortedItems) {
+      await productService.incrementStock(item.product_id, item.quantity, {
+        reason: 'CANCEL',
+        actor: 'SYSTEM',
+        order_id,
+        note: 'Unpaid order expired'
+      }, transaction)
+    }
+    await productUnitService.releaseUnits(order_id, transaction)
+
+    if (order.voucher_id) {
+      await voucherService.decrementUsageCount(order.voucher_id, transaction)
+    }
+
+    return true
+  })
+}
+
+/**
+ * Expires all overdue unpaid online orders
+ * @returns {Promise<Object>} - { checked, expired }
+ */
+const run = async () => {
+  const cutoff = new Date(Date.now() - ms(env.ORDER_PAYMENT_TIMEOUT))
+
+  // Pages by order ID so orders kept (status unknown) cannot block newer ones
+  let checked = 0
+  let expired = 0
+  for (let lastOrderId = 0; ;) {
+    const orderIds = await orderService.getUnpaidOnlineOrders(cutoff, BATCH_SIZE, lastOrderId)
+
+    for (const orderId of orderIds) {
+      checked++
+      lastOrderId = orderId
+      try {
+        if (await expireOrder(orderId)) {
+          expired++
+          console.log(`Expire job: order ${orderId} cancelled, payment expired`)
+        }
+      } catch (error) {
+        console.error(`Expire job: error expiring order ${orderId}:`, error.message)
+      }
+    }
+
+    if (orderIds.length < BATCH_SIZE) break
+  }
+
+  return { checked, expired }
+}
+
+/**
+ * Schedules the job (no-op when ORDER_EXPIRY_CRON is empty)
+ */
+const start = () => {
+  if (!env.ORDER_EXPIRY_CRON) return null
+
+  return cron.schedule(env.ORDER_EXPIRY_CRON, async () => {
+    try {
+      const { checked, expired } = await run()
+      if (checked > 0) {
+        console.log(`Expire job: ${expired}/${checked} overdue orders expired`)
+      }
+    } catch (error) {
+      console.error('Expire job failed:', error)
+    }
+  }, { name: 'expire-unpaid-orders', noOverlap: true })
+}
+
+export const expireUnpaidOrdersJob = { start, run, expireOrder }
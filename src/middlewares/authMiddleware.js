@@ -1,12 +1,14 @@
 import { StatusCodes } from 'http-status-codes'
 import { JwtProvider } from '~/providers/JwtProvider'
 import { env } from '~/config/environment'
+import { userService } from '~/services/userService'
 import ApiError from '~/utils/ApiError'
 
 /**
  * JWT Authentication Middleware
  * - Verify accessToken from HTTP-only cookie
- * - Decode and attach user info to req.jwtDecoded
+ * - Check the account still exists, is active and the token was issued after the last password reset
+ * - Decode and attach user info to req.jwtDecoded (role taken from database)
  */
 const isAuthorized = async (req, res, next) => {
   const clientAccessToken = req.cookies?.accessToken
@@ -16,12 +18,9 @@ const isAuthorized = async (req, res, next) => {
     return
   }
   
+  let accessTokenDecoded = null
   try {
-    const accessTokenDecoded = await JwtProvider.verifyToken(clientAccessToken, env.ACCESS_TOKEN_SECRET_SIGNATURE)
-    req.jwtDecoded = accessTokenDecoded
-
-    // Bước 3: Cho phép request đi tiếp đến middleware/route handler tiếp theo
-    next()
+    accessTokenDecoded = await JwtProvider.verifyToken(clientAccessToken, env.ACCESS_TOKEN_SECRET_SIGNATURE)
   } catch (error) {
     // Xử lý token hết hạn: Trả 410 GONE để frontend biết cần refresh token
     // Frontend sẽ gọi /auth/refresh để lấy accessToken mới từ refreshToken
@@ -33,6 +32,39 @@ const isAuthorized = async (req, res, next) => {
     // Xử lý token không hợp lệ: Trả 401 UNAUTHORIZED để yêu cầu đăng nhập lại
     // Các trường hợp: token bị giả mạo, sai secret key, định dạng sai
     next(new ApiError(StatusCodes.UNAUTHORIZED, 'Unauthorized!'))
+    return
+  }
+
+  try {
+    // Token đã phát hành vẫn bị chặn ngay khi tài khoản bị khóa, mật khẩu được đặt lại hoặc đăng xuất mọi thiết bị
+    const user = await userService.getAuthState(accessTokenDecoded.user_id)
+    if (!user) {
+      next(new ApiError(StatusCodes.UNAUTHORIZED, 'Unauthorized! (user not found)'))
+      return
+    }
+
+    if (!user.is_active) {
+      next(new ApiError(StatusCodes.FORBIDDEN, 'Your account has been deactivated'))
+      return
+    }
+
+    if (user.password_changed_at && accessTokenDecoded.iat < Math.floor(new Date(user.password_changed_at).getTime() / 1000)) {
+      next(new ApiError(StatusCodes.UNAUTHORIZED, 'Unauthorized! (password was reset)'))
+      return
+    }
+
+    if (user.tokens_valid_after && accessTokenDecoded.iat < Math.floor(new Date(user.tokens_valid_after).getTime() / 1000)) {
+      next(new ApiError(StatusCodes.UNAUTHORIZED, 'Unauthorized! (signed out from all devices)'))
+      return
+    }
+
+    // Role lấy từ database để việc đổi quyền có hiệu lực ngay
+    req.jwtDecoded = { ...accessTokenDecoded, role: user.role }
+
+    // Bước 3: Cho phép request đi tiếp đến middleware/route handler tiếp theo
+    next()
+  } catch (error) {
+    next(error)
   }
 }
 
@@ -0,0 +1,32 @@
+import { DataTypes } from 'sequelize'
+import { sequelize } from '../config/sequelize.js'
+
+const Address = sequelize.define('addresses', {
+  address_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  receiver_name: {
+    type: DataTypes.STRING(200),
+    allowNull: false
+  },
+  phone: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+  shipment_address: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  is_default: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  }
+})
+
+export default Address
@@ -17,6 +17,20 @@ const OrderItem = sequelize.define('order_items', {
   unit_price: {
     type: DataTypes.DECIMAL(10, 2),
     allowNull: false
+  },
+  // Share of the voucher discount allocated to this line
+  discount_amount: {
+    type: DataTypes.DECIMAL(12, 2),
+    defaultValue: 0
+  },
+  // Warranty period, set when the order is COMPLETED (delivered) from product.warranty_month
+  warranty_start: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  warranty_end: {
+    type: DataTypes.DATE,
+    allowNull: true
   }
 })
 
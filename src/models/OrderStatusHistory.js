@@ -0,0 +1,49 @@
+import { DataTypes } from 'sequelize'
+import { sequelize } from '../config/sequelize.js'
+
+const ORDER_STATUSES = ['PENDING', 'CONFIRMED', 'SHIPPING', 'CANCELLED', 'COMPLETED']
+
+// Append-only log of every order status change
+const OrderStatusHistory = sequelize.define('order_status_history', {
+  history_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  order_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  // Null for the entry written when the order is placed
+  from_status: {
+    type: DataTypes.ENUM(...ORDER_STATUSES),
+    allowNull: true
+  },
+  to_status: {
+    type: DataTypes.ENUM(...ORDER_STATUSES),
+    allowNull: false
+  },
+  // User who made the change, null for SYSTEM (scheduled jobs)
+  changed_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  actor: {
+    type: DataTypes.ENUM('CUSTOMER', 'ADMIN', 'SYSTEM'),
+    allowNull: false
+  },
+  note: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  indexes: [
+    { fields: ['order_id'] }
+  ]
+})
+
+export default OrderStatusHistory
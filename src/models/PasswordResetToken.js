@@ -0,0 +1,34 @@
+import { DataTypes } from 'sequelize'
+import { sequelize } from '../config/sequelize.js'
+
+const PasswordResetToken = sequelize.define('password_reset_tokens', {
+  token_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  // SHA-256 of the token sent by email, the raw token is never stored
+  token_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  used_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+})
+
+export default PasswordResetToken
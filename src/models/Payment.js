@@ -11,8 +11,9 @@ const Payment = sequelize.define('payments', {
     type: DataTypes.INTEGER,
     allowNull: false
   },
+  // COD or the name of a registered payment gateway (see PaymentGatewayProvider)
   method: {
-    type: DataTypes.ENUM('COD', 'MOMO'),
+    type: DataTypes.STRING(20),
     defaultValue: 'COD'
   },
   amount: {
@@ -20,12 +21,44 @@ const Payment = sequelize.define('payments', {
     allowNull: false
   },
   payment_status: {
-    type: DataTypes.ENUM('PENDING', 'PAID'),
+    type: DataTypes.ENUM('PENDING', 'PAID', 'FAILED', 'EXPIRED', 'REFUNDED', 'PARTIALLY_REFUNDED'),
     defaultValue: 'PENDING'
   },
   payment_url: {
     type: DataTypes.TEXT,
     allowNull: true
+  },
+  // Number of payment attempts reserved so far, the checkout one included (see reserveAttempt)
+  attempt_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
+  },
+  // When the current payment attempt was started, unpaid orders expire ORDER_PAYMENT_TIMEOUT after it
+  attempted_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  // Gateway order id of the current payment attempt (ORDER_123, ORDER_123_2, ...)
+  gateway_order_id: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  // Gateway transaction id (MoMo transId)
+  trans_id: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  // Last result code reported by the gateway (MoMo resultCode, 0 = success)
+  result_code: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  // Sum of all refunds recorded against this payment, PENDING ones included and FAILED ones left out
+  refunded_amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
   }
 })
 
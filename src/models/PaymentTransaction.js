@@ -0,0 +1,80 @@
+import { DataTypes } from 'sequelize'
+import { sequelize } from '../config/sequelize.js'
+
+// Append-only ledger of every request sent to / received from a payment gateway
+const PaymentTransaction = sequelize.define('payment_transactions', {
+  transaction_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  // Null when an inbound request cannot be matched to an order
+  order_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  gateway: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+  type: {
+    type: DataTypes.ENUM('CREATE', 'IPN', 'RETURN', 'QUERY', 'REFUND'),
+    allowNull: false
+  },
+  direction: {
+    type: DataTypes.ENUM('OUTBOUND', 'INBOUND'),
+    allowNull: false
+  },
+  // Order/request ids sent to the gateway (e.g. ORDER_5)
+  gateway_order_id: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  request_id: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true
+  },
+  trans_id: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  result_code: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  request_payload: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  response_payload: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  signature: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  // Result of the signature check for inbound requests, null when not checked
+  signature_valid: {
+    type: DataTypes.BOOLEAN,
+    allowNull: true
+  },
+  error_message: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  indexes: [
+    { fields: ['order_id'] }
+  ]
+})
+
+export default PaymentTransaction
@@ -23,6 +23,11 @@ const Product = sequelize.define('products', {
     type: DataTypes.INTEGER,
     defaultValue: 0
   },
+  // Serial numbers are tracked per unit (product_units), stock = number of IN_STOCK units
+  track_serials: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
   warranty_month: {
     type: DataTypes.INTEGER,
     defaultValue: 12
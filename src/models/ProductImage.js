@@ -0,0 +1,40 @@
+import { DataTypes } from 'sequelize'
+import { sequelize } from '../config/sequelize.js'
+
+// Gallery image of a product, products.image holds the URL of the primary one
+const ProductImage = sequelize.define('product_images', {
+  image_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  product_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  // Cloudinary URL
+  image_url: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  // Display order in the gallery, ascending
+  position: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  is_primary: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  indexes: [
+    { fields: ['product_id', 'position'] }
+  ]
+})
+
+export default ProductImage
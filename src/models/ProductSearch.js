@@ -0,0 +1,29 @@
+import { DataTypes } from 'sequelize'
+import { sequelize } from '../config/sequelize.js'
+
+// Search document of a visible product (MySQL search engine), texts are lowercased and diacritic-free
+// Its FULLTEXT indexes are not created by sequelize.sync() but by searchService.ensureIndex at startup
+// (or `npm run setup-indexes`)
+const ProductSearch = sequelize.define('product_search', {
+  product_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    allowNull: false
+  },
+  // Product name and brand
+  name_text: {
+    type: DataTypes.STRING(500),
+    allowNull: false
+  },
+  // Name, brand, text specs and description
+  search_text: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+})
+
+export default ProductSearch
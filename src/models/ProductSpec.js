@@ -0,0 +1,83 @@
+import { DataTypes } from 'sequelize'
+import { sequelize } from '../config/sequelize.js'
+
+// Normalized (typed) specifications of a product, parsed from the free-text spec columns of products
+const ProductSpec = sequelize.define('product_specs', {
+  product_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    allowNull: false
+  },
+  // Intel, AMD, Apple, Qualcomm
+  cpu_brand: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  // Core i7, Ryzen 7, Apple M3, ...
+  cpu_family: {
+    type: DataTypes.STRING(30),
+    allowNull: true
+  },
+  ram_gb: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  // DDR4, DDR5, LPDDR5X, ...
+  ram_type: {
+    type: DataTypes.STRING(10),
+    allowNull: true
+  },
+  storage_gb: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  storage_type: {
+    type: DataTypes.ENUM('SSD', 'HDD', 'EMMC'),
+    allowNull: true
+  },
+  gpu_type: {
+    type: DataTypes.ENUM('INTEGRATED', 'DEDICATED'),
+    allowNull: true
+  },
+  // Dedicated card model (RTX 4060, RX 7600, ...)
+  gpu_model: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  gpu_vram_gb: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  screen_inches: {
+    type: DataTypes.DECIMAL(3, 1),
+    allowNull: true
+  },
+  resolution_width: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  resolution_height: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  refresh_rate_hz: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  weight_kg: {
+    type: DataTypes.DECIMAL(4, 2),
+    allowNull: true
+  },
+  battery_wh: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  }
+}, {
+  indexes: [
+    { fields: ['ram_gb'] },
+    { fields: ['cpu_family'] },
+    { fields: ['screen_inches'] }
+  ]
+})
+
+export default ProductSpec
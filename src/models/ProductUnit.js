@@ -0,0 +1,46 @@
+import { DataTypes } from 'sequelize'
+import { sequelize } from '../config/sequelize.js'
+
+// Physical unit (serial number) of a product with serial tracking enabled
+const ProductUnit = sequelize.define('product_units', {
+  unit_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  product_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  serial_number: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true
+  },
+  // IN_STOCK (counted in product.stock) -> RESERVED (ordered) -> SOLD (shipped),
+  // DEFECTIVE: returned and not resaleable
+  status: {
+    type: DataTypes.ENUM('IN_STOCK', 'RESERVED', 'SOLD', 'DEFECTIVE'),
+    defaultValue: 'IN_STOCK'
+  },
+  // Order the unit is reserved for / was sold with (order item = order_id + product_id)
+  order_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  received_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  sold_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  indexes: [
+    { fields: ['product_id', 'status'] },
+    { fields: ['order_id'] }
+  ]
+})
+
+export default ProductUnit
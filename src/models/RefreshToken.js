@@ -0,0 +1,64 @@
+import { DataTypes } from 'sequelize'
+import { sequelize } from '../config/sequelize.js'
+
+const RefreshToken = sequelize.define('refresh_tokens', {
+  token_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  // JWT ID (jti claim) of the refresh token
+  jti: {
+    type: DataTypes.STRING(36),
+    allowNull: false,
+    unique: true
+  },
+  // All tokens rotated from the same sign-in share a family (= one session/device)
+  family_id: {
+    type: DataTypes.STRING(36),
+    allowNull: false
+  },
+  session_started_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  user_agent: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  ip_address: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  revoked_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  revoke_reason: {
+    type: DataTypes.ENUM('ROTATED', 'SIGNOUT', 'SIGNOUT_ALL', 'REUSE_DETECTED', 'PASSWORD_RESET', 'ACCOUNT_DISABLED'),
+    allowNull: true
+  },
+  replaced_by_jti: {
+    type: DataTypes.STRING(36),
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  indexes: [
+    { fields: ['family_id'] },
+    { fields: ['user_id'] }
+  ]
+})
+
+export default RefreshToken
@@ -0,0 +1,51 @@
+import { DataTypes } from 'sequelize'
+import { sequelize } from '../config/sequelize.js'
+
+const Refund = sequelize.define('refunds', {
+  refund_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  payment_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  // Refund transaction id returned by the gateway, null for manually recorded refunds
+  trans_id: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  reason: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  // PENDING: amount reserved, gateway refund not confirmed yet; FAILED: refused, amount released
+  status: {
+    type: DataTypes.ENUM('PENDING', 'SUCCEEDED', 'FAILED'),
+    defaultValue: 'SUCCEEDED'
+  },
+  failure_reason: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  // Admin who recorded the refund
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+})
+
+export default Refund
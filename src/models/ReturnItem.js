@@ -0,0 +1,31 @@
+import { DataTypes } from 'sequelize'
+import { sequelize } from '../config/sequelize.js'
+
+// Order item (order_id + product_id) included in a return request
+const ReturnItem = sequelize.define('return_items', {
+  return_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true
+  },
+  product_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true
+  },
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  // Amount paid for the returned units (unit price minus their share of the voucher discount)
+  amount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false
+  },
+  // Units put back in stock when the return was received (damaged units are not restocked)
+  restocked_quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  }
+})
+
+export default ReturnItem
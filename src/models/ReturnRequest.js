@@ -0,0 +1,67 @@
+import { DataTypes } from 'sequelize'
+import { sequelize } from '../config/sequelize.js'
+
+// Return / exchange request (RMA) opened by a customer on a completed order
+const ReturnRequest = sequelize.define('return_requests', {
+  return_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  order_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  type: {
+    type: DataTypes.ENUM('RETURN', 'EXCHANGE'),
+    defaultValue: 'RETURN'
+  },
+  // REQUESTED -> APPROVED -> RECEIVED -> REFUNDED | COMPLETED, or REJECTED / CANCELLED
+  status: {
+    type: DataTypes.ENUM('REQUESTED', 'APPROVED', 'REJECTED', 'CANCELLED', 'RECEIVED', 'REFUNDED', 'COMPLETED'),
+    defaultValue: 'REQUESTED'
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  // Cloudinary URLs of the photos sent by the customer
+  images: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  // Answer of the admin (rejection reason, exchange details, ...)
+  admin_note: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  // Admin who handled the request last
+  handled_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  // Refund issued for this request (see refunds)
+  refund_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  indexes: [
+    { fields: ['order_id'] },
+    { fields: ['user_id'] }
+  ]
+})
+
+export default ReturnRequest
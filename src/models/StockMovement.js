@@ -0,0 +1,68 @@
+import { DataTypes } from 'sequelize'
+import { sequelize } from '../config/sequelize.js'
+
+// Append-only ledger of every change to product.stock
+const StockMovement = sequelize.define('stock_movements', {
+  movement_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  product_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  // ORDER: placed, CANCEL: order cancelled / expired, RETURN: returned units restocked,
+  // EXCHANGE: replacement units shipped for an exchange request,
+  // ADJUSTMENT: manual correction (stock count, damage, ...), RECEIPT: goods received
+  reason: {
+    type: DataTypes.ENUM('ORDER', 'CANCEL', 'RETURN', 'EXCHANGE', 'ADJUSTMENT', 'RECEIPT'),
+    allowNull: false
+  },
+  // Signed: negative when stock goes down
+  quantity_change: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  stock_after: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  // User who made the change, null for SYSTEM (scheduled jobs)
+  created_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  actor: {
+    type: DataTypes.ENUM('CUSTOMER', 'ADMIN', 'SYSTEM'),
+    allowNull: false
+  },
+  order_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  return_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  // External document of a goods receipt or adjustment (supplier invoice, stock count sheet, ...)
+  reference: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  note: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  indexes: [
+    { fields: ['product_id', 'created_at'] },
+    { fields: ['order_id'] }
+  ]
+})
+
+export default StockMovement
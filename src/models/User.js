@@ -31,6 +31,16 @@ const User = sequelize.define('users', {
   is_active: {
     type: DataTypes.BOOLEAN,
     defaultValue: true
+  },
+  // Moment of the last password reset, access tokens issued before it are rejected
+  password_changed_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Moment of the last sign out from all devices, access tokens issued before it are rejected
+  tokens_valid_after: {
+    type: DataTypes.DATE,
+    allowNull: true
   }
 })
 
@@ -20,17 +20,57 @@ const Voucher = sequelize.define('vouchers', {
     type: DataTypes.DECIMAL(10, 2),
     allowNull: true
   },
+  discount_type: {
+    type: DataTypes.ENUM('PERCENTAGE', 'FIXED_AMOUNT'),
+    defaultValue: 'PERCENTAGE'
+  },
+  // PERCENTAGE: 0-100 (%), FIXED_AMOUNT: amount in VND
   discount_value: {
     type: DataTypes.INTEGER,
     allowNull: true,
     validate: {
-      min: 0,
-      max: 100
+      min: 0
     }
   },
+  // Which order lines the discount applies to
+  scope: {
+    type: DataTypes.ENUM('ALL', 'BRAND', 'PRODUCTS'),
+    defaultValue: 'ALL'
+  },
+  scope_brand: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
   usage_count: {
     type: DataTypes.INTEGER,
     defaultValue: 0
+  },
+  usage_limit: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 1
+    }
+  },
+  per_user_limit: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 1
+    }
+  },
+  min_order_value: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  start_date: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  end_date: {
+    type: DataTypes.DATE,
+    allowNull: true
   }
 })
 
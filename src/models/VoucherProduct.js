@@ -0,0 +1,15 @@
+import { DataTypes } from 'sequelize'
+import { sequelize } from '../config/sequelize.js'
+
+const VoucherProduct = sequelize.define('voucher_products', {
+  voucher_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true
+  },
+  product_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true
+  }
+})
+
+export default VoucherProduct
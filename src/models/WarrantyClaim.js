@@ -0,0 +1,58 @@
+import { DataTypes } from 'sequelize'
+import { sequelize } from '../config/sequelize.js'
+
+// Warranty claim opened on a delivered unit (order item) still under warranty
+const WarrantyClaim = sequelize.define('warranty_claims', {
+  claim_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  // Order item = order_id + product_id
+  order_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  product_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  issue_description: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  // SUBMITTED -> RECEIVED -> IN_REPAIR -> RESOLVED, or REJECTED (e.g. physical damage)
+  status: {
+    type: DataTypes.ENUM('SUBMITTED', 'RECEIVED', 'IN_REPAIR', 'RESOLVED', 'REJECTED'),
+    defaultValue: 'SUBMITTED'
+  },
+  // What was done (repaired, replaced, rejection reason, ...)
+  resolution: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  // Staff member who handled the claim last
+  handled_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  indexes: [
+    { fields: ['order_id', 'product_id'] },
+    { fields: ['user_id'] }
+  ]
+})
+
+export default WarrantyClaim
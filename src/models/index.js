@@ -3,9 +3,24 @@ import Product from './Product.js'
 import Cart from './Cart.js'
 import CartItem from './CartItem.js'
 import Voucher from './Voucher.js'
+import VoucherProduct from './VoucherProduct.js'
 import Order from './Order.js'
 import OrderItem from './OrderItem.js'
 import Payment from './Payment.js'
+import Address from './Address.js'
+import PasswordResetToken from './PasswordResetToken.js'
+import RefreshToken from './RefreshToken.js'
+import Refund from './Refund.js'
+import PaymentTransaction from './PaymentTransaction.js'
+import OrderStatusHistory from './OrderStatusHistory.js'
+import ReturnRequest from './ReturnRequest.js'
+import ReturnItem from './ReturnItem.js'
+import WarrantyClaim from './WarrantyClaim.js'
+import ProductUnit from './ProductUnit.js'
+import StockMovement from './StockMovement.js'
+import ProductSpec from './ProductSpec.js'
+import ProductSearch from './ProductSearch.js'
+import ProductImage from './ProductImage.js'
 
 // Cart Relationships
 User.hasOne(Cart, { foreignKey: 'user_id', as: 'cart' })
@@ -30,6 +45,18 @@ CartItem.belongsTo(Cart, { foreignKey: 'cart_id', as: 'cart' })
 CartItem.belongsTo(Product, { foreignKey: 'product_id', as: 'product' })
 Product.hasMany(CartItem, { foreignKey: 'product_id', as: 'cartItems' })
 
+// Address Book Relationships
+User.hasMany(Address, { foreignKey: 'user_id', as: 'addresses' })
+Address.belongsTo(User, { foreignKey: 'user_id', as: 'user' })
+
+// Password Reset Relationships
+User.hasMany(PasswordResetToken, { foreignKey: 'user_id', as: 'passwordResetTokens' })
+PasswordResetToken.belongsTo(User, { foreignKey: 'user_id', as: 'user' })
+
+// Refresh Token (session) Relationships
+User.hasMany(RefreshToken, { foreignKey: 'user_id', as: 'refreshTokens' })
+RefreshToken.belongsTo(User, { foreignKey: 'user_id', as: 'user' })
+
 // Order Relationships
 User.hasMany(Order, { foreignKey: 'user_id', as: 'orders' })
 Order.belongsTo(User, { foreignKey: 'user_id', as: 'user' })
@@ -56,17 +83,101 @@ OrderItem.belongsTo(Order, { foreignKey: 'order_id', as: 'order' })
 OrderItem.belongsTo(Product, { foreignKey: 'product_id', as: 'product' })
 Product.hasMany(OrderItem, { foreignKey: 'product_id', as: 'orderItems' })
 
+Order.hasMany(OrderStatusHistory, { foreignKey: 'order_id', as: 'statusHistory' })
+OrderStatusHistory.belongsTo(Order, { foreignKey: 'order_id', as: 'order' })
+OrderStatusHistory.belongsTo(User, { foreignKey: 'changed_by', as: 'changedBy' })
+
+// Voucher Relationships (products a PRODUCTS-scoped voucher applies to)
+Voucher.belongsToMany(Product, {
+  through: VoucherProduct,
+  foreignKey: 'voucher_id',
+  otherKey: 'product_id',
+  as: 'products'
+})
+
+Product.belongsToMany(Voucher, {
+  through: VoucherProduct,
+  foreignKey: 'product_id',
+  otherKey: 'voucher_id',
+  as: 'vouchers'
+})
+
+Voucher.hasMany(VoucherProduct, { foreignKey: 'voucher_id', as: 'scopeProducts' })
+VoucherProduct.belongsTo(Voucher, { foreignKey: 'voucher_id', as: 'voucher' })
+VoucherProduct.belongsTo(Product, { foreignKey: 'product_id', as: 'product' })
+
 // Payment Relationships
 Order.hasOne(Payment, { foreignKey: 'order_id', as: 'payment' })
 Payment.belongsTo(Order, { foreignKey: 'order_id', as: 'order' })
 
+Payment.hasMany(Refund, { foreignKey: 'payment_id', as: 'refunds' })
+Refund.belongsTo(Payment, { foreignKey: 'payment_id', as: 'payment' })
+
+Order.hasMany(PaymentTransaction, { foreignKey: 'order_id', as: 'paymentTransactions' })
+PaymentTransaction.belongsTo(Order, { foreignKey: 'order_id', as: 'order' })
+
+// Return Request (RMA) Relationships
+Order.hasMany(ReturnRequest, { foreignKey: 'order_id', as: 'returnRequests' })
+ReturnRequest.belongsTo(Order, { foreignKey: 'order_id', as: 'order' })
+User.hasMany(ReturnRequest, { foreignKey: 'user_id', as: 'returnRequests' })
+ReturnRequest.belongsTo(User, { foreignKey: 'user_id', as: 'user' })
+
+ReturnRequest.hasMany(ReturnItem, { foreignKey: 'return_id', as: 'items' })
+ReturnItem.belongsTo(ReturnRequest, { foreignKey: 'return_id', as: 'returnRequest' })
+ReturnItem.belongsTo(Product, { foreignKey: 'product_id', as: 'product' })
+
+ReturnRequest.belongsTo(Refund, { foreignKey: 'refund_id', as: 'refund' })
+
+// Warranty Claim Relationships
+Order.hasMany(WarrantyClaim, { foreignKey: 'order_id', as: 'warrantyClaims' })
+WarrantyClaim.belongsTo(Order, { foreignKey: 'order_id', as: 'order' })
+WarrantyClaim.belongsTo(Product, { foreignKey: 'product_id', as: 'product' })
+WarrantyClaim.belongsTo(User, { foreignKey: 'user_id', as: 'user' })
+
+// Product Unit (serial number) Relationships
+Product.hasMany(ProductUnit, { foreignKey: 'product_id', as: 'units' })
+ProductUnit.belongsTo(Product, { foreignKey: 'product_id', as: 'product' })
+Order.hasMany(ProductUnit, { foreignKey: 'order_id', as: 'units' })
+ProductUnit.belongsTo(Order, { foreignKey: 'order_id', as: 'order' })
+
+// Product Spec Relationships
+Product.hasOne(ProductSpec, { foreignKey: 'product_id', as: 'spec' })
+ProductSpec.belongsTo(Product, { foreignKey: 'product_id', as: 'product' })
+
+// Product Image Relationships
+Product.hasMany(ProductImage, { foreignKey: 'product_id', as: 'images' })
+ProductImage.belongsTo(Product, { foreignKey: 'product_id', as: 'product' })
+
+// Product Search Document Relationships
+Product.hasOne(ProductSearch, { foreignKey: 'product_id', as: 'searchDocument' })
+
+// Stock Movement Relationships
+Product.hasMany(StockMovement, { foreignKey: 'product_id', as: 'stockMovements' })
+StockMovement.belongsTo(Product, { foreignKey: 'product_id', as: 'product' })
+StockMovement.belongsTo(User, { foreignKey: 'created_by', as: 'createdBy' })
+
 export {
   User,
   Product,
   Cart,
   CartItem,
   Voucher,
+  VoucherProduct,
   Order,
   OrderItem,
-  Payment
+  Payment,
+  Address,
+  PasswordResetToken,
+  RefreshToken,
+  Refund,
+  PaymentTransaction,
+  OrderStatusHistory,
+  ReturnRequest,
+  ReturnItem,
+  WarrantyClaim,
+  ProductUnit,
+  StockMovement,
+  ProductSpec,
+  ProductSearch,
+  ProductImage
 }
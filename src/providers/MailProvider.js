@@ -0,0 +1,59 @@
+/* eslint-disable no-console */
+import fs from 'fs/promises'
+import path from 'path'
+import { Resend } from 'resend'
+import { env } from '~/config/environment'
+
+/**
+ * Mail transports - mỗi transport nhận cùng một message { to, subject, text, html }
+ * Chọn transport bằng biến môi trường MAIL_TRANSPORT:
+ * - console: in nội dung mail ra terminal (mặc định khi dev)
+ * - file: ghi mỗi mail thành một file .json trong MAIL_FILE_DIR (dùng khi dev/test)
+ * - resend: gửi mail thật qua Resend (cần RESEND_API_KEY, mặc định khi BUILD_MODE=production)
+ */
+const transports = {
+  console: async (message) => {
+    console.log('📧 Mail (console transport):', message)
+    return { id: null }
+  },
+
+  file: async (message) => {
+    await fs.mkdir(env.MAIL_FILE_DIR, { recursive: true })
+    const fileName = `${Date.now()}-${message.to.replace(/[^a-zA-Z0-9@._-]/g, '_')}.json`
+    const filePath = path.join(env.MAIL_FILE_DIR, fileName)
+    await fs.writeFile(filePath, JSON.stringify(message, null, 2))
+    return { id: filePath }
+  },
+
+  resend: async (message) => {
+    const resend = new Resend(env.RESEND_API_KEY)
+    const { data, error } = await resend.emails.send(message)
+    if (error) throw new Error(`Resend error: ${error.message}`)
+    return { id: data?.id || null }
+  }
+}
+
+/**
+ * Đăng ký thêm transport (vd: SMTP, Mailgun) mà không cần sửa provider
+ * @param {string} name - Tên transport, dùng làm giá trị MAIL_TRANSPORT
+ * @param {Function} transport - async (message) => { id }
+ */
+const registerTransport = (name, transport) => {
+  transports[name] = transport
+}
+
+/**
+ * Gửi email qua transport đang được cấu hình
+ * @param {object} mail - { to, subject, text, html }
+ * @returns {Promise<object>} { id } - ID của mail (phụ thuộc transport)
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  const transport = transports[env.MAIL_TRANSPORT]
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${env.MAIL_TRANSPORT}`)
+  }
+
+  return transport({ from: env.MAIL_FROM, to, subject, text, html })
+}
+
+export const MailProvider = { sendMail, registerTransport }
@@ -0,0 +1,68 @@
+import { MomoGateway } from './paymentGateways/MomoGateway'
+import { SandboxGateway } from './paymentGateways/SandboxGateway'
+import { VnpayGateway } from './paymentGateways/VnpayGateway'
+import { ZalopayGateway } from './paymentGateways/ZalopayGateway'
+
+/**
+ * Payment gateways - mỗi cổng thanh toán trực tuyến là một adapter có dạng:
+ * - name: tên phương thức thanh toán (giá trị lưu ở Payment.method)
+ * - isEnabled(): cổng có được bật trong cấu hình hiện tại không
+ * - createPayment({ gatewayOrderId, orderInfo, amount, redirectUrl, ipnUrl, ipAddress })
+ *     => { success, payUrl, qrCodeUrl, resultCode, message, requestId, request, response, signature }
+ * - verifyCallback(payload)
+ *     => { valid, gatewayOrderId, requestId, amount, transId, resultCode, status, message, signature }
+ * - queryPayment({ gatewayOrderId, createRequest, ipAddress })
+ *     => { status, amount, transId, resultCode, message, requestId, request, response, signature }
+ * - refundPayment({ gatewayOrderId, transId, amount, fullAmount, description, createRequest, ipAddress })
+ *     => { success, transId, resultCode, message, requestId, request, response, signature }
+ * Không bắt buộc:
+ * - verifyReturn(params): kiểm tra tham số có chữ ký khi cổng redirect về frontend, kết quả như verifyCallback
+ * - formatCallbackResponse({ code, message }) => { status, body }: phản hồi IPN theo định dạng riêng của cổng
+ *     code: OK | ALREADY_CONFIRMED | INVALID_SIGNATURE | ORDER_NOT_FOUND | INVALID_AMOUNT | ERROR
+ * status là trạng thái Payment tương ứng: PAID | PENDING | FAILED | EXPIRED
+ * createRequest là request đã gửi khi tạo thanh toán (lấy từ payment_transactions),
+ * một số cổng cần lại thông tin trong đó (ngày tạo, mã giao dịch) để truy vấn/hoàn tiền
+ */
+
+// Phương thức thanh toán không qua cổng trực tuyến (thu tiền khi giao hàng)
+const OFFLINE_METHODS = ['COD']
+
+const gateways = {}
+
+/**
+ * Đăng ký một cổng thanh toán (vd: VNPay, ZaloPay)
+ * @param {object} gateway - Adapter theo interface ở trên
+ */
+const registerGateway = (gateway) => {
+  gateways[gateway.name] = gateway
+}
+
+registerGateway(MomoGateway)
+registerGateway(SandboxGateway)
+registerGateway(VnpayGateway)
+registerGateway(ZalopayGateway)
+
+/**
+ * Lấy adapter của cổng thanh toán đang được bật
+ * @param {string} name - Tên phương thức (không phân biệt hoa thường)
+ * @returns {object|null} Adapter hoặc null nếu không tồn tại / đang tắt
+ */
+const getGateway = (name) => {
+  const gateway = gateways[String(name || '').toUpperCase()]
+  if (!gateway || !gateway.isEnabled()) return null
+  return gateway
+}
+
+/**
+ * Danh sách phương thức thanh toán khách hàng được chọn
+ * @returns {Array<string>} vd: ['COD', 'MOMO']
+ */
+const getPaymentMethods = () => {
+  const onlineMethods = Object.values(gateways)
+    .filter(gateway => gateway.isEnabled())
+    .map(gateway => gateway.name)
+
+  return [...OFFLINE_METHODS, ...onlineMethods]
+}
+
+export const PaymentGatewayProvider = { registerGateway, getGateway, getPaymentMethods }
@@ -0,0 +1,49 @@
+import { env } from '~/config/environment'
+import { ElasticsearchSearchEngine } from './searchEngines/ElasticsearchSearchEngine'
+import { MysqlSearchEngine } from './searchEngines/MysqlSearchEngine'
+
+/**
+ * Search engines - mỗi engine tìm kiếm sản phẩm là một adapter có dạng:
+ * - name: tên engine (giá trị của SEARCH_ENGINE)
+ * - isEnabled(): engine có đủ cấu hình để dùng không
+ * - setup(): tạo lại index rỗng (npm run setup-indexes)
+ * - isReady(): index đã được tạo và có tài liệu chưa (chưa thì server tạo lại index lúc khởi động)
+ * - indexProducts(documents): thêm/cập nhật tài liệu { product_id, name_text, search_text } (xem buildSearchDocument)
+ * - removeProducts(productIds): xóa tài liệu của các sản phẩm (không lỗi nếu chưa có)
+ * - search({ terms, offset, limit }) => { ids, total, correctedTerms }
+ *     ids xếp theo độ liên quan, correctedTerms là các từ khóa đã sửa lỗi gõ (null nếu không sửa)
+ * - suggest({ terms, limit }) => ids: gợi ý theo tên sản phẩm, từ cuối có thể đang gõ dở
+ * terms là các từ khóa đã chuẩn hóa (xem getSearchTerms), index chỉ chứa sản phẩm đang hiển thị
+ * Chọn engine bằng biến môi trường SEARCH_ENGINE (mysql | elasticsearch)
+ */
+
+const engines = {}
+
+/**
+ * Đăng ký một search engine
+ * @param {object} engine - Adapter theo interface ở trên
+ */
+const registerEngine = (engine) => {
+  engines[engine.name] = engine
+}
+
+registerEngine(MysqlSearchEngine)
+registerEngine(ElasticsearchSearchEngine)
+
+/**
+ * Lấy search engine đang được cấu hình
+ * @returns {object} Adapter của engine
+ */
+const getEngine = () => {
+  const engine = engines[env.SEARCH_ENGINE]
+  if (!engine) {
+    throw new Error(`Unknown search engine: ${env.SEARCH_ENGINE}`)
+  }
+  if (!engine.isEnabled()) {
+    throw new Error(`Search engine ${env.SEARCH_ENGINE} is not configured`)
+  }
+
+  return engine
+}
+
+export const SearchProvider = { registerEngine, getEngine }
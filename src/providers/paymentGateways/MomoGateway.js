@@ -0,0 +1,229 @@
+import { env } from '~/config/environment'
+import { gatewayHelpers } from './gatewayHelpers'
+
+/**
+ * MOMO GATEWAY - Adapter cho cổng thanh toán MoMo (API v2)
+ * Tài liệu: https://developers.momo.vn/v3/docs/payment/api/wallet/onetime
+ */
+
+const getConfig = () => ({
+  accessKey: env.MOMO_ACCESS_KEY,
+  secretKey: env.MOMO_SECRET_KEY,
+  partnerCode: env.MOMO_PARTNER_CODE || 'MOMO',
+  hostname: env.MOMO_API_HOST || 'test-payment.momo.vn'
+})
+
+/**
+ * Chuyển resultCode của MoMo sang trạng thái Payment
+ * 0 = thành công, 1000/7000/7002 = đang chờ người dùng xác nhận hoặc đang xử lý,
+ * 1005 = URL/QR thanh toán đã hết hạn, còn lại là thất bại
+ */
+const mapResultCode = (resultCode) => {
+  const code = parseInt(resultCode)
+  if (code === 0) return 'PAID'
+  if ([1000, 7000, 7002].includes(code)) return 'PENDING'
+  if (code === 1005) return 'EXPIRED'
+  return 'FAILED'
+}
+
+/**
+ * Tạo yêu cầu thanh toán, trả về URL thanh toán của MoMo
+ */
+const createPayment = async ({ gatewayOrderId, orderInfo, amount, redirectUrl, ipnUrl, extraData = '' }) => {
+  const { accessKey, secretKey, partnerCode, hostname } = getConfig()
+  const requestId = gatewayOrderId
+  const requestType = 'payWithMethod'
+
+  const rawSignature =
+    'accessKey=' + accessKey +
+    '&amount=' + amount +
+    '&extraData=' + extraData +
+    '&ipnUrl=' + ipnUrl +
+    '&orderId=' + gatewayOrderId +
+    '&orderInfo=' + orderInfo +
+    '&partnerCode=' + partnerCode +
+    '&redirectUrl=' + redirectUrl +
+    '&requestId=' + requestId +
+    '&requestType=' + requestType
+
+  const signature = gatewayHelpers.hmac('sha256', secretKey, rawSignature)
+
+  const request = {
+    partnerCode: partnerCode,
+    partnerName: env.MOMO_PARTNER_NAME || 'Test',
+    storeId: env.MOMO_STORE_ID || 'MomoTestStore',
+    requestId: requestId,
+    amount: amount,
+    orderId: gatewayOrderId,
+    orderInfo: orderInfo,
+    redirectUrl: redirectUrl,
+    ipnUrl: ipnUrl,
+    lang: 'vi',
+    requestType: requestType,
+    autoCapture: true,
+    extraData: extraData,
+    orderGroupId: '',
+    signature: signature
+  }
+
+  const response = await gatewayHelpers.postJson({ hostname, path: '/v2/gateway/api/create', body: request })
+
+  return {
+    success: response.resultCode === 0,
+    payUrl: response.payUrl || null,
+    qrCodeUrl: response.qrCodeUrl || null,
+    resultCode: response.resultCode,
+    message: response.message,
+    requestId,
+    request,
+    response,
+    signature
+  }
+}
+
+/**
+ * Kiểm tra chữ ký IPN do MoMo gửi về
+ */
+const verifyCallback = (payload) => {
+  const { accessKey, secretKey, partnerCode } = getConfig()
+  const {
+    orderId,
+    amount,
+    orderInfo = '',
+    orderType = '',
+    transId,
+    resultCode,
+    message = '',
+    payType = '',
+    responseTime,
+    extraData = '',
+    requestId = '',
+    signature
+  } = payload
+
+  const result = {
+    valid: false,
+    gatewayOrderId: typeof orderId === 'string' ? orderId : null,
+    requestId,
+    amount: Number(amount),
+    transId,
+    resultCode,
+    status: mapResultCode(resultCode),
+    message,
+    signature
+  }
+
+  if (!signature || !orderId || !transId || resultCode === undefined) {
+    return result
+  }
+
+  const rawSignature =
+    'accessKey=' + accessKey +
+    '&amount=' + amount +
+    '&extraData=' + (extraData || '') +
+    '&message=' + (message || '') +
+    '&orderId=' + orderId +
+    '&orderInfo=' + (orderInfo || '') +
+    '&orderType=' + (orderType || '') +
+    '&partnerCode=' + partnerCode +
+    '&payType=' + (payType || '') +
+    '&requestId=' + (requestId || '') +
+    '&responseTime=' + responseTime +
+    '&resultCode=' + resultCode +
+    '&transId=' + transId
+
+  result.valid = gatewayHelpers.safeCompare(signature, gatewayHelpers.hmac('sha256', secretKey, rawSignature))
+  return result
+}
+
+/**
+ * Hỏi trạng thái giao dịch (query-transaction API)
+ */
+const queryPayment = async ({ gatewayOrderId }) => {
+  const { accessKey, secretKey, partnerCode, hostname } = getConfig()
+  const requestId = `${gatewayOrderId}_Q${Date.now()}`
+
+  const rawSignature =
+    'accessKey=' + accessKey +
+    '&orderId=' + gatewayOrderId +
+    '&partnerCode=' + partnerCode +
+    '&requestId=' + requestId
+
+  const signature = gatewayHelpers.hmac('sha256', secretKey, rawSignature)
+
+  const request = {
+    partnerCode: partnerCode,
+    requestId: requestId,
+    orderId: gatewayOrderId,
+    lang: 'vi',
+    signature: signature
+  }
+
+  const response = await gatewayHelpers.postJson({ hostname, path: '/v2/gateway/api/query', body: request })
+
+  return {
+    status: mapResultCode(response.resultCode),
+    amount: Number(response.amount),
+    transId: response.transId,
+    resultCode: response.resultCode,
+    message: response.message,
+    requestId,
+    request,
+    response,
+    signature
+  }
+}
+
+/**
+ * Hoàn tiền (toàn phần hoặc một phần) cho giao dịch đã thanh toán
+ * MoMo yêu cầu orderId mới cho mỗi lần hoàn tiền
+ */
+const refundPayment = async ({ gatewayOrderId, transId, amount, description = '' }) => {
+  const { accessKey, secretKey, partnerCode, hostname } = getConfig()
+  const refundOrderId = `${gatewayOrderId}_R${Date.now()}`
+  const requestId = refundOrderId
+
+  const rawSignature =
+    'accessKey=' + accessKey +
+    '&amount=' + amount +
+    '&description=' + description +
+    '&orderId=' + refundOrderId +
+    '&partnerCode=' + partnerCode +
+    '&requestId=' + requestId +
+    '&transId=' + transId
+
+  const signature = gatewayHelpers.hmac('sha256', secretKey, rawSignature)
+
+  const request = {
+    partnerCode: partnerCode,
+    orderId: refundOrderId,
+    requestId: requestId,
+    amount: amount,
+    transId: Number(transId),
+    lang: 'vi',
+    description: description,
+    signature: signature
+  }
+
+  const response = await gatewayHelpers.postJson({ hostname, path: '/v2/gateway/api/refund', body: request })
+
+  return {
+    success: response.resultCode === 0,
+    transId: response.transId,
+    resultCode: response.resultCode,
+    message: response.message,
+    requestId,
+    request,
+    response,
+    signature
+  }
+}
+
+export const MomoGateway = {
+  name: 'MOMO',
+  isEnabled: () => true,
+  createPayment,
+  verifyCallback,
+  queryPayment,
+  refundPayment
+}
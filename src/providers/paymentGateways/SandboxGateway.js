@@ -0,0 +1,155 @@
+import { env } from '~/config/environment'
+import { gatewayHelpers } from './gatewayHelpers'
+
+/**
+ * SANDBOX GATEWAY - Cổng thanh toán giả lập chạy hoàn toàn trên local
+ * Dùng để test checkout end-to-end mà không cần gọi tới test-payment.momo.vn
+ * Chỉ bật khi PAYMENT_SANDBOX_ENABLED=true và có PAYMENT_SANDBOX_SECRET
+ *
+ * Luồng: createPayment trả về payUrl trỏ tới GET /api/v1/payment/sandbox/pay.
+ * Mở URL đó (thêm &result=success|failed|expired) sẽ sinh một IPN có chữ ký,
+ * xử lý IPN như cổng thật rồi redirect về redirectUrl của frontend.
+ * resultCode dùng chung quy ước với MoMo: 0 = thành công, 1000 = đang chờ,
+ * 1005 = hết hạn, 1006 = người dùng từ chối
+ */
+
+// Kết quả các giao dịch đã giả lập (chỉ lưu trong bộ nhớ, mất khi restart)
+const transactions = new Map()
+
+const RESULT_CODES = { success: 0, failed: 1006, expired: 1005 }
+
+const getSecret = () => env.PAYMENT_SANDBOX_SECRET
+
+const mapResultCode = (resultCode) => {
+  const code = parseInt(resultCode)
+  if (code === 0) return 'PAID'
+  if (code === 1000) return 'PENDING'
+  if (code === 1005) return 'EXPIRED'
+  return 'FAILED'
+}
+
+const signPayUrl = ({ orderId, amount, redirectUrl }) => {
+  return gatewayHelpers.hmac('sha256', getSecret(), `amount=${amount}&orderId=${orderId}&redirectUrl=${redirectUrl}`)
+}
+
+const signIpn = ({ orderId, amount, resultCode, transId }) => {
+  return gatewayHelpers.hmac('sha256', getSecret(), `amount=${amount}&orderId=${orderId}&resultCode=${resultCode}&transId=${transId}`)
+}
+
+const createPayment = async ({ gatewayOrderId, amount, redirectUrl }) => {
+  const signature = signPayUrl({ orderId: gatewayOrderId, amount, redirectUrl })
+  const query = new URLSearchParams({ orderId: gatewayOrderId, amount: String(amount), redirectUrl, signature })
+  const payUrl = `${env.WEBSITE_DOMAIN_DEVELOPMENT}/api/v1/payment/sandbox/pay?${query.toString()}`
+
+  const request = { orderId: gatewayOrderId, amount, redirectUrl }
+  const response = { resultCode: 0, message: 'Sandbox payment created', payUrl }
+
+  return {
+    success: true,
+    payUrl,
+    qrCodeUrl: null,
+    resultCode: 0,
+    message: response.message,
+    requestId: gatewayOrderId,
+    request,
+    response,
+    signature
+  }
+}
+
+/**
+ * Giả lập người dùng thanh toán trên trang của cổng
+ * @param {object} query - { orderId, amount, redirectUrl, signature, result }
+ * @returns {object} { valid, ipnPayload, redirectUrl }
+ */
+const simulatePayment = ({ orderId, amount, redirectUrl, signature, result = 'success' }) => {
+  const expected = signPayUrl({ orderId, amount, redirectUrl })
+  if (!orderId || !gatewayHelpers.safeCompare(signature, expected)) {
+    return { valid: false }
+  }
+
+  const resultCode = RESULT_CODES[result] !== undefined ? RESULT_CODES[result] : RESULT_CODES.success
+  const transId = String(Date.now())
+  const message = resultCode === 0 ? 'Successful.' : `Sandbox payment ${result}`
+  transactions.set(orderId, { amount: Number(amount), resultCode, transId, message })
+
+  const ipnPayload = {
+    orderId,
+    amount: Number(amount),
+    transId,
+    resultCode,
+    message,
+    responseTime: Date.now()
+  }
+  ipnPayload.signature = signIpn(ipnPayload)
+
+  return { valid: true, ipnPayload, redirectUrl }
+}
+
+const verifyCallback = (payload) => {
+  const { orderId, amount, transId, resultCode, message = '', signature } = payload
+
+  const valid = !!orderId && transId !== undefined && resultCode !== undefined &&
+    gatewayHelpers.safeCompare(signature, signIpn({ orderId, amount, resultCode, transId }))
+
+  return {
+    valid,
+    gatewayOrderId: typeof orderId === 'string' ? orderId : null,
+    requestId: null,
+    amount: Number(amount),
+    transId,
+    resultCode,
+    status: mapResultCode(resultCode),
+    message,
+    signature
+  }
+}
+
+const queryPayment = async ({ gatewayOrderId }) => {
+  const transaction = transactions.get(gatewayOrderId)
+  const response = transaction
+    ? { orderId: gatewayOrderId, ...transaction }
+    : { orderId: gatewayOrderId, resultCode: 1000, message: 'Waiting for payment' }
+
+  return {
+    status: mapResultCode(response.resultCode),
+    amount: response.amount,
+    transId: response.transId,
+    resultCode: response.resultCode,
+    message: response.message,
+    requestId: null,
+    request: { orderId: gatewayOrderId },
+    response,
+    signature: null
+  }
+}
+
+const refundPayment = async ({ gatewayOrderId, transId, amount }) => {
+  const response = {
+    orderId: gatewayOrderId,
+    transId: `R${Date.now()}`,
+    resultCode: 0,
+    message: 'Sandbox refund succeeded'
+  }
+
+  return {
+    success: true,
+    transId: response.transId,
+    resultCode: 0,
+    message: response.message,
+    requestId: null,
+    request: { orderId: gatewayOrderId, transId, amount },
+    response,
+    signature: null
+  }
+}
+
+export const SandboxGateway = {
+  name: 'SANDBOX',
+  isEnabled: () => env.PAYMENT_SANDBOX_ENABLED === 'true' && Boolean(env.PAYMENT_SANDBOX_SECRET),
+  createPayment,
+  verifyCallback,
+  queryPayment,
+  refundPayment,
+  simulatePayment
+}
@@ -0,0 +1,233 @@
+import { env } from '~/config/environment'
+import { gatewayHelpers } from './gatewayHelpers'
+
+/**
+ * VNPAY GATEWAY - Adapter cho cổng thanh toán VNPay (API 2.1.0)
+ * Tài liệu: https://sandbox.vnpayment.vn/apis/docs/thanh-toan-pay/pay.html
+ *
+ * - Số tiền gửi cho VNPay = số tiền * 100
+ * - Chữ ký: HMAC SHA512 với VNPAY_HASH_SECRET
+ * - IPN được VNPay gọi bằng GET tới URL cấu hình trên merchant portal:
+ *   {WEBSITE_DOMAIN}/api/v1/payment/vnpay/callback
+ */
+
+const VERSION = '2.1.0'
+
+const getConfig = () => ({
+  tmnCode: env.VNPAY_TMN_CODE,
+  hashSecret: env.VNPAY_HASH_SECRET,
+  paymentUrl: env.VNPAY_PAYMENT_URL,
+  apiHost: env.VNPAY_API_HOST
+})
+
+/**
+ * Định dạng thời gian yyyyMMddHHmmss theo giờ Việt Nam (GMT+7)
+ */
+const formatDate = (date) => {
+  const vnTime = new Date(date.getTime() + 7 * 60 * 60 * 1000)
+  const pad = (value) => String(value).padStart(2, '0')
+  return vnTime.getUTCFullYear() +
+    pad(vnTime.getUTCMonth() + 1) +
+    pad(vnTime.getUTCDate()) +
+    pad(vnTime.getUTCHours()) +
+    pad(vnTime.getUTCMinutes()) +
+    pad(vnTime.getUTCSeconds())
+}
+
+/**
+ * Tạo chuỗi ký theo chuẩn VNPay: chỉ lấy tham số vnp_*, sắp xếp key, encode giá trị (dấu cách = +), nối bằng &
+ */
+const buildSignData = (params) => {
+  return Object.keys(params)
+    .filter(key => key.startsWith('vnp_') && params[key] !== undefined && params[key] !== null)
+    .sort()
+    .map(key => `${encodeURIComponent(key)}=${encodeURIComponent(String(params[key])).replace(/%20/g, '+')}`)
+    .join('&')
+}
+
+const sign = (data) => gatewayHelpers.hmac('sha512', getConfig().hashSecret, data)
+
+/**
+ * Chuyển mã phản hồi của VNPay sang trạng thái Payment
+ * 00 = thành công, 11 = hết hạn chờ thanh toán, 01 = giao dịch chưa hoàn tất, còn lại là thất bại
+ */
+const mapStatus = (responseCode, transactionStatus) => {
+  if (responseCode === '00' && (transactionStatus === undefined || transactionStatus === '00')) return 'PAID'
+  if (responseCode === '11') return 'EXPIRED'
+  if (transactionStatus === '01') return 'PENDING'
+  return 'FAILED'
+}
+
+const createPayment = async ({ gatewayOrderId, orderInfo, amount, redirectUrl, ipAddress }) => {
+  const { tmnCode, paymentUrl } = getConfig()
+  const now = new Date()
+
+  const request = {
+    vnp_Version: VERSION,
+    vnp_Command: 'pay',
+    vnp_TmnCode: tmnCode,
+    vnp_Locale: 'vn',
+    vnp_CurrCode: 'VND',
+    vnp_TxnRef: gatewayOrderId,
+    vnp_OrderInfo: orderInfo,
+    vnp_OrderType: 'other',
+    vnp_Amount: Math.round(amount * 100),
+    vnp_ReturnUrl: redirectUrl,
+    vnp_IpAddr: ipAddress || '127.0.0.1',
+    vnp_CreateDate: formatDate(now),
+    vnp_ExpireDate: formatDate(new Date(now.getTime() + 15 * 60 * 1000))
+  }
+
+  const signData = buildSignData(request)
+  const signature = sign(signData)
+  const payUrl = `${paymentUrl}?${signData}&vnp_SecureHash=${signature}`
+
+  return {
+    success: true,
+    payUrl,
+    qrCodeUrl: null,
+    resultCode: null,
+    message: null,
+    requestId: gatewayOrderId,
+    request,
+    response: null,
+    signature
+  }
+}
+
+/**
+ * Kiểm tra chữ ký của tham số VNPay gửi về (IPN và return URL dùng chung định dạng)
+ */
+const verifyCallback = (payload) => {
+  const signature = payload.vnp_SecureHash
+  const params = { ...payload }
+  delete params.vnp_SecureHash
+  delete params.vnp_SecureHashType
+  const valid = !!params.vnp_TxnRef && gatewayHelpers.safeCompare(signature, sign(buildSignData(params)))
+
+  return {
+    valid,
+    gatewayOrderId: typeof params.vnp_TxnRef === 'string' ? params.vnp_TxnRef : null,
+    requestId: null,
+    amount: Number(params.vnp_Amount) / 100,
+    transId: params.vnp_TransactionNo,
+    resultCode: params.vnp_ResponseCode,
+    status: mapStatus(params.vnp_ResponseCode, params.vnp_TransactionStatus),
+    message: params.vnp_ResponseCode,
+    signature
+  }
+}
+
+/**
+ * Định dạng phản hồi IPN theo yêu cầu của VNPay (luôn HTTP 200 với RspCode)
+ */
+const formatCallbackResponse = ({ code }) => {
+  const responses = {
+    OK: { RspCode: '00', Message: 'Confirm Success' },
+    ALREADY_CONFIRMED: { RspCode: '02', Message: 'Order already confirmed' },
+    INVALID_SIGNATURE: { RspCode: '97', Message: 'Invalid signature' },
+    ORDER_NOT_FOUND: { RspCode: '01', Message: 'Order not found' },
+    INVALID_AMOUNT: { RspCode: '04', Message: 'Invalid amount' }
+  }
+  return { status: 200, body: responses[code] || { RspCode: '99', Message: 'Unknown error' } }
+}
+
+/**
+ * Gọi API merchant_webapi của VNPay (querydr / refund)
+ * Chữ ký là HMAC SHA512 của các trường nối bằng dấu |
+ */
+const callMerchantApi = async (request, signFields) => {
+  const signature = sign(signFields.map(field => request[field] === undefined ? '' : request[field]).join('|'))
+  const body = { ...request, vnp_SecureHash: signature }
+
+  const response = await gatewayHelpers.postJson({
+    hostname: getConfig().apiHost,
+    path: '/merchant_webapi/api/transaction',
+    body
+  })
+
+  return { body, response, signature }
+}
+
+const queryPayment = async ({ gatewayOrderId, createRequest, ipAddress }) => {
+  const requestId = `${gatewayOrderId}_Q${Date.now()}`
+
+  const request = {
+    vnp_RequestId: requestId,
+    vnp_Version: VERSION,
+    vnp_Command: 'querydr',
+    vnp_TmnCode: getConfig().tmnCode,
+    vnp_TxnRef: gatewayOrderId,
+    vnp_OrderInfo: `Truy van giao dich ${gatewayOrderId}`,
+    vnp_TransactionDate: createRequest ? createRequest.vnp_CreateDate : formatDate(new Date()),
+    vnp_CreateDate: formatDate(new Date()),
+    vnp_IpAddr: ipAddress || '127.0.0.1'
+  }
+
+  const { body, response, signature } = await callMerchantApi(request, [
+    'vnp_RequestId', 'vnp_Version', 'vnp_Command', 'vnp_TmnCode', 'vnp_TxnRef',
+    'vnp_TransactionDate', 'vnp_CreateDate', 'vnp_IpAddr', 'vnp_OrderInfo'
+  ])
+
+  // vnp_ResponseCode là kết quả của lần truy vấn (91 = chưa có giao dịch), trạng thái nằm ở vnp_TransactionStatus
+  return {
+    status: response.vnp_ResponseCode === '00' ? mapStatus('00', response.vnp_TransactionStatus) : 'PENDING',
+    amount: Number(response.vnp_Amount) / 100,
+    transId: response.vnp_TransactionNo,
+    resultCode: response.vnp_TransactionStatus || response.vnp_ResponseCode,
+    message: response.vnp_Message,
+    requestId,
+    request: body,
+    response,
+    signature
+  }
+}
+
+const refundPayment = async ({ gatewayOrderId, transId, amount, fullAmount, description = '', createRequest, ipAddress }) => {
+  const requestId = `${gatewayOrderId}_R${Date.now()}`
+
+  const request = {
+    vnp_RequestId: requestId,
+    vnp_Version: VERSION,
+    vnp_Command: 'refund',
+    vnp_TmnCode: getConfig().tmnCode,
+    // 02 = hoàn toàn phần, 03 = hoàn một phần
+    vnp_TransactionType: amount === fullAmount ? '02' : '03',
+    vnp_TxnRef: gatewayOrderId,
+    vnp_Amount: Math.round(amount * 100),
+    vnp_TransactionNo: transId,
+    vnp_TransactionDate: createRequest ? createRequest.vnp_CreateDate : formatDate(new Date()),
+    vnp_CreateBy: 'admin',
+    vnp_CreateDate: formatDate(new Date()),
+    vnp_IpAddr: ipAddress || '127.0.0.1',
+    vnp_OrderInfo: description
+  }
+
+  const { body, response, signature } = await callMerchantApi(request, [
+    'vnp_RequestId', 'vnp_Version', 'vnp_Command', 'vnp_TmnCode', 'vnp_TransactionType', 'vnp_TxnRef',
+    'vnp_Amount', 'vnp_TransactionNo', 'vnp_TransactionDate', 'vnp_CreateBy', 'vnp_CreateDate',
+    'vnp_IpAddr', 'vnp_OrderInfo'
+  ])
+
+  return {
+    success: response.vnp_ResponseCode === '00',
+    transId: response.vnp_TransactionNo,
+    resultCode: response.vnp_ResponseCode,
+    message: response.vnp_Message,
+    requestId,
+    request: body,
+    response,
+    signature
+  }
+}
+
+export const VnpayGateway = {
+  name: 'VNPAY',
+  isEnabled: () => !!(env.VNPAY_TMN_CODE && env.VNPAY_HASH_SECRET),
+  createPayment,
+  verifyCallback,
+  verifyReturn: verifyCallback,
+  formatCallbackResponse,
+  queryPayment,
+  refundPayment
+}
@@ -0,0 +1,221 @@
+import { env } from '~/config/environment'
+import { gatewayHelpers } from './gatewayHelpers'
+
+/**
+ * ZALOPAY GATEWAY - Adapter cho cổng thanh toán ZaloPay (API v2)
+ * Tài liệu: https://docs.zalopay.vn/v2/general/overview.html
+ *
+ * - app_trans_id bắt buộc có tiền tố yyMMdd_ (giờ Việt Nam): 241019_ORDER_5
+ * - key1 ký request gửi đi, key2 ký callback và redirect do ZaloPay gửi về
+ * - ZaloPay chỉ gọi callback khi thanh toán thành công
+ */
+
+const getConfig = () => ({
+  appId: env.ZALOPAY_APP_ID,
+  key1: env.ZALOPAY_KEY1,
+  key2: env.ZALOPAY_KEY2,
+  hostname: env.ZALOPAY_API_HOST
+})
+
+/**
+ * Tiền tố yyMMdd theo giờ Việt Nam (GMT+7)
+ */
+const datePrefix = (date = new Date()) => {
+  const vnTime = new Date(date.getTime() + 7 * 60 * 60 * 1000)
+  const pad = (value) => String(value).padStart(2, '0')
+  return pad(vnTime.getUTCFullYear() % 100) + pad(vnTime.getUTCMonth() + 1) + pad(vnTime.getUTCDate())
+}
+
+/**
+ * Bỏ tiền tố ngày để lấy lại mã đơn của hệ thống: 241019_ORDER_5 => ORDER_5
+ */
+const toGatewayOrderId = (appTransId) => {
+  return typeof appTransId === 'string' ? appTransId.replace(/^\d{6}_/, '') : null
+}
+
+const postForm = (path, params) => {
+  return gatewayHelpers.postJson({
+    hostname: getConfig().hostname,
+    path,
+    body: new URLSearchParams(params).toString(),
+    contentType: 'application/x-www-form-urlencoded'
+  })
+}
+
+const createPayment = async ({ gatewayOrderId, orderInfo, amount, redirectUrl, ipnUrl }) => {
+  const { appId, key1 } = getConfig()
+
+  const request = {
+    app_id: appId,
+    app_trans_id: `${datePrefix()}_${gatewayOrderId}`,
+    app_user: 'lapzone',
+    app_time: Date.now(),
+    amount: Math.round(amount),
+    item: '[]',
+    embed_data: JSON.stringify({ redirecturl: redirectUrl }),
+    description: orderInfo,
+    bank_code: '',
+    callback_url: ipnUrl
+  }
+
+  const rawSignature = [
+    request.app_id, request.app_trans_id, request.app_user, request.amount,
+    request.app_time, request.embed_data, request.item
+  ].join('|')
+  request.mac = gatewayHelpers.hmac('sha256', key1, rawSignature)
+
+  const response = await postForm('/v2/create', request)
+
+  return {
+    success: response.return_code === 1,
+    payUrl: response.order_url || null,
+    qrCodeUrl: response.qr_code || null,
+    resultCode: response.return_code,
+    message: response.return_message,
+    requestId: request.app_trans_id,
+    request,
+    response,
+    signature: request.mac
+  }
+}
+
+/**
+ * Kiểm tra callback: { data: '<json string>', mac, type }, mac = HMAC SHA256(key2, data)
+ */
+const verifyCallback = (payload) => {
+  const { data, mac } = payload
+  const valid = typeof data === 'string' && gatewayHelpers.safeCompare(mac, gatewayHelpers.hmac('sha256', getConfig().key2, data))
+
+  let parsed = {}
+  if (valid) {
+    try {
+      parsed = JSON.parse(data)
+    } catch (error) {
+      parsed = {}
+    }
+  }
+
+  return {
+    valid: valid && !!parsed.app_trans_id,
+    gatewayOrderId: toGatewayOrderId(parsed.app_trans_id),
+    requestId: parsed.app_trans_id || null,
+    amount: Number(parsed.amount),
+    transId: parsed.zp_trans_id,
+    // Callback chỉ được gửi khi thanh toán thành công
+    resultCode: 1,
+    status: 'PAID',
+    message: 'success',
+    signature: mac
+  }
+}
+
+/**
+ * Kiểm tra tham số redirect về frontend:
+ * checksum = HMAC SHA256(key2, appid|apptransid|pmcid|bankcode|amount|discountamount|status)
+ */
+const verifyReturn = (params) => {
+  const rawSignature = [
+    params.appid, params.apptransid, params.pmcid, params.bankcode,
+    params.amount, params.discountamount, params.status
+  ].join('|')
+  const valid = !!params.apptransid && gatewayHelpers.safeCompare(params.checksum, gatewayHelpers.hmac('sha256', getConfig().key2, rawSignature))
+
+  return {
+    valid,
+    gatewayOrderId: toGatewayOrderId(params.apptransid),
+    requestId: params.apptransid || null,
+    amount: Number(params.amount),
+    // Redirect không có zp_trans_id, paymentService.findPaidTransId lấy lại bằng API query
+    transId: null,
+    resultCode: params.status,
+    status: String(params.status) === '1' ? 'PAID' : 'FAILED',
+    message: null,
+    signature: params.checksum
+  }
+}
+
+/**
+ * Định dạng phản hồi callback theo yêu cầu của ZaloPay
+ * return_code 1 = đã nhận, 2 = đã xử lý trước đó; mã khác khiến ZaloPay gửi lại callback
+ */
+const formatCallbackResponse = ({ code, message }) => {
+  if (code === 'OK') return { status: 200, body: { return_code: 1, return_message: 'success' } }
+  if (code === 'ALREADY_CONFIRMED') return { status: 200, body: { return_code: 2, return_message: 'already processed' } }
+  return { status: 200, body: { return_code: -1, return_message: message || 'error' } }
+}
+
+/**
+ * Chuyển return_code của API query sang trạng thái Payment: 1 = thành công, 3 = đang xử lý
+ */
+const mapQueryStatus = (returnCode) => {
+  if (returnCode === 1) return 'PAID'
+  if (returnCode === 3) return 'PENDING'
+  return 'FAILED'
+}
+
+const queryPayment = async ({ gatewayOrderId, createRequest }) => {
+  const { appId, key1 } = getConfig()
+  const appTransId = createRequest ? createRequest.app_trans_id : `${datePrefix()}_${gatewayOrderId}`
+
+  const request = {
+    app_id: appId,
+    app_trans_id: appTransId,
+    mac: gatewayHelpers.hmac('sha256', key1, `${appId}|${appTransId}|${key1}`)
+  }
+
+  const response = await postForm('/v2/query', request)
+
+  return {
+    status: mapQueryStatus(response.return_code),
+    amount: Number(response.amount),
+    transId: response.zp_trans_id,
+    resultCode: response.return_code,
+    message: response.return_message,
+    requestId: appTransId,
+    request,
+    response,
+    signature: request.mac
+  }
+}
+
+const refundPayment = async ({ transId, amount, description = '' }) => {
+  const { appId, key1 } = getConfig()
+  const timestamp = Date.now()
+
+  const request = {
+    m_refund_id: `${datePrefix()}_${appId}_${timestamp}`,
+    app_id: appId,
+    zp_trans_id: transId,
+    amount: Math.round(amount),
+    timestamp,
+    description
+  }
+  request.mac = gatewayHelpers.hmac('sha256', key1, [
+    request.app_id, request.zp_trans_id, request.amount, request.description, request.timestamp
+  ].join('|'))
+
+  const response = await postForm('/v2/refund', request)
+
+  // return_code 3 = ZaloPay đang xử lý hoàn tiền, kết quả cuối cùng tra cứu bằng m_refund_id
+  return {
+    success: response.return_code === 1 || response.return_code === 3,
+    transId: response.refund_id || request.m_refund_id,
+    resultCode: response.return_code,
+    message: response.return_message,
+    requestId: request.m_refund_id,
+    request,
+    response,
+    signature: request.mac
+  }
+}
+
+export const ZalopayGateway = {
+  name: 'ZALOPAY',
+  isEnabled: () => !!(env.ZALOPAY_APP_ID && env.ZALOPAY_KEY1 && env.ZALOPAY_KEY2),
+  createPayment,
+  verifyCallback,
+  verifyReturn,
+  formatCallbackResponse,
+  queryPayment,
+  refundPayment
+}
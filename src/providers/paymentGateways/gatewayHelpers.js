@@ -0,0 +1,83 @@
+import crypto from 'crypto'
+import https from 'https'
+
+/**
+ * Các hàm dùng chung cho những cổng thanh toán (ký HMAC, so sánh chữ ký, gọi API JSON)
+ */
+
+/**
+ * Ký dữ liệu bằng HMAC
+ * @param {string} algorithm - sha256 | sha512
+ * @param {string} secretKey - Khóa bí mật do cổng thanh toán cấp
+ * @param {string} data - Chuỗi cần ký
+ * @returns {string} Chữ ký dạng hex
+ */
+const hmac = (algorithm, secretKey, data) => {
+  return crypto.createHmac(algorithm, String(secretKey || '')).update(data).digest('hex')
+}
+
+/**
+ * So sánh hai chữ ký trong thời gian hằng (tránh timing attack)
+ * @param {string} received - Chữ ký nhận được
+ * @param {string} expected - Chữ ký tự tính
+ * @returns {boolean} true nếu trùng khớp
+ */
+const safeCompare = (received, expected) => {
+  const receivedBuffer = Buffer.from(String(received || ''), 'utf8')
+  const expectedBuffer = Buffer.from(String(expected || ''), 'utf8')
+
+  if (receivedBuffer.length === 0 || receivedBuffer.length !== expectedBuffer.length) return false
+
+  return crypto.timingSafeEqual(receivedBuffer, expectedBuffer)
+}
+
+/**
+ * Gửi request POST tới API của cổng thanh toán và parse response JSON
+ * @param {object} options - { hostname, path, body, contentType, timeout }
+ * body là object (gửi dạng JSON) hoặc chuỗi đã encode sẵn (vd: form-urlencoded)
+ * @returns {Promise<object>} Response đã parse
+ */
+const postJson = ({ hostname, path, body, contentType = 'application/json', timeout = 30000 }) => {
+  return new Promise((resolve, reject) => {
+    const requestBody = typeof body === 'string' ? body : JSON.stringify(body)
+
+    const req = https.request({
+      hostname,
+      port: 443,
+      path,
+      method: 'POST',
+      timeout,
+      headers: {
+        'Content-Type': contentType,
+        'Content-Length': Buffer.byteLength(requestBody)
+      }
+    }, (res) => {
+      let data = ''
+
+      res.on('data', (chunk) => {
+        data += chunk
+      })
+
+      res.on('end', () => {
+        try {
+          resolve(JSON.parse(data))
+        } catch (error) {
+          reject(new Error(`Failed to parse ${hostname} response: ${error.message}`))
+        }
+      })
+    })
+
+    req.on('timeout', () => {
+      req.destroy(new Error('timeout'))
+    })
+
+    req.on('error', (error) => {
+      reject(new Error(`${hostname} request failed: ${error.message}`))
+    })
+
+    req.write(requestBody)
+    req.end()
+  })
+}
+
+export const gatewayHelpers = { hmac, safeCompare, postJson }
@@ -0,0 +1,128 @@
+import { Client } from '@elastic/elasticsearch'
+import { env } from '~/config/environment'
+
+/**
+ * ELASTICSEARCH SEARCH ENGINE - Tìm kiếm bằng Elasticsearch (bật khi có ELASTICSEARCH_NODE)
+ *
+ * Mỗi sản phẩm là một document { product_id, name_text, search_text } trong index ELASTICSEARCH_INDEX.
+ * - Analyzer folding (lowercase + asciifolding) bỏ dấu tiếng Việt ở cả lúc index và lúc tìm
+ * - Tìm kiếm: mọi từ khóa đều phải khớp, cho phép sai chính tả (fuzziness AUTO),
+ *   kết quả khớp đúng và khớp theo tên được xếp trên
+ * - Gợi ý: field name_text.autocomplete được index bằng edge_ngram nên khớp theo tiền tố
+ */
+
+const INDEX_SETTINGS = {
+  analysis: {
+    filter: {
+      autocomplete_filter: { type: 'edge_ngram', min_gram: 1, max_gram: 20 }
+    },
+    analyzer: {
+      folding: { tokenizer: 'standard', filter: ['lowercase', 'asciifolding'] },
+      autocomplete: { tokenizer: 'standard', filter: ['lowercase', 'asciifolding', 'autocomplete_filter'] }
+    }
+  }
+}
+
+const INDEX_MAPPINGS = {
+  properties: {
+    product_id: { type: 'integer' },
+    name_text: {
+      type: 'text',
+      analyzer: 'folding',
+      fields: {
+        autocomplete: { type: 'text', analyzer: 'autocomplete', search_analyzer: 'folding' }
+      }
+    },
+    search_text: { type: 'text', analyzer: 'folding' }
+  }
+}
+
+const SEARCH_FIELDS = ['name_text^2', 'search_text']
+
+let client = null
+
+const getClient = () => {
+  if (!client) {
+    client = new Client({
+      node: env.ELASTICSEARCH_NODE,
+      auth: env.ELASTICSEARCH_API_KEY ? { apiKey: env.ELASTICSEARCH_API_KEY } : undefined
+    })
+  }
+  return client
+}
+
+const bulk = async (operations) => {
+  const response = await getClient().bulk({ operations, refresh: true })
+  if (response.errors) {
+    const failed = response.items.map(item => Object.values(item)[0]).find(item => item.error)
+    throw new Error(`Elasticsearch bulk error: ${failed.error.reason}`)
+  }
+}
+
+export const ElasticsearchSearchEngine = {
+  name: 'elasticsearch',
+
+  isEnabled: () => Boolean(env.ELASTICSEARCH_NODE),
+
+  isReady: async () => {
+    const index = env.ELASTICSEARCH_INDEX
+    if (!(await getClient().indices.exists({ index }))) return false
+    const { count } = await getClient().count({ index })
+    return count > 0
+  },
+
+  setup: async () => {
+    const index = env.ELASTICSEARCH_INDEX
+    if (await getClient().indices.exists({ index })) {
+      await getClient().indices.delete({ index })
+    }
+    await getClient().indices.create({ index, settings: INDEX_SETTINGS, mappings: INDEX_MAPPINGS })
+  },
+
+  indexProducts: async (documents) => {
+    await bulk(documents.flatMap(document => [
+      { index: { _index: env.ELASTICSEARCH_INDEX, _id: String(document.product_id) } },
+      document
+    ]))
+  },
+
+  removeProducts: async (productIds) => {
+    await bulk(productIds.map(productId => ({ delete: { _index: env.ELASTICSEARCH_INDEX, _id: String(productId) } })))
+  },
+
+  search: async ({ terms, offset, limit }) => {
+    const query = terms.join(' ')
+    const response = await getClient().search({
+      index: env.ELASTICSEARCH_INDEX,
+      from: offset,
+      size: limit,
+      track_total_hits: true,
+      _source: false,
+      query: {
+        bool: {
+          must: { multi_match: { query, fields: SEARCH_FIELDS, operator: 'and', fuzziness: 'AUTO', prefix_length: 1 } },
+          should: { multi_match: { query, fields: SEARCH_FIELDS, operator: 'and' } }
+        }
+      },
+      sort: ['_score', { product_id: 'desc' }]
+    })
+
+    return {
+      ids: response.hits.hits.map(hit => Number(hit._id)),
+      total: response.hits.total.value,
+      correctedTerms: null
+    }
+  },
+
+  suggest: async ({ terms, limit }) => {
+    const response = await getClient().search({
+      index: env.ELASTICSEARCH_INDEX,
+      size: limit,
+      _source: false,
+      query: { match: { 'name_text.autocomplete': { query: terms.join(' '), operator: 'and' } } },
+      sort: ['_score', { product_id: 'desc' }]
+    })
+
+    return response.hits.hits.map(hit => Number(hit._id))
+  }
+}
@@ -0,0 +1,138 @@
+import { literal } from 'sequelize'
+import { sequelize } from '~/config/sequelize'
+import { ProductSearch } from '~/models/index'
+import { correctTerm } from '~/utils/searchText'
+
+/**
+ * MYSQL SEARCH ENGINE - Tìm kiếm bằng FULLTEXT index của MySQL (engine mặc định)
+ *
+ * Tài liệu tìm kiếm nằm trong bảng product_search, có hai FULLTEXT index dùng parser ngram
+ * (tách chuỗi thành các cặp ký tự) nên tìm được cả một phần của từ ("thinkp" khớp "thinkpad")
+ * và các từ ngắn như "x1", "i7".
+ * - Lọc: mọi từ khóa đều phải có trong tài liệu (BOOLEAN MODE, mỗi từ là một cụm ký tự)
+ * - Xếp hạng: độ liên quan theo tên (x2) cộng độ liên quan theo toàn bộ tài liệu
+ * - Sai chính tả: khi không có kết quả, các từ khóa được sửa theo danh sách từ trong tên sản phẩm
+ *   (xem correctTerm) rồi tìm lại
+ */
+
+const FULLTEXT_INDEXES = {
+  ft_product_search_name: 'name_text',
+  ft_product_search_text: 'search_text'
+}
+
+// Danh sách từ dùng để sửa lỗi gõ, được tải lại sau mỗi lần cập nhật index hoặc sau VOCABULARY_TTL
+const VOCABULARY_TTL = 5 * 60 * 1000
+let vocabulary = null
+let vocabularyLoadedAt = 0
+
+const getVocabulary = async () => {
+  if (!vocabulary || Date.now() - vocabularyLoadedAt > VOCABULARY_TTL) {
+    const rows = await ProductSearch.findAll({ attributes: ['name_text'], raw: true })
+    vocabulary = new Set(rows.flatMap(row => row.name_text.split(' ')))
+    vocabularyLoadedAt = Date.now()
+  }
+  return vocabulary
+}
+
+// ngram không index được từ 1 ký tự (ngram_token_size mặc định là 2)
+const indexableTerms = (terms) => terms.filter(term => term.length >= 2)
+
+const match = (column, query, mode) => `MATCH(${column}) AGAINST(${sequelize.escape(query)} IN ${mode} MODE)`
+
+// Mọi từ đều bắt buộc, từ đã chuẩn hóa chỉ gồm chữ/số nên đặt trong "" được luôn
+const requireAll = (terms) => terms.map(term => `+"${term}"`).join(' ')
+
+const findMatches = async (terms, offset, limit) => {
+  const text = terms.join(' ')
+  const relevance = `${match('name_text', text, 'NATURAL LANGUAGE')} * 2 + ${match('search_text', text, 'NATURAL LANGUAGE')}`
+
+  const { count, rows } = await ProductSearch.findAndCountAll({
+    attributes: ['product_id'],
+    where: literal(match('search_text', requireAll(terms), 'BOOLEAN')),
+    order: [[literal(relevance), 'DESC'], ['product_id', 'DESC']],
+    limit,
+    offset
+  })
+
+  return { ids: rows.map(row => row.product_id), total: count }
+}
+
+export const MysqlSearchEngine = {
+  name: 'mysql',
+
+  isEnabled: () => true,
+
+  // Bảng product_search do sequelize.sync() tạo nhưng không có FULLTEXT index
+  isReady: async () => {
+    const [indexes] = await sequelize.query('SHOW INDEX FROM product_search')
+    const hasIndexes = Object.keys(FULLTEXT_INDEXES).every(name => indexes.some(index => index.Key_name === name))
+    return hasIndexes && (await ProductSearch.count()) > 0
+  },
+
+  setup: async () => {
+    await ProductSearch.sync()
+    await ProductSearch.destroy({ truncate: true })
+
+    const [indexes] = await sequelize.query('SHOW INDEX FROM product_search')
+    for (const name of Object.keys(FULLTEXT_INDEXES)) {
+      if (indexes.some(index => index.Key_name === name)) {
+        await sequelize.query(`DROP INDEX ${name} ON product_search`)
+      }
+    }
+
+    // Stopword mặc định của InnoDB ("in", "on", "to"...) làm mất các cặp ký tự ngram trùng với chúng,
+    // cấu hình này được đọc lúc tạo index nên SET và CREATE phải chạy trên cùng một kết nối (transaction)
+    await sequelize.transaction(async (transaction) => {
+      await sequelize.query('SET SESSION innodb_ft_enable_stopword = OFF', { transaction })
+      for (const [name, column] of Object.entries(FULLTEXT_INDEXES)) {
+        await sequelize.query(`CREATE FULLTEXT INDEX ${name} ON product_search (${column}) WITH PARSER ngram`, { transaction })
+      }
+    })
+
+    vocabulary = null
+  },
+
+  indexProducts: async (documents) => {
+    await ProductSearch.bulkCreate(
+      documents.map(document => ({ ...document, updated_at: new Date() })),
+      { updateOnDuplicate: ['name_text', 'search_text', 'updated_at'] }
+    )
+    vocabulary = null
+  },
+
+  removeProducts: async (productIds) => {
+    await ProductSearch.destroy({ where: { product_id: productIds } })
+    vocabulary = null
+  },
+
+  search: async ({ terms, offset, limit }) => {
+    const searchTerms = indexableTerms(terms)
+    if (searchTerms.length === 0) return { ids: [], total: 0, correctedTerms: null }
+
+    const result = await findMatches(searchTerms, offset, limit)
+    if (result.total > 0) return { ...result, correctedTerms: null }
+
+    const words = await getVocabulary()
+    const correctedTerms = searchTerms.map(term => correctTerm(term, words))
+    if (correctedTerms.every((term, i) => term === searchTerms[i])) {
+      return { ...result, correctedTerms: null }
+    }
+
+    return { ...(await findMatches(correctedTerms, offset, limit)), correctedTerms }
+  },
+
+  // Gợi ý theo tên: từ cuối đang gõ dở vẫn khớp vì mỗi từ được tìm như một cụm ký tự
+  suggest: async ({ terms, limit }) => {
+    const searchTerms = indexableTerms(terms)
+    if (searchTerms.length === 0) return []
+
+    const rows = await ProductSearch.findAll({
+      attributes: ['product_id'],
+      where: literal(match('name_text', requireAll(searchTerms), 'BOOLEAN')),
+      order: [[literal(match('name_text', searchTerms.join(' '), 'NATURAL LANGUAGE')), 'DESC'], ['product_id', 'DESC']],
+      limit
+    })
+
+    return rows.map(row => row.product_id)
+  }
+}
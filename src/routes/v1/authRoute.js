@@ -6,6 +6,8 @@ import express from 'express'
 import { signupController } from '../../controllers/signupController'
 import { signinController } from '../../controllers/signinController'
 import { authController } from '../../controllers/authController'
+import { passwordController } from '../../controllers/passwordController'
+import { authMiddleware } from '../../middlewares/authMiddleware'
 
 const Router = express.Router()
 
@@ -29,4 +31,32 @@ Router.post('/refresh-token', authController.refreshToken)
 // POST /api/v1/auth/signout - Logout
 Router.post('/signout', authController.signout)
 
+// POST /api/v1/auth/signout-all - Logout from all devices
+Router.post('/signout-all',
+  authMiddleware.isAuthorized,
+  authController.signoutAll
+)
+
+// GET /api/v1/auth/sessions - List active sessions (signed-in devices)
+Router.get('/sessions',
+  authMiddleware.isAuthorized,
+  authController.getSessions
+)
+
+/**
+ * PASSWORD ROUTES
+ */
+
+// PUT /api/v1/auth/change-password - Change password (requires current password)
+Router.put('/change-password',
+  authMiddleware.isAuthorized,
+  passwordController.changePassword
+)
+
+// POST /api/v1/auth/forgot-password - Send password reset email
+Router.post('/forgot-password', passwordController.forgotPassword)
+
+// POST /api/v1/auth/reset-password - Reset password with single-use token
+Router.post('/reset-password', passwordController.resetPassword)
+
 export const authRoute = Router
@@ -1,13 +1,21 @@
 import express from 'express'
 import { StatusCodes } from 'http-status-codes'
 import { authRoute } from './authRoute'
+import { userRoute } from './userRoute'
 import { productRoute } from './productRoute'
 import { cartRoute } from './cartRoute'
 import { orderRoute } from './orderRoute'
 import { analyticRoute } from './analyticRoute'
 import { paymentRoute } from './paymentRoute'
+import { returnRoute } from './returnRoute'
+import { warrantyRoute } from './warrantyRoute'
 import { manageOrderRoute } from './manageOrderRoute'
 import { manageProductRoute } from './manageProductRoute'
+import { manageVoucherRoute } from './manageVoucherRoute'
+import { manageUserRoute } from './manageUserRoute'
+import { manageReturnRoute } from './manageReturnRoute'
+import { manageWarrantyRoute } from './manageWarrantyRoute'
+import { manageInventoryRoute } from './manageInventoryRoute'
 
 const Router = express.Router()
 
@@ -18,6 +26,9 @@ Router.get('/status', (req, res) => {
 // Auth APIs
 Router.use('/auth', authRoute)
 
+// User Profile & Address Book APIs
+Router.use('/users', userRoute)
+
 // Product APIs
 Router.use('/products', productRoute)
 
@@ -30,6 +41,12 @@ Router.use('/orders', orderRoute)
 // Payment APIs
 Router.use('/payment', paymentRoute)
 
+// Return Request (RMA) APIs
+Router.use('/returns', returnRoute)
+
+// Warranty APIs
+Router.use('/warranties', warrantyRoute)
+
 // Analytics APIs
 Router.use('/analytics', analyticRoute)
 
@@ -39,4 +56,19 @@ Router.use('/manage/orders', manageOrderRoute)
 // Admin - Manage Product APIs
 Router.use('/manage/products', manageProductRoute)
 
+// Admin - Manage Voucher APIs
+Router.use('/manage/vouchers', manageVoucherRoute)
+
+// Admin - Manage User APIs
+Router.use('/manage/users', manageUserRoute)
+
+// Admin - Manage Return Request APIs
+Router.use('/manage/returns', manageReturnRoute)
+
+// Admin - Warranty Lookup & Claim APIs
+Router.use('/manage/warranties', manageWarrantyRoute)
+
+// Admin - Inventory (goods receipts, adjustments, stock history) APIs
+Router.use('/manage/inventory', manageInventoryRoute)
+
 export const APIs_V1 = Router
\ No newline at end of file
@@ -0,0 +1,27 @@
+/**
+ * MANAGE INVENTORY ROUTES - Goods receipts, stock adjustments and stock history
+ */
+
+import express from 'express'
+import { manageInventoryController } from '../../controllers/manageInventoryController'
+import { authMiddleware } from '../../middlewares/authMiddleware'
+import { rbacMiddleware } from '../../middlewares/rbacMiddleware'
+
+const Router = express.Router()
+
+/**
+ * All manage inventory routes require authentication and admin role
+ */
+Router.use(authMiddleware.isAuthorized)
+Router.use(rbacMiddleware.isValidPermission(['ADMIN']))
+
+// POST /api/v1/manage/inventory/receipts - Post a goods receipt
+Router.post('/receipts', manageInventoryController.createGoodsReceipt)
+
+// POST /api/v1/manage/inventory/adjustments - Post a manual stock adjustment
+Router.post('/adjustments', manageInventoryController.createStockAdjustment)
+
+// GET /api/v1/manage/inventory/products/:product_id/movements - Stock history of a product
+Router.get('/products/:product_id/movements', manageInventoryController.getStockMovements)
+
+export const manageInventoryRoute = Router
@@ -27,4 +27,13 @@ Router.get('/:order_id', manageOrderController.getOrderDetails)
 // PUT /api/v1/manage/orders/:order_id - Update order information
 Router.put('/:order_id', manageOrderController.updateOrder)
 
+// GET /api/v1/manage/orders/:order_id/transactions - Payment gateway interaction history
+Router.get('/:order_id/transactions', manageOrderController.getPaymentTransactions)
+
+// POST /api/v1/manage/orders/:order_id/refund - Record a (partial) refund
+Router.post('/:order_id/refund', manageOrderController.refundPayment)
+
+// PUT /api/v1/manage/orders/:order_id/refunds/:refund_id - Settle a PENDING gateway refund
+Router.put('/:order_id/refunds/:refund_id', manageOrderController.settleRefund)
+
 export const manageOrderRoute = Router
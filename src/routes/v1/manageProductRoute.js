@@ -25,9 +25,9 @@ Router.get('/search', manageProductController.searchProducts)
 // GET /api/v1/manage/products/:product_id - Get product details
 Router.get('/:product_id', manageProductController.getProductDetails)
 
-// POST /api/v1/manage/products - Create new product
+// POST /api/v1/manage/products - Create new product (primary image + gallery images)
 Router.post('/',
-  multerUploadMiddleware.upload.single('image'),
+  multerUploadMiddleware.upload.fields([{ name: 'image', maxCount: 1 }, { name: 'images', maxCount: 10 }]),
   manageProductController.createProduct
 )
 
@@ -40,4 +40,31 @@ Router.put('/:product_id',
 // DELETE /api/v1/manage/products/:product_id - Delete product (soft delete)
 Router.delete('/:product_id', manageProductController.deleteProduct)
 
+// GET /api/v1/manage/products/:product_id/units - Get serial-numbered units
+Router.get('/:product_id/units', manageProductController.getProductUnits)
+
+// POST /api/v1/manage/products/:product_id/units - Add serial-numbered units
+Router.post('/:product_id/units', manageProductController.addProductUnits)
+
+// PUT /api/v1/manage/products/:product_id/units/tracking - Enable or disable serial tracking
+Router.put('/:product_id/units/tracking', manageProductController.updateSerialTracking)
+
+// GET /api/v1/manage/products/:product_id/images - Get the image gallery
+Router.get('/:product_id/images', manageProductController.getProductImages)
+
+// POST /api/v1/manage/products/:product_id/images - Upload images to the gallery
+Router.post('/:product_id/images',
+  multerUploadMiddleware.upload.array('images', 10),
+  manageProductController.addProductImages
+)
+
+// PUT /api/v1/manage/products/:product_id/images/order - Reorder the gallery
+Router.put('/:product_id/images/order', manageProductController.reorderProductImages)
+
+// PUT /api/v1/manage/products/:product_id/images/:image_id/primary - Set the primary image
+Router.put('/:product_id/images/:image_id/primary', manageProductController.setPrimaryProductImage)
+
+// DELETE /api/v1/manage/products/:product_id/images/:image_id - Delete a gallery image
+Router.delete('/:product_id/images/:image_id', manageProductController.deleteProductImage)
+
 export const manageProductRoute = Router
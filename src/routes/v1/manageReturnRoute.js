@@ -0,0 +1,39 @@
+/**
+ * MANAGE RETURN ROUTES - Admin return / exchange request (RMA) management
+ */
+
+import express from 'express'
+import { manageReturnController } from '../../controllers/manageReturnController'
+import { authMiddleware } from '../../middlewares/authMiddleware'
+import { rbacMiddleware } from '../../middlewares/rbacMiddleware'
+
+const Router = express.Router()
+
+/**
+ * All manage return routes require authentication and admin role
+ */
+Router.use(authMiddleware.isAuthorized)
+Router.use(rbacMiddleware.isValidPermission(['ADMIN']))
+
+// GET /api/v1/manage/returns - Get all return requests
+Router.get('/', manageReturnController.getAllReturnRequests)
+
+// GET /api/v1/manage/returns/:return_id - Get return request details
+Router.get('/:return_id', manageReturnController.getReturnRequestDetails)
+
+// PUT /api/v1/manage/returns/:return_id/approve - Approve a request
+Router.put('/:return_id/approve', manageReturnController.approveReturnRequest)
+
+// PUT /api/v1/manage/returns/:return_id/reject - Reject a request
+Router.put('/:return_id/reject', manageReturnController.rejectReturnRequest)
+
+// PUT /api/v1/manage/returns/:return_id/receive - Receive the items and restock them
+Router.put('/:return_id/receive', manageReturnController.receiveReturnRequest)
+
+// POST /api/v1/manage/returns/:return_id/refund - Refund a received return
+Router.post('/:return_id/refund', manageReturnController.refundReturnRequest)
+
+// PUT /api/v1/manage/returns/:return_id/complete - Close a received request without refund
+Router.put('/:return_id/complete', manageReturnController.completeReturnRequest)
+
+export const manageReturnRoute = Router
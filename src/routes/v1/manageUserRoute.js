@@ -0,0 +1,36 @@
+/**
+ * MANAGE USER ROUTES - Admin user management
+ */
+
+import express from 'express'
+import { manageUserController } from '../../controllers/manageUserController'
+import { authMiddleware } from '../../middlewares/authMiddleware'
+import { rbacMiddleware } from '../../middlewares/rbacMiddleware'
+
+const Router = express.Router()
+
+/**
+ * All manage user routes require authentication and admin role
+ */
+Router.use(authMiddleware.isAuthorized)
+Router.use(rbacMiddleware.isValidPermission(['ADMIN']))
+
+// GET /api/v1/manage/users - Get all users (paginated, filter by role/is_active)
+Router.get('/', manageUserController.getAllUsers)
+
+// GET /api/v1/manage/users/search - Search users by keyword
+Router.get('/search', manageUserController.searchUsers)
+
+// GET /api/v1/manage/users/:user_id - Get user details with order statistics
+Router.get('/:user_id', manageUserController.getUserDetails)
+
+// GET /api/v1/manage/users/:user_id/orders - Get orders of a user
+Router.get('/:user_id/orders', manageUserController.getUserOrders)
+
+// PUT /api/v1/manage/users/:user_id/role - Promote/demote user
+Router.put('/:user_id/role', manageUserController.updateUserRole)
+
+// PUT /api/v1/manage/users/:user_id/status - Activate/deactivate user account
+Router.put('/:user_id/status', manageUserController.updateUserStatus)
+
+export const manageUserRoute = Router
@@ -0,0 +1,33 @@
+/**
+ * MANAGE VOUCHER ROUTES - Admin voucher management
+ */
+
+import express from 'express'
+import { manageVoucherController } from '../../controllers/manageVoucherController'
+import { authMiddleware } from '../../middlewares/authMiddleware'
+import { rbacMiddleware } from '../../middlewares/rbacMiddleware'
+
+const Router = express.Router()
+
+/**
+ * All manage voucher routes require authentication and admin role
+ */
+Router.use(authMiddleware.isAuthorized)
+Router.use(rbacMiddleware.isValidPermission(['ADMIN']))
+
+// GET /api/v1/manage/vouchers - Get all vouchers
+Router.get('/', manageVoucherController.getAllVouchers)
+
+// GET /api/v1/manage/vouchers/:voucher_id - Get voucher details
+Router.get('/:voucher_id', manageVoucherController.getVoucherDetails)
+
+// POST /api/v1/manage/vouchers - Create new voucher
+Router.post('/', manageVoucherController.createVoucher)
+
+// PUT /api/v1/manage/vouchers/:voucher_id - Update voucher
+Router.put('/:voucher_id', manageVoucherController.updateVoucher)
+
+// DELETE /api/v1/manage/vouchers/:voucher_id - Delete voucher (only if never used)
+Router.delete('/:voucher_id', manageVoucherController.deleteVoucher)
+
+export const manageVoucherRoute = Router
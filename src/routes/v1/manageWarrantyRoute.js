@@ -0,0 +1,30 @@
+/**
+ * MANAGE WARRANTY ROUTES - Warranty lookup and claim handling for staff
+ */
+
+import express from 'express'
+import { manageWarrantyController } from '../../controllers/manageWarrantyController'
+import { authMiddleware } from '../../middlewares/authMiddleware'
+import { rbacMiddleware } from '../../middlewares/rbacMiddleware'
+
+const Router = express.Router()
+
+/**
+ * All manage warranty routes require authentication and admin role
+ */
+Router.use(authMiddleware.isAuthorized)
+Router.use(rbacMiddleware.isValidPermission(['ADMIN']))
+
+// GET /api/v1/manage/warranties/lookup?order_id=5 | ?phone=xxx | ?serial=xxx - Warranty status of delivered units
+Router.get('/lookup', manageWarrantyController.lookupWarranties)
+
+// GET /api/v1/manage/warranties/claims - Get all warranty claims
+Router.get('/claims', manageWarrantyController.getAllClaims)
+
+// GET /api/v1/manage/warranties/claims/:claim_id - Get warranty claim details
+Router.get('/claims/:claim_id', manageWarrantyController.getClaimDetails)
+
+// PUT /api/v1/manage/warranties/claims/:claim_id/status - Update warranty claim status
+Router.put('/claims/:claim_id/status', manageWarrantyController.updateClaimStatus)
+
+export const manageWarrantyRoute = Router
@@ -36,6 +36,12 @@ Router.get('/:order_id',
   orderController.getOrderDetails
 )
 
+// POST /api/v1/orders/:order_id/payment - Create a new payment URL for an unpaid order
+Router.post('/:order_id/payment',
+  authMiddleware.isAuthorized,
+  orderController.retryPayment
+)
+
 // PUT /api/v1/orders/:order_id/cancel - Cancel order
 Router.put('/:order_id/cancel',
   authMiddleware.isAuthorized,
@@ -4,17 +4,45 @@
 
 import express from 'express'
 import { paymentController } from '../../controllers/paymentController'
+import { authMiddleware } from '../../middlewares/authMiddleware'
 
 const Router = express.Router()
 
+// GET /api/v1/payment/methods - Get available payment methods
+Router.get('/methods', paymentController.getPaymentMethods)
+
+/**
+ * SANDBOX PAYMENT PAGE
+ * Only available when PAYMENT_SANDBOX_ENABLED=true
+ */
+
+// GET /api/v1/payment/sandbox/pay - Simulate paying on the sandbox gateway
+Router.get('/sandbox/pay', paymentController.payWithSandbox)
+
+/**
+ * PAYMENT GATEWAY CALLBACK
+ * No authentication required - this is called by the gateway server
+ */
+
+// POST /api/v1/payment/:gateway/callback - Gateway IPN callback (e.g. /payment/momo/callback)
+Router.post('/:gateway/callback',
+  paymentController.handleCallback
+)
+
+// GET /api/v1/payment/:gateway/callback - Gateway IPN callback sent as GET (VNPay)
+Router.get('/:gateway/callback',
+  paymentController.handleCallback
+)
+
 /**
- * MOMO PAYMENT CALLBACK
- * No authentication required - this is called by MoMo server
+ * PAYMENT VERIFICATION
+ * Called by frontend after redirect from the gateway - status is queried from the gateway
  */
 
-// POST /api/v1/payment/momo/callback - MoMo IPN callback
-Router.post('/momo/callback',
-  paymentController.handleMoMoCallback
+// POST /api/v1/payment/:gateway/verify - Check payment status with the gateway
+Router.post('/:gateway/verify',
+  authMiddleware.isAuthorized,
+  paymentController.verifyPayment
 )
 
 export const paymentRoute = Router
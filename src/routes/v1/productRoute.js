@@ -11,12 +11,18 @@ const Router = express.Router()
  * PUBLIC ROUTES
  */
 
-// GET /api/v1/products - Get all products with pagination
+// GET /api/v1/products - Get all products with pagination, filters, sorting and facet counts
 Router.get('/', productController.getAllProducts)
 
 // GET /api/v1/products/search - Search products by keyword
 Router.get('/search', productController.searchProducts)
 
+// GET /api/v1/products/suggest?keyword=thinkp - Autocomplete product names
+Router.get('/suggest', productController.suggestProducts)
+
+// GET /api/v1/products/compare?ids=1,2,3 - Compare 2 to 4 products
+Router.get('/compare', productController.compareProducts)
+
 // GET /api/v1/products/:id - Get product details
 Router.get('/:id', productController.getProductDetails)
 
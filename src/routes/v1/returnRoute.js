@@ -0,0 +1,41 @@
+/**
+ * RETURN ROUTES - Customer return / exchange requests (RMA)
+ */
+
+import express from 'express'
+import { returnController } from '../../controllers/returnController'
+import { authMiddleware } from '../../middlewares/authMiddleware'
+import { multerUploadMiddleware } from '../../middlewares/multerUploadMiddleware'
+
+const Router = express.Router()
+
+/**
+ * All return routes require authentication
+ */
+
+// POST /api/v1/returns - Open a return request on a completed order (up to 5 photos)
+Router.post('/',
+  authMiddleware.isAuthorized,
+  multerUploadMiddleware.upload.array('images', 5),
+  returnController.createReturnRequest
+)
+
+// GET /api/v1/returns - Get user's return requests
+Router.get('/',
+  authMiddleware.isAuthorized,
+  returnController.getMyReturnRequests
+)
+
+// GET /api/v1/returns/:return_id - Get return request details
+Router.get('/:return_id',
+  authMiddleware.isAuthorized,
+  returnController.getReturnRequestDetails
+)
+
+// PUT /api/v1/returns/:return_id/cancel - Cancel a request waiting for review
+Router.put('/:return_id/cancel',
+  authMiddleware.isAuthorized,
+  returnController.cancelReturnRequest
+)
+
+export const returnRoute = Router
@@ -0,0 +1,37 @@
+/**
+ * USER ROUTES - Profile and address book of the signed-in customer
+ */
+
+import express from 'express'
+import { userController } from '../../controllers/userController'
+import { authMiddleware } from '../../middlewares/authMiddleware'
+
+const Router = express.Router()
+
+/**
+ * All user routes require authentication
+ */
+Router.use(authMiddleware.isAuthorized)
+
+// GET /api/v1/users/me - Get profile
+Router.get('/me', userController.getProfile)
+
+// PUT /api/v1/users/me - Update profile
+Router.put('/me', userController.updateProfile)
+
+// GET /api/v1/users/me/addresses - Get saved addresses
+Router.get('/me/addresses', userController.getAddresses)
+
+// POST /api/v1/users/me/addresses - Add new address
+Router.post('/me/addresses', userController.addAddress)
+
+// PUT /api/v1/users/me/addresses/:address_id - Update address
+Router.put('/me/addresses/:address_id', userController.updateAddress)
+
+// PUT /api/v1/users/me/addresses/:address_id/default - Set default address
+Router.put('/me/addresses/:address_id/default', userController.setDefaultAddress)
+
+// DELETE /api/v1/users/me/addresses/:address_id - Delete address
+Router.delete('/me/addresses/:address_id', userController.deleteAddress)
+
+export const userRoute = Router
@@ -0,0 +1,39 @@
+/**
+ * WARRANTY ROUTES - Customer warranties and warranty claims
+ */
+
+import express from 'express'
+import { warrantyController } from '../../controllers/warrantyController'
+import { authMiddleware } from '../../middlewares/authMiddleware'
+
+const Router = express.Router()
+
+/**
+ * All warranty routes require authentication
+ */
+
+// GET /api/v1/warranties - Get warranties of the user's delivered products
+Router.get('/',
+  authMiddleware.isAuthorized,
+  warrantyController.getMyWarranties
+)
+
+// POST /api/v1/warranties/claims - Open a warranty claim
+Router.post('/claims',
+  authMiddleware.isAuthorized,
+  warrantyController.createClaim
+)
+
+// GET /api/v1/warranties/claims - Get user's warranty claims
+Router.get('/claims',
+  authMiddleware.isAuthorized,
+  warrantyController.getMyClaims
+)
+
+// GET /api/v1/warranties/claims/:claim_id - Get warranty claim details
+Router.get('/claims/:claim_id',
+  authMiddleware.isAuthorized,
+  warrantyController.getClaimDetails
+)
+
+export const warrantyRoute = Router
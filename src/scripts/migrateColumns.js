@@ -0,0 +1,103 @@
+/**
+ * MIGRATE COLUMNS - Thêm các cột mới vào database đã có
+ *
+ * sequelize.sync() chỉ tạo các bảng còn thiếu, không sửa bảng đã có. Script này thêm các cột
+ * được bổ sung vào model sau khi bảng đã được tạo và mở rộng các cột ENUM có thêm giá trị,
+ * theo đúng định nghĩa trong model, rồi điền giá trị cho các dòng cũ khi cần.
+ * Cột đã có và đã đúng kiểu được bỏ qua, nên chạy lại nhiều lần không sao.
+ *
+ * Cách chạy:
+ *   npm run migrate-columns                 # thêm các cột còn thiếu
+ *   npm run migrate-columns -- --dry-run    # chỉ in các thay đổi, không ghi
+ */
+
+/* eslint-disable no-console */
+import { connectDB, sequelize } from '~/config/sequelize'
+import { OrderItem, Payment, PaymentTransaction, Product, RefreshToken, Refund, StockMovement, User, Voucher } from '~/models/index'
+
+// Cột thêm vào model sau khi bảng đã có trên các database đang chạy
+const ADDED_COLUMNS = [
+  [Voucher, ['discount_type', 'scope', 'scope_brand', 'usage_limit', 'per_user_limit', 'min_order_value', 'start_date', 'end_date']],
+  [Payment, ['attempt_count', 'attempted_at', 'gateway_order_id', 'trans_id', 'result_code', 'refunded_amount']],
+  [Refund, ['trans_id', 'status', 'failure_reason', 'updated_at']],
+  [OrderItem, ['discount_amount', 'warranty_start', 'warranty_end']],
+  [Product, ['track_serials']],
+  [User, ['password_changed_at', 'tokens_valid_after']]
+]
+
+// Cột đổi kiểu hoặc có thêm giá trị ENUM
+const CHANGED_COLUMNS = [
+  [Payment, ['method', 'payment_status']],
+  [PaymentTransaction, ['type']],
+  [RefreshToken, ['revoke_reason']],
+  [StockMovement, ['reason']]
+]
+
+// Giá trị cho các dòng cũ, chỉ chạy khi cột vừa được thêm
+const BACKFILLS = {
+  // Lần thanh toán hiện tại của đơn cũ bắt đầu lúc đặt hàng
+  'payments.attempted_at': `UPDATE payments p JOIN orders o ON o.order_id = p.order_id
+    SET p.attempted_at = o.order_date`,
+  // Tổng các khoản hoàn tiền đã ghi (trước đây mọi refund đều thành công)
+  'payments.refunded_amount': `UPDATE payments p
+    SET p.refunded_amount = (SELECT COALESCE(SUM(r.amount), 0) FROM refunds r WHERE r.payment_id = p.payment_id AND r.status <> 'FAILED')`
+}
+
+/**
+ * So kiểu cột trong database với kiểu trong model
+ * @param {string} current - Kiểu trả về bởi describeTable, vd: ENUM('COD','MOMO'), VARCHAR(20)
+ * @param {Object} attribute - Định nghĩa cột trong model
+ * @returns {boolean} - True nếu cột đã đúng kiểu
+ */
+const isUpToDate = (current, attribute) => {
+  if (attribute.type.values) {
+    return current.startsWith('ENUM') && attribute.type.values.every(value => current.includes(`'${value}'`))
+  }
+  return current.toUpperCase() === attribute.type.toSql().toUpperCase()
+}
+
+const migrate = async ({ dryRun }) => {
+  const queryInterface = sequelize.getQueryInterface()
+  const added = []
+  let changed = 0
+
+  for (const [model, columns] of ADDED_COLUMNS) {
+    const table = model.getTableName()
+    const existing = await queryInterface.describeTable(table)
+
+    for (const column of columns.filter(name => !existing[name])) {
+      console.log(`${dryRun ? '[dry-run] ' : ''}+ ${table}.${column}`)
+      if (!dryRun) await queryInterface.addColumn(table, column, model.rawAttributes[column])
+      added.push(`${table}.${column}`)
+    }
+  }
+
+  for (const [model, columns] of CHANGED_COLUMNS) {
+    const table = model.getTableName()
+    const existing = await queryInterface.describeTable(table)
+
+    for (const column of columns.filter(name => !isUpToDate(existing[name].type, model.rawAttributes[name]))) {
+      console.log(`${dryRun ? '[dry-run] ' : ''}~ ${table}.${column} (${existing[column].type})`)
+      if (!dryRun) await queryInterface.changeColumn(table, column, model.rawAttributes[column])
+      changed++
+    }
+  }
+
+  for (const column of added.filter(name => BACKFILLS[name])) {
+    console.log(`${dryRun ? '[dry-run] ' : ''}  backfill ${column}`)
+    if (!dryRun) await sequelize.query(BACKFILLS[column])
+  }
+
+  console.log(`${dryRun ? '[dry-run] ' : ''}${added.length} column(s) added, ${changed} column(s) changed`)
+}
+
+(async () => {
+  try {
+    await connectDB()
+    await migrate({ dryRun: process.argv.includes('--dry-run') })
+    await sequelize.close()
+  } catch (error) {
+    console.error('❌ Column migration failed:', error)
+    process.exit(1)
+  }
+})()
@@ -0,0 +1,79 @@
+/**
+ * MIGRATE PRODUCT SPECS - Chuẩn hóa thông số của các sản phẩm đã có
+ *
+ * Đọc các cột thông số dạng chuỗi (cpu, ram, storage, gpu, screen, weight, battery) của từng sản phẩm
+ * và ghi thông số có kiểu vào product_specs (bảng được tạo bởi sequelize.sync()).
+ * Sản phẩm đã có product_specs được bỏ qua, trừ khi chạy với --force.
+ * Các cột không đọc được được liệt kê để admin nhập tay (ram_gb, screen_inches...).
+ *
+ * Cách chạy:
+ *   npm run migrate-specs                 # ghi product_specs cho các sản phẩm chưa có
+ *   npm run migrate-specs -- --dry-run    # chỉ in kết quả, không ghi
+ *   npm run migrate-specs -- --force      # đọc lại cả các sản phẩm đã có product_specs
+ */
+
+/* eslint-disable no-console */
+import { connectDB, sequelize } from '~/config/sequelize'
+import { Product, ProductSpec } from '~/models/index'
+import { productService } from '~/services/productService'
+import { buildProductSpecs } from '~/utils/specParser'
+
+const TEXT_COLUMNS = ['cpu', 'ram', 'storage', 'gpu', 'screen', 'weight', 'battery']
+const BATCH_SIZE = 100
+
+const migrate = async ({ dryRun, force }) => {
+  let migrated = 0
+  let skipped = 0
+  const incomplete = []
+
+  for (let offset = 0; ; offset += BATCH_SIZE) {
+    const products = await Product.findAll({
+      attributes: ['product_id', 'product_name', ...TEXT_COLUMNS],
+      include: [{ model: ProductSpec, as: 'spec', attributes: ['product_id'] }],
+      order: [['product_id', 'ASC']],
+      limit: BATCH_SIZE,
+      offset
+    })
+    if (products.length === 0) break
+
+    for (const product of products) {
+      if (product.spec && !force) {
+        skipped++
+        continue
+      }
+
+      // Không chặt chẽ: phần đọc được vẫn được lưu, phần còn lại để null
+      const { specs, unparsed } = buildProductSpecs(product.toJSON(), false)
+      if (unparsed.length > 0) {
+        incomplete.push(`#${product.product_id} ${product.product_name}: ${unparsed.map(column => `${column}="${product[column]}"`).join(', ')}`)
+      }
+
+      if (dryRun) {
+        console.log(`#${product.product_id}`, JSON.stringify(specs))
+      } else {
+        await productService.upsertSpecs(product.product_id, specs)
+      }
+      migrated++
+    }
+  }
+
+  console.log(`${dryRun ? '[dry-run] ' : ''}${migrated} product(s) migrated, ${skipped} already had specs`)
+  if (incomplete.length > 0) {
+    console.log(`⚠️  ${incomplete.length} product(s) have specs that could not be read, set them from the admin form:`)
+    incomplete.forEach(line => console.log(`   ${line}`))
+  }
+}
+
+(async () => {
+  try {
+    await connectDB()
+    await migrate({
+      dryRun: process.argv.includes('--dry-run'),
+      force: process.argv.includes('--force')
+    })
+    await sequelize.close()
+  } catch (error) {
+    console.error('❌ Spec migration failed:', error)
+    process.exit(1)
+  }
+})()
@@ -0,0 +1,37 @@
+/**
+ * SETUP PRODUCT INDEXES - Tạo lại index tìm kiếm sản phẩm
+ *
+ * Tạo lại index của search engine đang cấu hình (SEARCH_ENGINE) rồi đưa toàn bộ sản phẩm
+ * đang hiển thị vào index:
+ *   - mysql: bảng product_search với FULLTEXT index dùng parser ngram, không dùng stopword
+ *   - elasticsearch: index ELASTICSEARCH_INDEX với analyzer bỏ dấu và autocomplete
+ * Server tự tạo index lúc khởi động nếu index chưa có hoặc rỗng (cài đặt lần đầu, đổi SEARCH_ENGINE);
+ * chạy script này khi kết quả tìm kiếm bị lệch với dữ liệu.
+ * Trong lúc chạy, tìm kiếm chỉ trả về các sản phẩm đã được index lại.
+ *
+ * Cách chạy:
+ *   npm run setup-indexes
+ */
+
+/* eslint-disable no-console */
+import { connectDB, sequelize } from '~/config/sequelize'
+import { env } from '~/config/environment'
+import { searchService } from '~/services/searchService'
+
+const setupIndexes = async () => {
+  console.log(`🔧 Recreating the ${env.SEARCH_ENGINE} search index...`)
+  const indexed = await searchService.rebuildIndex()
+
+  console.log(`✅ ${indexed} product(s) indexed`)
+}
+
+(async () => {
+  try {
+    await connectDB()
+    await setupIndexes()
+    await sequelize.close()
+  } catch (error) {
+    console.error('❌ Index setup failed:', error)
+    process.exit(1)
+  }
+})()
@@ -11,6 +11,8 @@ import { errorHandlingMiddleware } from '~/middlewares/errorHandlingMiddleware'
 import cors from 'cors'
 import { corsOptions } from './config/cors'
 import cookieParser from 'cookie-parser'
+import { expireUnpaidOrdersJob } from '~/jobs/expireUnpaidOrdersJob'
+import { searchService } from '~/services/searchService'
 
 /**
  * Hàm khởi động Express server và cấu hình các middleware
@@ -65,7 +67,22 @@ const START_SERVER = () => {
     await import('./models/index.js')
     console.log('✅ Models loaded!')
 
+    // Index tìm kiếm chưa có (cài đặt lần đầu, đổi SEARCH_ENGINE): tạo và index toàn bộ sản phẩm
+    try {
+      const indexed = await searchService.ensureIndex()
+      if (indexed !== null) {
+        console.log(`✅ Search index built (${indexed} products)`)
+      }
+    } catch (error) {
+      console.error('❌ Search index setup failed, run npm run setup-indexes:', error.message)
+    }
+
     START_SERVER()
+
+    // Scheduled jobs
+    if (expireUnpaidOrdersJob.start()) {
+      console.log(`⏰ Unpaid order expiry job scheduled (${env.ORDER_EXPIRY_CRON})`)
+    }
   } catch (error) {
     console.error('Failed to start server:', error)
     process.exit(1)
@@ -0,0 +1,179 @@
+/**
+ * ADDRESS SERVICE - Business Logic Layer
+ * Manages the saved shipping addresses (address book) of a customer
+ */
+
+import { Address } from '../models/index'
+import ApiError from '../utils/ApiError'
+import { StatusCodes } from 'http-status-codes'
+import { Op } from 'sequelize'
+import { sequelize } from '../config/sequelize.js'
+
+/**
+ * Gets all saved addresses of a user (default address first)
+ * @param {number} user_id - User ID
+ * @returns {Promise<Array>} - List of addresses
+ */
+const getAddresses = async (user_id) => {
+  try {
+    const addresses = await Address.findAll({
+      where: { user_id },
+      order: [['is_default', 'DESC'], ['address_id', 'DESC']]
+    })
+
+    return addresses
+  } catch (error) {
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error getting addresses')
+  }
+}
+
+/**
+ * Gets a saved address that belongs to the user
+ * @param {number} address_id - Address ID
+ * @param {number} user_id - Owner user ID
+ * @returns {Promise<Object>} - Address object
+ */
+const getAddress = async (address_id, user_id) => {
+  try {
+    const address = await Address.findOne({
+      where: { address_id, user_id }
+    })
+
+    if (!address) {
+      throw new ApiError(StatusCodes.NOT_FOUND, 'Address not found')
+    }
+
+    return address
+  } catch (error) {
+    if (error instanceof ApiError) throw error
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error getting address')
+  }
+}
+
+/**
+ * Saves a new address
+ * The first address of a user always becomes the default one
+ * @param {Object} address - Address data { user_id, receiver_name, phone, shipment_address, is_default }
+ * @returns {Promise<Object>} - Created address
+ */
+const insertAddress = async (address) => {
+  try {
+    return await sequelize.transaction(async (transaction) => {
+      const existingCount = await Address.count({
+        where: { user_id: address.user_id },
+        transaction
+      })
+      const isDefault = existingCount === 0 || !!address.is_default
+
+      if (isDefault) {
+        await Address.update(
+          { is_default: false },
+          { where: { user_id: address.user_id }, transaction }
+        )
+      }
+
+      return await Address.create({
+        user_id: address.user_id,
+        receiver_name: address.receiver_name,
+        phone: address.phone,
+        shipment_address: address.shipment_address,
+        is_default: isDefault
+      }, { transaction })
+    })
+  } catch (error) {
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error inserting address')
+  }
+}
+
+/**
+ * Updates a saved address
+ * @param {Object} address - Address data { address_id, user_id, receiver_name, phone, shipment_address }
+ * @returns {Promise<Boolean>} - True if successful
+ */
+const updateAddress = async (address) => {
+  try {
+    const updateData = {}
+
+    if (address.receiver_name) updateData.receiver_name = address.receiver_name
+    if (address.phone) updateData.phone = address.phone
+    if (address.shipment_address) updateData.shipment_address = address.shipment_address
+
+    const [updated] = await Address.update(updateData, {
+      where: { address_id: address.address_id, user_id: address.user_id }
+    })
+
+    return updated > 0
+  } catch (error) {
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error updating address')
+  }
+}
+
+/**
+ * Marks an address as the default one (and unmarks the others)
+ * @param {number} address_id - Address ID
+ * @param {number} user_id - Owner user ID
+ * @returns {Promise<Boolean>} - True if successful
+ */
+const setDefaultAddress = async (address_id, user_id) => {
+  try {
+    await sequelize.transaction(async (transaction) => {
+      await Address.update(
+        { is_default: false },
+        { where: { user_id, address_id: { [Op.ne]: address_id } }, transaction }
+      )
+      await Address.update(
+        { is_default: true },
+        { where: { user_id, address_id }, transaction }
+      )
+    })
+
+    return true
+  } catch (error) {
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error setting default address')
+  }
+}
+
+/**
+ * Removes a saved address
+ * If it was the default address, the most recent remaining address becomes default
+ * @param {number} address_id - Address ID
+ * @param {number} user_id - Owner user ID
+ * @returns {Promise<Boolean>} - True if successful
+ */
+const deleteAddress = async (address_id, user_id) => {
+  try {
+    const address = await Address.findOne({ where: { address_id, user_id } })
+    if (!address) {
+      throw new ApiError(StatusCodes.NOT_FOUND, 'Address not found')
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await address.destroy({ transaction })
+
+      if (address.is_default) {
+        const nextDefault = await Address.findOne({
+          where: { user_id },
+          order: [['address_id', 'DESC']],
+          transaction
+        })
+        if (nextDefault) {
+          await nextDefault.update({ is_default: true }, { transaction })
+        }
+      }
+    })
+
+    return true
+  } catch (error) {
+    if (error instanceof ApiError) throw error
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error deleting address')
+  }
+}
+
+export const addressService = {
+  getAddresses,
+  getAddress,
+  insertAddress,
+  updateAddress,
+  setDefaultAddress,
+  deleteAddress
+}
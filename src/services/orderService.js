@@ -3,16 +3,31 @@
  * Implements exact functions from Order entity specification
  */
 
-import { Order, OrderItem, Product } from '../models/index'
+import { fn, col, Op } from 'sequelize'
+import { Order, OrderItem, Product, Payment, OrderStatusHistory } from '../models/index'
 import ApiError from '../utils/ApiError'
+import { addMonths } from '../utils/dateUtils'
 import { StatusCodes } from 'http-status-codes'
 
+// Allowed order status transitions, COMPLETED and CANCELLED are final
+const ORDER_STATUS_TRANSITIONS = {
+  PENDING: ['CONFIRMED', 'CANCELLED'],
+  CONFIRMED: ['SHIPPING', 'CANCELLED'],
+  SHIPPING: ['COMPLETED'],
+  COMPLETED: [],
+  CANCELLED: []
+}
+
+// Statuses an online-paid order can only reach once the payment went through (COD is paid on delivery)
+const PAYMENT_REQUIRED_STATUSES = ['SHIPPING', 'COMPLETED']
+
 /**
- * Creates a new order record
+ * Creates a new order record and the first entry of its status history
  * @param {Object} order - Order data { user_id, receiver_name, phone, shipment_address, total_amount, order_status, order_date, voucher_id }
+ * @param {Object} transaction - Sequelize transaction (optional)
  * @returns {Promise<Object>} - Created order object
  */
-const insertOrder = async (order) => {
+const insertOrder = async (order, transaction = null) => {
   try {
     const newOrder = await Order.create({
       user_id: order.user_id,
@@ -23,7 +38,16 @@ const insertOrder = async (order) => {
       order_status: order.order_status || 'PENDING',
       order_date: order.order_date || new Date(),
       voucher_id: order.voucher_id || null
-    })
+    }, { transaction })
+
+    await OrderStatusHistory.create({
+      order_id: newOrder.order_id,
+      from_status: null,
+      to_status: newOrder.order_status,
+      changed_by: order.user_id,
+      actor: 'CUSTOMER',
+      note: 'Order placed'
+    }, { transaction })
 
     return newOrder
   } catch (error) {
@@ -76,11 +100,15 @@ const getOrders = async (user_id, page = 1, limit = 10, status = null) => {
 /**
  * Gets details of a specific order
  * @param {number} order_id - Order ID
+ * @param {Object} transaction - Sequelize transaction (optional, locks the order row)
  * @returns {Promise<Object>} - Order object
  */
-const getOrder = async (order_id) => {
+const getOrder = async (order_id, transaction = null) => {
   try {
-    const order = await Order.findByPk(order_id)
+    const order = await Order.findByPk(order_id, {
+      transaction,
+      lock: transaction ? transaction.LOCK.UPDATE : undefined
+    })
 
     if (!order) {
       throw new ApiError(StatusCodes.NOT_FOUND, 'Order not found')
@@ -94,34 +122,150 @@ const getOrder = async (order_id) => {
 }
 
 /**
- * Changes status (e.g., Cancelled)
+ * Gets the statuses an order can move to from its current status
+ * @param {string} status - Current order status
+ * @returns {Array<string>} - Allowed next statuses
+ */
+const getAllowedTransitions = (status) => {
+  return ORDER_STATUS_TRANSITIONS[status] || []
+}
+
+/**
+ * Changes status (e.g., Cancelled) following ORDER_STATUS_TRANSITIONS and records it in order_status_history
+ * Online-paid orders must be PAID (or partially refunded) before SHIPPING and COMPLETED
  * @param {number} order_id - Order ID
  * @param {string} status - New order status
+ * @param {Object} change - Who and why { changed_by, actor: CUSTOMER | ADMIN | SYSTEM, note }
+ * @param {Object} transaction - Sequelize transaction (optional, locks the order row)
  * @returns {Promise<Boolean>} - True if successful
  */
-const updateOrderStatus = async (order_id, status) => {
+const updateOrderStatus = async (order_id, status, change = {}, transaction = null) => {
   try {
+    if (!ORDER_STATUS_TRANSITIONS[status]) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, `Invalid order status. Must be one of: ${Object.keys(ORDER_STATUS_TRANSITIONS).join(', ')}`)
+    }
+
+    const order = await Order.findByPk(order_id, {
+      transaction,
+      lock: transaction ? transaction.LOCK.UPDATE : undefined
+    })
+
+    if (!order) {
+      throw new ApiError(StatusCodes.NOT_FOUND, 'Order not found')
+    }
+
+    const fromStatus = order.order_status
+    if (!getAllowedTransitions(fromStatus).includes(status)) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, `Cannot change order status from ${fromStatus} to ${status}`)
+    }
+
+    if (PAYMENT_REQUIRED_STATUSES.includes(status)) {
+      const payment = await Payment.findOne({ where: { order_id }, transaction })
+      if (payment && payment.method !== 'COD' && !['PAID', 'PARTIALLY_REFUNDED'].includes(payment.payment_status)) {
+        throw new ApiError(StatusCodes.BAD_REQUEST, `Order paid with ${payment.method} must be paid before ${status}`)
+      }
+    }
+
+    // The money of a paid order must go back first (refund endpoint), it is not kept on a cancelled order
+    if (status === 'CANCELLED') {
+      const payment = await Payment.findOne({ where: { order_id }, transaction })
+      if (payment && ['PAID', 'PARTIALLY_REFUNDED'].includes(payment.payment_status)) {
+        throw new ApiError(StatusCodes.BAD_REQUEST, 'A paid order can only be cancelled once its payment is refunded')
+      }
+    }
+
     const [updated] = await Order.update(
       { order_status: status },
-      { where: { order_id } }
+      { where: { order_id }, transaction }
     )
 
+    // Warranty of every unit starts on delivery, and COD orders are paid on delivery
+    if (status === 'COMPLETED') {
+      await setWarrantyDates(order_id, new Date(), transaction)
+      await Payment.update(
+        { payment_status: 'PAID' },
+        { where: { order_id, method: 'COD', payment_status: 'PENDING' }, transaction }
+      )
+    }
+
+    await OrderStatusHistory.create({
+      order_id,
+      from_status: fromStatus,
+      to_status: status,
+      changed_by: change.changed_by || null,
+      actor: change.actor || 'SYSTEM',
+      note: change.note ? String(change.note).substring(0, 255) : null
+    }, { transaction })
+
     return updated > 0
   } catch (error) {
+    if (error instanceof ApiError) throw error
     throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error updating order status')
   }
 }
 
+/**
+ * Saves the warranty period of every item of an order from its product's warranty_month
+ * @param {number} order_id - Order ID
+ * @param {Date} startDate - Warranty start (delivery date)
+ * @param {Object} transaction - Sequelize transaction (optional)
+ * @returns {Promise<Boolean>} - True if successful
+ */
+const setWarrantyDates = async (order_id, startDate, transaction = null) => {
+  try {
+    const items = await OrderItem.findAll({
+      where: { order_id },
+      include: [{
+        model: Product,
+        as: 'product',
+        attributes: ['product_id', 'warranty_month']
+      }],
+      transaction
+    })
+
+    for (const item of items) {
+      const months = item.product ? item.product.warranty_month || 0 : 0
+      await OrderItem.update(
+        { warranty_start: startDate, warranty_end: addMonths(startDate, months) },
+        { where: { order_id, product_id: item.product_id }, transaction }
+      )
+    }
+
+    return true
+  } catch (error) {
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error setting warranty dates')
+  }
+}
+
+/**
+ * Gets the status history of an order (oldest first)
+ * @param {number} order_id - Order ID
+ * @returns {Promise<Array>} - History entries { from_status, to_status, changed_by, actor, note, created_at }
+ */
+const getStatusHistory = async (order_id) => {
+  try {
+    return await OrderStatusHistory.findAll({
+      where: { order_id },
+      order: [['created_at', 'ASC'], ['history_id', 'ASC']]
+    })
+  } catch (error) {
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error getting order status history')
+  }
+}
+
 /**
  * Updates order information (Admin)
+ * Status changes go through updateOrderStatus
  * @param {number} order_id - Order ID
- * @param {Object} updates - Order updates { receiver_name, phone, shipment_address, order_status }
+ * @param {Object} updates - Order updates { receiver_name, phone, shipment_address }
+ * @param {Object} transaction - Sequelize transaction (optional)
  * @returns {Promise<Boolean>} - True if successful
  */
-const updateOrder = async (order_id, updates) => {
+const updateOrder = async (order_id, updates, transaction = null) => {
   try {
     const [updated] = await Order.update(updates, {
-      where: { order_id }
+      where: { order_id },
+      transaction
     })
 
     return updated > 0
@@ -165,18 +309,20 @@ const getAllOrders = async (page = 1, limit = 10) => {
 
 /**
  * Saves the products for an order
- * @param {Array} items - Array of order items { order_id, product_id, quantity, unit_price }
+ * @param {Array} items - Array of order items { order_id, product_id, quantity, unit_price, discount_amount }
+ * @param {Object} transaction - Sequelize transaction (optional)
  * @returns {Promise<Boolean>} - True if successful
  */
-const insertOrderItems = async (items) => {
+const insertOrderItems = async (items, transaction = null) => {
   try {
     // Bulk insert all items
     await OrderItem.bulkCreate(items.map(item => ({
       order_id: item.order_id,
       product_id: item.product_id,
       quantity: item.quantity,
-      unit_price: item.unit_price
-    })))
+      unit_price: item.unit_price,
+      discount_amount: item.discount_amount || 0
+    })), { transaction })
 
     return true
   } catch (error) {
@@ -187,9 +333,10 @@ const insertOrderItems = async (items) => {
 /**
  * Gets products in a specific order
  * @param {number} order_id - Order ID
+ * @param {Object} transaction - Sequelize transaction (optional)
  * @returns {Promise<Array>} - List of order items with product details
  */
-const getOrderItems = async (order_id) => {
+const getOrderItems = async (order_id, transaction = null) => {
   try {
     const items = await OrderItem.findAll({
       where: { order_id },
@@ -198,7 +345,8 @@ const getOrderItems = async (order_id) => {
           model: Product,
           as: 'product'
         }
-      ]
+      ],
+      transaction
     })
 
     return items
@@ -257,14 +405,101 @@ const searchOrders = async (keyword, page = 1, limit = 10) => {
   }
 }
 
+/**
+ * Gets PENDING orders paid online that are still unpaid after the payment window
+ * The window starts with the latest payment attempt (a retried payment gets a new one)
+ * @param {Date} cutoff - Orders whose latest payment attempt started before this moment are overdue
+ * @param {number} limit - Maximum number of orders to return
+ * @param {number} after_order_id - Only orders with a greater ID (to page past orders already checked)
+ * @returns {Promise<Array<number>>} - Order IDs, oldest first
+ */
+const getUnpaidOnlineOrders = async (cutoff, limit = 100, after_order_id = 0) => {
+  try {
+    const orders = await Order.findAll({
+      attributes: ['order_id'],
+      where: {
+        order_id: { [Op.gt]: after_order_id },
+        order_status: 'PENDING',
+        order_date: { [Op.lt]: cutoff }
+      },
+      include: [{
+        model: Payment,
+        as: 'payment',
+        attributes: [],
+        required: true,
+        where: {
+          method: { [Op.ne]: 'COD' },
+          payment_status: { [Op.in]: ['PENDING', 'FAILED', 'EXPIRED'] },
+          // Payments created before attempts were timed only have order_date
+          [Op.or]: [
+            { attempted_at: null },
+            { attempted_at: { [Op.lt]: cutoff } }
+          ]
+        }
+      }],
+      order: [['order_id', 'ASC']],
+      limit
+    })
+
+    return orders.map(order => order.order_id)
+  } catch (error) {
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error getting unpaid orders')
+  }
+}
+
+/**
+ * Gets order statistics of a customer (Admin)
+ * total_spent only counts COMPLETED orders
+ * @param {number} user_id - User ID
+ * @returns {Promise<Object>} - { total_orders, total_spent, by_status: { PENDING: { count, amount }, ... } }
+ */
+const getUserOrderStats = async (user_id) => {
+  try {
+    const rows = await Order.findAll({
+      attributes: [
+        'order_status',
+        [fn('COUNT', col('order_id')), 'count'],
+        [fn('SUM', col('total_amount')), 'amount']
+      ],
+      where: { user_id },
+      group: ['order_status'],
+      raw: true
+    })
+
+    const stats = {
+      total_orders: 0,
+      total_spent: 0,
+      by_status: {}
+    }
+
+    for (const row of rows) {
+      const count = parseInt(row.count) || 0
+      const amount = parseFloat(row.amount) || 0
+      stats.total_orders += count
+      stats.by_status[row.order_status] = { count, amount }
+      if (row.order_status === 'COMPLETED') {
+        stats.total_spent += amount
+      }
+    }
+
+    return stats
+  } catch (error) {
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error getting user order statistics')
+  }
+}
+
 export const orderService = {
   insertOrder,
   getOrders,
   getOrder,
+  getAllowedTransitions,
   updateOrderStatus,
+  getStatusHistory,
   updateOrder,
   getAllOrders,
   insertOrderItems,
   getOrderItems,
-  searchOrders
+  searchOrders,
+  getUnpaidOnlineOrders,
+  getUserOrderStats
 }
@@ -0,0 +1,86 @@
+/**
+ * PASSWORD RESET SERVICE - Business Logic Layer
+ * Issues and consumes time-limited, single-use password reset tokens
+ */
+
+import crypto from 'crypto'
+import ms from 'ms'
+import { Op } from 'sequelize'
+import { PasswordResetToken } from '../models/index'
+import ApiError from '../utils/ApiError'
+import { StatusCodes } from 'http-status-codes'
+import { env } from '../config/environment'
+
+/**
+ * Hashes a raw reset token (only the hash is stored in database)
+ * @param {string} token - Raw token
+ * @returns {string} - SHA-256 hex digest
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex')
+}
+
+/**
+ * Creates a new reset token for a user
+ * Previous unused tokens of the user are invalidated, so only the latest email works
+ * @param {number} user_id - User ID
+ * @returns {Promise<Object>} - { token, expires_at } - raw token to send by email
+ */
+const createResetToken = async (user_id) => {
+  try {
+    const token = crypto.randomBytes(32).toString('hex')
+    const expiresAt = new Date(Date.now() + ms(env.PASSWORD_RESET_TOKEN_LIFE))
+
+    await PasswordResetToken.update(
+      { used_at: new Date() },
+      { where: { user_id, used_at: null } }
+    )
+
+    await PasswordResetToken.create({
+      user_id,
+      token_hash: hashToken(token),
+      expires_at: expiresAt
+    })
+
+    return { token, expires_at: expiresAt }
+  } catch (error) {
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error creating reset token')
+  }
+}
+
+/**
+ * Marks a reset token as used and returns its owner
+ * The row is locked so the same token cannot be consumed twice concurrently
+ * @param {string} token - Raw token from the reset link
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<number>} - User ID the token belongs to
+ */
+const consumeResetToken = async (token, transaction) => {
+  try {
+    const resetToken = await PasswordResetToken.findOne({
+      where: {
+        token_hash: hashToken(token),
+        used_at: null,
+        expires_at: { [Op.gt]: new Date() }
+      },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    })
+
+    if (!resetToken) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'Reset token is invalid or has expired')
+    }
+
+    await resetToken.update({ used_at: new Date() }, { transaction })
+
+    return resetToken.user_id
+  } catch (error) {
+    if (error instanceof ApiError) throw error
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error consuming reset token')
+  }
+}
+
+export const passwordResetService = {
+  createResetToken,
+  consumeResetToken
+}
@@ -3,19 +3,18 @@
  * Implements exact functions from Payment entity specification
  */
 
-import crypto from 'crypto'
-import https from 'https'
-import { Payment } from '../models/index'
+import { Payment, Refund, PaymentTransaction } from '../models/index'
 import ApiError from '../utils/ApiError'
 import { StatusCodes } from 'http-status-codes'
-import { env } from '../config/environment'
+import { PaymentGatewayProvider } from '../providers/PaymentGatewayProvider'
 
 /**
  * Records a new payment transaction
  * @param {Object} payment - Payment data { order_id, method, amount, payment_status, payment_url }
+ * @param {Object} transaction - Sequelize transaction (optional)
  * @returns {Promise<Boolean>} - True if successful
  */
-const insertPayment = async (payment) => {
+const insertPayment = async (payment, transaction = null) => {
   try {
     await Payment.create({
       order_id: payment.order_id,
@@ -23,7 +22,7 @@ const insertPayment = async (payment) => {
       amount: payment.amount,
       payment_status: payment.payment_status || 'PENDING',
       payment_url: payment.payment_url || null
-    })
+    }, { transaction })
     
     return true
   } catch (error) {
@@ -32,14 +31,22 @@ const insertPayment = async (payment) => {
 }
 
 /**
- * Gets payment info for an order
+ * Gets payment info for an order, including recorded refunds
  * @param {number} order_id - Order ID
+ * @param {Object} transaction - Sequelize transaction (optional, locks the payment row)
  * @returns {Promise<Object>} - Payment object
  */
-const getPayment = async (order_id) => {
+const getPayment = async (order_id, transaction = null) => {
   try {
     const payment = await Payment.findOne({
-      where: { order_id }
+      where: { order_id },
+      include: [{
+        model: Refund,
+        as: 'refunds'
+      }],
+      order: [[{ model: Refund, as: 'refunds' }, 'created_at', 'ASC']],
+      transaction,
+      lock: transaction ? transaction.LOCK.UPDATE : undefined
     })
     
     if (!payment) {
@@ -57,13 +64,14 @@ const getPayment = async (order_id) => {
  * Updates payment info for an order
  * @param {number} order_id - Order ID
  * @param {Object} updates - Payment updates { payment_status, method, etc }
+ * @param {Object} transaction - Sequelize transaction (optional)
  * @returns {Promise<Boolean>} - True if successful
  */
-const updatePayment = async (order_id, updates) => {
+const updatePayment = async (order_id, updates, transaction = null) => {
   try {
     const [updated] = await Payment.update(
       updates,
-      { where: { order_id } }
+      { where: { order_id }, transaction }
     )
     
     if (updated === 0) {
@@ -78,179 +86,674 @@ const updatePayment = async (order_id, updates) => {
 }
 
 /**
- * Generates HMAC SHA256 signature for MoMo request
- * @param {string} rawSignature - Raw signature string
- * @param {string} secretKey - MoMo secret key
- * @returns {string} - HMAC SHA256 signature in hex
+ * Records a refund against a payment
+ * @param {Object} refund - Refund data { payment_id, amount, trans_id, reason, created_by, status }
+ * @param {Object} transaction - Sequelize transaction (optional)
+ * @returns {Promise<Object>} - Created refund
  */
-const generateMoMoSignature = (rawSignature, secretKey) => {
-  return crypto.createHmac('sha256', secretKey).update(rawSignature).digest('hex')
+const insertRefund = async (refund, transaction = null) => {
+  try {
+    const newRefund = await Refund.create({
+      payment_id: refund.payment_id,
+      amount: refund.amount,
+      trans_id: refund.trans_id || null,
+      reason: refund.reason || null,
+      created_by: refund.created_by || null,
+      status: refund.status || 'SUCCEEDED'
+    }, { transaction })
+
+    return newRefund
+  } catch (error) {
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error inserting refund')
+  }
 }
 
 /**
- * Creates MoMo payment request and returns payment URL
- * @param {Object} paymentData - { orderId, orderInfo, amount, redirectUrl, ipnUrl }
- * @returns {Promise<Object>} - MoMo response with payUrl
+ * Applies a gateway result to a payment, following the allowed status transitions:
+ * a success moves PENDING/FAILED/EXPIRED to PAID (money was actually taken),
+ * a failure or expiry only moves a PENDING payment, PAID and refunded payments never change
+ * (except to save the gateway transaction id of a success when the payment was marked paid without it,
+ * e.g. from a ZaloPay redirect: refunds need it)
+ *
+ * When the result belongs to an older payment attempt (gateway_order_id differs from the
+ * current one), only a success is applied: the payment then switches to that attempt
+ * @param {Object} payment - Current payment (from getPayment)
+ * @param {string} newStatus - Status reported by the gateway (PAID, PENDING, FAILED, EXPIRED)
+ * @param {Object} gatewayFields - { trans_id, result_code, gateway, gateway_order_id } (gateway fields optional)
+ * @param {Object} transaction - Sequelize transaction (optional, payment locked by the caller)
+ * @returns {Promise<string>} - Payment status after the update
  */
-const createMoMoPayment = async (paymentData) => {
-  return new Promise((resolve, reject) => {
-    const {
-      orderId,
-      orderInfo,
-      amount,
-      redirectUrl,
-      ipnUrl,
-      extraData = ''
-    } = paymentData
-
-    const accessKey = env.MOMO_ACCESS_KEY
-    const secretKey = env.MOMO_SECRET_KEY
-    const partnerCode = env.MOMO_PARTNER_CODE || 'MOMO'
-    const requestType = 'payWithMethod'
-    const requestId = orderId
-    const orderGroupId = ''
-    const autoCapture = true
-    const lang = 'vi'
-
-    // Create raw signature string
-    const rawSignature =
-      'accessKey=' + accessKey +
-      '&amount=' + amount +
-      '&extraData=' + extraData +
-      '&ipnUrl=' + ipnUrl +
-      '&orderId=' + orderId +
-      '&orderInfo=' + orderInfo +
-      '&partnerCode=' + partnerCode +
-      '&redirectUrl=' + redirectUrl +
-      '&requestId=' + requestId +
-      '&requestType=' + requestType
-
-    // Generate HMAC SHA256 signature
-    const signature = generateMoMoSignature(rawSignature, secretKey)
-
-    // Create request body
-    const requestBody = JSON.stringify({
-      partnerCode: partnerCode,
-      partnerName: env.MOMO_PARTNER_NAME || 'Test',
-      storeId: env.MOMO_STORE_ID || 'MomoTestStore',
-      requestId: requestId,
-      amount: amount,
-      orderId: orderId,
-      orderInfo: orderInfo,
-      redirectUrl: redirectUrl,
-      ipnUrl: ipnUrl,
-      lang: lang,
-      requestType: requestType,
-      autoCapture: autoCapture,
-      extraData: extraData,
-      orderGroupId: orderGroupId,
-      signature: signature
-    })
+const applyGatewayResult = async (payment, newStatus, gatewayFields, transaction = null) => {
+  const current = payment.payment_status
+  const isOtherAttempt = !!gatewayFields.gateway_order_id &&
+    gatewayFields.gateway_order_id !== getPaymentGatewayOrderId(payment)
 
-    // Configure MoMo API endpoint
-    const options = {
-      hostname: env.MOMO_API_HOST || 'test-payment.momo.vn',
-      port: 443,
-      path: '/v2/gateway/api/create',
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(requestBody)
-      }
+  const canMove = newStatus === 'PAID'
+    ? ['PENDING', 'FAILED', 'EXPIRED'].includes(current)
+    : newStatus !== 'PENDING' && current === 'PENDING' && !isOtherAttempt
+
+  if (!canMove) {
+    const missingTransId = newStatus === 'PAID' && !payment.trans_id && !!gatewayFields.trans_id &&
+      !isOtherAttempt && !['PENDING', 'FAILED', 'EXPIRED'].includes(current)
+    if (missingTransId) {
+      await updatePayment(payment.order_id, { trans_id: String(gatewayFields.trans_id) }, transaction)
     }
+    return current
+  }
+
+  const updates = {
+    payment_status: newStatus,
+    trans_id: gatewayFields.trans_id ? String(gatewayFields.trans_id) : payment.trans_id,
+    result_code: parseInt(gatewayFields.result_code)
+  }
+
+  if (isOtherAttempt) {
+    updates.gateway_order_id = gatewayFields.gateway_order_id
+    updates.method = gatewayFields.gateway || payment.method
+  }
+
+  await updatePayment(payment.order_id, updates, transaction)
 
-    // Send request to MoMo API
-    const req = https.request(options, (res) => {
-      let data = ''
-
-      res.on('data', (chunk) => {
-        data += chunk
-      })
-
-      res.on('end', () => {
-        try {
-          const response = JSON.parse(data)
-          if (response.resultCode === 0) {
-            resolve(response)
-          } else {
-            reject(new Error(`MoMo API Error: ${response.message || 'Unknown error'}`))
-          }
-        } catch (error) {
-          reject(new Error(`Failed to parse MoMo response: ${error.message}`))
-        }
-      })
+  return newStatus
+}
+
+/**
+ * Records a gateway interaction in the payment_transactions ledger
+ * Never throws: a ledger failure must not break the payment flow
+ * @param {Object} entry - { order_id, gateway, type, direction, gateway_order_id, request_id, amount, trans_id, result_code, request_payload, response_payload, signature, signature_valid, error_message }
+ * @returns {Promise<Object|null>} - Created ledger entry, null if it could not be written
+ */
+/* eslint-disable no-console */
+const recordTransaction = async (entry) => {
+  try {
+    return await PaymentTransaction.create({
+      order_id: entry.order_id || null,
+      gateway: entry.gateway,
+      type: entry.type,
+      direction: entry.direction,
+      gateway_order_id: entry.gateway_order_id || null,
+      request_id: entry.request_id || null,
+      amount: entry.amount !== undefined ? entry.amount : null,
+      trans_id: entry.trans_id !== undefined && entry.trans_id !== null ? String(entry.trans_id) : null,
+      result_code: entry.result_code !== undefined && entry.result_code !== null ? parseInt(entry.result_code) : null,
+      request_payload: entry.request_payload || null,
+      response_payload: entry.response_payload || null,
+      signature: entry.signature || null,
+      signature_valid: entry.signature_valid !== undefined ? entry.signature_valid : null,
+      error_message: entry.error_message ? String(entry.error_message).substring(0, 255) : null
     })
+  } catch (error) {
+    console.error('Error recording payment transaction:', error.message)
+    return null
+  }
+}
+/* eslint-enable no-console */
 
-    req.on('error', (error) => {
-      reject(new Error(`MoMo request failed: ${error.message}`))
+/**
+ * Gets the gateway interaction history of an order (oldest first)
+ * @param {number} order_id - Order ID
+ * @returns {Promise<Array>} - Ledger entries
+ */
+const getTransactions = async (order_id) => {
+  try {
+    return await PaymentTransaction.findAll({
+      where: { order_id },
+      order: [['created_at', 'ASC'], ['transaction_id', 'ASC']]
     })
+  } catch (error) {
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error getting payment transactions')
+  }
+}
+
+/**
+ * Gets the payment methods customers can choose (COD + enabled gateways)
+ * @returns {Array<string>} - e.g. ['COD', 'MOMO']
+ */
+const getPaymentMethods = () => {
+  return PaymentGatewayProvider.getPaymentMethods()
+}
+
+/**
+ * Checks whether a payment method goes through an online gateway
+ * @param {string} method - Payment method
+ * @returns {boolean} - True for enabled online gateways
+ */
+const isOnlinePaymentMethod = (method) => {
+  return !!PaymentGatewayProvider.getGateway(method)
+}
+
+/**
+ * Gets an enabled gateway or throws 404
+ * @param {string} method - Payment method
+ * @returns {Object} - Gateway adapter
+ */
+const getGatewayOrThrow = (method) => {
+  const gateway = PaymentGatewayProvider.getGateway(method)
+  if (!gateway) {
+    throw new ApiError(StatusCodes.NOT_FOUND, 'Payment gateway not found')
+  }
+  return gateway
+}
+
+/**
+ * Builds the order id sent to payment gateways
+ * Gateways reject a reused order id, so every payment attempt of an order gets its own
+ * @param {number} order_id - Order ID
+ * @param {number} attempt - Payment attempt number (default: 1)
+ * @returns {string} - e.g. ORDER_123 (first attempt), ORDER_123_2 (second attempt)
+ */
+const getGatewayOrderId = (order_id, attempt = 1) => {
+  return attempt > 1 ? `ORDER_${order_id}_${attempt}` : `ORDER_${order_id}`
+}
 
-    req.write(requestBody)
-    req.end()
+/**
+ * Gets the gateway order id of the payment's current attempt
+ * Payments created before attempts were tracked only have the first one
+ * @param {Object} payment - Payment object
+ * @returns {string} - Gateway order id
+ */
+const getPaymentGatewayOrderId = (payment) => {
+  return payment.gateway_order_id || getGatewayOrderId(payment.order_id)
+}
+
+/**
+ * Extracts our order ID from a gateway order id
+ * @param {string} gatewayOrderId - e.g. ORDER_123 or ORDER_123_2
+ * @returns {number|null} - Order ID, null if the format is invalid
+ */
+const parseGatewayOrderId = (gatewayOrderId) => {
+  const match = typeof gatewayOrderId === 'string' ? gatewayOrderId.match(/^ORDER_(\d+)/) : null
+  return match ? parseInt(match[1]) : null
+}
+
+/**
+ * Gets the CREATE ledger entry of a payment attempt
+ * @param {number} order_id - Order ID
+ * @param {string} gateway - Gateway name
+ * @param {string} gatewayOrderId - Gateway order id of the attempt
+ * @returns {Promise<Object|null>} - Last matching CREATE entry, null if none
+ */
+const findCreateEntry = async (order_id, gateway, gatewayOrderId) => {
+  try {
+    return await PaymentTransaction.findOne({
+      where: { order_id, gateway, type: 'CREATE', gateway_order_id: gatewayOrderId },
+      order: [['transaction_id', 'DESC']]
+    })
+  } catch (error) {
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error getting payment transactions')
+  }
+}
+
+/**
+ * Gets the request sent when a payment attempt was created with a gateway
+ * Some gateways need data from it (creation date, gateway transaction id) to query or refund
+ * @param {number} order_id - Order ID
+ * @param {string} gateway - Gateway name
+ * @param {string} gatewayOrderId - Gateway order id of the attempt
+ * @returns {Promise<Object|null>} - Request payload of the CREATE call, null if none
+ */
+const getCreateRequest = async (order_id, gateway, gatewayOrderId) => {
+  const entry = await findCreateEntry(order_id, gateway, gatewayOrderId)
+  return entry ? entry.request_payload : null
+}
+
+/**
+ * Checks whether a gateway order id was created for an order (any attempt, any gateway)
+ * Used to accept the IPN of an older attempt after the customer switched method
+ * @param {number} order_id - Order ID
+ * @param {string} gateway - Gateway name
+ * @param {string} gatewayOrderId - Gateway order id
+ * @returns {Promise<boolean>} - True if the attempt exists
+ */
+const isPaymentAttempt = async (order_id, gateway, gatewayOrderId) => {
+  if (!gatewayOrderId) return false
+  return !!(await findCreateEntry(order_id, gateway, gatewayOrderId))
+}
+
+/**
+ * Reserves the number of a new payment attempt, to be passed to createGatewayPayment once the
+ * transaction is committed (the gateway is never called while the payment row is locked)
+ * Failed CREATE calls count too: their gateway order id may already be known to the gateway
+ * @param {Object} payment - Payment locked in the transaction (from getPayment)
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<number>} - Attempt number, starting at 2 (the first one is created at checkout)
+ */
+const reserveAttempt = async (payment, transaction) => {
+  try {
+    // Payments created before attempts were counted only have their CREATE ledger entries
+    const created = await PaymentTransaction.count({ where: { order_id: payment.order_id, type: 'CREATE' }, transaction })
+    const attempt = Math.max(payment.attempt_count || 1, created) + 1
+
+    await updatePayment(payment.order_id, { attempt_count: attempt, attempted_at: new Date() }, transaction)
+
+    return attempt
+  } catch (error) {
+    if (error instanceof ApiError) throw error
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error reserving payment attempt')
+  }
+}
+
+/**
+ * Creates a payment attempt with a gateway and returns the payment URL
+ * Each attempt gets its own gateway order id (see getGatewayOrderId), to be saved on the payment
+ * The request and the gateway's response are recorded in the payment_transactions ledger
+ * @param {string} method - Payment method (gateway name)
+ * @param {Object} paymentData - { order_id, orderInfo, amount, redirectUrl, ipnUrl, ipAddress }
+ * @param {number} attempt - Attempt number (1 at checkout, then from reserveAttempt)
+ * @returns {Promise<Object>} - { payUrl, qrCodeUrl, gatewayOrderId, ... }
+ */
+const createGatewayPayment = async (method, paymentData, attempt = 1) => {
+  const gateway = getGatewayOrThrow(method)
+  const gatewayOrderId = getGatewayOrderId(paymentData.order_id, attempt)
+
+  let result = null
+  let requestError = null
+  try {
+    result = await gateway.createPayment({ ...paymentData, gatewayOrderId })
+  } catch (error) {
+    requestError = error
+  }
+
+  await recordTransaction({
+    order_id: paymentData.order_id,
+    gateway: gateway.name,
+    type: 'CREATE',
+    direction: 'OUTBOUND',
+    gateway_order_id: gatewayOrderId,
+    request_id: result ? result.requestId : null,
+    amount: paymentData.amount,
+    result_code: result ? result.resultCode : null,
+    request_payload: result ? result.request : null,
+    response_payload: result ? result.response : null,
+    signature: result ? result.signature : null,
+    error_message: requestError ? requestError.message : (result.success ? null : result.message)
   })
+
+  if (requestError) throw requestError
+
+  if (!result.success) {
+    throw new Error(`${gateway.name} API Error: ${result.message || 'Unknown error'}`)
+  }
+
+  return { ...result, gatewayOrderId }
 }
 
 /**
- * Verifies MoMo callback signature
- * @param {Object} callbackData - Callback data from MoMo
- * @returns {boolean} - True if signature is valid
+ * Verifies a callback (IPN) sent by a gateway
+ * @param {string} method - Payment method (gateway name)
+ * @param {Object} payload - Callback data
+ * @returns {Object} - { valid, gatewayOrderId, order_id, amount, transId, resultCode, status, message, signature }
  */
-const verifyMoMoCallback = (callbackData) => {
+/* eslint-disable no-console */
+const verifyGatewayCallback = (method, payload) => {
+  const gateway = getGatewayOrThrow(method)
+
+  let result
   try {
-    const {
-      orderId,
+    result = gateway.verifyCallback(payload)
+  } catch (error) {
+    console.error(`Error verifying ${gateway.name} callback:`, error)
+    result = { valid: false, gatewayOrderId: null }
+  }
+
+  return {
+    ...result,
+    gateway: gateway.name,
+    order_id: parseGatewayOrderId(result.gatewayOrderId)
+  }
+}
+/* eslint-enable no-console */
+
+/**
+ * Verifies the signed parameters a gateway appends when redirecting the customer back
+ * @param {string} method - Payment method (gateway name)
+ * @param {Object} params - Redirect query parameters
+ * @returns {Object} - Same shape as verifyGatewayCallback
+ */
+const verifyGatewayReturn = (method, params) => {
+  const gateway = getGatewayOrThrow(method)
+
+  if (!gateway.verifyReturn) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, `${gateway.name} does not support return verification`)
+  }
+
+  let result
+  try {
+    result = gateway.verifyReturn(params)
+  } catch (error) {
+    result = { valid: false, gatewayOrderId: null }
+  }
+
+  return {
+    ...result,
+    gateway: gateway.name,
+    order_id: parseGatewayOrderId(result.gatewayOrderId)
+  }
+}
+
+/**
+ * Builds the response to send back to a gateway after its IPN was processed
+ * @param {string} method - Payment method (gateway name)
+ * @param {Object} result - { status, body, code } from the callback processing
+ * @returns {Object} - { status, body }
+ */
+const formatCallbackResponse = (method, result) => {
+  const gateway = PaymentGatewayProvider.getGateway(method)
+
+  if (gateway && gateway.formatCallbackResponse) {
+    return gateway.formatCallbackResponse({ code: result.code, message: result.body.message })
+  }
+
+  return { status: result.status, body: result.body }
+}
+
+/**
+ * Asks the gateway for the real status of the payment's current attempt
+ * The request and the gateway's response are recorded in the payment_transactions ledger
+ * @param {Object} payment - Payment object (from getPayment)
+ * @param {string} ipAddress - IP address of the caller (optional, required by some gateways)
+ * @returns {Promise<Object>} - { status, amount, transId, resultCode, message }
+ */
+const queryGatewayPayment = async (payment, ipAddress = null) => {
+  const gateway = getGatewayOrThrow(payment.method)
+  const order_id = payment.order_id
+  const gatewayOrderId = getPaymentGatewayOrderId(payment)
+  const createRequest = await getCreateRequest(order_id, gateway.name, gatewayOrderId)
+
+  let result = null
+  let requestError = null
+  try {
+    result = await gateway.queryPayment({ gatewayOrderId, createRequest, ipAddress })
+  } catch (error) {
+    requestError = error
+  }
+
+  await recordTransaction({
+    order_id,
+    gateway: gateway.name,
+    type: 'QUERY',
+    direction: 'OUTBOUND',
+    gateway_order_id: gatewayOrderId,
+    request_id: result ? result.requestId : null,
+    amount: result ? result.amount : null,
+    trans_id: result ? result.transId : null,
+    result_code: result ? result.resultCode : null,
+    request_payload: result ? result.request : null,
+    response_payload: result ? result.response : null,
+    signature: result ? result.signature : null,
+    error_message: requestError ? requestError.message : null
+  })
+
+  if (requestError) throw requestError
+
+  return result
+}
+
+/**
+ * Gets the gateway transaction id of a paid attempt that was reported without one
+ * (ZaloPay redirects do not carry zp_trans_id), by querying the gateway
+ * @param {Object} payment - Payment object (from getPayment)
+ * @param {string} gatewayOrderId - Gateway order id of the paid attempt
+ * @param {string} ipAddress - IP address of the caller (optional)
+ * @returns {Promise<string|null>} - Transaction id, null if the attempt is not the current one or the query failed
+ */
+const findPaidTransId = async (payment, gatewayOrderId, ipAddress = null) => {
+  if (gatewayOrderId !== getPaymentGatewayOrderId(payment)) return null
+
+  try {
+    const result = await queryGatewayPayment(payment, ipAddress)
+    return result.status === 'PAID' && result.transId ? String(result.transId) : null
+  } catch (error) {
+    // The IPN that follows the payment also carries the transaction id
+    return null
+  }
+}
+
+/**
+ * Refunds (part of) a payment through its gateway, using the attempt that was paid
+ * The request and the gateway's response are recorded in the payment_transactions ledger
+ * @param {Object} payment - Payment object (from getPayment)
+ * @param {Object} refundData - { amount, fullAmount, description, ipAddress }
+ * @returns {Promise<Object>} - { success, transId, resultCode, message }
+ */
+const refundGatewayPayment = async (payment, refundData) => {
+  const gateway = getGatewayOrThrow(payment.method)
+  const order_id = payment.order_id
+  const gatewayOrderId = getPaymentGatewayOrderId(payment)
+  const createRequest = await getCreateRequest(order_id, gateway.name, gatewayOrderId)
+
+  let result = null
+  let requestError = null
+  try {
+    result = await gateway.refundPayment({
+      ...refundData,
+      transId: payment.trans_id,
+      gatewayOrderId,
+      createRequest
+    })
+  } catch (error) {
+    requestError = error
+  }
+
+  await recordTransaction({
+    order_id,
+    gateway: gateway.name,
+    type: 'REFUND',
+    direction: 'OUTBOUND',
+    gateway_order_id: gatewayOrderId,
+    request_id: result ? result.requestId : null,
+    amount: refundData.amount,
+    trans_id: result ? result.transId : null,
+    result_code: result ? result.resultCode : null,
+    request_payload: result ? result.request : null,
+    response_payload: result ? result.response : null,
+    signature: result ? result.signature : null,
+    error_message: requestError ? requestError.message : (result.success ? null : result.message)
+  })
+
+  if (requestError) throw requestError
+
+  return result
+}
+
+/**
+ * Payment status matching the refunded amount (pending refunds included)
+ * @param {number} paidAmount - Amount paid
+ * @param {number} refundedAmount - Amount refunded or being refunded
+ * @returns {string} - PAID | PARTIALLY_REFUNDED | REFUNDED
+ */
+const getRefundedStatus = (paidAmount, refundedAmount) => {
+  if (refundedAmount <= 0) return 'PAID'
+  return refundedAmount >= paidAmount ? 'REFUNDED' : 'PARTIALLY_REFUNDED'
+}
+
+/**
+ * Summary of a payment after a refund change
+ * @param {Object} refund - Refund
+ * @param {number} paidAmount - Amount paid
+ * @param {number} refundedAmount - New refunded amount
+ * @returns {Object} - { refund, payment_status, refunded_amount, refundable_amount }
+ */
+const toRefundResult = (refund, paidAmount, refundedAmount) => ({
+  refund,
+  payment_status: getRefundedStatus(paidAmount, refundedAmount),
+  refunded_amount: refundedAmount,
+  refundable_amount: Math.round((paidAmount - refundedAmount) * 100) / 100
+})
+
+/**
+ * Records a refund against the payment of an order and reserves its amount
+ * Online payments are refunded through their gateway unless manual is true (money returned another way):
+ * the refund is then recorded PENDING and sent with sendGatewayRefund once the transaction is committed,
+ * so the gateway is never called while the payment row is locked and a crash leaves a visible record.
+ * refunded_amount and the payment status already count the reserved amount, so it cannot be refunded twice
+ * @param {number} order_id - Order ID
+ * @param {Object} refundData - { amount, reason, manual, created_by } - amount defaults to the remaining refundable amount
+ * @param {Object} transaction - Sequelize transaction (the payment row stays locked so two refunds cannot overlap)
+ * @returns {Promise<Object>} - { refund, payment_status, refunded_amount, refundable_amount } - refund.status is
+ *                              SUCCEEDED for manual refunds, PENDING for gateway refunds
+ */
+const reserveRefund = async (order_id, refundData, transaction) => {
+  const { amount, reason, manual = false, created_by = null } = refundData
+  const payment = await getPayment(order_id, transaction)
+
+  if (payment.payment_status !== 'PAID' && payment.payment_status !== 'PARTIALLY_REFUNDED') {
+    throw new ApiError(StatusCodes.BAD_REQUEST, `Cannot refund a payment in ${payment.payment_status} status`)
+  }
+
+  const paidAmount = parseFloat(payment.amount)
+  const refundedAmount = parseFloat(payment.refunded_amount) || 0
+  const refundable = Math.round((paidAmount - refundedAmount) * 100) / 100
+  const refundAmount = amount !== undefined && amount !== null ? Math.round(amount * 100) / 100 : refundable
+
+  if (refundAmount <= 0 || refundAmount > refundable) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, `Refund amount must be between 0.01 and ${refundable}`)
+  }
+
+  const throughGateway = !manual && isOnlinePaymentMethod(payment.method)
+  if (throughGateway) {
+    if (!payment.trans_id) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'Payment has no gateway transaction to refund, use manual refund')
+    }
+    if (!Number.isInteger(refundAmount)) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'Gateway refunds must be a whole amount')
+    }
+  }
+
+  const refund = await insertRefund({
+    payment_id: payment.payment_id,
+    amount: refundAmount,
+    reason,
+    created_by,
+    status: throughGateway ? 'PENDING' : 'SUCCEEDED'
+  }, transaction)
+
+  const newRefundedAmount = Math.round((refundedAmount + refundAmount) * 100) / 100
+
+  await updatePayment(order_id, {
+    refunded_amount: newRefundedAmount,
+    payment_status: getRefundedStatus(paidAmount, newRefundedAmount)
+  }, transaction)
+
+  return toRefundResult(refund, paidAmount, newRefundedAmount)
+}
+
+/**
+ * Sends a PENDING refund to the payment gateway (call it outside any transaction)
+ * Nothing is saved here, pass the outcome to settleRefund
+ * @param {Object} refund - PENDING refund (from reserveRefund)
+ * @param {string} ipAddress - Admin IP address (some gateways require it)
+ * @returns {Promise<Object>} - { status, trans_id, failure_reason } - status is SUCCEEDED or FAILED,
+ *                              or PENDING when the gateway could not be reached (outcome unknown)
+ */
+const sendGatewayRefund = async (refund, ipAddress = null) => {
+  const payment = await Payment.findByPk(refund.payment_id)
+  const amount = parseFloat(refund.amount)
+
+  let gatewayResult
+  try {
+    gatewayResult = await refundGatewayPayment(payment, {
       amount,
-      orderInfo = '',
-      orderType = '',
-      transId,
-      resultCode,
-      message = '',
-      payType = '',
-      responseTime,
-      extraData = '',
-      requestId = '',
-      signature
-    } = callbackData
-
-    if (!signature || !orderId || !transId || resultCode === undefined) {
-      return false
+      fullAmount: parseFloat(payment.amount),
+      description: refund.reason || `Hoàn tiền đơn hàng #${payment.order_id}`,
+      ipAddress
+    })
+  } catch (error) {
+    return { status: 'PENDING', trans_id: null, failure_reason: 'Could not reach the payment gateway' }
+  }
+
+  if (!gatewayResult.success) {
+    return { status: 'FAILED', trans_id: null, failure_reason: `Gateway refused the refund: ${gatewayResult.message || 'Unknown error'}` }
+  }
+
+  return { status: 'SUCCEEDED', trans_id: gatewayResult.transId ? String(gatewayResult.transId) : null, failure_reason: null }
+}
+
+/**
+ * Sets the final status of a PENDING refund, a FAILED refund releases its reserved amount
+ * Used with the outcome of sendGatewayRefund, or by an admin after checking an unconfirmed refund with the gateway
+ * @param {number} order_id - Order ID
+ * @param {number} refund_id - Refund ID
+ * @param {Object} outcome - { status: SUCCEEDED | FAILED, trans_id, failure_reason }
+ * @param {Object} transaction - Sequelize transaction (locks the payment row)
+ * @returns {Promise<Object>} - { refund, payment_status, refunded_amount, refundable_amount }
+ */
+const settleRefund = async (order_id, refund_id, outcome, transaction) => {
+  try {
+    const payment = await getPayment(order_id, transaction)
+
+    const refund = payment.refunds.find(item => item.refund_id === refund_id)
+    if (!refund) {
+      throw new ApiError(StatusCodes.NOT_FOUND, 'Refund not found')
     }
+    if (refund.status !== 'PENDING') {
+      throw new ApiError(StatusCodes.CONFLICT, `Refund is already ${refund.status}`)
+    }
+
+    await refund.update({
+      status: outcome.status,
+      trans_id: outcome.trans_id || null,
+      failure_reason: outcome.failure_reason || null,
+      updated_at: new Date()
+    }, { transaction })
 
-    const accessKey = env.MOMO_ACCESS_KEY
-    const secretKey = env.MOMO_SECRET_KEY
-    const partnerCode = env.MOMO_PARTNER_CODE || 'MOMO'
-
-    // Create raw signature string for verification
-    const rawSignature =
-      'accessKey=' + accessKey +
-      '&amount=' + amount +
-      '&extraData=' + (extraData || '') +
-      '&message=' + (message || '') +
-      '&orderId=' + orderId +
-      '&orderInfo=' + (orderInfo || '') +
-      '&orderType=' + (orderType || '') +
-      '&partnerCode=' + partnerCode +
-      '&payType=' + (payType || '') +
-      '&requestId=' + (requestId || '') +
-      '&responseTime=' + responseTime +
-      '&resultCode=' + resultCode +
-      '&transId=' + transId
-
-    // Generate expected signature
-    const expectedSignature = generateMoMoSignature(rawSignature, secretKey)
-
-    // Compare signatures
-    return signature === expectedSignature
+    const paidAmount = parseFloat(payment.amount)
+    let refundedAmount = parseFloat(payment.refunded_amount) || 0
+
+    if (outcome.status === 'FAILED') {
+      refundedAmount = Math.round((refundedAmount - parseFloat(refund.amount)) * 100) / 100
+      await updatePayment(order_id, {
+        refunded_amount: refundedAmount,
+        payment_status: getRefundedStatus(paidAmount, refundedAmount)
+      }, transaction)
+    }
+
+    return toRefundResult(refund, paidAmount, refundedAmount)
   } catch (error) {
-    console.error('Error verifying MoMo signature:', error)
-    return false
+    if (error instanceof ApiError) throw error
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error settling refund')
   }
 }
 
+/**
+ * Simulates a customer paying on the SANDBOX gateway page
+ * @param {Object} query - Query of the sandbox payment URL { orderId, amount, redirectUrl, signature, result }
+ * @returns {Object} - { ipnPayload, redirectUrl }
+ */
+const simulateSandboxPayment = (query) => {
+  const gateway = getGatewayOrThrow('SANDBOX')
+  const result = gateway.simulatePayment(query)
+
+  if (!result.valid) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, 'Invalid sandbox payment URL')
+  }
+
+  return result
+}
+
 export const paymentService = {
   insertPayment,
   getPayment,
   updatePayment,
-  createMoMoPayment,
-  verifyMoMoCallback
+  insertRefund,
+  recordTransaction,
+  getTransactions,
+  applyGatewayResult,
+  getPaymentMethods,
+  isOnlinePaymentMethod,
+  getGatewayOrderId,
+  parseGatewayOrderId,
+  isPaymentAttempt,
+  reserveAttempt,
+  createGatewayPayment,
+  verifyGatewayCallback,
+  verifyGatewayReturn,
+  formatCallbackResponse,
+  queryGatewayPayment,
+  findPaidTransId,
+  refundGatewayPayment,
+  reserveRefund,
+  sendGatewayRefund,
+  settleRefund,
+  simulateSandboxPayment
 }
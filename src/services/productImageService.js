@@ -0,0 +1,278 @@
+/**
+ * PRODUCT IMAGE SERVICE - Business Logic Layer
+ * Ordered image galleries of products
+ *
+ * One image of a gallery is the primary image, its URL is kept in product.image
+ * (shown in the catalog, carts and orders). Products created before galleries only have
+ * product.image: it is listed as a virtual primary image (image_id null) and becomes the
+ * first gallery image the first time the gallery is changed.
+ * Gallery changes lock the product row so concurrent edits apply one after another
+ */
+
+import { Product, ProductImage } from '../models/index'
+import ApiError from '../utils/ApiError'
+import { StatusCodes } from 'http-status-codes'
+
+const MAX_IMAGES = 10
+
+/**
+ * Loads a product and its gallery, oldest position first
+ * @param {number} product_id - Product ID
+ * @param {Object} transaction - Sequelize transaction (optional, locks the product row)
+ * @returns {Promise<Object>} - { product, images }
+ */
+const loadGallery = async (product_id, transaction = null) => {
+  const product = await Product.findByPk(product_id, {
+    attributes: ['product_id', 'image'],
+    transaction,
+    lock: transaction ? transaction.LOCK.UPDATE : undefined
+  })
+
+  if (!product) {
+    throw new ApiError(StatusCodes.NOT_FOUND, 'Product not found')
+  }
+
+  const images = await ProductImage.findAll({
+    where: { product_id },
+    order: [['position', 'ASC'], ['image_id', 'ASC']],
+    transaction
+  })
+
+  return { product, images }
+}
+
+/**
+ * Loads the gallery of a product before changing it, with the product row locked
+ * The legacy product.image is saved as the first gallery image
+ * @param {number} product_id - Product ID
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Array>} - Gallery images
+ */
+const lockGallery = async (product_id, transaction) => {
+  const { product, images } = await loadGallery(product_id, transaction)
+
+  if (images.length === 0 && product.image) {
+    const legacyImage = await ProductImage.create({
+      product_id,
+      image_url: product.image,
+      position: 0,
+      is_primary: true
+    }, { transaction })
+    return [legacyImage]
+  }
+
+  return images
+}
+
+/**
+ * Copies the URL of the primary image to product.image
+ * @param {number} product_id - Product ID
+ * @param {Array} images - Gallery images after the change
+ * @param {Object} transaction - Sequelize transaction
+ */
+const syncPrimaryImage = async (product_id, images, transaction) => {
+  const primary = images.find(image => image.is_primary)
+  await Product.update(
+    { image: primary ? primary.image_url : null },
+    { where: { product_id }, transaction }
+  )
+}
+
+/**
+ * Gets the gallery of a product, without changing it
+ * @param {number} product_id - Product ID
+ * @param {Object} transaction - Sequelize transaction (optional)
+ * @returns {Promise<Array>} - Gallery images in display order (the legacy product.image as a virtual entry)
+ */
+const getImages = async (product_id, transaction = null) => {
+  try {
+    const { product, images } = await loadGallery(product_id, transaction)
+
+    if (images.length === 0 && product.image) {
+      return [{ image_id: null, product_id, image_url: product.image, position: 0, is_primary: true }]
+    }
+
+    return images
+  } catch (error) {
+    if (error instanceof ApiError) throw error
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error getting product images')
+  }
+}
+
+/**
+ * Adds images at the end of the gallery
+ * The first added image becomes primary when asked to or when the gallery has none
+ * @param {number} product_id - Product ID
+ * @param {Array<string>} image_urls - Uploaded image URLs
+ * @param {Object} options - { primary: boolean }
+ * @param {Object} transaction - Sequelize transaction (optional)
+ * @returns {Promise<Array>} - Gallery images in display order
+ */
+const addImages = async (product_id, image_urls, options = {}, transaction = null) => {
+  try {
+    const images = await lockGallery(product_id, transaction)
+
+    if (images.length + image_urls.length > MAX_IMAGES) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, `A product can have at most ${MAX_IMAGES} images (it has ${images.length})`)
+    }
+
+    const makePrimary = options.primary || !images.some(image => image.is_primary)
+    if (makePrimary && images.length > 0) {
+      await ProductImage.update({ is_primary: false }, { where: { product_id }, transaction })
+      images.forEach(image => { image.is_primary = false })
+    }
+
+    const nextPosition = images.length > 0 ? images[images.length - 1].position + 1 : 0
+    const added = await ProductImage.bulkCreate(image_urls.map((image_url, index) => ({
+      product_id,
+      image_url,
+      position: nextPosition + index,
+      is_primary: makePrimary && index === 0
+    })), { transaction })
+
+    const gallery = [...images, ...added]
+    if (makePrimary) {
+      await syncPrimaryImage(product_id, gallery, transaction)
+    }
+
+    return gallery
+  } catch (error) {
+    if (error instanceof ApiError) throw error
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error adding product images')
+  }
+}
+
+/**
+ * Replaces the primary image, keeping its place in the gallery
+ * Adds the image as primary when the gallery has none
+ * @param {number} product_id - Product ID
+ * @param {string} image_url - New image URL
+ * @param {Object} transaction - Sequelize transaction (optional)
+ * @returns {Promise<string|null>} - URL of the replaced image (null if none or unchanged)
+ */
+const replacePrimaryImage = async (product_id, image_url, transaction = null) => {
+  try {
+    const images = await lockGallery(product_id, transaction)
+    const primary = images.find(image => image.is_primary)
+
+    if (!primary) {
+      await addImages(product_id, [image_url], { primary: true }, transaction)
+      return null
+    }
+
+    if (primary.image_url === image_url) return null
+
+    const replacedUrl = primary.image_url
+    await primary.update({ image_url }, { transaction })
+    await syncPrimaryImage(product_id, images, transaction)
+
+    return replacedUrl
+  } catch (error) {
+    if (error instanceof ApiError) throw error
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error replacing product image')
+  }
+}
+
+/**
+ * Sets the display order of the gallery
+ * @param {number} product_id - Product ID
+ * @param {Array<number>} image_ids - Every image ID of the gallery, in the new order
+ * @param {Object} transaction - Sequelize transaction (optional)
+ * @returns {Promise<Array>} - Gallery images in display order
+ */
+const reorderImages = async (product_id, image_ids, transaction = null) => {
+  try {
+    const images = await lockGallery(product_id, transaction)
+
+    const sameImages = image_ids.length === images.length &&
+      images.every(image => image_ids.includes(image.image_id))
+    if (!sameImages) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'image_ids must list every image of the product exactly once')
+    }
+
+    for (const [position, image_id] of image_ids.entries()) {
+      const image = images.find(item => item.image_id === image_id)
+      if (image.position !== position) {
+        await image.update({ position }, { transaction })
+      }
+    }
+
+    return image_ids.map(image_id => images.find(image => image.image_id === image_id))
+  } catch (error) {
+    if (error instanceof ApiError) throw error
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error reordering product images')
+  }
+}
+
+/**
+ * Makes an image the primary image of its product
+ * @param {number} product_id - Product ID
+ * @param {number} image_id - Image ID
+ * @param {Object} transaction - Sequelize transaction (optional)
+ * @returns {Promise<Array>} - Gallery images in display order
+ */
+const setPrimaryImage = async (product_id, image_id, transaction = null) => {
+  try {
+    const images = await lockGallery(product_id, transaction)
+
+    const image = images.find(item => item.image_id === image_id)
+    if (!image) {
+      throw new ApiError(StatusCodes.NOT_FOUND, 'Product image not found')
+    }
+
+    if (!image.is_primary) {
+      await ProductImage.update({ is_primary: false }, { where: { product_id }, transaction })
+      await image.update({ is_primary: true }, { transaction })
+      images.forEach(item => { item.is_primary = item.image_id === image_id })
+      await syncPrimaryImage(product_id, images, transaction)
+    }
+
+    return images
+  } catch (error) {
+    if (error instanceof ApiError) throw error
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error setting primary product image')
+  }
+}
+
+/**
+ * Removes an image from the gallery
+ * When the primary image is removed, the next image in display order becomes primary
+ * @param {number} product_id - Product ID
+ * @param {number} image_id - Image ID
+ * @param {Object} transaction - Sequelize transaction (optional)
+ * @returns {Promise<Object>} - { removed, images } - removed image and the remaining gallery
+ */
+const removeImage = async (product_id, image_id, transaction = null) => {
+  try {
+    const images = await lockGallery(product_id, transaction)
+
+    const removed = images.find(item => item.image_id === image_id)
+    if (!removed) {
+      throw new ApiError(StatusCodes.NOT_FOUND, 'Product image not found')
+    }
+
+    await removed.destroy({ transaction })
+    const remaining = images.filter(item => item.image_id !== image_id)
+
+    if (removed.is_primary) {
+      if (remaining.length > 0) {
+        await remaining[0].update({ is_primary: true }, { transaction })
+      }
+      await syncPrimaryImage(product_id, remaining, transaction)
+    }
+
+    return { removed, images: remaining }
+  } catch (error) {
+    if (error instanceof ApiError) throw error
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error removing product image')
+  }
+}
+
+export const productImageService = {
+  getImages,
+  addImages,
+  replacePrimaryImage,
+  reorderImages,
+  setPrimaryImage,
+  removeImage
+}
@@ -3,24 +3,63 @@
  * Implements exact functions from Product entity specification
  */
 
-import { Product } from '../models/index'
+import { Product, ProductImage, ProductSpec, StockMovement, User } from '../models/index'
 import ApiError from '../utils/ApiError'
+import { buildSpecConditions, countFacets, SPEC_FACET_COLUMNS } from '../utils/productFacets'
+import { buildComparison } from '../utils/productComparison'
 import { StatusCodes } from 'http-status-codes'
-import { Op } from 'sequelize'
+import { Op, literal } from 'sequelize'
+
+// Units sold in orders that were not cancelled
+const SOLD_QUANTITY = literal(`(
+  SELECT COALESCE(SUM(oi.quantity), 0)
+  FROM order_items oi
+  JOIN orders o ON o.order_id = oi.order_id
+  WHERE oi.product_id = products.product_id AND o.order_status <> 'CANCELLED'
+)`)
+
+// Catalog sort options (product_id also stands for the creation order)
+const PRODUCT_SORTS = {
+  newest: [['product_id', 'DESC']],
+  price_asc: [['price', 'ASC'], ['product_id', 'DESC']],
+  price_desc: [['price', 'DESC'], ['product_id', 'DESC']],
+  best_selling: [[SOLD_QUANTITY, 'DESC'], ['product_id', 'DESC']]
+}
+
+/**
+ * Builds the WHERE clause of the public catalog
+ * Spec filters reference the 'spec' include (normalized specs)
+ * @param {Object} filters - { brand, price_min, price_max, in_stock, ram, storage, cpu, gpu, screen, refresh_rate } - list filters are arrays
+ * @returns {Object} - Sequelize where clause
+ */
+const buildCatalogWhere = (filters = {}) => {
+  const conditions = [{ is_show: true }]
+
+  if (filters.brand && filters.brand.length > 0) conditions.push({ brand: { [Op.in]: filters.brand } })
+  if (filters.price_min !== undefined) conditions.push({ price: { [Op.gte]: filters.price_min } })
+  if (filters.price_max !== undefined) conditions.push({ price: { [Op.lte]: filters.price_max } })
+  if (filters.in_stock) conditions.push({ stock: { [Op.gt]: 0 } })
+
+  return { [Op.and]: [...conditions, ...buildSpecConditions(filters)] }
+}
 
 /**
- * Gets a list of all available products with pagination
+ * Gets a list of all available products with pagination, filters, sorting and facet counts
  * @param {number} page - Page number (default: 1)
  * @param {number} limit - Items per page (default: 12)
- * @returns {Promise<Object>} - { products, pagination: { total, totalPages, currentPage, hasMore } }
+ * @param {Object} filters - { brand, price_min, price_max, in_stock, ram, storage, cpu, gpu, screen, refresh_rate } (all optional)
+ * @param {string} sort - newest | price_asc | price_desc | best_selling (default: newest)
+ * @returns {Promise<Object>} - { products, pagination: { total, totalPages, currentPage, hasMore }, facets }
  */
-const getAllProducts = async (page = 1, limit = 12) => {
+const getAllProducts = async (page = 1, limit = 12, filters = {}, sort = 'newest') => {
   try {
     const offset = (page - 1) * limit
+    const where = buildCatalogWhere(filters)
     
     const { count, rows } = await Product.findAndCountAll({
-      where: { is_show: true },
-      order: [['product_id', 'DESC']],
+      where,
+      include: [{ model: ProductSpec, as: 'spec' }],
+      order: PRODUCT_SORTS[sort] || PRODUCT_SORTS.newest,
       limit: limit,
       offset: offset
     })
@@ -28,6 +67,16 @@ const getAllProducts = async (page = 1, limit = 12) => {
     const formattedProducts = rows.map(product => product.toJSON())
     
     const totalPages = Math.ceil(count / limit)
+
+    // Facet counts over the whole filtered result set, not only the current page
+    const matching = await Product.findAll({
+      attributes: ['brand', 'price'],
+      where,
+      include: [{ model: ProductSpec, as: 'spec', attributes: SPEC_FACET_COLUMNS }],
+      raw: true,
+      nest: true
+    })
+    const prices = matching.map(product => parseFloat(product.price))
     
     return {
       products: formattedProducts,
@@ -37,6 +86,13 @@ const getAllProducts = async (page = 1, limit = 12) => {
         currentPage: page,
         limit: limit,
         hasMore: page < totalPages
+      },
+      facets: {
+        ...countFacets(matching),
+        price: {
+          min: prices.length > 0 ? Math.min(...prices) : null,
+          max: prices.length > 0 ? Math.max(...prices) : null
+        }
       }
     }
   } catch (error) {
@@ -45,13 +101,19 @@ const getAllProducts = async (page = 1, limit = 12) => {
 }
 
 /**
- * Gets basic info of a specific product
+ * Gets basic info of a specific product, with its specs and image gallery (in display order)
  * @param {number} product_id - Product ID
  * @returns {Promise<Object>} - Product object
  */
 const getProduct = async (product_id) => {
   try {
-    const product = await Product.findByPk(product_id)
+    const product = await Product.findByPk(product_id, {
+      include: [
+        { model: ProductSpec, as: 'spec' },
+        { model: ProductImage, as: 'images' }
+      ],
+      order: [[{ model: ProductImage, as: 'images' }, 'position', 'ASC'], [{ model: ProductImage, as: 'images' }, 'image_id', 'ASC']]
+    })
     
     if (!product) {
       throw new ApiError(StatusCodes.NOT_FOUND, 'Product not found')
@@ -65,56 +127,43 @@ const getProduct = async (product_id) => {
 }
 
 /**
- * Finds products matching the keyword
- * @param {string} keyword - Search keyword
- * @param {number} page - Page number
- * @param {number} limit - Items per page
- * @returns {Promise<Object>} - { products, pagination }
+ * Compares visible products side by side
+ * @param {Array<number>} product_ids - Product IDs, in the order to show them
+ * @returns {Promise<Object>} - { products, comparison: [{ field, label, values, best }] }
  */
-const searchProducts = async (keyword, page = 1, limit = 12) => {
+const compareProducts = async (product_ids) => {
   try {
-    const offset = (page - 1) * limit
-    
-    const { count, rows } = await Product.findAndCountAll({
-      where: {
-        [Op.and]: [
-          { is_show: true },
-          {
-            [Op.or]: [
-              { product_name: { [Op.like]: `%${keyword}%` } },
-              { description: { [Op.like]: `%${keyword}%` } }
-            ]
-          }
-        ]
-      },
-      order: [['product_id', 'DESC']],
-      limit: limit,
-      offset: offset
+    const rows = await Product.findAll({
+      where: { product_id: { [Op.in]: product_ids }, is_show: true },
+      include: [{ model: ProductSpec, as: 'spec' }]
     })
-    
-    const totalPages = Math.ceil(count / limit)
-    
+
+    // Hidden and unknown products are reported the same way
+    const missing = product_ids.filter(id => !rows.some(product => product.product_id === id))
+    if (missing.length > 0) {
+      throw new ApiError(StatusCodes.NOT_FOUND, `Product not found: ${missing.join(', ')}`)
+    }
+
+    const products = product_ids.map(id => rows.find(product => product.product_id === id).toJSON())
+
     return {
-      products: rows,
-      pagination: {
-        total: count,
-        totalPages: totalPages,
-        currentPage: page,
-        limit: limit,
-        hasMore: page < totalPages
-      }
+      products,
+      comparison: buildComparison(products)
     }
   } catch (error) {
-    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error searching products')
+    if (error instanceof ApiError) throw error
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error comparing products')
   }
 }
 
 /**
  * Adds a new product (Admin)
+ * Initial stock should go through incrementStock so that it is recorded as a goods receipt
  * @param {Object} product - Product data { product_name, brand, price, stock, image, description, warranty_month, cpu, ram, storage, gpu, screen, weight, battery }
+ * @param {Object} transaction - Sequelize transaction (optional)
  * @returns {Promise<number>} - Created product ID
  */
-const insertProduct = async (product) => {
+const insertProduct = async (product, transaction = null) => {
   try {
     const newProduct = await Product.create({
       product_name: product.product_name,
@@ -132,7 +181,7 @@ const insertProduct = async (product) => {
       screen: product.screen || null,
       weight: product.weight || null,
       battery: product.battery || null
-    })
+    }, { transaction })
     
     return newProduct.product_id
   } catch (error) {
@@ -142,18 +191,19 @@ const insertProduct = async (product) => {
 
 /**
  * Updates product information (Admin)
- * @param {Object} product - Product data { product_id, product_name, brand, price, stock, image, description, warranty_month, is_show, cpu, ram, storage, gpu, screen, weight, battery }
+ * Stock is not updated here, it changes through incrementStock / decrementStock / adjustStock / setStock
+ * Nor is the image, it follows the primary gallery image (see productImageService)
+ * @param {Object} product - Product data { product_id, product_name, brand, price, description, warranty_month, is_show, cpu, ram, storage, gpu, screen, weight, battery }
+ * @param {Object} transaction - Sequelize transaction (optional)
  * @returns {Promise<Boolean>} - True if successful
  */
-const updateProduct = async (product) => {
+const updateProduct = async (product, transaction = null) => {
   try {
     const updateData = {}
     
     if (product.product_name) updateData.product_name = product.product_name
     if (product.brand) updateData.brand = product.brand
     if (product.price !== undefined) updateData.price = product.price
-    if (product.stock !== undefined) updateData.stock = product.stock
-    if (product.image) updateData.image = product.image
     if (product.description) updateData.description = product.description
     if (product.warranty_month) updateData.warranty_month = product.warranty_month
     if (product.is_show !== undefined) updateData.is_show = product.is_show
@@ -166,7 +216,8 @@ const updateProduct = async (product) => {
     if (product.battery !== undefined) updateData.battery = product.battery
     
     const [updated] = await Product.update(updateData, {
-      where: { product_id: product.product_id }
+      where: { product_id: product.product_id },
+      transaction
     })
     
     return updated > 0
@@ -175,6 +226,31 @@ const updateProduct = async (product) => {
   }
 }
 
+/**
+ * Creates or updates the normalized specs of a product
+ * Only the given fields change, so a partial update keeps the other specs
+ * @param {number} product_id - Product ID
+ * @param {Object} specs - Typed specs { ram_gb, screen_inches, ... } (see ProductSpec)
+ * @param {Object} transaction - Sequelize transaction (optional)
+ * @returns {Promise<Object>} - Product specs
+ */
+const upsertSpecs = async (product_id, specs, transaction = null) => {
+  try {
+    const existing = await ProductSpec.findByPk(product_id, { transaction })
+
+    if (existing) {
+      return await existing.update(specs, { transaction })
+    }
+
+    return await ProductSpec.create({ ...specs, product_id }, { transaction })
+  } catch (error) {
+    if (error.name === 'SequelizeForeignKeyConstraintError') {
+      throw new ApiError(StatusCodes.NOT_FOUND, 'Product not found')
+    }
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error saving product specs')
+  }
+}
+
 /**
  * Removes a product permanently from database (Admin)
  * Only allowed if product is not referenced in any cart_items or order_items
@@ -203,13 +279,19 @@ const deleteProduct = async (product_id) => {
 
 /**
  * Checks if product has enough stock
+ * When a transaction is given, the product row is locked (SELECT ... FOR UPDATE)
+ * until the transaction ends, so concurrent checkouts cannot oversell it
  * @param {number} product_id - Product ID
  * @param {number} required_quantity - Required quantity
+ * @param {Object} transaction - Sequelize transaction (optional)
  * @returns {Promise<Object>} - { available: boolean, product: Object }
  */
-const checkStock = async (product_id, required_quantity) => {
+const checkStock = async (product_id, required_quantity, transaction = null) => {
   try {
-    const product = await Product.findByPk(product_id)
+    const product = await Product.findByPk(product_id, {
+      transaction,
+      lock: transaction ? transaction.LOCK.UPDATE : undefined
+    })
     
     if (!product) {
       throw new ApiError(StatusCodes.NOT_FOUND, 'Product not found')
@@ -227,14 +309,42 @@ const checkStock = async (product_id, required_quantity) => {
 }
 
 /**
- * Decrements product stock
+ * Records a change of product stock in the stock ledger
+ * @param {Object} product - Product after the change
+ * @param {number} quantity_change - Signed quantity
+ * @param {Object} movement - { reason, actor, created_by, order_id, return_id, reference, note }
+ * @param {Object} transaction - Sequelize transaction (optional)
+ * @returns {Promise<Object>} - Created movement
+ */
+const insertStockMovement = async (product, quantity_change, movement, transaction = null) => {
+  return StockMovement.create({
+    product_id: product.product_id,
+    reason: movement.reason,
+    quantity_change,
+    stock_after: product.stock,
+    created_by: movement.created_by || null,
+    actor: movement.actor,
+    order_id: movement.order_id || null,
+    return_id: movement.return_id || null,
+    reference: movement.reference || null,
+    note: movement.note || null
+  }, { transaction })
+}
+
+/**
+ * Decrements product stock and records the movement
  * @param {number} product_id - Product ID
  * @param {number} quantity - Quantity to decrement
+ * @param {Object} movement - { reason, actor, created_by, order_id, return_id, reference, note }
+ * @param {Object} transaction - Sequelize transaction (optional, locks the product row)
  * @returns {Promise<Boolean>} - True if successful
  */
-const decrementStock = async (product_id, quantity) => {
+const decrementStock = async (product_id, quantity, movement, transaction = null) => {
   try {
-    const product = await Product.findByPk(product_id)
+    const product = await Product.findByPk(product_id, {
+      transaction,
+      lock: transaction ? transaction.LOCK.UPDATE : undefined
+    })
     
     if (!product) {
       throw new ApiError(StatusCodes.NOT_FOUND, 'Product not found')
@@ -246,7 +356,8 @@ const decrementStock = async (product_id, quantity) => {
     
     await product.update({
       stock: product.stock - quantity
-    })
+    }, { transaction })
+    await insertStockMovement(product, -quantity, movement, transaction)
     
     return true
   } catch (error) {
@@ -256,14 +367,19 @@ const decrementStock = async (product_id, quantity) => {
 }
 
 /**
- * Increments product stock (for order cancellation/return)
+ * Increments product stock (order cancellation, return, goods receipt) and records the movement
  * @param {number} product_id - Product ID
  * @param {number} quantity - Quantity to increment
+ * @param {Object} movement - { reason, actor, created_by, order_id, return_id, reference, note }
+ * @param {Object} transaction - Sequelize transaction (optional, locks the product row)
  * @returns {Promise<Boolean>} - True if successful
  */
-const incrementStock = async (product_id, quantity) => {
+const incrementStock = async (product_id, quantity, movement, transaction = null) => {
   try {
-    const product = await Product.findByPk(product_id)
+    const product = await Product.findByPk(product_id, {
+      transaction,
+      lock: transaction ? transaction.LOCK.UPDATE : undefined
+    })
     
     if (!product) {
       throw new ApiError(StatusCodes.NOT_FOUND, 'Product not found')
@@ -271,7 +387,8 @@ const incrementStock = async (product_id, quantity) => {
     
     await product.update({
       stock: product.stock + quantity
-    })
+    }, { transaction })
+    await insertStockMovement(product, quantity, movement, transaction)
     
     return true
   } catch (error) {
@@ -280,6 +397,160 @@ const incrementStock = async (product_id, quantity) => {
   }
 }
 
+/**
+ * Manually corrects product stock (stock count, damaged or lost goods, ...)
+ * @param {number} product_id - Product ID
+ * @param {number} quantity_change - Signed quantity, stock cannot go below 0
+ * @param {Object} movement - { created_by, reference, note }
+ * @param {Object} transaction - Sequelize transaction (optional, locks the product row)
+ * @returns {Promise<Object>} - Created movement
+ */
+const adjustStock = async (product_id, quantity_change, movement, transaction = null) => {
+  try {
+    const product = await Product.findByPk(product_id, {
+      transaction,
+      lock: transaction ? transaction.LOCK.UPDATE : undefined
+    })
+
+    if (!product) {
+      throw new ApiError(StatusCodes.NOT_FOUND, 'Product not found')
+    }
+
+    if (product.stock + quantity_change < 0) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, `Stock of ${product.product_name} is only ${product.stock}`)
+    }
+
+    await product.update({
+      stock: product.stock + quantity_change
+    }, { transaction })
+
+    return await insertStockMovement(product, quantity_change, {
+      ...movement,
+      reason: 'ADJUSTMENT',
+      actor: 'ADMIN'
+    }, transaction)
+  } catch (error) {
+    if (error instanceof ApiError) throw error
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error adjusting stock')
+  }
+}
+
+/**
+ * Sets the stock of a product to a counted value, recorded as a manual adjustment of the difference
+ * The difference is computed from the locked row, so concurrent orders are not overwritten
+ * @param {number} product_id - Product ID
+ * @param {number} stock - New stock value
+ * @param {Object} movement - { created_by, reference, note }
+ * @param {Object} transaction - Sequelize transaction (locks the product row)
+ * @returns {Promise<number>} - Signed quantity change (0 if the stock was unchanged)
+ */
+const setStock = async (product_id, stock, movement, transaction) => {
+  try {
+    const product = await Product.findByPk(product_id, {
+      attributes: ['product_id', 'stock', 'track_serials'],
+      transaction,
+      lock: transaction ? transaction.LOCK.UPDATE : undefined
+    })
+
+    if (!product) {
+      throw new ApiError(StatusCodes.NOT_FOUND, 'Product not found')
+    }
+
+    const quantity_change = stock - product.stock
+    if (quantity_change === 0) return 0
+
+    // Stock of a serial-tracked product follows its units, it changes by receiving serial numbers
+    if (product.track_serials) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'Stock of a serial-tracked product is changed by adding units')
+    }
+
+    await adjustStock(product_id, quantity_change, movement, transaction)
+
+    return quantity_change
+  } catch (error) {
+    if (error instanceof ApiError) throw error
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error setting stock')
+  }
+}
+
+/**
+ * Gets the stock ledger of a product, newest first
+ * @param {number} product_id - Product ID
+ * @param {string} reason - Reason filter (optional)
+ * @param {number} page - Page number
+ * @param {number} limit - Items per page
+ * @returns {Promise<Object>} - { movements, pagination }
+ */
+const getStockMovements = async (product_id, reason = null, page = 1, limit = 20) => {
+  try {
+    const offset = (page - 1) * limit
+
+    const whereClause = { product_id }
+    if (reason) whereClause.reason = reason
+
+    const { count, rows } = await StockMovement.findAndCountAll({
+      where: whereClause,
+      include: [
+        {
+          model: User,
+          as: 'createdBy',
+          attributes: ['user_id', 'full_name', 'email']
+        }
+      ],
+      order: [['created_at', 'DESC'], ['movement_id', 'DESC']],
+      limit: limit,
+      offset: offset
+    })
+
+    const totalPages = Math.ceil(count / limit)
+
+    return {
+      movements: rows,
+      pagination: {
+        total: count,
+        totalPages: totalPages,
+        currentPage: page,
+        limit: limit,
+        hasMore: page < totalPages
+      }
+    }
+  } catch (error) {
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error getting stock movements')
+  }
+}
+
+/**
+ * Gets the list of supported brands (values of the Product.brand ENUM)
+ * @returns {Array<string>} - Brand names
+ */
+const getBrands = () => {
+  return Product.getAttributes().brand.values
+}
+
+/**
+ * Gets the sort options of the public catalog
+ * @returns {Array<string>} - Sort names
+ */
+const getSortOptions = () => {
+  return Object.keys(PRODUCT_SORTS)
+}
+
+/**
+ * Checks that every product ID in the list exists
+ * @param {Array<number>} product_ids - Product IDs
+ * @returns {Promise<Boolean>} - True if all products exist
+ */
+const checkProductsExist = async (product_ids) => {
+  try {
+    const uniqueIds = [...new Set(product_ids)]
+    const count = await Product.count({ where: { product_id: uniqueIds } })
+
+    return count === uniqueIds.length
+  } catch (error) {
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error checking products')
+  }
+}
+
 /**
  * Gets all products for admin (including hidden products)
  * @param {number} page - Page number
@@ -356,13 +627,20 @@ const searchProductsForAdmin = async (keyword, page = 1, limit = 12) => {
 export const productService = {
   getAllProducts,
   getProduct,
-  searchProducts,
+  compareProducts,
   insertProduct,
   updateProduct,
+  upsertSpecs,
   deleteProduct,
   checkStock,
   decrementStock,
   incrementStock,
+  adjustStock,
+  setStock,
+  getStockMovements,
+  getBrands,
+  getSortOptions,
+  checkProductsExist,
   getAllProductsForAdmin,
   searchProductsForAdmin
 }
\ No newline at end of file
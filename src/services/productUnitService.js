@@ -0,0 +1,463 @@
+/**
+ * PRODUCT UNIT SERVICE - Business Logic Layer
+ * Serial-number (unit-level) inventory for products with track_serials enabled
+ *
+ * For a tracked product, product.stock always equals its number of IN_STOCK units:
+ * units are reserved when an order is placed (stock decremented), sold when it ships,
+ * and put back IN_STOCK when the order is cancelled or the unit is returned
+ */
+
+import { Op } from 'sequelize'
+import { Product, ProductUnit, Order } from '../models/index'
+import ApiError from '../utils/ApiError'
+import { StatusCodes } from 'http-status-codes'
+
+/**
+ * Checks whether a product tracks serial numbers
+ * @param {number} product_id - Product ID
+ * @param {Object} transaction - Sequelize transaction (optional)
+ * @returns {Promise<boolean>} - True if tracked
+ */
+const isTracked = async (product_id, transaction = null) => {
+  const product = await Product.findByPk(product_id, {
+    attributes: ['product_id', 'track_serials'],
+    transaction
+  })
+  return !!(product && product.track_serials)
+}
+
+/**
+ * Validates a list of serial numbers sent by staff
+ * @param {Array} serial_numbers - Serial numbers
+ * @returns {Array<string>} - Trimmed serial numbers
+ */
+const parseSerialNumbers = (serial_numbers) => {
+  if (!Array.isArray(serial_numbers) ||
+    !serial_numbers.every(serial => typeof serial === 'string' && serial.trim().length > 0 && serial.trim().length <= 100)) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, 'serial_numbers must be an array of serial numbers (max 100 characters)')
+  }
+
+  const serials = serial_numbers.map(serial => serial.trim())
+  if (new Set(serials).size !== serials.length) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, 'serial_numbers contains duplicates')
+  }
+
+  return serials
+}
+
+/**
+ * Counts the IN_STOCK units of a product
+ * @param {number} product_id - Product ID
+ * @param {Object} transaction - Sequelize transaction (optional)
+ * @returns {Promise<number>} - Number of units in stock
+ */
+const countInStock = async (product_id, transaction = null) => {
+  try {
+    return await ProductUnit.count({ where: { product_id, status: 'IN_STOCK' }, transaction })
+  } catch (error) {
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error counting product units')
+  }
+}
+
+/**
+ * Registers new units (serial numbers) of a product as IN_STOCK
+ * The caller keeps product.stock in sync (incrementStock for received goods)
+ * @param {number} product_id - Product ID
+ * @param {Array<string>} serial_numbers - Serial numbers, unique across all products
+ * @param {Object} transaction - Sequelize transaction (optional)
+ * @returns {Promise<Array>} - Created units
+ */
+const insertUnits = async (product_id, serial_numbers, transaction = null) => {
+  try {
+    const existing = await ProductUnit.findAll({
+      attributes: ['serial_number'],
+      where: { serial_number: { [Op.in]: serial_numbers } },
+      transaction
+    })
+
+    if (existing.length > 0) {
+      throw new ApiError(StatusCodes.CONFLICT, `Serial numbers already registered: ${existing.map(unit => unit.serial_number).join(', ')}`)
+    }
+
+    return await ProductUnit.bulkCreate(serial_numbers.map(serial_number => ({
+      product_id,
+      serial_number,
+      status: 'IN_STOCK'
+    })), { transaction })
+  } catch (error) {
+    if (error instanceof ApiError) throw error
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      throw new ApiError(StatusCodes.CONFLICT, 'Serial number already registered')
+    }
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error inserting product units')
+  }
+}
+
+/**
+ * Takes IN_STOCK units out of stock for good (damaged, lost), they become DEFECTIVE
+ * The caller keeps product.stock in sync (adjustStock)
+ * @param {number} product_id - Product ID
+ * @param {Array<string>} serial_numbers - Serial numbers of IN_STOCK units
+ * @param {Object} transaction - Sequelize transaction (optional)
+ * @returns {Promise<number>} - Number of units written off
+ */
+const writeOffUnits = async (product_id, serial_numbers, transaction = null) => {
+  try {
+    const units = await ProductUnit.findAll({
+      where: { product_id, serial_number: { [Op.in]: serial_numbers }, status: 'IN_STOCK' },
+      transaction,
+      lock: transaction ? transaction.LOCK.UPDATE : undefined
+    })
+
+    if (units.length !== serial_numbers.length) {
+      const found = units.map(unit => unit.serial_number)
+      const missing = serial_numbers.filter(serial => !found.includes(serial))
+      throw new ApiError(StatusCodes.BAD_REQUEST, `Not in stock for this product: ${missing.join(', ')}`)
+    }
+
+    const [updated] = await ProductUnit.update(
+      { status: 'DEFECTIVE' },
+      { where: { unit_id: { [Op.in]: units.map(unit => unit.unit_id) } }, transaction }
+    )
+
+    return updated
+  } catch (error) {
+    if (error instanceof ApiError) throw error
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error writing off product units')
+  }
+}
+
+/**
+ * Enables or disables serial tracking of a product
+ * Enabling requires one IN_STOCK unit per unit of stock, so both stay in sync
+ * @param {number} product_id - Product ID
+ * @param {boolean} enabled - Track serial numbers or not
+ * @param {Object} transaction - Sequelize transaction (optional, locks the product row)
+ * @returns {Promise<Boolean>} - True if successful
+ */
+const setTracking = async (product_id, enabled, transaction = null) => {
+  try {
+    const product = await Product.findByPk(product_id, {
+      transaction,
+      lock: transaction ? transaction.LOCK.UPDATE : undefined
+    })
+
+    if (!product) {
+      throw new ApiError(StatusCodes.NOT_FOUND, 'Product not found')
+    }
+
+    if (enabled) {
+      const inStock = await countInStock(product_id, transaction)
+      if (inStock !== product.stock) {
+        throw new ApiError(StatusCodes.BAD_REQUEST, `Stock is ${product.stock} but ${inStock} units are registered, register the missing serial numbers first`)
+      }
+    }
+
+    await product.update({ track_serials: enabled }, { transaction })
+
+    return true
+  } catch (error) {
+    if (error instanceof ApiError) throw error
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error updating serial tracking')
+  }
+}
+
+/**
+ * Reserves IN_STOCK units of a tracked product for an order (oldest units first)
+ * Does nothing for products without serial tracking
+ * @param {number} product_id - Product ID
+ * @param {number} order_id - Order ID
+ * @param {number} quantity - Number of units
+ * @param {Object} transaction - Sequelize transaction (optional)
+ * @returns {Promise<Array>} - Reserved units (empty if not tracked)
+ */
+const reserveUnits = async (product_id, order_id, quantity, transaction = null) => {
+  try {
+    if (!(await isTracked(product_id, transaction))) return []
+
+    const units = await ProductUnit.findAll({
+      where: { product_id, status: 'IN_STOCK' },
+      order: [['received_at', 'ASC'], ['unit_id', 'ASC']],
+      limit: quantity,
+      transaction,
+      lock: transaction ? transaction.LOCK.UPDATE : undefined
+    })
+
+    if (units.length < quantity) {
+      throw new ApiError(StatusCodes.CONFLICT, `Not enough serial-numbered units of product ${product_id} in stock`)
+    }
+
+    await ProductUnit.update(
+      { status: 'RESERVED', order_id },
+      { where: { unit_id: { [Op.in]: units.map(unit => unit.unit_id) } }, transaction }
+    )
+
+    return units
+  } catch (error) {
+    if (error instanceof ApiError) throw error
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error reserving product units')
+  }
+}
+
+/**
+ * Puts the units reserved for an order back in stock (order cancelled)
+ * @param {number} order_id - Order ID
+ * @param {Object} transaction - Sequelize transaction (optional)
+ * @returns {Promise<number>} - Number of released units
+ */
+const releaseUnits = async (order_id, transaction = null) => {
+  try {
+    const [released] = await ProductUnit.update(
+      { status: 'IN_STOCK', order_id: null },
+      { where: { order_id, status: 'RESERVED' }, transaction }
+    )
+
+    return released
+  } catch (error) {
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error releasing product units')
+  }
+}
+
+/**
+ * Assigns the units of an order to it for good when it ships (RESERVED -> SOLD)
+ * Staff can scan the units actually packed: they replace the reserved ones, which go back in stock
+ * @param {number} order_id - Order ID
+ * @param {Object} serialsByProduct - { [product_id]: [serial_number, ...] } (optional)
+ * @param {Object} transaction - Sequelize transaction (optional)
+ * @returns {Promise<Array>} - Sold units { product_id, serial_number }
+ */
+const assignUnits = async (order_id, serialsByProduct = {}, transaction = null) => {
+  try {
+    const lock = transaction ? transaction.LOCK.UPDATE : undefined
+    const reserved = await ProductUnit.findAll({ where: { order_id, status: 'RESERVED' }, transaction, lock })
+
+    for (const [key, serials] of Object.entries(serialsByProduct)) {
+      const productId = parseInt(key)
+      const reservedForProduct = reserved.filter(unit => unit.product_id === productId)
+
+      if (!Array.isArray(serials) || new Set(serials).size !== reservedForProduct.length || serials.length !== reservedForProduct.length) {
+        throw new ApiError(StatusCodes.BAD_REQUEST, `Product ${key} needs exactly ${reservedForProduct.length} distinct serial number(s)`)
+      }
+
+      const units = await ProductUnit.findAll({
+        where: { product_id: productId, serial_number: { [Op.in]: serials } },
+        transaction,
+        lock
+      })
+
+      for (const serial of serials) {
+        const unit = units.find(item => item.serial_number === serial)
+        const available = unit && (unit.status === 'IN_STOCK' || (unit.status === 'RESERVED' && unit.order_id === order_id))
+        if (!available) {
+          throw new ApiError(StatusCodes.BAD_REQUEST, `Serial number ${serial} is not an available unit of product ${key}`)
+        }
+      }
+
+      // Swap: reserved units that were not packed go back in stock, the scanned ones take their place
+      await ProductUnit.update(
+        { status: 'IN_STOCK', order_id: null },
+        { where: { order_id, product_id: productId, status: 'RESERVED', serial_number: { [Op.notIn]: serials } }, transaction }
+      )
+      await ProductUnit.update(
+        { status: 'RESERVED', order_id },
+        { where: { product_id: productId, serial_number: { [Op.in]: serials } }, transaction }
+      )
+    }
+
+    await ProductUnit.update(
+      { status: 'SOLD', sold_at: new Date() },
+      { where: { order_id, status: 'RESERVED' }, transaction }
+    )
+
+    return await getOrderUnits(order_id, transaction)
+  } catch (error) {
+    if (error instanceof ApiError) throw error
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error assigning product units')
+  }
+}
+
+/**
+ * Takes back sold units of a returned order item
+ * Restocked units become IN_STOCK again, the others DEFECTIVE
+ * For serial-numbered units, returned_serial_numbers names the units actually received; when only some
+ * of them are restocked, defective_serial_numbers names the ones that are not
+ * @param {number} order_id - Order ID
+ * @param {number} product_id - Product ID
+ * @param {Object} quantities - { returned, restocked, returned_serial_numbers, defective_serial_numbers }
+ * @param {Object} transaction - Sequelize transaction (optional)
+ * @returns {Promise<Object>} - { restocked, defective } - Serial numbers (empty if the product is not tracked)
+ */
+const returnUnits = async (order_id, product_id, quantities, transaction = null) => {
+  try {
+    const sold = await ProductUnit.findAll({
+      where: { order_id, product_id, status: 'SOLD' },
+      order: [['unit_id', 'ASC']],
+      transaction,
+      lock: transaction ? transaction.LOCK.UPDATE : undefined
+    })
+
+    // Product not tracked, or sold before it was
+    if (sold.length === 0) return { restocked: [], defective: [] }
+
+    const returnedSerials = quantities.returned_serial_numbers || []
+    if (returnedSerials.length !== quantities.returned || new Set(returnedSerials).size !== returnedSerials.length) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, `Product ${product_id} needs exactly ${quantities.returned} distinct returned serial number(s)`)
+    }
+
+    const returned = returnedSerials.map(serial => {
+      const unit = sold.find(item => item.serial_number === serial)
+      if (!unit) {
+        throw new ApiError(StatusCodes.BAD_REQUEST, `Serial number ${serial} was not sold with this order`)
+      }
+      return unit
+    })
+
+    // Defective serials are only optional when no unit or every unit is restocked
+    const defectiveSerials = quantities.defective_serial_numbers
+    const defectiveCount = quantities.returned - quantities.restocked
+    const needsDefectiveSerials = defectiveSerials !== undefined || (defectiveCount > 0 && quantities.restocked > 0)
+    if (needsDefectiveSerials &&
+      (!defectiveSerials || defectiveSerials.length !== defectiveCount || new Set(defectiveSerials).size !== defectiveCount)) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, `Product ${product_id} needs exactly ${defectiveCount} distinct defective serial number(s)`)
+    }
+
+    const defective = defectiveSerials
+      ? defectiveSerials.map(serial => {
+        const unit = returned.find(item => item.serial_number === serial)
+        if (!unit) {
+          throw new ApiError(StatusCodes.BAD_REQUEST, `Serial number ${serial} is not one of the returned units`)
+        }
+        return unit
+      })
+      : returned.slice(0, defectiveCount)
+    const restocked = returned.filter(unit => !defective.includes(unit))
+
+    if (restocked.length > 0) {
+      await ProductUnit.update(
+        { status: 'IN_STOCK', order_id: null, sold_at: null },
+        { where: { unit_id: { [Op.in]: restocked.map(unit => unit.unit_id) } }, transaction }
+      )
+    }
+    if (defective.length > 0) {
+      await ProductUnit.update(
+        { status: 'DEFECTIVE' },
+        { where: { unit_id: { [Op.in]: defective.map(unit => unit.unit_id) } }, transaction }
+      )
+    }
+
+    return {
+      restocked: restocked.map(unit => unit.serial_number),
+      defective: defective.map(unit => unit.serial_number)
+    }
+  } catch (error) {
+    if (error instanceof ApiError) throw error
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error returning product units')
+  }
+}
+
+/**
+ * Gets the units reserved for / sold with an order
+ * @param {number} order_id - Order ID
+ * @param {Object} transaction - Sequelize transaction (optional)
+ * @returns {Promise<Array>} - Units { unit_id, product_id, serial_number, status, sold_at }
+ */
+const getOrderUnits = async (order_id, transaction = null) => {
+  try {
+    return await ProductUnit.findAll({
+      attributes: ['unit_id', 'product_id', 'serial_number', 'status', 'sold_at'],
+      where: { order_id },
+      order: [['product_id', 'ASC'], ['unit_id', 'ASC']],
+      transaction
+    })
+  } catch (error) {
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error getting order units')
+  }
+}
+
+/**
+ * Gets the units of a product
+ * @param {number} product_id - Product ID
+ * @param {string} status - Status filter (optional)
+ * @param {number} page - Page number
+ * @param {number} limit - Items per page
+ * @returns {Promise<Object>} - { units, pagination }
+ */
+const getUnits = async (product_id, status = null, page = 1, limit = 20) => {
+  try {
+    const offset = (page - 1) * limit
+
+    const whereClause = { product_id }
+    if (status) whereClause.status = status
+
+    const { count, rows } = await ProductUnit.findAndCountAll({
+      where: whereClause,
+      order: [['unit_id', 'DESC']],
+      limit: limit,
+      offset: offset
+    })
+
+    const totalPages = Math.ceil(count / limit)
+
+    return {
+      units: rows,
+      pagination: {
+        total: count,
+        totalPages: totalPages,
+        currentPage: page,
+        limit: limit,
+        hasMore: page < totalPages
+      }
+    }
+  } catch (error) {
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error getting product units')
+  }
+}
+
+/**
+ * Finds a unit by serial number, with its product and the order it went to
+ * @param {string} serial_number - Serial number
+ * @returns {Promise<Object>} - Unit
+ */
+const getUnitBySerial = async (serial_number) => {
+  try {
+    const unit = await ProductUnit.findOne({
+      where: { serial_number },
+      include: [
+        {
+          model: Product,
+          as: 'product',
+          attributes: ['product_id', 'product_name', 'brand', 'warranty_month']
+        },
+        {
+          model: Order,
+          as: 'order',
+          attributes: ['order_id', 'user_id', 'receiver_name', 'phone', 'order_status', 'order_date']
+        }
+      ]
+    })
+
+    if (!unit) {
+      throw new ApiError(StatusCodes.NOT_FOUND, 'Serial number not found')
+    }
+
+    return unit
+  } catch (error) {
+    if (error instanceof ApiError) throw error
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error getting product unit')
+  }
+}
+
+export const productUnitService = {
+  parseSerialNumbers,
+  countInStock,
+  insertUnits,
+  writeOffUnits,
+  setTracking,
+  reserveUnits,
+  releaseUnits,
+  assignUnits,
+  returnUnits,
+  getOrderUnits,
+  getUnits,
+  getUnitBySerial
+}
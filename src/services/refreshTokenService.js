@@ -0,0 +1,210 @@
+/**
+ * REFRESH TOKEN SERVICE - Business Logic Layer
+ * Server-side store of refresh tokens: issue, rotate, detect reuse and revoke sessions
+ *
+ * Each sign-in starts a token family (one session/device). Every refresh revokes the
+ * presented token (ROTATED) and issues a new one in the same family. If a ROTATED token
+ * is presented again, it was stolen or leaked: the whole family is revoked.
+ */
+
+import { v4 as uuidv4 } from 'uuid'
+import ms from 'ms'
+import { Op } from 'sequelize'
+import { RefreshToken } from '../models/index'
+import { JwtProvider } from '../providers/JwtProvider'
+import ApiError from '../utils/ApiError'
+import { StatusCodes } from 'http-status-codes'
+import { env } from '../config/environment'
+import { sequelize } from '../config/sequelize.js'
+
+/**
+ * Issues a new refresh token and stores it
+ * @param {Object} user - { user_id, email, role }
+ * @param {Object} session - { family_id, session_started_at, user_agent, ip_address } (family_id omitted = new session)
+ * @param {Object} transaction - Sequelize transaction (optional)
+ * @returns {Promise<Object>} - { refreshToken, jti, family_id }
+ */
+const issueRefreshToken = async (user, session = {}, transaction = null) => {
+  try {
+    const jti = uuidv4()
+    const familyId = session.family_id || uuidv4()
+
+    const refreshToken = await JwtProvider.generateToken(
+      {
+        user_id: user.user_id,
+        email: user.email,
+        role: user.role,
+        jti,
+        fid: familyId
+      },
+      env.REFRESH_TOKEN_SECRET_SIGNATURE,
+      env.REFRESH_TOKEN_LIFE
+    )
+
+    await RefreshToken.create({
+      user_id: user.user_id,
+      jti,
+      family_id: familyId,
+      session_started_at: session.session_started_at || new Date(),
+      user_agent: session.user_agent ? session.user_agent.substring(0, 255) : null,
+      ip_address: session.ip_address || null,
+      expires_at: new Date(Date.now() + ms(env.REFRESH_TOKEN_LIFE))
+    }, { transaction })
+
+    return { refreshToken, jti, family_id: familyId }
+  } catch (error) {
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error issuing refresh token')
+  }
+}
+
+/**
+ * Verifies a refresh token JWT (signature and expiry)
+ * @param {string} token - Refresh token from cookie
+ * @returns {Promise<Object>} - Decoded payload { user_id, email, role, jti, fid, iat, exp }
+ */
+const decodeRefreshToken = async (token) => {
+  try {
+    const decoded = await JwtProvider.verifyToken(token, env.REFRESH_TOKEN_SECRET_SIGNATURE)
+    if (!decoded.jti || !decoded.fid) {
+      throw new Error('legacy refresh token without jti')
+    }
+    return decoded
+  } catch (error) {
+    throw new ApiError(StatusCodes.UNAUTHORIZED, 'Invalid refresh token. Please sign in again')
+  }
+}
+
+/**
+ * Revokes every active token of a family (one session)
+ * @param {string} family_id - Token family ID
+ * @param {string} reason - Revoke reason
+ * @param {Object} transaction - Sequelize transaction (optional)
+ * @returns {Promise<number>} - Number of revoked tokens
+ */
+const revokeFamily = async (family_id, reason, transaction = null) => {
+  try {
+    const [revoked] = await RefreshToken.update(
+      { revoked_at: new Date(), revoke_reason: reason },
+      { where: { family_id, revoked_at: null }, transaction }
+    )
+
+    return revoked
+  } catch (error) {
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error revoking session')
+  }
+}
+
+/**
+ * Revokes every active token of a user (all sessions/devices)
+ * @param {number} user_id - User ID
+ * @param {string} reason - Revoke reason
+ * @param {Object} transaction - Sequelize transaction (optional)
+ * @returns {Promise<number>} - Number of revoked tokens
+ */
+const revokeAllForUser = async (user_id, reason, transaction = null) => {
+  try {
+    const [revoked] = await RefreshToken.update(
+      { revoked_at: new Date(), revoke_reason: reason },
+      { where: { user_id, revoked_at: null }, transaction }
+    )
+
+    return revoked
+  } catch (error) {
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error revoking sessions')
+  }
+}
+
+/**
+ * Exchanges a refresh token for a new one (rotation)
+ * Presenting an already rotated token revokes the whole family (reuse detection)
+ * @param {string} token - Refresh token from cookie
+ * @param {Object} client - { user_agent, ip_address }
+ * @returns {Promise<Object>} - { decoded, refreshToken } - decoded payload of the old token and the new token
+ */
+const rotateRefreshToken = async (token, client = {}) => {
+  const decoded = await decodeRefreshToken(token)
+
+  try {
+    const result = await sequelize.transaction(async (transaction) => {
+      const current = await RefreshToken.findOne({
+        where: { jti: decoded.jti },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      })
+
+      if (!current || current.user_id !== decoded.user_id) {
+        return { rejected: true, reuse: false }
+      }
+
+      if (current.revoked_at) {
+        return { rejected: true, reuse: current.revoke_reason === 'ROTATED' }
+      }
+
+      const issued = await issueRefreshToken(decoded, {
+        family_id: current.family_id,
+        session_started_at: current.session_started_at,
+        user_agent: client.user_agent,
+        ip_address: client.ip_address
+      }, transaction)
+
+      await current.update({
+        revoked_at: new Date(),
+        revoke_reason: 'ROTATED',
+        replaced_by_jti: issued.jti
+      }, { transaction })
+
+      return { rejected: false, refreshToken: issued.refreshToken }
+    })
+
+    if (result.rejected) {
+      // Revoked outside the transaction above so the revocation is kept
+      if (result.reuse) {
+        await revokeFamily(decoded.fid, 'REUSE_DETECTED')
+      }
+      throw new ApiError(StatusCodes.UNAUTHORIZED, 'Refresh token has been revoked. Please sign in again')
+    }
+
+    return { decoded, refreshToken: result.refreshToken }
+  } catch (error) {
+    if (error instanceof ApiError) throw error
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error refreshing token')
+  }
+}
+
+/**
+ * Gets active sessions (one per token family) of a user
+ * @param {number} user_id - User ID
+ * @returns {Promise<Array>} - [{ family_id, session_started_at, last_refreshed_at, user_agent, ip_address, expires_at }]
+ */
+const getActiveSessions = async (user_id) => {
+  try {
+    const tokens = await RefreshToken.findAll({
+      where: {
+        user_id,
+        revoked_at: null,
+        expires_at: { [Op.gt]: new Date() }
+      },
+      order: [['session_started_at', 'DESC']]
+    })
+
+    return tokens.map(token => ({
+      family_id: token.family_id,
+      session_started_at: token.session_started_at,
+      last_refreshed_at: token.created_at,
+      user_agent: token.user_agent,
+      ip_address: token.ip_address,
+      expires_at: token.expires_at
+    }))
+  } catch (error) {
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error getting sessions')
+  }
+}
+
+export const refreshTokenService = {
+  issueRefreshToken,
+  decodeRefreshToken,
+  revokeFamily,
+  revokeAllForUser,
+  rotateRefreshToken,
+  getActiveSessions
+}
@@ -0,0 +1,291 @@
+/**
+ * RETURN SERVICE - Business Logic Layer
+ * Manages return / exchange requests (RMA) on completed orders
+ */
+
+import { Op } from 'sequelize'
+import { ReturnRequest, ReturnItem, Product, Refund } from '../models/index'
+import ApiError from '../utils/ApiError'
+import { StatusCodes } from 'http-status-codes'
+
+// Allowed return request status transitions, REJECTED, CANCELLED, REFUNDED and COMPLETED are final
+const RETURN_STATUS_TRANSITIONS = {
+  REQUESTED: ['APPROVED', 'REJECTED', 'CANCELLED'],
+  APPROVED: ['RECEIVED'],
+  RECEIVED: ['REFUNDED', 'COMPLETED'],
+  REJECTED: [],
+  CANCELLED: [],
+  REFUNDED: [],
+  COMPLETED: []
+}
+
+// Requests whose items no longer count as returned
+const CLOSED_WITHOUT_RETURN = ['REJECTED', 'CANCELLED']
+
+/**
+ * Creates a return request with its items
+ * @param {Object} request - { order_id, user_id, type, reason, images }
+ * @param {Array} items - [{ product_id, quantity, amount }]
+ * @param {Object} transaction - Sequelize transaction (optional)
+ * @returns {Promise<Object>} - Created return request
+ */
+const insertReturnRequest = async (request, items, transaction = null) => {
+  try {
+    const newRequest = await ReturnRequest.create({
+      order_id: request.order_id,
+      user_id: request.user_id,
+      type: request.type || 'RETURN',
+      reason: request.reason,
+      images: request.images || [],
+      status: 'REQUESTED'
+    }, { transaction })
+
+    await ReturnItem.bulkCreate(items.map(item => ({
+      return_id: newRequest.return_id,
+      product_id: item.product_id,
+      quantity: item.quantity,
+      amount: item.amount
+    })), { transaction })
+
+    return newRequest
+  } catch (error) {
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error inserting return request')
+  }
+}
+
+/**
+ * Gets a return request with its items and refund
+ * @param {number} return_id - Return request ID
+ * @param {Object} transaction - Sequelize transaction (optional, locks the request row)
+ * @returns {Promise<Object>} - Return request
+ */
+const getReturnRequest = async (return_id, transaction = null) => {
+  try {
+    const request = await ReturnRequest.findByPk(return_id, {
+      include: [
+        {
+          model: ReturnItem,
+          as: 'items',
+          include: [{
+            model: Product,
+            as: 'product',
+            attributes: ['product_id', 'product_name', 'brand', 'image', 'warranty_month']
+          }]
+        },
+        {
+          model: Refund,
+          as: 'refund'
+        }
+      ],
+      transaction,
+      lock: transaction ? transaction.LOCK.UPDATE : undefined
+    })
+
+    if (!request) {
+      throw new ApiError(StatusCodes.NOT_FOUND, 'Return request not found')
+    }
+
+    return request
+  } catch (error) {
+    if (error instanceof ApiError) throw error
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error getting return request')
+  }
+}
+
+/**
+ * Gets return requests, newest first
+ * @param {Object} filters - { user_id, order_id, status } (all optional)
+ * @param {number} page - Page number
+ * @param {number} limit - Items per page
+ * @returns {Promise<Object>} - { requests, pagination }
+ */
+const getReturnRequests = async (filters = {}, page = 1, limit = 10) => {
+  try {
+    const offset = (page - 1) * limit
+
+    const whereClause = {}
+    if (filters.user_id) whereClause.user_id = filters.user_id
+    if (filters.order_id) whereClause.order_id = filters.order_id
+    if (filters.status) whereClause.status = filters.status
+
+    const { count, rows } = await ReturnRequest.findAndCountAll({
+      where: whereClause,
+      include: [{
+        model: ReturnItem,
+        as: 'items'
+      }],
+      distinct: true,
+      order: [['created_at', 'DESC'], ['return_id', 'DESC']],
+      limit: limit,
+      offset: offset
+    })
+
+    const totalPages = Math.ceil(count / limit)
+
+    return {
+      requests: rows,
+      pagination: {
+        total: count,
+        totalPages: totalPages,
+        currentPage: page,
+        limit: limit,
+        hasMore: page < totalPages
+      }
+    }
+  } catch (error) {
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error getting return requests')
+  }
+}
+
+/**
+ * Gets the quantities of an order already covered by return requests (rejected and cancelled ones excluded)
+ * @param {number} order_id - Order ID
+ * @param {Object} transaction - Sequelize transaction (optional)
+ * @returns {Promise<Map>} - product_id => returned quantity
+ */
+const getReturnedQuantities = async (order_id, transaction = null) => {
+  try {
+    const items = await ReturnItem.findAll({
+      include: [{
+        model: ReturnRequest,
+        as: 'returnRequest',
+        attributes: [],
+        where: {
+          order_id,
+          status: { [Op.notIn]: CLOSED_WITHOUT_RETURN }
+        }
+      }],
+      transaction
+    })
+
+    const quantities = new Map()
+    for (const item of items) {
+      quantities.set(item.product_id, (quantities.get(item.product_id) || 0) + item.quantity)
+    }
+
+    return quantities
+  } catch (error) {
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error getting returned quantities')
+  }
+}
+
+/**
+ * Changes the status of a return request following RETURN_STATUS_TRANSITIONS
+ * @param {number} return_id - Return request ID
+ * @param {string} status - New status
+ * @param {Object} updates - Other fields to save { admin_note, handled_by, refund_id }
+ * @param {Object} transaction - Sequelize transaction (optional)
+ * @returns {Promise<Boolean>} - True if successful
+ */
+const updateReturnStatus = async (return_id, status, updates = {}, transaction = null) => {
+  try {
+    const request = await ReturnRequest.findByPk(return_id, {
+      transaction,
+      lock: transaction ? transaction.LOCK.UPDATE : undefined
+    })
+
+    if (!request) {
+      throw new ApiError(StatusCodes.NOT_FOUND, 'Return request not found')
+    }
+
+    if (!(RETURN_STATUS_TRANSITIONS[request.status] || []).includes(status)) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, `Cannot change return request status from ${request.status} to ${status}`)
+    }
+
+    const [updated] = await ReturnRequest.update(
+      { ...updates, status, updated_at: new Date() },
+      { where: { return_id }, transaction }
+    )
+
+    return updated > 0
+  } catch (error) {
+    if (error instanceof ApiError) throw error
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error updating return request')
+  }
+}
+
+/**
+ * Links a refund to a received RETURN request
+ * The request becomes REFUNDED once the refund has succeeded, a PENDING refund (sent to the gateway
+ * after the transaction) is settled later with markRefunded
+ * @param {number} return_id - Return request ID
+ * @param {Object} refund - Refund (from paymentService.reserveRefund)
+ * @param {number} handled_by - Admin user ID
+ * @param {Object} transaction - Sequelize transaction (locks the request row)
+ * @returns {Promise<Boolean>} - True if successful
+ */
+const attachRefund = async (return_id, refund, handled_by, transaction) => {
+  try {
+    const request = await getReturnRequest(return_id, transaction)
+
+    if (request.status !== 'RECEIVED') {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'Items must be received before the refund')
+    }
+
+    if (request.refund && request.refund.status === 'PENDING') {
+      throw new ApiError(StatusCodes.CONFLICT, `Refund #${request.refund.refund_id} of this request is still pending`)
+    }
+
+    const status = refund.status === 'SUCCEEDED' ? 'REFUNDED' : request.status
+    const [updated] = await ReturnRequest.update(
+      { refund_id: refund.refund_id, handled_by, status, updated_at: new Date() },
+      { where: { return_id }, transaction }
+    )
+
+    return updated > 0
+  } catch (error) {
+    if (error instanceof ApiError) throw error
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error updating return request')
+  }
+}
+
+/**
+ * Marks the received request linked to a refund as REFUNDED once the refund has succeeded
+ * @param {number} refund_id - Refund ID
+ * @param {Object} transaction - Sequelize transaction (optional)
+ * @returns {Promise<Boolean>} - True if a request was updated (refunds of other origins have none)
+ */
+const markRefunded = async (refund_id, transaction = null) => {
+  try {
+    const [updated] = await ReturnRequest.update(
+      { status: 'REFUNDED', updated_at: new Date() },
+      { where: { refund_id, status: 'RECEIVED' }, transaction }
+    )
+
+    return updated > 0
+  } catch (error) {
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error updating return request')
+  }
+}
+
+/**
+ * Saves how many units of a returned item were put back in stock
+ * @param {number} return_id - Return request ID
+ * @param {number} product_id - Product ID
+ * @param {number} quantity - Restocked quantity
+ * @param {Object} transaction - Sequelize transaction (optional)
+ * @returns {Promise<Boolean>} - True if successful
+ */
+const updateRestockedQuantity = async (return_id, product_id, quantity, transaction = null) => {
+  try {
+    const [updated] = await ReturnItem.update(
+      { restocked_quantity: quantity },
+      { where: { return_id, product_id }, transaction }
+    )
+
+    return updated > 0
+  } catch (error) {
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error updating return item')
+  }
+}
+
+export const returnService = {
+  insertReturnRequest,
+  getReturnRequest,
+  getReturnRequests,
+  getReturnedQuantities,
+  updateReturnStatus,
+  attachRefund,
+  markRefunded,
+  updateRestockedQuantity
+}
@@ -0,0 +1,173 @@
+/**
+ * SEARCH SERVICE - Business Logic Layer
+ * Product search and autocomplete through the configured search engine (see SearchProvider)
+ */
+
+import { Op } from 'sequelize'
+import { Product, ProductSpec } from '../models/index'
+import { SearchProvider } from '../providers/SearchProvider'
+import ApiError from '../utils/ApiError'
+import { buildSearchDocument, getSearchTerms } from '../utils/searchText'
+import { StatusCodes } from 'http-status-codes'
+
+const SUGGESTION_ATTRIBUTES = ['product_id', 'product_name', 'brand', 'image', 'price']
+const INDEX_BATCH_SIZE = 100
+
+/**
+ * Loads visible products in the order of the given IDs
+ * The index may briefly lag behind the products, hidden or deleted ones are left out
+ * @param {Array<number>} product_ids - Product IDs, ranked by the search engine
+ * @param {Object} options - Extra findAll options (attributes, include)
+ * @returns {Promise<Array>} - Products
+ */
+const findVisibleProducts = async (product_ids, options = {}) => {
+  if (product_ids.length === 0) return []
+
+  const rows = await Product.findAll({
+    ...options,
+    where: { product_id: { [Op.in]: product_ids }, is_show: true }
+  })
+
+  return product_ids
+    .map(id => rows.find(product => product.product_id === id))
+    .filter(Boolean)
+}
+
+/**
+ * Updates the search index of products
+ * Visible products are (re)indexed, hidden and deleted ones are removed from the index
+ * @param {Array<number>} product_ids - Product IDs
+ * @returns {Promise<Object>} - { indexed, removed } - Number of products
+ */
+const indexProducts = async (product_ids) => {
+  try {
+    const products = await Product.findAll({
+      where: { product_id: { [Op.in]: product_ids }, is_show: true }
+    })
+    const removedIds = product_ids.filter(id => !products.some(product => product.product_id === id))
+
+    const engine = SearchProvider.getEngine()
+    if (products.length > 0) {
+      await engine.indexProducts(products.map(product => buildSearchDocument(product)))
+    }
+    if (removedIds.length > 0) {
+      await engine.removeProducts(removedIds)
+    }
+
+    return { indexed: products.length, removed: removedIds.length }
+  } catch (error) {
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error indexing products for search')
+  }
+}
+
+/**
+ * Recreates the search index and indexes every visible product
+ * Until it is done, searches only find the products already indexed again
+ * @returns {Promise<number>} - Number of indexed products
+ */
+const rebuildIndex = async () => {
+  try {
+    await SearchProvider.getEngine().setup()
+
+    let indexed = 0
+    for (let offset = 0; ; offset += INDEX_BATCH_SIZE) {
+      const products = await Product.findAll({
+        attributes: ['product_id'],
+        where: { is_show: true },
+        order: [['product_id', 'ASC']],
+        limit: INDEX_BATCH_SIZE,
+        offset
+      })
+      if (products.length === 0) break
+
+      const result = await indexProducts(products.map(product => product.product_id))
+      indexed += result.indexed
+    }
+
+    return indexed
+  } catch (error) {
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error rebuilding the search index')
+  }
+}
+
+/**
+ * Builds the search index when it is missing or empty (first start, SEARCH_ENGINE changed)
+ * @returns {Promise<number|null>} - Number of indexed products, null if the index was already ready
+ */
+const ensureIndex = async () => {
+  try {
+    if (await SearchProvider.getEngine().isReady()) return null
+  } catch (error) {
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error checking the search index')
+  }
+
+  return rebuildIndex()
+}
+
+/**
+ * Finds visible products matching the keyword, most relevant first
+ * Matching ignores case and Vietnamese diacritics; when nothing matches, the engine
+ * may retry with misspelled words corrected
+ * @param {string} keyword - Search keyword
+ * @param {number} page - Page number
+ * @param {number} limit - Items per page
+ * @returns {Promise<Object>} - { products, corrected_keyword, pagination } - corrected_keyword is the keyword
+ *                              actually searched when it was corrected, otherwise null
+ */
+const searchProducts = async (keyword, page = 1, limit = 12) => {
+  try {
+    const offset = (page - 1) * limit
+    const terms = getSearchTerms(keyword)
+
+    const result = terms.length > 0
+      ? await SearchProvider.getEngine().search({ terms, offset, limit })
+      : { ids: [], total: 0, correctedTerms: null }
+
+    const products = await findVisibleProducts(result.ids, {
+      include: [{ model: ProductSpec, as: 'spec' }]
+    })
+
+    const totalPages = Math.ceil(result.total / limit)
+
+    return {
+      products,
+      corrected_keyword: result.correctedTerms ? result.correctedTerms.join(' ') : null,
+      pagination: {
+        total: result.total,
+        totalPages: totalPages,
+        currentPage: page,
+        limit: limit,
+        hasMore: page < totalPages
+      }
+    }
+  } catch (error) {
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error searching products')
+  }
+}
+
+/**
+ * Suggests visible products whose name matches what is being typed
+ * @param {string} keyword - Typed text, the last word may be incomplete
+ * @param {number} limit - Maximum number of suggestions
+ * @returns {Promise<Array>} - [{ product_id, product_name, brand, image, price }]
+ */
+const suggestProducts = async (keyword, limit = 8) => {
+  try {
+    const terms = getSearchTerms(keyword)
+    if (terms.length === 0) return []
+
+    const productIds = await SearchProvider.getEngine().suggest({ terms, limit })
+
+    return await findVisibleProducts(productIds, { attributes: SUGGESTION_ATTRIBUTES })
+  } catch (error) {
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error suggesting products')
+  }
+}
+
+export const searchService = {
+  indexProducts,
+  rebuildIndex,
+  ensureIndex,
+  searchProducts,
+  suggestProducts
+}
@@ -4,6 +4,7 @@
  */
 
 import bcrypt from 'bcryptjs'
+import { Op } from 'sequelize'
 import { User } from '../models/index'
 import ApiError from '../utils/ApiError'
 import { StatusCodes } from 'http-status-codes'
@@ -48,6 +49,7 @@ const insertUser = async (user) => {
 
 /**
  * Checks if login credentials are correct
+ * Throws 403 when the credentials are correct but the account is deactivated
  * @param {string} email - User's email
  * @param {string} password - User's password
  * @returns {Promise<Boolean>} - True if credentials are valid, false otherwise
@@ -60,14 +62,18 @@ const validateSignIn = async (email, password) => {
       return false
     }
     
-    // Check if user account is active
-    if (!user.is_active) {
-      return false
-    }
-    
     // Validate password
     const isPasswordValid = await bcrypt.compare(password, user.password)
-    return isPasswordValid
+    if (!isPasswordValid) {
+      return false
+    }
+
+    // Check if user account is active (only told after a correct password)
+    if (!user.is_active) {
+      throw new ApiError(StatusCodes.FORBIDDEN, 'Your account has been deactivated')
+    }
+
+    return true
   } catch (error) {
     if (error instanceof ApiError) throw error
     throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error validating sign in')
@@ -97,9 +103,284 @@ const getUserByEmail = async (email) => {
   }
 }
 
+/**
+ * Gets user by ID
+ * @param {number} user_id - User ID
+ * @returns {Promise<Object>} - User object (without password)
+ */
+const getUserById = async (user_id) => {
+  try {
+    const user = await User.findByPk(user_id, {
+      attributes: { exclude: ['password'] }
+    })
+
+    if (!user) {
+      throw new ApiError(StatusCodes.NOT_FOUND, 'User not found')
+    }
+
+    return user
+  } catch (error) {
+    if (error instanceof ApiError) throw error
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error getting user')
+  }
+}
+
+/**
+ * Updates profile information of a user
+ * Email, password, role and is_active cannot be changed here
+ * @param {number} user_id - User ID
+ * @param {Object} profile - Profile data { full_name, phone }
+ * @returns {Promise<Boolean>} - True if successful
+ */
+const updateProfile = async (user_id, profile) => {
+  try {
+    const updateData = {}
+
+    if (profile.full_name) updateData.full_name = profile.full_name
+    if (profile.phone !== undefined) updateData.phone = profile.phone || null
+
+    const [updated] = await User.update(updateData, {
+      where: { user_id }
+    })
+
+    return updated > 0
+  } catch (error) {
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error updating profile')
+  }
+}
+
+/**
+ * Checks if the given password matches the user's current password
+ * @param {number} user_id - User ID
+ * @param {string} password - Password to check
+ * @returns {Promise<Boolean>} - True if password is correct
+ */
+const verifyPassword = async (user_id, password) => {
+  try {
+    const user = await User.findByPk(user_id)
+
+    if (!user) {
+      throw new ApiError(StatusCodes.NOT_FOUND, 'User not found')
+    }
+
+    return await bcrypt.compare(password, user.password)
+  } catch (error) {
+    if (error instanceof ApiError) throw error
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error verifying password')
+  }
+}
+
+/**
+ * Sets a new password for a user
+ * @param {number} user_id - User ID
+ * @param {string} password - New plain password (hashed before saving)
+ * @param {Object} options - { revokeSessions: boolean, transaction }
+ *   revokeSessions: stamp password_changed_at (password reset)
+ * @returns {Promise<Boolean>} - True if successful
+ */
+const updatePassword = async (user_id, password, { revokeSessions = false, transaction = null } = {}) => {
+  try {
+    const updateData = {
+      password: await bcrypt.hash(password, 10)
+    }
+    if (revokeSessions) {
+      updateData.password_changed_at = new Date()
+    }
+
+    const [updated] = await User.update(updateData, {
+      where: { user_id },
+      transaction
+    })
+
+    return updated > 0
+  } catch (error) {
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error updating password')
+  }
+}
+
+/**
+ * Rejects every access token issued to a user until now (sign out from all devices)
+ * @param {number} user_id - User ID
+ * @returns {Promise<Boolean>} - True if successful
+ */
+const revokeAccessTokens = async (user_id) => {
+  try {
+    const [updated] = await User.update(
+      { tokens_valid_after: new Date() },
+      { where: { user_id } }
+    )
+
+    return updated > 0
+  } catch (error) {
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error revoking access tokens')
+  }
+}
+
+/**
+ * Gets the fields needed to authorize a request
+ * @param {number} user_id - User ID
+ * @returns {Promise<Object|null>} - { user_id, role, is_active, password_changed_at, tokens_valid_after } or null if user does not exist
+ */
+const getAuthState = async (user_id) => {
+  try {
+    return await User.findByPk(user_id, {
+      attributes: ['user_id', 'role', 'is_active', 'password_changed_at', 'tokens_valid_after']
+    })
+  } catch (error) {
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error getting user')
+  }
+}
+
+/**
+ * Activates or deactivates a user account (Admin)
+ * @param {number} user_id - User ID
+ * @param {boolean} is_active - New status
+ * @param {Object} transaction - Sequelize transaction (optional)
+ * @returns {Promise<Boolean>} - True if successful
+ */
+const updateUserStatus = async (user_id, is_active, transaction = null) => {
+  try {
+    const [updated] = await User.update(
+      { is_active },
+      { where: { user_id }, transaction }
+    )
+
+    return updated > 0
+  } catch (error) {
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error updating user status')
+  }
+}
+
+/**
+ * Gets all users for Admin
+ * @param {number} page - Page number
+ * @param {number} limit - Items per page
+ * @param {Object} filters - { role, is_active } (optional)
+ * @returns {Promise<Object>} - { users, pagination }
+ */
+const getAllUsers = async (page = 1, limit = 10, filters = {}) => {
+  try {
+    const offset = (page - 1) * limit
+
+    const whereClause = {}
+    if (filters.role) whereClause.role = filters.role
+    if (filters.is_active !== undefined) whereClause.is_active = filters.is_active
+
+    const { count, rows } = await User.findAndCountAll({
+      where: whereClause,
+      attributes: { exclude: ['password'] },
+      order: [['user_id', 'DESC']],
+      limit: limit,
+      offset: offset
+    })
+
+    const totalPages = Math.ceil(count / limit)
+
+    return {
+      users: rows,
+      pagination: {
+        total: count,
+        totalPages: totalPages,
+        currentPage: page,
+        limit: limit,
+        hasMore: page < totalPages
+      }
+    }
+  } catch (error) {
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error getting users')
+  }
+}
+
+/**
+ * Search users by keyword (Admin)
+ * Searches in email, full_name and phone fields (and user_id if keyword is a number)
+ * @param {string} keyword - Search keyword
+ * @param {number} page - Page number
+ * @param {number} limit - Items per page
+ * @returns {Promise<Object>} - { users, pagination }
+ */
+const searchUsers = async (keyword, page = 1, limit = 10) => {
+  try {
+    const offset = (page - 1) * limit
+
+    const whereConditions = {
+      [Op.or]: [
+        { email: { [Op.like]: `%${keyword}%` } },
+        { full_name: { [Op.like]: `%${keyword}%` } },
+        { phone: { [Op.like]: `%${keyword}%` } }
+      ]
+    }
+
+    if (!isNaN(keyword)) {
+      whereConditions[Op.or].push({ user_id: parseInt(keyword) })
+    }
+
+    const { count, rows } = await User.findAndCountAll({
+      where: whereConditions,
+      attributes: { exclude: ['password'] },
+      order: [['user_id', 'DESC']],
+      limit: limit,
+      offset: offset
+    })
+
+    const totalPages = Math.ceil(count / limit)
+
+    return {
+      users: rows,
+      pagination: {
+        total: count,
+        totalPages: totalPages,
+        currentPage: page,
+        limit: limit,
+        hasMore: page < totalPages
+      }
+    }
+  } catch (error) {
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error searching users')
+  }
+}
+
+/**
+ * Changes the role of a user (Admin)
+ * @param {number} user_id - User ID
+ * @param {string} role - New role (CUSTOMER, ADMIN)
+ * @returns {Promise<Boolean>} - True if successful
+ */
+const updateUserRole = async (user_id, role) => {
+  try {
+    const [updated] = await User.update(
+      { role },
+      { where: { user_id } }
+    )
+
+    return updated > 0
+  } catch (error) {
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error updating user role')
+  }
+}
+
+/**
+ * Gets the list of supported roles (values of the User.role ENUM)
+ * @returns {Array<string>} - Role names
+ */
+const getRoles = () => {
+  return User.getAttributes().role.values
+}
+
 export const userService = {
   checkEmailExistence,
   insertUser,
   validateSignIn,
-  getUserByEmail
+  getUserByEmail,
+  getUserById,
+  updateProfile,
+  verifyPassword,
+  updatePassword,
+  revokeAccessTokens,
+  getAuthState,
+  updateUserStatus,
+  getAllUsers,
+  searchUsers,
+  updateUserRole,
+  getRoles
 }
\ No newline at end of file
@@ -3,25 +3,60 @@
  * Implements voucher validation and discount calculation
  */
 
-import { Voucher } from '../models/index'
+import { Voucher, VoucherProduct, Order, Product } from '../models/index'
 import ApiError from '../utils/ApiError'
 import { StatusCodes } from 'http-status-codes'
+import { Op } from 'sequelize'
 
 /**
  * Gets voucher by code
+ * When a transaction is given, the voucher row is locked until the transaction ends
+ * so usage limits cannot be exceeded by concurrent orders
  * @param {string} code - Voucher code
+ * @param {Object} transaction - Sequelize transaction (optional)
  * @returns {Promise<Object>} - Voucher object
  */
-const getVoucherByCode = async (code) => {
+const getVoucherByCode = async (code, transaction = null) => {
   try {
     const voucher = await Voucher.findOne({
-      where: { code }
+      where: { code },
+      transaction,
+      lock: transaction ? transaction.LOCK.UPDATE : undefined
     })
-    
+
+    if (!voucher) {
+      throw new ApiError(StatusCodes.NOT_FOUND, 'Voucher not found')
+    }
+
+    return voucher
+  } catch (error) {
+    if (error instanceof ApiError) throw error
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error getting voucher')
+  }
+}
+
+/**
+ * Gets voucher by ID (Admin)
+ * @param {number} voucher_id - Voucher ID
+ * @returns {Promise<Object>} - Voucher object
+ */
+const getVoucher = async (voucher_id) => {
+  try {
+    const voucher = await Voucher.findByPk(voucher_id, {
+      include: [
+        {
+          model: Product,
+          as: 'products',
+          attributes: ['product_id', 'product_name', 'brand'],
+          through: { attributes: [] }
+        }
+      ]
+    })
+
     if (!voucher) {
       throw new ApiError(StatusCodes.NOT_FOUND, 'Voucher not found')
     }
-    
+
     return voucher
   } catch (error) {
     if (error instanceof ApiError) throw error
@@ -30,48 +65,386 @@ const getVoucherByCode = async (code) => {
 }
 
 /**
- * Validates if voucher can be used
+ * Checks if a voucher code is already taken
+ * @param {string} code - Voucher code
+ * @param {number} exclude_voucher_id - Voucher ID to ignore (when updating)
+ * @returns {Promise<Boolean>} - True if code exists
+ */
+const checkCodeExistence = async (code, exclude_voucher_id = null) => {
+  try {
+    const whereClause = { code }
+    if (exclude_voucher_id) {
+      whereClause.voucher_id = { [Op.ne]: exclude_voucher_id }
+    }
+
+    const voucher = await Voucher.findOne({ where: whereClause })
+    return !!voucher
+  } catch (error) {
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error checking voucher code')
+  }
+}
+
+/**
+ * Gets all vouchers for Admin
+ * @param {number} page - Page number
+ * @param {number} limit - Items per page
+ * @param {string} keyword - Filter by code (optional)
+ * @returns {Promise<Object>} - { vouchers, pagination }
+ */
+const getAllVouchers = async (page = 1, limit = 10, keyword = null) => {
+  try {
+    const offset = (page - 1) * limit
+
+    const whereClause = {}
+    if (keyword) {
+      whereClause.code = { [Op.like]: `%${keyword}%` }
+    }
+
+    const { count, rows } = await Voucher.findAndCountAll({
+      where: whereClause,
+      order: [['voucher_id', 'DESC']],
+      limit: limit,
+      offset: offset
+    })
+
+    const totalPages = Math.ceil(count / limit)
+
+    return {
+      vouchers: rows,
+      pagination: {
+        total: count,
+        totalPages: totalPages,
+        currentPage: page,
+        limit: limit,
+        hasMore: page < totalPages
+      }
+    }
+  } catch (error) {
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error getting vouchers')
+  }
+}
+
+/**
+ * Adds a new voucher (Admin)
+ * @param {Object} voucher - Voucher data { code, discount_type, discount_value, max_discount, scope, scope_brand, is_active, usage_limit, per_user_limit, min_order_value, start_date, end_date }
+ * @param {Object} transaction - Sequelize transaction (optional)
+ * @returns {Promise<number>} - Created voucher ID
+ */
+const insertVoucher = async (voucher, transaction = null) => {
+  try {
+    const newVoucher = await Voucher.create({
+      code: voucher.code,
+      discount_type: voucher.discount_type || 'PERCENTAGE',
+      discount_value: voucher.discount_value,
+      scope: voucher.scope || 'ALL',
+      scope_brand: voucher.scope === 'BRAND' ? voucher.scope_brand : null,
+      max_discount: voucher.max_discount || null,
+      is_active: voucher.is_active !== undefined ? voucher.is_active : true,
+      usage_limit: voucher.usage_limit || null,
+      per_user_limit: voucher.per_user_limit || null,
+      min_order_value: voucher.min_order_value || 0,
+      start_date: voucher.start_date || null,
+      end_date: voucher.end_date || null
+    }, { transaction })
+
+    return newVoucher.voucher_id
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') throw error
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error inserting voucher')
+  }
+}
+
+/**
+ * Updates voucher information (Admin)
+ * @param {Object} voucher - Voucher data { voucher_id, code, discount_type, discount_value, max_discount, scope, scope_brand, is_active, usage_limit, per_user_limit, min_order_value, start_date, end_date }
+ * @param {Object} transaction - Sequelize transaction (optional)
+ * @returns {Promise<Boolean>} - True if successful
+ */
+const updateVoucher = async (voucher, transaction = null) => {
+  try {
+    const updateData = {}
+
+    if (voucher.code) updateData.code = voucher.code
+    if (voucher.discount_type) updateData.discount_type = voucher.discount_type
+    if (voucher.discount_value !== undefined) updateData.discount_value = voucher.discount_value
+    if (voucher.scope) updateData.scope = voucher.scope
+    if (voucher.scope_brand !== undefined) updateData.scope_brand = voucher.scope_brand
+    if (voucher.max_discount !== undefined) updateData.max_discount = voucher.max_discount
+    if (voucher.is_active !== undefined) updateData.is_active = voucher.is_active
+    if (voucher.usage_limit !== undefined) updateData.usage_limit = voucher.usage_limit
+    if (voucher.per_user_limit !== undefined) updateData.per_user_limit = voucher.per_user_limit
+    if (voucher.min_order_value !== undefined) updateData.min_order_value = voucher.min_order_value
+    if (voucher.start_date !== undefined) updateData.start_date = voucher.start_date
+    if (voucher.end_date !== undefined) updateData.end_date = voucher.end_date
+
+    const [updated] = await Voucher.update(updateData, {
+      where: { voucher_id: voucher.voucher_id },
+      transaction
+    })
+
+    return updated > 0
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') throw error
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error updating voucher')
+  }
+}
+
+/**
+ * Replaces the list of products a PRODUCTS-scoped voucher applies to (Admin)
+ * @param {number} voucher_id - Voucher ID
+ * @param {Array<number>} product_ids - Product IDs (empty array clears the list)
+ * @param {Object} transaction - Sequelize transaction (optional)
+ * @returns {Promise<Boolean>} - True if successful
+ */
+const setVoucherProducts = async (voucher_id, product_ids, transaction = null) => {
+  try {
+    await VoucherProduct.destroy({ where: { voucher_id }, transaction })
+
+    if (product_ids.length > 0) {
+      await VoucherProduct.bulkCreate(
+        product_ids.map(product_id => ({ voucher_id, product_id })),
+        { transaction }
+      )
+    }
+
+    return true
+  } catch (error) {
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error updating voucher products')
+  }
+}
+
+/**
+ * Gets IDs of the products a PRODUCTS-scoped voucher applies to
+ * @param {number} voucher_id - Voucher ID
+ * @param {Object} transaction - Sequelize transaction (optional)
+ * @returns {Promise<Array<number>>} - Product IDs
+ */
+const getVoucherProductIds = async (voucher_id, transaction = null) => {
+  try {
+    const rows = await VoucherProduct.findAll({
+      where: { voucher_id },
+      attributes: ['product_id'],
+      transaction
+    })
+
+    return rows.map(row => row.product_id)
+  } catch (error) {
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error getting voucher products')
+  }
+}
+
+/**
+ * Removes a voucher permanently (Admin)
+ * Only allowed if voucher was never used by an order
+ * To stop a voucher from being used, update it with is_active: false instead
+ * @param {number} voucher_id - Voucher ID
+ * @returns {Promise<Boolean>} - True if successful
+ */
+const deleteVoucher = async (voucher_id) => {
+  try {
+    const voucher = await Voucher.findByPk(voucher_id)
+    if (!voucher) {
+      throw new ApiError(StatusCodes.NOT_FOUND, 'Voucher not found')
+    }
+
+    const usedCount = await Order.count({ where: { voucher_id } })
+    if (usedCount > 0) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'Cannot delete voucher. It is used by existing orders. Use is_active field to disable it instead.')
+    }
+
+    await VoucherProduct.destroy({ where: { voucher_id } })
+    await Voucher.destroy({ where: { voucher_id } })
+    return true
+  } catch (error) {
+    if (error instanceof ApiError) throw error
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error deleting voucher')
+  }
+}
+
+/**
+ * Counts how many (non-cancelled) orders a user placed with a voucher
+ * @param {number} voucher_id - Voucher ID
+ * @param {number} user_id - User ID
+ * @param {Object} transaction - Sequelize transaction (optional)
+ * @returns {Promise<number>} - Number of orders
+ */
+const countUserUsage = async (voucher_id, user_id, transaction = null) => {
+  try {
+    return await Order.count({
+      where: {
+        voucher_id,
+        user_id,
+        order_status: { [Op.ne]: 'CANCELLED' }
+      },
+      transaction
+    })
+  } catch (error) {
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error counting voucher usage')
+  }
+}
+
+/**
+ * Validates if voucher can be used for an order
+ * Checks: active flag, validity window, total usage limit,
+ * per-customer limit and minimum order value
  * @param {Object} voucher - Voucher object
- * @returns {boolean} - True if valid
+ * @param {number} subtotal - Order subtotal before discount
+ * @param {number} user_id - Customer placing the order
+ * @param {Object} transaction - Sequelize transaction (optional)
+ * @returns {Promise<boolean>} - True if valid
  */
-const validateVoucher = (voucher) => {
+const validateVoucher = async (voucher, subtotal, user_id, transaction = null) => {
   if (!voucher.is_active) {
     throw new ApiError(StatusCodes.BAD_REQUEST, 'Voucher is not active or invalid')
   }
-  
+
+  const now = new Date()
+  if (voucher.start_date && now < new Date(voucher.start_date)) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, 'Voucher is not yet valid')
+  }
+
+  if (voucher.end_date && now > new Date(voucher.end_date)) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, 'Voucher has expired')
+  }
+
+  if (voucher.usage_limit && voucher.usage_count >= voucher.usage_limit) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, 'Voucher usage limit has been reached')
+  }
+
+  const minOrderValue = parseFloat(voucher.min_order_value) || 0
+  if (subtotal < minOrderValue) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, `Order subtotal must be at least ${minOrderValue} to use this voucher`)
+  }
+
+  if (voucher.per_user_limit) {
+    const userUsage = await countUserUsage(voucher.voucher_id, user_id, transaction)
+    if (userUsage >= voucher.per_user_limit) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'You have reached the usage limit for this voucher')
+    }
+  }
+
+  return true
+}
+
+/**
+ * Checks if an order line is covered by the voucher scope
+ * @param {Object} voucher - Voucher object { scope, scope_brand }
+ * @param {Object} line - Order line { product_id, brand }
+ * @param {Array<number>} scopeProductIds - Product IDs of a PRODUCTS-scoped voucher
+ * @returns {boolean} - True if the line is eligible for the discount
+ */
+const isLineEligible = (voucher, line, scopeProductIds) => {
+  if (voucher.scope === 'BRAND') return line.brand === voucher.scope_brand
+  if (voucher.scope === 'PRODUCTS') return scopeProductIds.includes(line.product_id)
   return true
 }
 
 /**
- * Calculates discount amount based on voucher
- * @param {Object} voucher - Voucher object { discount_value, max_discount }
- * @param {number} subtotal - Subtotal amount before discount
- * @returns {number} - Discount amount
+ * Calculates discount amount based on voucher, only over eligible lines
+ * - PERCENTAGE: discount_value % of eligible subtotal, capped by max_discount
+ * - FIXED_AMOUNT: discount_value, never more than eligible subtotal
+ * The discount is then split across eligible lines in proportion to their totals
+ * @param {Object} voucher - Voucher object { discount_type, discount_value, max_discount, scope, scope_brand }
+ * @param {Array} lines - Order lines [{ product_id, brand, line_total }]
+ * @param {Array<number>} scopeProductIds - Product IDs of a PRODUCTS-scoped voucher
+ * @returns {Object} - { discount, eligible_subtotal, lines: [{ product_id, discount }] } (lines in input order)
  */
-const calculateDiscount = (voucher, subtotal) => {
-  // Calculate discount based on percentage
-  const discountPercentage = voucher.discount_value / 100
-  let discountAmount = subtotal * discountPercentage
-  
-  // Apply max discount limit
-  if (voucher.max_discount && discountAmount > parseFloat(voucher.max_discount)) {
-    discountAmount = parseFloat(voucher.max_discount)
+const calculateDiscount = (voucher, lines, scopeProductIds = []) => {
+  const lineDiscounts = lines.map(line => ({
+    product_id: line.product_id,
+    line_total: line.line_total,
+    eligible: isLineEligible(voucher, line, scopeProductIds),
+    discount: 0
+  }))
+  const eligibleLines = lineDiscounts.filter(line => line.eligible)
+  const eligibleSubtotal = eligibleLines.reduce((sum, line) => sum + line.line_total, 0)
+
+  let discountAmount = 0
+  if (voucher.discount_type === 'FIXED_AMOUNT') {
+    discountAmount = Math.min(parseFloat(voucher.discount_value), eligibleSubtotal)
+  } else {
+    // Calculate discount based on percentage
+    const discountPercentage = voucher.discount_value / 100
+    discountAmount = eligibleSubtotal * discountPercentage
+
+    // Apply max discount limit
+    if (voucher.max_discount && discountAmount > parseFloat(voucher.max_discount)) {
+      discountAmount = parseFloat(voucher.max_discount)
+    }
+  }
+  discountAmount = Math.round(discountAmount * 100) / 100
+
+  // Split across eligible lines, the last line takes the rounding remainder
+  let allocated = 0
+  eligibleLines.forEach((line, index) => {
+    if (index === eligibleLines.length - 1) {
+      line.discount = Math.round((discountAmount - allocated) * 100) / 100
+    } else {
+      line.discount = Math.round(discountAmount * line.line_total / eligibleSubtotal * 100) / 100
+      allocated += line.discount
+    }
+  })
+
+  return {
+    discount: discountAmount,
+    eligible_subtotal: eligibleSubtotal,
+    lines: lineDiscounts.map(line => ({ product_id: line.product_id, discount: line.discount }))
   }
-  
-  return discountAmount
+}
+
+/**
+ * Loads the voucher scope and calculates the discount for an order
+ * @param {Object} voucher - Voucher object
+ * @param {Array} lines - Order lines [{ product_id, brand, line_total }]
+ * @param {Object} transaction - Sequelize transaction (optional)
+ * @returns {Promise<Object>} - { discount, eligible_subtotal, lines: [{ product_id, discount }] }
+ */
+const applyVoucher = async (voucher, lines, transaction = null) => {
+  const scopeProductIds = voucher.scope === 'PRODUCTS'
+    ? await getVoucherProductIds(voucher.voucher_id, transaction)
+    : []
+
+  const result = calculateDiscount(voucher, lines, scopeProductIds)
+
+  if (result.eligible_subtotal === 0) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, 'Voucher does not apply to any product in this order')
+  }
+
+  return result
 }
 
 /**
  * Increments voucher usage count
  * @param {number} voucher_id - Voucher ID
+ * @param {Object} transaction - Sequelize transaction (optional)
  * @returns {Promise<boolean>} - True if successful
  */
-const incrementUsageCount = async (voucher_id) => {
+const incrementUsageCount = async (voucher_id, transaction = null) => {
   try {
     await Voucher.increment('usage_count', {
-      where: { voucher_id }
+      where: { voucher_id },
+      transaction
     })
-    
+
+    return true
+  } catch (error) {
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error updating voucher usage')
+  }
+}
+
+/**
+ * Rolls back one use of a voucher (order cancelled or expired)
+ * @param {number} voucher_id - Voucher ID
+ * @param {Object} transaction - Sequelize transaction (optional)
+ * @returns {Promise<Boolean>} - True if successful
+ */
+const decrementUsageCount = async (voucher_id, transaction = null) => {
+  try {
+    await Voucher.decrement('usage_count', {
+      where: { voucher_id, usage_count: { [Op.gt]: 0 } },
+      transaction
+    })
+
     return true
   } catch (error) {
     throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error updating voucher usage')
@@ -80,7 +453,18 @@ const incrementUsageCount = async (voucher_id) => {
 
 export const voucherService = {
   getVoucherByCode,
+  getVoucher,
+  checkCodeExistence,
+  getAllVouchers,
+  insertVoucher,
+  updateVoucher,
+  deleteVoucher,
+  setVoucherProducts,
+  getVoucherProductIds,
+  countUserUsage,
   validateVoucher,
   calculateDiscount,
-  incrementUsageCount
+  applyVoucher,
+  incrementUsageCount,
+  decrementUsageCount
 }
@@ -0,0 +1,327 @@
+/**
+ * WARRANTY SERVICE - Business Logic Layer
+ * Warranty periods of delivered order items and warranty claims
+ */
+
+import { Op } from 'sequelize'
+import { Order, OrderItem, Product, ReturnItem, ReturnRequest, User, WarrantyClaim } from '../models/index'
+import ApiError from '../utils/ApiError'
+import { StatusCodes } from 'http-status-codes'
+import { addMonths } from '../utils/dateUtils'
+
+// Allowed claim status transitions, RESOLVED and REJECTED are final
+const CLAIM_STATUS_TRANSITIONS = {
+  SUBMITTED: ['RECEIVED', 'REJECTED'],
+  RECEIVED: ['IN_REPAIR', 'RESOLVED', 'REJECTED'],
+  IN_REPAIR: ['RESOLVED', 'REJECTED'],
+  RESOLVED: [],
+  REJECTED: []
+}
+
+const OPEN_CLAIM_STATUSES = ['SUBMITTED', 'RECEIVED', 'IN_REPAIR']
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Gets the quantities of order items given back in completed returns (refunded RETURN requests)
+ * @param {Array<number>} orderIds - Order IDs
+ * @returns {Promise<Map>} - `${order_id}-${product_id}` => returned quantity
+ */
+const getRefundedQuantities = async (orderIds) => {
+  const quantities = new Map()
+  if (orderIds.length === 0) return quantities
+
+  const items = await ReturnItem.findAll({
+    include: [{
+      model: ReturnRequest,
+      as: 'returnRequest',
+      attributes: ['order_id'],
+      where: {
+        order_id: { [Op.in]: orderIds },
+        type: 'RETURN',
+        status: 'REFUNDED'
+      }
+    }]
+  })
+
+  for (const item of items) {
+    const key = `${item.returnRequest.order_id}-${item.product_id}`
+    quantities.set(key, (quantities.get(key) || 0) + item.quantity)
+  }
+
+  return quantities
+}
+
+/**
+ * Builds the warranty info of a delivered order item
+ * Items delivered before warranty dates were recorded count from the order date
+ * @param {Object} item - Order item with its order and product
+ * @param {number} returnedQuantity - Units of the item given back in completed returns
+ * @returns {Object} - { order_id, product_id, product_name, quantity, warranty_month, warranty_start, warranty_end, under_warranty, days_left, ... }
+ */
+const toWarranty = (item, returnedQuantity = 0) => {
+  const warrantyMonth = item.product ? item.product.warranty_month || 0 : 0
+  const start = item.warranty_start ? new Date(item.warranty_start) : new Date(item.order.order_date)
+  const end = item.warranty_end ? new Date(item.warranty_end) : addMonths(start, warrantyMonth)
+  const remaining = end.getTime() - Date.now()
+
+  return {
+    order_id: item.order_id,
+    product_id: item.product_id,
+    product_name: item.product ? item.product.product_name : null,
+    image: item.product ? item.product.image : null,
+    quantity: Math.max(item.quantity - returnedQuantity, 0),
+    warranty_month: warrantyMonth,
+    warranty_start: start,
+    warranty_end: end,
+    under_warranty: remaining > 0,
+    days_left: remaining > 0 ? Math.ceil(remaining / DAY_MS) : 0,
+    receiver_name: item.order.receiver_name,
+    phone: item.order.phone
+  }
+}
+
+/**
+ * Gets the warranties of delivered (COMPLETED) order items, newest first
+ * Returned units are not covered, fully returned items are left out
+ * @param {Object} filters - { user_id, order_id, phone } - phone matches the order phone or the customer's account phone
+ * @returns {Promise<Array>} - Warranty info (see toWarranty)
+ */
+const getWarranties = async (filters = {}) => {
+  try {
+    const orderWhere = { order_status: 'COMPLETED' }
+    if (filters.user_id) orderWhere.user_id = filters.user_id
+    if (filters.order_id) orderWhere.order_id = filters.order_id
+
+    const itemWhere = {}
+    if (filters.phone) {
+      itemWhere[Op.or] = [
+        { '$order.phone$': filters.phone },
+        { '$order.user.phone$': filters.phone }
+      ]
+    }
+
+    const items = await OrderItem.findAll({
+      where: itemWhere,
+      include: [
+        {
+          model: Order,
+          as: 'order',
+          attributes: ['order_id', 'user_id', 'order_date', 'receiver_name', 'phone'],
+          where: orderWhere,
+          include: [{
+            model: User,
+            as: 'user',
+            attributes: []
+          }]
+        },
+        {
+          model: Product,
+          as: 'product',
+          attributes: ['product_id', 'product_name', 'image', 'warranty_month']
+        }
+      ],
+      order: [[{ model: Order, as: 'order' }, 'order_date', 'DESC'], ['product_id', 'ASC']]
+    })
+
+    const returned = await getRefundedQuantities([...new Set(items.map(item => item.order_id))])
+
+    return items
+      .map(item => toWarranty(item, returned.get(`${item.order_id}-${item.product_id}`)))
+      .filter(warranty => warranty.quantity > 0)
+  } catch (error) {
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error getting warranties')
+  }
+}
+
+/**
+ * Gets the warranty of one delivered order item
+ * @param {number} order_id - Order ID
+ * @param {number} product_id - Product ID
+ * @returns {Promise<Object>} - Warranty info with user_id of the order (quantity excludes returned units)
+ */
+const getWarranty = async (order_id, product_id) => {
+  try {
+    const item = await OrderItem.findOne({
+      where: { order_id, product_id },
+      include: [
+        {
+          model: Order,
+          as: 'order',
+          attributes: ['order_id', 'user_id', 'order_date', 'order_status', 'receiver_name', 'phone']
+        },
+        {
+          model: Product,
+          as: 'product',
+          attributes: ['product_id', 'product_name', 'image', 'warranty_month']
+        }
+      ]
+    })
+
+    if (!item || item.order.order_status !== 'COMPLETED') {
+      throw new ApiError(StatusCodes.NOT_FOUND, 'No delivered item found for this order and product')
+    }
+
+    const returned = await getRefundedQuantities([order_id])
+
+    return { ...toWarranty(item, returned.get(`${order_id}-${product_id}`)), user_id: item.order.user_id }
+  } catch (error) {
+    if (error instanceof ApiError) throw error
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error getting warranty')
+  }
+}
+
+/**
+ * Counts the claims of an order item that are still being handled
+ * @param {number} order_id - Order ID
+ * @param {number} product_id - Product ID
+ * @returns {Promise<number>} - Number of open claims
+ */
+const countOpenClaims = async (order_id, product_id) => {
+  try {
+    return await WarrantyClaim.count({
+      where: { order_id, product_id, status: { [Op.in]: OPEN_CLAIM_STATUSES } }
+    })
+  } catch (error) {
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error counting warranty claims')
+  }
+}
+
+/**
+ * Creates a warranty claim
+ * @param {Object} claim - { order_id, product_id, user_id, issue_description }
+ * @returns {Promise<Object>} - Created claim
+ */
+const insertClaim = async (claim) => {
+  try {
+    return await WarrantyClaim.create({
+      order_id: claim.order_id,
+      product_id: claim.product_id,
+      user_id: claim.user_id,
+      issue_description: claim.issue_description,
+      status: 'SUBMITTED'
+    })
+  } catch (error) {
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error inserting warranty claim')
+  }
+}
+
+/**
+ * Gets a warranty claim with its product
+ * @param {number} claim_id - Claim ID
+ * @returns {Promise<Object>} - Claim
+ */
+const getClaim = async (claim_id) => {
+  try {
+    const claim = await WarrantyClaim.findByPk(claim_id, {
+      include: [{
+        model: Product,
+        as: 'product',
+        attributes: ['product_id', 'product_name', 'image', 'warranty_month']
+      }]
+    })
+
+    if (!claim) {
+      throw new ApiError(StatusCodes.NOT_FOUND, 'Warranty claim not found')
+    }
+
+    return claim
+  } catch (error) {
+    if (error instanceof ApiError) throw error
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error getting warranty claim')
+  }
+}
+
+/**
+ * Gets warranty claims, newest first
+ * @param {Object} filters - { user_id, order_id, status } (all optional)
+ * @param {number} page - Page number
+ * @param {number} limit - Items per page
+ * @returns {Promise<Object>} - { claims, pagination }
+ */
+const getClaims = async (filters = {}, page = 1, limit = 10) => {
+  try {
+    const offset = (page - 1) * limit
+
+    const whereClause = {}
+    if (filters.user_id) whereClause.user_id = filters.user_id
+    if (filters.order_id) whereClause.order_id = filters.order_id
+    if (filters.status) whereClause.status = filters.status
+
+    const { count, rows } = await WarrantyClaim.findAndCountAll({
+      where: whereClause,
+      include: [{
+        model: Product,
+        as: 'product',
+        attributes: ['product_id', 'product_name', 'image']
+      }],
+      order: [['created_at', 'DESC'], ['claim_id', 'DESC']],
+      limit: limit,
+      offset: offset
+    })
+
+    const totalPages = Math.ceil(count / limit)
+
+    return {
+      claims: rows,
+      pagination: {
+        total: count,
+        totalPages: totalPages,
+        currentPage: page,
+        limit: limit,
+        hasMore: page < totalPages
+      }
+    }
+  } catch (error) {
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error getting warranty claims')
+  }
+}
+
+/**
+ * Changes the status of a claim following CLAIM_STATUS_TRANSITIONS
+ * @param {number} claim_id - Claim ID
+ * @param {string} status - New status
+ * @param {Object} updates - Other fields to save { resolution, handled_by }
+ * @returns {Promise<Boolean>} - True if successful
+ */
+const updateClaimStatus = async (claim_id, status, updates = {}) => {
+  try {
+    if (!CLAIM_STATUS_TRANSITIONS[status]) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, `Invalid claim status. Must be one of: ${Object.keys(CLAIM_STATUS_TRANSITIONS).join(', ')}`)
+    }
+
+    const claim = await WarrantyClaim.findByPk(claim_id)
+    if (!claim) {
+      throw new ApiError(StatusCodes.NOT_FOUND, 'Warranty claim not found')
+    }
+
+    if (!CLAIM_STATUS_TRANSITIONS[claim.status].includes(status)) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, `Cannot change claim status from ${claim.status} to ${status}`)
+    }
+
+    // Only update if the status did not change meanwhile
+    const [updated] = await WarrantyClaim.update(
+      { ...updates, status, updated_at: new Date() },
+      { where: { claim_id, status: claim.status } }
+    )
+
+    if (updated === 0) {
+      throw new ApiError(StatusCodes.CONFLICT, 'Claim was updated by someone else, please reload it')
+    }
+
+    return true
+  } catch (error) {
+    if (error instanceof ApiError) throw error
+    throw new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, 'Error updating warranty claim')
+  }
+}
+
+export const warrantyService = {
+  getWarranties,
+  getWarranty,
+  countOpenClaims,
+  insertClaim,
+  getClaim,
+  getClaims,
+  updateClaimStatus
+}
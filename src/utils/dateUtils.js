@@ -0,0 +1,20 @@
+/**
+ * Các hàm tiện ích xử lý ngày tháng
+ */
+
+/**
+ * Cộng số tháng vào một ngày, nếu tháng đích ngắn hơn thì lấy ngày cuối tháng
+ * VD: 31/01 + 1 tháng => 28/02 (hoặc 29/02 năm nhuận)
+ * @param {Date|string} date - Ngày bắt đầu
+ * @param {number} months - Số tháng cần cộng
+ * @returns {Date} Ngày mới
+ */
+export const addMonths = (date, months) => {
+  const result = new Date(date)
+  const day = result.getDate()
+  result.setDate(1)
+  result.setMonth(result.getMonth() + months)
+  const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate()
+  result.setDate(Math.min(day, lastDay))
+  return result
+}
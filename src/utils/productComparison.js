@@ -0,0 +1,75 @@
+/**
+ * So sánh sản phẩm theo từng thông số
+ *
+ * Mỗi dòng so sánh gồm giá trị của từng sản phẩm (theo thứ tự sản phẩm) và danh sách sản phẩm
+ * có giá trị tốt nhất với các thông số so sánh được (RAM nhiều nhất, nhẹ nhất, rẻ nhất...)
+ */
+
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value))
+
+// Các dòng so sánh: field, label, value(product), better: 'max' | 'min' (bỏ trống = không so sánh), score: giá trị dùng để so sánh nếu khác value
+const COMPARISON_FIELDS = [
+  { field: 'price', label: 'Price', value: (p) => toNumber(p.price), better: 'min' },
+  { field: 'brand', label: 'Brand', value: (p) => p.brand },
+  { field: 'cpu', label: 'CPU', value: (p) => p.cpu },
+  { field: 'cpu_family', label: 'CPU family', value: (p) => p.spec.cpu_family },
+  { field: 'ram_gb', label: 'RAM (GB)', value: (p) => p.spec.ram_gb, better: 'max' },
+  { field: 'ram_type', label: 'RAM type', value: (p) => p.spec.ram_type },
+  { field: 'storage_gb', label: 'Storage (GB)', value: (p) => p.spec.storage_gb, better: 'max' },
+  { field: 'storage_type', label: 'Storage type', value: (p) => p.spec.storage_type },
+  { field: 'gpu', label: 'GPU', value: (p) => p.gpu },
+  { field: 'gpu_vram_gb', label: 'GPU memory (GB)', value: (p) => p.spec.gpu_vram_gb, better: 'max' },
+  { field: 'screen_inches', label: 'Screen size (inch)', value: (p) => toNumber(p.spec.screen_inches) },
+  {
+    field: 'resolution',
+    label: 'Resolution',
+    value: (p) => (p.spec.resolution_width && p.spec.resolution_height ? `${p.spec.resolution_width}x${p.spec.resolution_height}` : null),
+    score: (p) => (p.spec.resolution_width && p.spec.resolution_height ? p.spec.resolution_width * p.spec.resolution_height : null),
+    better: 'max'
+  },
+  { field: 'refresh_rate_hz', label: 'Refresh rate (Hz)', value: (p) => p.spec.refresh_rate_hz, better: 'max' },
+  { field: 'weight_kg', label: 'Weight (kg)', value: (p) => toNumber(p.spec.weight_kg), better: 'min' },
+  { field: 'battery_wh', label: 'Battery (Wh)', value: (p) => p.spec.battery_wh, better: 'max' },
+  { field: 'warranty_month', label: 'Warranty (months)', value: (p) => p.warranty_month, better: 'max' }
+]
+
+/**
+ * Tìm các sản phẩm có giá trị tốt nhất của một dòng
+ * Không đánh dấu khi có ít hơn 2 giá trị hoặc các giá trị đều bằng nhau
+ * @param {Array<Object>} products - Sản phẩm
+ * @param {Object} row - Dòng so sánh
+ * @returns {Array<number>} product_id của các sản phẩm tốt nhất
+ */
+const findBest = (products, row) => {
+  if (!row.better) return []
+
+  const scored = products
+    .map(product => ({ product_id: product.product_id, score: toNumber((row.score || row.value)(product)) }))
+    .filter(item => item.score !== null && Number.isFinite(item.score))
+  if (scored.length < 2) return []
+
+  const scores = scored.map(item => item.score)
+  const best = row.better === 'max' ? Math.max(...scores) : Math.min(...scores)
+  const winners = scored.filter(item => item.score === best)
+
+  return winners.length === scored.length ? [] : winners.map(item => item.product_id)
+}
+
+/**
+ * Tạo bảng so sánh
+ * @param {Array<Object>} products - Sản phẩm (plain object, kèm spec - có thể null nếu chưa chuẩn hóa)
+ * @returns {Array<Object>} [{ field, label, values: [...], best: [product_id] }]
+ */
+export const buildComparison = (products) => {
+  const normalized = products.map(product => ({ ...product, spec: product.spec || {} }))
+
+  return COMPARISON_FIELDS.map(row => ({
+    field: row.field,
+    label: row.label,
+    values: normalized.map(product => {
+      const value = row.value(product)
+      return value === undefined ? null : value
+    }),
+    best: findBest(normalized, row)
+  }))
+}
@@ -0,0 +1,116 @@
+/**
+ * Facet theo thông số sản phẩm (CPU, RAM, ổ cứng, GPU, màn hình, tần số quét)
+ *
+ * Dựa trên thông số đã chuẩn hóa trong product_specs (include với alias 'spec'), giá trị
+ * lọc được đọc lại bằng specParser nên "16GB", "16 GB" và "16G" đều là cùng một giá trị.
+ * Mỗi facet gồm:
+ *   - column: cột của product_specs
+ *   - parse(value): giá trị lọc -> giá trị cột (null nếu không đọc được)
+ *   - format(value): giá trị cột -> giá trị facet trả về (gửi lại được làm giá trị lọc)
+ *   - pick(spec): giá trị cột của một sản phẩm (mặc định spec[column])
+ */
+
+import { Op } from 'sequelize'
+import { parseCpu, parseRam, parseStorage, parseGpu, parseScreen, formatCapacity } from './specParser'
+
+const INTEGRATED_GPU = 'Integrated'
+
+const SPEC_FACETS = {
+  ram: {
+    column: 'ram_gb',
+    parse: (value) => parseRam(value).ram_gb,
+    format: formatCapacity
+  },
+  storage: {
+    column: 'storage_gb',
+    parse: (value) => parseStorage(value).storage_gb,
+    format: formatCapacity
+  },
+  cpu: {
+    column: 'cpu_family',
+    parse: (value) => parseCpu(value).cpu_family,
+    format: (value) => value
+  },
+  // Card rời theo model, card tích hợp gom chung thành "Integrated"
+  gpu: {
+    column: 'gpu_model',
+    parse: (value) => value.toLowerCase() === INTEGRATED_GPU.toLowerCase() ? INTEGRATED_GPU : parseGpu(value).gpu_model,
+    format: (value) => value,
+    pick: (spec) => spec.gpu_type === 'INTEGRATED' ? INTEGRATED_GPU : spec.gpu_model
+  },
+  screen: {
+    column: 'screen_inches',
+    parse: (value) => parseScreen(value).screen_inches,
+    format: (value) => String(Number(value))
+  },
+  refresh_rate: {
+    column: 'refresh_rate_hz',
+    parse: (value) => parseInt(value) || null,
+    format: (value) => `${value}Hz`
+  }
+}
+
+export const SPEC_FACET_FIELDS = Object.keys(SPEC_FACETS)
+
+// Cột product_specs cần lấy để đếm facet
+export const SPEC_FACET_COLUMNS = SPEC_FACET_FIELDS.map(field => SPEC_FACETS[field].column).concat('gpu_type')
+
+/**
+ * Tạo điều kiện WHERE cho các bộ lọc thông số (cột của include 'spec')
+ * Các giá trị trong cùng một facet là OR, giữa các facet là AND
+ * @param {Object} filters - { ram: ['16GB'], storage: ['512GB'], cpu: ['Core i7'], gpu: ['RTX 4060'], screen: ['15.6'], refresh_rate: ['144Hz'] }
+ * @returns {Array<Object>} Danh sách điều kiện (giá trị không đọc được không khớp sản phẩm nào)
+ */
+export const buildSpecConditions = (filters = {}) => {
+  return SPEC_FACET_FIELDS
+    .filter(field => Array.isArray(filters[field]) && filters[field].length > 0)
+    .map(field => {
+      const { column, parse } = SPEC_FACETS[field]
+      const values = filters[field].map(parse).filter(value => value !== null)
+
+      if (field === 'gpu' && values.includes(INTEGRATED_GPU)) {
+        return {
+          [Op.or]: [
+            { '$spec.gpu_type$': 'INTEGRATED' },
+            { [`$spec.${column}$`]: { [Op.in]: values.filter(value => value !== INTEGRATED_GPU) } }
+          ]
+        }
+      }
+
+      return values.length > 0 ? { [`$spec.${column}$`]: { [Op.in]: values } } : { product_id: null }
+    })
+}
+
+/**
+ * Đếm số sản phẩm theo từng giá trị facet (hãng và thông số)
+ * @param {Array<Object>} products - Sản phẩm { brand, spec: { ram_gb, cpu_family, ... } } (spec có thể null)
+ * @returns {Object} { brand: [{ value, count }], ram: [...], storage: [...], ... } - nhiều nhất trước
+ */
+export const countFacets = (products) => {
+  const counters = { brand: new Map() }
+  SPEC_FACET_FIELDS.forEach(field => { counters[field] = new Map() })
+
+  for (const product of products) {
+    if (product.brand) {
+      counters.brand.set(product.brand, (counters.brand.get(product.brand) || 0) + 1)
+    }
+
+    const spec = product.spec || {}
+    for (const field of SPEC_FACET_FIELDS) {
+      const { column, format, pick } = SPEC_FACETS[field]
+      const raw = pick ? pick(spec) : spec[column]
+      if (raw === null || raw === undefined) continue
+
+      const value = format(raw)
+      counters[field].set(value, (counters[field].get(value) || 0) + 1)
+    }
+  }
+
+  const facets = {}
+  for (const [field, counter] of Object.entries(counters)) {
+    facets[field] = [...counter.entries()]
+      .map(([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value), undefined, { numeric: true }))
+  }
+  return facets
+}
@@ -0,0 +1,120 @@
+/**
+ * Chuẩn hóa văn bản cho tìm kiếm sản phẩm
+ *
+ * Văn bản được đưa về chữ thường, bỏ dấu tiếng Việt (kể cả đ -> d) và chỉ giữ chữ/số,
+ * nên "Máy tính ĐỒ HỌA" và "may tinh do hoa" là cùng một chuỗi.
+ * Tài liệu tìm kiếm còn chứa thêm các từ ghép từ hai từ liền nhau khi một trong hai có số
+ * hoặc rất ngắn ("rtx 4060" -> "rtx4060", "thinkpad x1" -> "thinkpadx1"),
+ * để "RTX4060" và "RTX 4060" đều tìm thấy nhau.
+ */
+
+// Cột thông số dạng chuỗi được đưa vào tài liệu tìm kiếm
+const SPEC_TEXT_COLUMNS = ['cpu', 'ram', 'storage', 'gpu', 'screen']
+
+// Số từ khóa tối đa của một lần tìm kiếm
+const MAX_TERMS = 10
+
+/**
+ * Bỏ dấu, chuyển chữ thường, thay ký tự khác chữ/số bằng khoảng trắng
+ * @param {string} value - Văn bản
+ * @returns {string} - Văn bản đã chuẩn hóa
+ */
+export const normalizeSearchText = (value) => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[đĐ]/g, 'd')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim()
+
+/**
+ * Tách từ khóa tìm kiếm thành các từ đã chuẩn hóa, bỏ từ trùng
+ * @param {string} keyword - Từ khóa người dùng nhập
+ * @returns {Array<string>} - vd: 'ThinkPad  X1 Cácbon' -> ['thinkpad', 'x1', 'cacbon']
+ */
+export const getSearchTerms = (keyword) => {
+  const text = normalizeSearchText(keyword)
+  if (!text) return []
+  return [...new Set(text.split(' '))].slice(0, MAX_TERMS)
+}
+
+// Các từ của một giá trị, thêm từ ghép của các cặp từ liền nhau có chứa số hoặc có từ ngắn (<= 2 ký tự)
+const wordsWithCompounds = (value) => {
+  const words = normalizeSearchText(value).split(' ').filter(Boolean)
+  const compounds = []
+  for (let i = 0; i < words.length - 1; i++) {
+    const [left, right] = [words[i], words[i + 1]]
+    if (/\d/.test(left + right) || left.length <= 2 || right.length <= 2) {
+      compounds.push(left + right)
+    }
+  }
+  return [...words, ...compounds]
+}
+
+/**
+ * Tạo tài liệu tìm kiếm của một sản phẩm
+ * @param {Object} product - Sản phẩm (product_name, brand, description và các cột thông số dạng chuỗi)
+ * @returns {Object} - { product_id, name_text, search_text }
+ */
+export const buildSearchDocument = (product) => {
+  const nameText = [...new Set([...wordsWithCompounds(product.product_name), ...wordsWithCompounds(product.brand)])].join(' ')
+  const specText = SPEC_TEXT_COLUMNS.flatMap(column => wordsWithCompounds(product[column])).join(' ')
+  const description = normalizeSearchText(product.description)
+
+  return {
+    product_id: product.product_id,
+    name_text: nameText,
+    search_text: [nameText, specText, description].filter(Boolean).join(' ')
+  }
+}
+
+/**
+ * Khoảng cách chỉnh sửa giữa hai từ (thêm, xóa, thay một ký tự hoặc đổi chỗ hai ký tự liền nhau)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+const editDistance = (a, b) => {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i])
+  for (let j = 1; j <= b.length; j++) d[0][j] = j
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost)
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1)
+      }
+    }
+  }
+
+  return d[a.length][b.length]
+}
+
+/**
+ * Sửa lỗi gõ của một từ khóa theo danh sách từ có trong các tài liệu
+ * Từ có số hoặc ngắn hơn 4 ký tự không được sửa (mã model, "i7", "x1"...);
+ * chấp nhận sai 1 ký tự, hoặc 2 ký tự với từ từ 8 ký tự trở lên
+ * @param {string} term - Từ đã chuẩn hóa
+ * @param {Set<string>} vocabulary - Các từ có trong tài liệu
+ * @returns {string} - Từ gần nhất trong vocabulary, hoặc chính term nếu không có từ nào đủ gần
+ */
+export const correctTerm = (term, vocabulary) => {
+  if (vocabulary.has(term) || term.length < 4 || /\d/.test(term)) return term
+
+  const maxDistance = term.length >= 8 ? 2 : 1
+  let best = term
+  let bestDistance = maxDistance + 1
+
+  for (const word of vocabulary) {
+    if (Math.abs(word.length - term.length) > maxDistance) continue
+    const distance = editDistance(term, word)
+    if (distance < bestDistance) {
+      best = word
+      bestDistance = distance
+    }
+  }
+
+  return best
+}
+
@@ -0,0 +1,302 @@
+/**
+ * Chuẩn hóa thông số laptop
+ *
+ * Các cột cpu, ram, storage, gpu, screen, weight, battery của products là chuỗi tự do
+ * ("16GB", "16 GB DDR5", "16G"...). Các hàm dưới đây đọc chúng thành giá trị có kiểu
+ * (RAM theo GB, màn hình theo inch, cân nặng theo kg...) để lưu vào product_specs.
+ * Hàm parse trả về null cho phần không đọc được
+ */
+
+// Dòng CPU: [hãng, dòng, regex] - dòng cụ thể hơn đặt trước
+const CPU_FAMILIES = [
+  ['Intel', 'Core Ultra 5', /core\s*ultra\s*5/i],
+  ['Intel', 'Core Ultra 7', /core\s*ultra\s*7/i],
+  ['Intel', 'Core Ultra 9', /core\s*ultra\s*9/i],
+  ['Intel', 'Core i3', /(^|[^a-z0-9])(core[ -]?)?i3([^0-9]|$)/i],
+  ['Intel', 'Core i5', /(^|[^a-z0-9])(core[ -]?)?i5([^0-9]|$)/i],
+  ['Intel', 'Core i7', /(^|[^a-z0-9])(core[ -]?)?i7([^0-9]|$)/i],
+  ['Intel', 'Core i9', /(^|[^a-z0-9])(core[ -]?)?i9([^0-9]|$)/i],
+  ['Intel', 'Celeron', /celeron/i],
+  ['Intel', 'Pentium', /pentium/i],
+  ['AMD', 'Ryzen AI', /ryzen\s*ai/i],
+  ['AMD', 'Ryzen 3', /ryzen\s*3/i],
+  ['AMD', 'Ryzen 5', /ryzen\s*5/i],
+  ['AMD', 'Ryzen 7', /ryzen\s*7/i],
+  ['AMD', 'Ryzen 9', /ryzen\s*9/i],
+  ['Apple', 'Apple M1', /(^|[^a-z0-9.])m1([^0-9]|$)/i],
+  ['Apple', 'Apple M2', /(^|[^a-z0-9.])m2([^0-9]|$)/i],
+  ['Apple', 'Apple M3', /(^|[^a-z0-9.])m3([^0-9]|$)/i],
+  ['Apple', 'Apple M4', /(^|[^a-z0-9.])m4([^0-9]|$)/i],
+  ['Qualcomm', 'Snapdragon X', /snapdragon\s*x/i]
+]
+
+const CPU_BRANDS = [
+  ['Intel', /intel|core|celeron|pentium/i],
+  ['AMD', /amd|ryzen|athlon/i],
+  ['Apple', /apple/i],
+  ['Qualcomm', /qualcomm|snapdragon/i]
+]
+
+// Tên gọi độ phân giải thường gặp - tên có dấu + đặt trước tên gốc
+const RESOLUTION_NAMES = [
+  [/uhd\+|wquxga/i, 3840, 2400],
+  [/4k|uhd/i, 3840, 2160],
+  [/3\.2k/i, 3200, 2000],
+  [/3k/i, 2880, 1920],
+  [/2\.8k/i, 2880, 1800],
+  [/2\.5k|qhd\+|wqxga/i, 2560, 1600],
+  [/2k|qhd/i, 2560, 1440],
+  [/fhd\+|full hd\+|wuxga/i, 1920, 1200],
+  [/fhd|full hd/i, 1920, 1080],
+  [/hd\+/i, 1600, 900],
+  [/(^|[^a-z])hd([^a-z]|$)/i, 1366, 768]
+]
+
+export const STORAGE_TYPES = ['SSD', 'HDD', 'EMMC']
+export const GPU_TYPES = ['INTEGRATED', 'DEDICATED']
+
+/**
+ * Đọc số thập phân, chấp nhận cả dấu phẩy (1,8 kg)
+ * @param {string} value - Chuỗi số
+ * @returns {number} Số
+ */
+const toNumber = (value) => parseFloat(String(value).replace(',', '.'))
+
+/**
+ * Đọc thông số CPU
+ * @param {string} text - VD: "Intel Core i7-13700H", "AMD Ryzen 7 7840HS", "Apple M3 Pro"
+ * @returns {Object} { cpu_brand, cpu_family }
+ */
+export const parseCpu = (text) => {
+  const value = text || ''
+  const family = CPU_FAMILIES.find(([, , pattern]) => pattern.test(value))
+  const brand = family ? family[0] : (CPU_BRANDS.find(([, pattern]) => pattern.test(value)) || [null])[0]
+  return {
+    cpu_brand: brand,
+    cpu_family: family ? family[1] : null
+  }
+}
+
+/**
+ * Đọc thông số RAM
+ * @param {string} text - VD: "16GB", "16 GB DDR5", "16G", "2 x 8GB LPDDR5X"
+ * @returns {Object} { ram_gb, ram_type }
+ */
+export const parseRam = (text) => {
+  const value = text || ''
+  const modules = /([0-9]+)\s*x\s*([0-9]+)\s*G/i.exec(value)
+  const size = /([0-9]+)\s*G(?:B)?(?![a-z])/i.exec(value)
+  const type = /(LP)?DDR[3-5]X?/i.exec(value)
+  return {
+    ram_gb: modules ? parseInt(modules[1]) * parseInt(modules[2]) : (size ? parseInt(size[1]) : null),
+    ram_type: type ? type[0].toUpperCase() : null
+  }
+}
+
+/**
+ * Đọc thông số ổ cứng (ổ đầu tiên nếu có nhiều ổ)
+ * @param {string} text - VD: "512GB SSD NVMe", "1TB PCIe", "1 TB HDD"
+ * @returns {Object} { storage_gb, storage_type }
+ */
+export const parseStorage = (text) => {
+  const value = text || ''
+  const size = /([0-9]+(?:[.,][0-9]+)?)\s*(TB|GB|T|G)(?![a-z])/i.exec(value)
+  let type = null
+  if (/hdd/i.test(value)) type = 'HDD'
+  else if (/emmc/i.test(value)) type = 'EMMC'
+  else if (/ssd|nvme|pcie|m\.2/i.test(value)) type = 'SSD'
+  return {
+    storage_gb: size ? Math.round(toNumber(size[1]) * (size[2].toUpperCase().startsWith('T') ? 1024 : 1)) : null,
+    storage_type: type
+  }
+}
+
+/**
+ * Đọc thông số GPU, không nhận ra card rời thì coi là card tích hợp
+ * @param {string} text - VD: "NVIDIA GeForce RTX 4060 8GB", "Intel Iris Xe", "AMD Radeon RX 7600S"
+ * @returns {Object} { gpu_type, gpu_model, gpu_vram_gb }
+ */
+export const parseGpu = (text) => {
+  const value = text || ''
+  const dedicated = /(RTX|GTX|RX|MX)\s*-?\s*([0-9]{3,4})/i.exec(value) || /(Arc)\s*(A[0-9]{3})/i.exec(value)
+  if (!dedicated) {
+    return { gpu_type: 'INTEGRATED', gpu_model: null, gpu_vram_gb: null }
+  }
+  const vram = /([0-9]+)\s*GB/i.exec(value)
+  const series = dedicated[1].toLowerCase() === 'arc' ? 'Arc' : dedicated[1].toUpperCase()
+  return {
+    gpu_type: 'DEDICATED',
+    gpu_model: `${series} ${dedicated[2].toUpperCase()}`,
+    gpu_vram_gb: vram ? parseInt(vram[1]) : null
+  }
+}
+
+/**
+ * Đọc thông số màn hình
+ * @param {string} text - VD: "15.6 inch FHD 144Hz", "14\" 2880x1800 OLED 120Hz", "16 WQXGA"
+ * @returns {Object} { screen_inches, resolution_width, resolution_height, refresh_rate_hz }
+ */
+export const parseScreen = (text) => {
+  const value = text || ''
+  const inches = /(?:^|[^0-9.])([0-9]{2}(?:[.,][0-9])?)\s*(?:"|''|”|-?inch|in(?![a-z]))/i.exec(value) ||
+    /^\s*([0-9]{2}(?:[.,][0-9])?)(?![0-9x])/i.exec(value)
+  const refresh = /([0-9]{2,3})\s*Hz/i.exec(value)
+  const pixels = /([0-9]{3,4})\s*[x×*]\s*([0-9]{3,4})/i.exec(value)
+  const named = pixels ? null : RESOLUTION_NAMES.find(([pattern]) => pattern.test(value))
+  return {
+    screen_inches: inches ? toNumber(inches[1]) : null,
+    resolution_width: pixels ? parseInt(pixels[1]) : (named ? named[1] : null),
+    resolution_height: pixels ? parseInt(pixels[2]) : (named ? named[2] : null),
+    refresh_rate_hz: refresh ? parseInt(refresh[1]) : null
+  }
+}
+
+/**
+ * Đọc cân nặng
+ * @param {string} text - VD: "1.8 kg", "1,25kg", "1600g", "2.1"
+ * @returns {Object} { weight_kg }
+ */
+export const parseWeight = (text) => {
+  const value = text || ''
+  const match = /([0-9]+(?:[.,][0-9]+)?)\s*(kg|g)?(?![a-z])/i.exec(value)
+  if (!match) return { weight_kg: null }
+  const number = toNumber(match[1])
+  const grams = match[2] ? match[2].toLowerCase() === 'g' : number > 20
+  return { weight_kg: Math.round((grams ? number / 1000 : number) * 100) / 100 }
+}
+
+/**
+ * Đọc dung lượng pin (chỉ nhận đơn vị Wh)
+ * @param {string} text - VD: "56Wh", "4-cell 70 Wh"
+ * @returns {Object} { battery_wh }
+ */
+export const parseBattery = (text) => {
+  const match = /([0-9]+(?:[.,][0-9]+)?)\s*Wh/i.exec(text || '')
+  return { battery_wh: match ? Math.round(toNumber(match[1])) : null }
+}
+
+// Cột chuỗi -> hàm đọc và trường bắt buộc phải đọc được khi cột có giá trị
+const TEXT_PARSERS = {
+  cpu: { parse: parseCpu, required: null },
+  ram: { parse: parseRam, required: 'ram_gb' },
+  storage: { parse: parseStorage, required: 'storage_gb' },
+  gpu: { parse: parseGpu, required: null },
+  screen: { parse: parseScreen, required: 'screen_inches' },
+  weight: { parse: parseWeight, required: 'weight_kg' },
+  battery: { parse: parseBattery, required: 'battery_wh' }
+}
+
+// Trường có kiểu: [min, max] cho số, danh sách cho giá trị liệt kê, 'string' cho chuỗi
+const SPEC_FIELDS = {
+  cpu_brand: 'string',
+  cpu_family: 'string',
+  ram_gb: [1, 256],
+  ram_type: 'string',
+  storage_gb: [16, 16384],
+  storage_type: STORAGE_TYPES,
+  gpu_type: GPU_TYPES,
+  gpu_model: 'string',
+  gpu_vram_gb: [1, 48],
+  screen_inches: [10, 20],
+  resolution_width: [800, 7680],
+  resolution_height: [600, 4320],
+  refresh_rate_hz: [30, 500],
+  weight_kg: [0.5, 6],
+  battery_wh: [10, 150]
+}
+
+export const SPEC_FIELD_NAMES = Object.keys(SPEC_FIELDS)
+
+// Số nguyên trừ inch màn hình và cân nặng
+const DECIMAL_FIELDS = ['screen_inches', 'weight_kg']
+
+/**
+ * Kiểm tra và chuẩn hóa một giá trị có kiểu
+ * @param {string} field - Tên trường
+ * @param {*} value - Giá trị (chuỗi nếu gửi qua form)
+ * @returns {Object} { value } hoặc { error }
+ */
+const normalizeSpecValue = (field, value) => {
+  if (value === null || value === '') return { value: null }
+
+  const rule = SPEC_FIELDS[field]
+  if (rule === 'string') {
+    return typeof value === 'string' && value.trim().length <= 50
+      ? { value: value.trim() }
+      : { error: `${field} must be a string of at most 50 characters` }
+  }
+  if (Array.isArray(rule)) {
+    if (typeof rule[0] === 'string') {
+      const upper = String(value).toUpperCase()
+      return rule.includes(upper) ? { value: upper } : { error: `${field} must be one of: ${rule.join(', ')}` }
+    }
+    const number = DECIMAL_FIELDS.includes(field) ? toNumber(value) : Number(value)
+    const valid = Number.isFinite(number) && (DECIMAL_FIELDS.includes(field) || Number.isInteger(number))
+    return valid && number >= rule[0] && number <= rule[1]
+      ? { value: number }
+      : { error: `${field} must be a number between ${rule[0]} and ${rule[1]}` }
+  }
+  return { error: `Unknown spec field ${field}` }
+}
+
+/**
+ * Tạo thông số có kiểu từ dữ liệu sản phẩm gửi lên
+ * Đọc các cột chuỗi có trong dữ liệu, rồi ghi đè bằng các trường có kiểu được gửi trực tiếp (ram_gb, screen_inches...)
+ * Chỉ trả về các trường liên quan đến dữ liệu gửi lên, để cập nhật một phần
+ * @param {Object} data - Dữ liệu sản phẩm (cột chuỗi và/hoặc trường có kiểu)
+ * @param {boolean} strict - true: báo lỗi khi cột chuỗi không đọc được (form admin), false: bỏ qua (migration)
+ * @returns {Object} { specs, errors, unparsed } - unparsed: các cột chuỗi không đọc được
+ */
+export const buildProductSpecs = (data, strict = true) => {
+  const specs = {}
+  const errors = []
+  const unparsed = []
+
+  for (const [column, { parse, required }] of Object.entries(TEXT_PARSERS)) {
+    if (data[column] === undefined) continue
+
+    const text = typeof data[column] === 'string' ? data[column].trim() : ''
+    const parsed = parse(text)
+    Object.assign(specs, parsed)
+
+    if (text && required && parsed[required] === null && data[required] === undefined) {
+      unparsed.push(column)
+    }
+  }
+
+  for (const field of SPEC_FIELD_NAMES) {
+    if (data[field] === undefined) continue
+
+    const { value, error } = normalizeSpecValue(field, data[field])
+    if (error) errors.push(error)
+    else specs[field] = value
+  }
+
+  // Giá trị đọc từ chuỗi cũng phải nằm trong giới hạn
+  for (const [field, value] of Object.entries(specs)) {
+    if (value === null || data[field] !== undefined) continue
+    const { error } = normalizeSpecValue(field, value)
+    if (error) {
+      if (strict) errors.push(`${error} (read from the text spec)`)
+      specs[field] = null
+    }
+  }
+
+  if (strict) {
+    unparsed.forEach(column => {
+      const field = TEXT_PARSERS[column].required
+      errors.push(`Cannot read ${field} from ${column} "${data[column]}", send ${field} explicitly`)
+    })
+  }
+
+  return { specs, errors, unparsed }
+}
+
+/**
+ * Định dạng dung lượng để hiển thị / lọc: 16 -> "16GB", 1024 -> "1TB"
+ * @param {number} gb - Dung lượng theo GB
+ * @returns {string} Chuỗi hiển thị
+ */
+export const formatCapacity = (gb) => {
+  return gb >= 1024 && gb % 1024 === 0 ? `${gb / 1024}TB` : `${gb}GB`
+}